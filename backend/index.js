@@ -20,6 +20,15 @@ if (!JWT_SECRET) {
     process.exit(1);
 }
 
+// Behind a reverse proxy (Railway) req.ip is the proxy unless Express trusts it to
+// report the client in X-Forwarded-For. Off by default, since without a proxy that
+// header is client-supplied. TRUST_PROXY takes a hop count or anything Express accepts.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10)
+        : trustProxy === 'true' ? true : trustProxy);
+}
+
 // Middleware
 const allowedOrigins = [
     process.env.FRONTEND_URL,
@@ -52,8 +61,14 @@ const userRoutes = require('./routes/users');
 const transactionRoutes = require('./routes/transactions');
 const eventRoutes = require('./routes/events');
 const promotionRoutes = require('./routes/promotions');
+const rewardRoutes = require('./routes/rewards');
+const pointRequestRoutes = require('./routes/pointRequests');
+const fraudRuleRoutes = require('./routes/fraudRules');
+const investigationRoutes = require('./routes/investigations');
 const analyticsRoutes = require('./routes/analytics');
 const savedFiltersRoutes = require('./routes/savedFilters');
+const settingsRoutes = require('./routes/settings');
+const serviceAccountRoutes = require('./routes/serviceAccounts');
 
 // Mount routes in order (order matters for Express routing)
 // More specific routes should come before more general ones
@@ -62,16 +77,22 @@ app.use('/users', userRoutes);
 app.use('/transactions', transactionRoutes);
 app.use('/events', eventRoutes);
 app.use('/promotions', promotionRoutes);
+app.use('/rewards', rewardRoutes);
+app.use('/point-requests', pointRequestRoutes);
+app.use('/fraud-rules', fraudRuleRoutes);
+app.use('/investigations', investigationRoutes);
+app.use('/settings', settingsRoutes);
+app.use('/service-accounts', serviceAccountRoutes);
 
 // Analytics routes (already modularized)
-const { requireRole } = require('./middleware');
-app.get('/analytics/cashier/stats', requireRole('cashier'), analyticsRoutes.getCashierStats);
-app.get('/analytics/overview', requireRole('manager'), analyticsRoutes.getOverview);
-app.get('/analytics/users', requireRole('manager'), analyticsRoutes.getUserAnalytics);
-app.get('/analytics/transactions', requireRole('manager'), analyticsRoutes.getTransactionAnalytics);
-app.get('/analytics/events', requireRole('manager'), analyticsRoutes.getEventAnalytics);
-app.get('/analytics/promotions', requireRole('manager'), analyticsRoutes.getPromotionAnalytics);
-app.get('/analytics/financial', requireRole('manager'), analyticsRoutes.getFinancialAnalytics);
+const { requireRole, requirePermission, redemptionUtils, pointRequestUtils, pointsExpiryUtils, statementUtils } = require('./middleware');
+app.get('/analytics/cashier/stats', requirePermission('analytics.cashier'), analyticsRoutes.getCashierStats);
+app.get('/analytics/overview', requirePermission('analytics.view'), analyticsRoutes.getOverview);
+app.get('/analytics/users', requirePermission('analytics.view'), analyticsRoutes.getUserAnalytics);
+app.get('/analytics/transactions', requirePermission('analytics.view'), analyticsRoutes.getTransactionAnalytics);
+app.get('/analytics/events', requirePermission('analytics.view'), analyticsRoutes.getEventAnalytics);
+app.get('/analytics/promotions', requirePermission('analytics.view'), analyticsRoutes.getPromotionAnalytics);
+app.get('/analytics/financial', requirePermission('analytics.view'), analyticsRoutes.getFinancialAnalytics);
 
 // Saved filters routes (already modularized)
 app.get('/saved-filters', requireRole('regular'), savedFiltersRoutes.getSavedFilters);
@@ -130,4 +151,26 @@ if (require.main === module) {
         console.error(`cannot start server: ${err.message}`);
         process.exit(1);
     });
+
+    // Requests are also expired when they are listed; this catches the quiet periods
+    setInterval(() => {
+        redemptionUtils.expireStale().catch(err => console.error('Failed to expire redemptions:', err.message));
+        pointRequestUtils.expireStale().catch(err => console.error('Failed to expire point requests:', err.message));
+    }, 60 * 60 * 1000).unref();
+
+    // Deployments without cron can rely on this; `npm run expire-points` does the same run.
+    // It also runs at startup, so a server restarted more often than daily still gets to it.
+    const expirePoints = () => {
+        pointsExpiryUtils.run().catch(err => console.error('Failed to expire points:', err.message));
+    };
+    expirePoints();
+    setInterval(expirePoints, 24 * 60 * 60 * 1000).unref();
+
+    // Last month's statements go out on the first run of each month, startup included;
+    // `npm run send-statements` does the same
+    const sendStatements = () => {
+        statementUtils.sendMonthly().catch(err => console.error('Failed to send statements:', err.message));
+    };
+    sendStatements();
+    setInterval(sendStatements, 24 * 60 * 60 * 1000).unref();
 }
@@ -4,6 +4,7 @@ const { z } = require('zod');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 
 const prisma = new PrismaClient();
 
@@ -14,27 +15,2061 @@ if (!JWT_SECRET) {
     process.exit(1);
 }
 
+// Token lifetimes: access tokens are short-lived, refresh tokens keep the session alive
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000; // Only bump lastSeenAt once a minute
+
 // JWT Utils
 const jwtUtils = {
-    generateToken(user) {
-        const payload = { id: user.id, utorid: user.utorid, role: user.role };
-        const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '24h' });
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 24);
+    // scopedRole caps the role claim for sessions working at a lower role
+    generateToken(user, sessionId, scopedRole = null) {
+        const payload = { id: user.id, utorid: user.utorid, role: capRole(user.role, scopedRole), sid: sessionId, tv: user.tokenVersion };
+        const token = jwt.sign(payload, JWT_SECRET, { expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000) });
+        const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MS);
         return { token, expiresAt: expiresAt.toISOString() };
     },
-    verifyToken(token) {
+    verifyToken(token) {
+        try {
+            return jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            throw new Error('Invalid or expired token');
+        }
+    },
+    extractToken(authHeader) {
+        if (!authHeader) return null;
+        const parts = authHeader.split(' ');
+        if (parts.length !== 2 || parts[0] !== 'Bearer') return null;
+        return parts[1];
+    },
+    // Short-lived token proving the password step of a two-factor login succeeded
+    generateChallengeToken(user) {
+        return jwt.sign({ id: user.id, purpose: '2fa' }, JWT_SECRET, { expiresIn: '5m' });
+    },
+    verifyChallengeToken(token) {
+        const payload = this.verifyToken(token);
+        if (payload.purpose !== '2fa') throw new Error('Invalid or expired token');
+        return payload;
+    },
+    // Email verification link; carries the address so changing it voids older links
+    generateVerificationToken(user) {
+        return jwt.sign({ id: user.id, email: user.email, purpose: 'verify-email' }, JWT_SECRET, { expiresIn: '24h' });
+    },
+    verifyVerificationToken(token) {
+        const payload = this.verifyToken(token);
+        if (payload.purpose !== 'verify-email') throw new Error('Invalid or expired token');
+        return payload;
+    }
+};
+
+// Session Utils
+// Every login creates a Session row. The access token carries its id (sid) and the
+// user's tokenVersion (tv); the opaque refresh token is only ever stored as a SHA-256 hash.
+const sessionUtils = {
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    },
+    generateRefreshToken() {
+        return crypto.randomBytes(32).toString('hex');
+    },
+    async create(user, req, impersonation = null) {
+        const refreshToken = this.generateRefreshToken();
+        const session = await prisma.session.create({
+            data: {
+                userId: user.id,
+                refreshTokenHash: this.hashToken(refreshToken),
+                userAgent: req.get('user-agent') || null,
+                ipAddress: req.ip || null,
+                expiresAt: new Date(Date.now() + (impersonation ? impersonation.ttlMs : REFRESH_TOKEN_TTL_MS)),
+                impersonatorId: impersonation?.impersonatorId ?? null,
+                impersonatorSessionId: impersonation?.impersonatorSessionId ?? null,
+                readOnly: impersonation?.readOnly ?? false
+            }
+        });
+        return { session, refreshToken };
+    },
+    async rotate(refreshToken, req) {
+        const hash = this.hashToken(refreshToken);
+        const session = await prisma.session.findUnique({ where: { refreshTokenHash: hash }, include: { user: true } });
+
+        if (!session) {
+            // A rotated-out token being replayed means it leaked: kill the whole session
+            const reused = await prisma.session.findUnique({ where: { previousRefreshTokenHash: hash } });
+            if (reused && !reused.revokedAt) {
+                await prisma.session.update({ where: { id: reused.id }, data: { revokedAt: new Date() } });
+            }
+            throw new Error('Invalid refresh token');
+        }
+        if (session.revokedAt || session.expiresAt < new Date()) {
+            throw new Error('Session expired');
+        }
+
+        // Only one request can swap out a given token. Another refresh that presented the same
+        // token in the meantime is a replay like any other, so the session is ended.
+        const nextRefreshToken = this.generateRefreshToken();
+        const { count } = await prisma.session.updateMany({
+            where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+            data: {
+                refreshTokenHash: this.hashToken(nextRefreshToken),
+                previousRefreshTokenHash: hash,
+                userAgent: req.get('user-agent') || session.userAgent,
+                ipAddress: req.ip || session.ipAddress,
+                lastSeenAt: new Date(),
+                // Impersonation sessions end at a fixed time however often they refresh
+                expiresAt: session.impersonatorId ? session.expiresAt : new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+            }
+        });
+        if (count === 0) {
+            await prisma.session.updateMany({ where: { id: session.id, revokedAt: null }, data: { revokedAt: new Date() } });
+            throw new Error('Invalid refresh token');
+        }
+        const updated = await prisma.session.findUnique({ where: { id: session.id } });
+        // Members who stay signed in never log in again, so refreshing counts as activity.
+        // A superuser viewing the account does not.
+        if (!session.impersonatorId) {
+            await prisma.user.update({ where: { id: session.userId }, data: { lastActiveAt: updated.lastSeenAt } });
+        }
+        return { session: updated, user: session.user, refreshToken: nextRefreshToken };
+    },
+    // Hand out a new refresh token for a live session, e.g. to return a superuser
+    // to their own session after impersonating. Returns null if it has ended.
+    async reissue(sessionId) {
+        const session = await prisma.session.findUnique({ where: { id: sessionId }, include: { user: true } });
+        if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+        const refreshToken = this.generateRefreshToken();
+        const updated = await prisma.session.update({
+            where: { id: session.id },
+            data: { refreshTokenHash: this.hashToken(refreshToken), previousRefreshTokenHash: null, lastSeenAt: new Date() }
+        });
+        return { session: updated, user: session.user, refreshToken };
+    },
+    // True if this call was the one that revoked it
+    async revoke(sessionId) {
+        const { count } = await prisma.session.updateMany({
+            where: { id: sessionId, revokedAt: null },
+            data: { revokedAt: new Date() }
+        });
+        return count > 0;
+    },
+    // The session behind a request's cookies without checking expiry: the access token may
+    // have lapsed and the session ended, yet ending an impersonation still needs the row to
+    // find the superuser's own session. Signatures and refresh token hashes are still checked.
+    async fromCookies(cookies = {}) {
+        if (cookies.token) {
+            try {
+                const { sid } = jwt.verify(cookies.token, JWT_SECRET, { ignoreExpiration: true });
+                if (sid) return prisma.session.findUnique({ where: { id: sid } });
+            } catch (error) { /* Fall back to the refresh token */ }
+        }
+        if (cookies.refreshToken) {
+            return prisma.session.findUnique({ where: { refreshTokenHash: this.hashToken(cookies.refreshToken) } });
+        }
+        return null;
+    },
+    // Revoke every session of a user, optionally keeping the one making the request
+    async revokeAll(userId, exceptSessionId = null) {
+        const where = { userId, revokedAt: null };
+        if (exceptSessionId) where.id = { not: exceptSessionId };
+        await prisma.session.updateMany({ where, data: { revokedAt: new Date() } });
+    },
+    // Verify an access token and make sure its session is still live
+    async verify(token) {
+        const payload = jwtUtils.verifyToken(token);
+        if (!payload.sid) throw new Error('Invalid or expired token');
+
+        const session = await prisma.session.findUnique({
+            where: { id: payload.sid },
+            include: { user: { select: { tokenVersion: true } } }
+        });
+        const now = new Date();
+        if (!session || session.userId !== payload.id || session.revokedAt || session.expiresAt < now) {
+            throw new Error('Session revoked');
+        }
+        // Role, suspicious flag and password changes bump tokenVersion; the client
+        // then refreshes and gets a token reflecting the current account state
+        if (session.user.tokenVersion !== payload.tv) {
+            throw new Error('Token outdated');
+        }
+
+        if (now - session.lastSeenAt > SESSION_TOUCH_INTERVAL_MS) {
+            await prisma.session.update({ where: { id: session.id }, data: { lastSeenAt: now } });
+        }
+        const result = { ...payload };
+        // The cap lives on the session, so tokens issued before it was set are capped too
+        if (session.scopedRole) {
+            result.role = capRole(payload.role, session.scopedRole);
+            result.scopedRole = session.scopedRole;
+        }
+        if (session.impersonatorId) {
+            result.impersonatorId = session.impersonatorId;
+            result.readOnly = session.readOnly;
+        }
+        return result;
+    },
+    // Cap the session at a lower role, or lift the cap with null
+    async setScope(sessionId, scopedRole) {
+        return prisma.session.update({ where: { id: sessionId }, data: { scopedRole } });
+    }
+};
+
+// TOTP Utils (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_ISSUER = 'CSSU Rewards';
+
+const totpUtils = {
+    base32Encode(buffer) {
+        let bits = 0, value = 0, output = '';
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        return output;
+    },
+    base32Decode(input) {
+        const clean = input.replace(/=+$/, '').toUpperCase();
+        let bits = 0, value = 0;
+        const bytes = [];
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) throw new Error('Invalid base32 secret');
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    },
+    generateSecret() {
+        return this.base32Encode(crypto.randomBytes(20));
+    },
+    currentStep(now = Date.now()) {
+        return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+    },
+    generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0xf;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return String(binary % 1000000).padStart(6, '0');
+    },
+    // Returns the matching time step (allowing one step of clock drift) or null
+    verifyCode(secret, code, lastUsedStep = null) {
+        if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+        const step = this.currentStep();
+        for (const candidate of [step, step - 1, step + 1]) {
+            if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+            const expected = this.generateCode(secret, candidate);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return candidate;
+        }
+        return null;
+    },
+    provisioningUri(secret, utorid) {
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${utorid}`);
+        const issuer = encodeURIComponent(TOTP_ISSUER);
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+    },
+    // Recovery codes are shown once and stored as SHA-256 hashes
+    generateRecoveryCodes(count = 10) {
+        const codes = [];
+        for (let i = 0; i < count; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+        }
+        return codes;
+    },
+    hashRecoveryCode(code) {
+        return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+    }
+};
+
+// Permissions
+// Named permissions are granted to roles through the rolePermissions setting and to
+// individual users through PermissionGrant rows. Superusers always hold every permission.
+const ROLES = ['regular', 'cashier', 'manager', 'superuser'];
+const roleHierarchy = { regular: 0, cashier: 1, manager: 2, superuser: 3 };
+const EDITABLE_ROLES = ['regular', 'cashier', 'manager'];
+
+// The lower of a role and an optional cap
+const capRole = (role, cap) => (cap && roleHierarchy[cap] < roleHierarchy[role] ? cap : role);
+
+// defaultRole is the lowest role that holds the permission out of the box
+const permissionDefinitions = {
+    'users.create': { description: 'Register new users', defaultRole: 'cashier' },
+    'users.view': { description: 'Look up a user by ID', defaultRole: 'cashier' },
+    'users.manage': { description: 'List users, view full profiles and edit account details', defaultRole: 'manager' },
+    'users.promote': { description: 'Change roles between regular and cashier', defaultRole: 'manager' },
+    'users.promote_staff': { description: 'Promote users to manager or superuser', defaultRole: 'superuser' },
+    'users.impersonate': { description: 'View the app as another user', defaultRole: 'superuser' },
+    'transactions.purchase': { description: 'Record purchases', defaultRole: 'cashier' },
+    'transactions.view': { description: 'Look up a transaction by ID', defaultRole: 'cashier' },
+    'transactions.list': { description: 'List and search all transactions', defaultRole: 'manager' },
+    'transactions.adjust': { description: 'Create adjustments and correct amounts', defaultRole: 'manager' },
+    'transactions.refund': { description: 'Refund returned purchases', defaultRole: 'cashier' },
+    'transactions.flag': { description: 'Mark transactions as suspicious and review held transactions', defaultRole: 'manager' },
+    'fraud.rules': { description: 'Edit the rules that hold transactions for review', defaultRole: 'manager' },
+    'investigations.manage': { description: 'Open, work and resolve investigation cases', defaultRole: 'manager' },
+    'transactions.process': { description: 'Process pending purchases', defaultRole: 'manager' },
+    'transactions.reverse': { description: 'Reverse transactions with compensating entries', defaultRole: 'manager' },
+    'transactions.reconcile': { description: 'Check balances against transaction history and correct drift', defaultRole: 'superuser' },
+    'redemptions.process': { description: 'Process redemption requests', defaultRole: 'cashier' },
+    'events.manage': { description: 'Create, edit, publish and delete any event', defaultRole: 'manager' },
+    'events.award': { description: 'Award points from any event', defaultRole: 'manager' },
+    'promotions.manage': { description: 'Create, edit and delete promotions', defaultRole: 'manager' },
+    'rewards.manage': { description: 'Manage the rewards catalog and its stock', defaultRole: 'manager' },
+    'analytics.cashier': { description: 'View cashier statistics', defaultRole: 'cashier' },
+    'analytics.view': { description: 'View analytics dashboards', defaultRole: 'manager' },
+    'settings.manage': { description: 'Manage settings, permissions and service accounts', defaultRole: 'superuser' }
+};
+const PERMISSIONS = Object.keys(permissionDefinitions);
+
+const defaultRolePermissions = Object.fromEntries(EDITABLE_ROLES.map(role => [
+    role,
+    PERMISSIONS.filter(p => roleHierarchy[role] >= roleHierarchy[permissionDefinitions[p].defaultRole])
+]));
+
+// Role mappings are stored as changes against the defaults rather than full lists, so a
+// permission added later still reaches its default roles after a superuser has saved them
+const rolePermissionOverrides = {
+    toStored(mapping) {
+        return Object.fromEntries(EDITABLE_ROLES.map(role => {
+            const defaults = defaultRolePermissions[role];
+            return [role, {
+                granted: mapping[role].filter(p => !defaults.includes(p)),
+                revoked: defaults.filter(p => !mapping[role].includes(p))
+            }];
+        }));
+    },
+    fromStored(stored) {
+        return Object.fromEntries(EDITABLE_ROLES.map(role => {
+            const entry = stored[role];
+            // Plain lists were saved before overrides and are taken as they are
+            if (Array.isArray(entry)) return [role, entry];
+            const { granted = [], revoked = [] } = entry || {};
+            return [role, PERMISSIONS.filter(p => granted.includes(p)
+                || (defaultRolePermissions[role].includes(p) && !revoked.includes(p)))];
+        }));
+    }
+};
+
+// Settings
+// Superuser-editable configuration stored as JSON in the Setting table. A definition can
+// give store/load to keep a different shape in the table than the one the API uses.
+const settingDefinitions = {
+    requireTwoFactorForStaff: { schema: z.boolean(), default: false },
+    // Pending redemptions older than this are cancelled automatically; 0 keeps them forever
+    redemptionExpiryDays: { schema: z.number().int().min(0).max(365), default: 30 },
+    // Point requests nobody answers are closed after this many days
+    pointRequestExpiryDays: { schema: z.number().int().min(1).max(90), default: 7 },
+    pointsExpiry: {
+        schema: z.object({
+            mode: z.enum(['none', 'earned', 'inactivity']),
+            months: z.number().int().min(1).max(120),
+            warningDays: z.number().int().min(0).max(90)
+        }).strict(),
+        default: { mode: 'none', months: 12, warningDays: 14 }
+    },
+    // Base points earned per dollar spent; each entry applies from its effectiveFrom until the next one
+    earnRates: {
+        schema: z.array(z.object({
+            pointsPerDollar: z.number().positive().max(1000),
+            rounding: z.enum(['round', 'floor', 'ceil']),
+            effectiveFrom: z.string().datetime()
+        }).strict()).min(1).max(50)
+            .transform(list => [...list].sort((a, b) => Date.parse(a.effectiveFrom) - Date.parse(b.effectiveFrom))),
+        default: [{ pointsPerDollar: 4, rounding: 'round', effectiveFrom: '1970-01-01T00:00:00.000Z' }]
+    },
+    rolePermissions: {
+        schema: z.object(Object.fromEntries(EDITABLE_ROLES.map(role => [
+            role, z.array(z.enum(PERMISSIONS)).transform(list => [...new Set(list)])
+        ]))).strict(),
+        default: defaultRolePermissions,
+        store: rolePermissionOverrides.toStored,
+        load: rolePermissionOverrides.fromStored
+    }
+};
+
+const settingsUtils = {
+    async get(key, db = prisma) {
+        const definition = settingDefinitions[key];
+        if (!definition) throw new Error(`Unknown setting: ${key}`);
+        const setting = await db.setting.findUnique({ where: { key } });
+        if (!setting) return definition.default;
+        return this.parse(definition, setting.value);
+    },
+    parse(definition, value) {
+        try {
+            const parsed = JSON.parse(value);
+            return definition.load ? definition.load(parsed) : parsed;
+        } catch (error) {
+            return definition.default;
+        }
+    },
+    async getAll() {
+        const stored = await prisma.setting.findMany();
+        const result = {};
+        for (const [key, definition] of Object.entries(settingDefinitions)) {
+            const row = stored.find(s => s.key === key);
+            result[key] = row ? this.parse(definition, row.value) : definition.default;
+        }
+        return result;
+    },
+    async set(key, value, userId) {
+        const { store } = settingDefinitions[key];
+        const serialized = JSON.stringify(store ? store(value) : value);
+        await prisma.setting.upsert({
+            where: { key },
+            update: { value: serialized, updatedBy: userId },
+            create: { key, value: serialized, updatedBy: userId }
+        });
+    }
+};
+
+// Earn rate
+// Purchases store the rate they were earned at, so later edits recompute with it
+const earnRateUtils = {
+    // The { pointsPerDollar, rounding } in effect at a given time
+    async current(at = new Date()) {
+        const schedule = await settingsUtils.get('earnRates');
+        const inEffect = schedule.filter(rate => Date.parse(rate.effectiveFrom) <= at.getTime()).pop()
+            || settingDefinitions.earnRates.default[0];
+        return { pointsPerDollar: inEffect.pointsPerDollar, rounding: inEffect.rounding };
+    },
+    // Purchases recorded before rates were stored all earned the original 4 points per dollar
+    of(transaction) {
+        if (transaction.earnRate === null || transaction.earnRate === undefined) {
+            return { pointsPerDollar: 4, rounding: 'round' };
+        }
+        return { pointsPerDollar: transaction.earnRate, rounding: transaction.rounding || 'round' };
+    },
+    round(points, rounding) {
+        // Trim float noise first so 28.999999999999996 does not floor to 28
+        return Math[rounding](Number(points.toFixed(6)));
+    }
+};
+
+const permissionUtils = {
+    async forRole(role) {
+        if (role === 'superuser') return [...PERMISSIONS];
+        const mapping = await settingsUtils.get('rolePermissions');
+        // Drop names that are no longer defined
+        return (mapping[role] || []).filter(p => permissionDefinitions[p]);
+    },
+    async grantsFor(userId) {
+        const grants = await prisma.permissionGrant.findMany({ where: { userId } });
+        return grants.map(g => g.permission).filter(p => permissionDefinitions[p]);
+    },
+    // Role permissions plus the user's own grants
+    async forUser(user) {
+        if (user.role === 'superuser') return [...PERMISSIONS];
+        // Individual grants do not carry over into a session scoped to a lower role
+        if (user.scopedRole) return this.forRole(user.role);
+        const [fromRole, granted] = await Promise.all([this.forRole(user.role), this.grantsFor(user.id)]);
+        return [...new Set([...fromRole, ...granted])];
+    },
+    async has(user, permission) {
+        if (!user) return false;
+        return (await this.forUser(user)).includes(permission);
+    }
+};
+
+// Staff (cashier and above) must use two-factor auth when the superuser policy is on
+const isTwoFactorRequired = async (user) => {
+    if (user.role === 'regular') return false;
+    return settingsUtils.get('requireTwoFactorForStaff');
+};
+
+// Brute-force protection
+// Failures are counted per utorid and per IP. Past the free attempts each further try
+// must wait twice as long as the last, and reaching lockoutAfter locks the key out.
+// IPs get a larger budget since a whole campus network can share one address.
+const throttlePolicies = {
+    login: {
+        maxDelayMs: 30 * 1000,
+        windowMs: 15 * 60 * 1000, // Counters start over after this long without a failure
+        lockoutMs: 15 * 60 * 1000,
+        utorid: { freeAttempts: 3, lockoutAfter: 10 },
+        ip: { freeAttempts: 20, lockoutAfter: 50 }
+    },
+    // Every reset request counts, since each one issues a token and sends an email
+    reset: {
+        maxDelayMs: 60 * 1000,
+        windowMs: 60 * 60 * 1000,
+        lockoutMs: 60 * 60 * 1000,
+        utorid: { freeAttempts: 1, lockoutAfter: 5 },
+        ip: { freeAttempts: 5, lockoutAfter: 20 }
+    },
+    // Verification resends, counted the same way as reset requests
+    verification: {
+        maxDelayMs: 60 * 1000,
+        windowMs: 60 * 60 * 1000,
+        lockoutMs: 60 * 60 * 1000,
+        utorid: { freeAttempts: 1, lockoutAfter: 5 },
+        ip: { freeAttempts: 5, lockoutAfter: 20 }
+    },
+    // Point requests, counted per requester since each one emails the recipient
+    pointRequest: {
+        maxDelayMs: 60 * 1000,
+        windowMs: 60 * 60 * 1000,
+        lockoutMs: 60 * 60 * 1000,
+        utorid: { freeAttempts: 5, lockoutAfter: 20 },
+        ip: { freeAttempts: 20, lockoutAfter: 100 }
+    }
+};
+
+const throttleUtils = {
+    keysFor(scope, { utorid, ip }) {
+        const keys = [];
+        if (utorid) keys.push({ kind: 'utorid', key: `${scope}:utorid:${utorid.toLowerCase()}` });
+        if (ip) keys.push({ kind: 'ip', key: `${scope}:ip:${ip}` });
+        return keys;
+    },
+    delayFor(policy, kind, failures) {
+        const { freeAttempts } = policy[kind];
+        if (failures <= freeAttempts) return 0;
+        return Math.min(1000 * 2 ** (failures - freeAttempts - 1), policy.maxDelayMs);
+    },
+    // Milliseconds a key's row makes the caller wait before another attempt, 0 if allowed now
+    waitFor(policy, kind, row, now) {
+        if (!row) return 0;
+        if (row.lockedUntil && row.lockedUntil.getTime() > now) return row.lockedUntil.getTime() - now;
+        const lastFailure = row.lastFailureAt.getTime();
+        if (now - lastFailure > policy.windowMs) return 0;
+        return Math.max(0, lastFailure + this.delayFor(policy, kind, row.failures) - now);
+    },
+    // Counts the attempt against every key before the credentials are checked, so parallel
+    // guesses cannot all pass on the same counters. Each key is claimed with a conditional
+    // increment on the row the wait was worked out from; a request that loses the race reads
+    // the new row and usually has to wait. Returns { wait } or { reservation }.
+    async reserve(scope, identity) {
+        const policy = throttlePolicies[scope];
+        const reserved = [];
+        for (const { kind, key } of this.keysFor(scope, identity)) {
+            for (let claimed = false; !claimed;) {
+                const now = new Date();
+                const existing = await prisma.authThrottle.findUnique({ where: { key } });
+                const wait = this.waitFor(policy, kind, existing, now.getTime());
+                if (wait > 0) {
+                    await this.release({ keys: reserved });
+                    return { wait };
+                }
+                if (!existing) {
+                    try {
+                        await prisma.authThrottle.create({ data: { key, failures: 1, lastFailureAt: now } });
+                        claimed = true;
+                    } catch (error) {
+                        if (error.code !== 'P2002') throw error;
+                    }
+                    continue;
+                }
+                // Counters past their window or lockout start over
+                const stale = Boolean(existing.lockedUntil) || now - existing.lastFailureAt > policy.windowMs;
+                const { count } = await prisma.authThrottle.updateMany({
+                    where: { key, failures: existing.failures, lastFailureAt: existing.lastFailureAt },
+                    data: stale
+                        ? { failures: 1, lastFailureAt: now, lockedUntil: null }
+                        : { failures: { increment: 1 }, lastFailureAt: now }
+                });
+                claimed = count > 0;
+            }
+            reserved.push(key);
+        }
+        return { wait: 0, reservation: { keys: reserved } };
+    },
+    // Hands back a reserved attempt once it turned out not to be a failure
+    async release(reservation) {
+        if (!reservation || reservation.keys.length === 0) return;
+        await prisma.authThrottle.updateMany({
+            where: { key: { in: reservation.keys }, failures: { gt: 0 } },
+            data: { failures: { decrement: 1 } }
+        });
+        reservation.keys = [];
+    },
+    // The attempt was already counted by reserve; this locks out keys that have reached the
+    // limit. Only one request can move a key from unlocked to locked, so one Lockout is written.
+    async recordFailure(scope, { utorid, ip, userId }) {
+        const policy = throttlePolicies[scope];
+        const now = new Date();
+        const lockedUntil = new Date(now.getTime() + policy.lockoutMs);
+        for (const { kind, key } of this.keysFor(scope, { utorid, ip })) {
+            const { count } = await prisma.authThrottle.updateMany({
+                where: { key, failures: { gte: policy[kind].lockoutAfter }, lockedUntil: null },
+                data: { lockedUntil }
+            });
+            if (count > 0) {
+                await prisma.lockout.create({
+                    data: {
+                        userId: kind === 'utorid' ? userId || null : null,
+                        utorid: kind === 'utorid' ? utorid : null,
+                        ipAddress: kind === 'ip' ? ip : null,
+                        scope,
+                        lockedUntil
+                    }
+                });
+            }
+        }
+    },
+    // A successful login clears the account's counter; the IP counter keeps running
+    async clear(scope, utorid) {
+        const keys = this.keysFor(scope, { utorid }).map(k => k.key);
+        await prisma.authThrottle.deleteMany({ where: { key: { in: keys } } });
+    },
+    // Manager unlock: drop every counter for the account and close its open lockouts
+    async unlock(user, unlockedBy) {
+        const keys = Object.keys(throttlePolicies)
+            .flatMap(scope => this.keysFor(scope, { utorid: user.utorid }).map(k => k.key));
+        await prisma.authThrottle.deleteMany({ where: { key: { in: keys } } });
+        const now = new Date();
+        const { count } = await prisma.lockout.updateMany({
+            where: { userId: user.id, unlockedAt: null, lockedUntil: { gt: now } },
+            data: { unlockedAt: now, unlockedBy }
+        });
+        return count;
+    },
+    // Same for an address: its counters in every scope and its open lockouts
+    async unlockIp(ip, unlockedBy) {
+        const keys = Object.keys(throttlePolicies)
+            .flatMap(scope => this.keysFor(scope, { ip }).map(k => k.key));
+        await prisma.authThrottle.deleteMany({ where: { key: { in: keys } } });
+        const now = new Date();
+        const { count } = await prisma.lockout.updateMany({
+            where: { ipAddress: ip, unlockedAt: null, lockedUntil: { gt: now } },
+            data: { unlockedAt: now, unlockedBy }
+        });
+        return count;
+    }
+};
+
+// Reject with 429 while the utorid or IP is delayed or locked out
+const throttle = (scope, resolveUtorid = (req) => req.validatedData?.utorid) => async (req, res, next) => {
+    try {
+        const utorid = await resolveUtorid(req);
+        const { wait, reservation } = await throttleUtils.reserve(scope, { utorid, ip: req.ip });
+        // Routes hand the attempt back with throttleUtils.release(req.throttle) when it succeeds
+        req.throttle = reservation;
+        if (wait > 0) {
+            const seconds = Math.ceil(wait / 1000);
+            res.set('Retry-After', String(seconds));
+            return res.status(429).json({
+                error: `Too many attempts. Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`,
+                retryAfter: seconds
+            });
+        }
+    } catch (error) {
+        return next(error);
+    }
+    next();
+};
+
+// API Keys
+// Service accounts (e.g. the cafe till) authenticate with "Authorization: Bearer <key>".
+// Keys look like cssu_<prefix>_<secret>; the prefix is shown in the UI to tell keys apart.
+const API_KEY_PREFIX = 'cssu';
+const apiKeyScopes = {
+    'transactions:purchase': 'Create purchase transactions',
+    'transactions:refund': 'Refund returned purchases',
+    'users:read': 'Look up customers by UTORid'
+};
+
+const apiKeyUtils = {
+    generate() {
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const secret = crypto.randomBytes(24).toString('base64url');
+        return { key: `${API_KEY_PREFIX}_${prefix}_${secret}`, prefix };
+    },
+    isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(`${API_KEY_PREFIX}_`);
+    },
+    async verify(key) {
+        const apiKey = await prisma.apiKey.findUnique({
+            where: { keyHash: sessionUtils.hashToken(key) },
+            include: { user: { select: { id: true, utorid: true, role: true, isServiceAccount: true } } }
+        });
+        const now = new Date();
+        if (!apiKey || apiKey.revokedAt || apiKey.expiresAt < now || !apiKey.user.isServiceAccount) {
+            throw new Error('Invalid API key');
+        }
+        await prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: now } });
+        const { id, utorid, role } = apiKey.user;
+        return { user: { id, utorid, role }, apiKey: { id: apiKey.id, scopes: JSON.parse(apiKey.scopes) } };
+    }
+};
+
+// Impersonation
+// A superuser can view the app as another user through a short-lived session of theirs.
+// Every request on such a session is logged with both identities.
+const IMPERSONATION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Off limits even when the superuser asked for write access
+const ACCOUNT_SECURITY_PATHS = ['/auth/', '/users/me/password'];
+
+const impersonationUtils = {
+    log(user, req, statusCode) {
+        return prisma.impersonationLog.create({
+            data: {
+                sessionId: user.sid,
+                impersonatorId: user.impersonatorId,
+                userId: user.id,
+                method: req.method,
+                path: req.originalUrl,
+                statusCode
+            }
+        });
+    },
+    // Call once the request is authenticated. Records the request when it finishes and
+    // rejects writes on read-only sessions; returns true if a response was already sent.
+    guard(req, res) {
+        if (!req.user?.impersonatorId) return false;
+        res.on('finish', () => {
+            this.log(req.user, req, res.statusCode).catch((error) => {
+                console.error('Failed to log impersonated request:', error);
+            });
+        });
+        if (READ_ONLY_METHODS.includes(req.method)) return false;
+        if (req.user.readOnly) {
+            res.status(403).json({ error: 'This impersonation session is read-only' });
+            return true;
+        }
+        if (ACCOUNT_SECURITY_PATHS.some(path => req.originalUrl.startsWith(path))) {
+            res.status(403).json({ error: 'Account security settings cannot be changed while impersonating' });
+            return true;
+        }
+        return false;
+    }
+};
+
+// Ledger
+// Every write that moves points runs inside one database transaction. Debits are
+// conditional updates, so the balance check and the deduction are a single statement
+// and concurrent requests cannot both spend the same points.
+const LEDGER_MAX_ATTEMPTS = 3;
+
+// Thrown inside a ledger transaction to roll it back; the error handler replies with its status
+const ledgerError = (status, message) => Object.assign(new Error(message), { status });
+
+const ledgerUtils = {
+    // options go to Prisma, e.g. a longer timeout for batch work
+    async run(work, options) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await prisma.$transaction(work, options);
+            } catch (error) {
+                // P2034: write conflict or deadlock, safe to retry from the start
+                if (error.code !== 'P2034' || attempt >= LEDGER_MAX_ATTEMPTS) throw error;
+            }
+        }
+    },
+    // Unconditional change, for credits and staff corrections
+    adjust(tx, userId, amount) {
+        return tx.user.update({
+            where: { id: userId },
+            data: { points: { increment: amount } }
+        });
+    },
+    async debit(tx, userId, amount) {
+        const { count } = await tx.user.updateMany({
+            where: { id: userId, points: { gte: amount } },
+            data: { points: { decrement: amount } }
+        });
+        if (count === 0) throw ledgerError(400, 'Insufficient points');
+    },
+    async drawEventPoints(tx, eventId, amount) {
+        const { count } = await tx.event.updateMany({
+            where: { id: eventId, pointsRemain: { gte: amount } },
+            data: { pointsRemain: { decrement: amount } }
+        });
+        if (count === 0) throw ledgerError(400, 'Insufficient points remaining');
+    },
+    // Points reserved by redemptions that have not been processed yet or expired
+    async heldPoints(db, userId) {
+        const { _sum } = await db.transaction.aggregate({
+            where: redemptionUtils.pending({ userId }, await redemptionUtils.cutoff(db)),
+            _sum: { amount: true }
+        });
+        return Math.abs(_sum.amount || 0);
+    },
+    // Run after the write that spends or holds points: that write has already locked the
+    // database, so the balance and the holds read here cannot change before commit
+    async requireAvailable(tx, userId) {
+        const user = await tx.user.findUnique({ where: { id: userId }, select: { points: true } });
+        if (user.points < await this.heldPoints(tx, userId)) throw ledgerError(400, 'Insufficient points');
+    },
+    // Moves points between members and writes both sides of the transfer. Debit first: it
+    // re-checks the balance, and points held for pending redemptions cannot be sent away.
+    // A transfer that matches a fraud rule only reaches the recipient once it is released.
+    async transfer(tx, sender, recipient, amount, remark) {
+        await this.debit(tx, sender.id, amount);
+        await this.requireAvailable(tx, sender.id);
+        const flagReason = await fraudUtils.checkTransfer(tx, sender.id, recipient.id);
+        if (!flagReason) await this.adjust(tx, recipient.id, amount);
+        const sent = await tx.transaction.create({
+            data: {
+                userId: sender.id,
+                type: 'transfer',
+                amount: -amount,
+                relatedId: recipient.id,
+                remark: remark || '',
+                createdBy: sender.id,
+                processed: true
+            }
+        });
+        const received = await tx.transaction.create({
+            data: {
+                userId: recipient.id,
+                type: 'transfer',
+                amount,
+                relatedId: sender.id,
+                remark: remark || '',
+                createdBy: sender.id,
+                processed: !flagReason,
+                suspicious: Boolean(flagReason),
+                flagReason
+            }
+        });
+        return { sent, received };
+    },
+    // Claims a pending transaction so two processors cannot apply it twice, and so one that
+    // was cancelled or reversed since the caller looked is not applied at all
+    async markProcessed(tx, transactionId, processedBy, processedByRole) {
+        const { count } = await tx.transaction.updateMany({
+            where: { id: transactionId, processed: false, cancelledAt: null, reversedAt: null },
+            data: { processed: true, processedBy, processedByRole }
+        });
+        if (count === 0) throw ledgerError(400, 'Transaction is no longer pending');
+        return tx.transaction.findUnique({ where: { id: transactionId } });
+    }
+};
+
+// Refunds
+// A refund returns part or all of a purchase's spend and takes back the same share of the
+// points it earned, base and promotion points alike. The share is worked out on the running
+// total, so a purchase refunded in pieces gives back exactly what it earned in the end.
+const refundUtils = {
+    // Refunds of a purchase that have not been reversed
+    async refunded(db, purchaseId) {
+        const { _sum, _count } = await db.transaction.aggregate({
+            where: { type: 'refund', relatedId: purchaseId, reversedAt: null },
+            _sum: { spent: true, amount: true },
+            _count: true
+        });
+        return { count: _count, spent: _sum.spent || 0, amount: _sum.amount || 0 };
+    },
+    // Points to take back for a refund row that has just been written with amount 0. The
+    // write locks the database, so a concurrent refund of the same purchase cannot slip in,
+    // and the purchase is read again here in case it was reversed or held since the caller
+    // checked it
+    async pointsFor(tx, { id }) {
+        const purchase = await tx.transaction.findUnique({ where: { id } });
+        if (purchase.reversedAt) throw ledgerError(400, 'Transaction has been reversed');
+        if (!purchase.processed || purchase.suspicious || !purchase.spent) {
+            throw ledgerError(400, 'Only processed purchases can be refunded');
+        }
+        const { spent, amount } = await this.refunded(tx, purchase.id);
+        if (Math.round(spent * 100) > Math.round(purchase.spent * 100)) {
+            throw ledgerError(400, `Refunds cannot exceed the $${purchase.spent.toFixed(2)} spent`);
+        }
+        const { rounding } = earnRateUtils.of(purchase);
+        const total = earnRateUtils.round(purchase.amount * spent / purchase.spent, rounding);
+        return -total - amount;
+    }
+};
+
+// Reversals
+// A transaction is undone with a compensating adjustment that points back at it and gives
+// back only the points it actually moved. Both rows of a transfer are reversed together.
+// Call inside a ledger transaction; problems are thrown as ledger errors.
+const reversalUtils = {
+    async reverse(db, transactionId, { remark, reversedBy, reversedByRole }) {
+        const tx = await db.transaction.findUnique({
+            where: { id: transactionId },
+            include: { user: { select: { utorid: true } }, transactionPromotions: { include: { promotion: true } } }
+        });
+        if (!tx) throw ledgerError(404, 'Transaction not found');
+        if (tx.reversedAt) throw ledgerError(400, 'Transaction already reversed');
+        if (tx.cancelledAt) throw ledgerError(400, 'Cancelled redemptions cannot be reversed');
+
+        const compensates = await db.transaction.findUnique({ where: { reversalId: tx.id } });
+        if (compensates) throw ledgerError(400, 'Reversal entries cannot be reversed');
+        if (tx.type === 'purchase' && (await refundUtils.refunded(db, tx.id)).count > 0) {
+            throw ledgerError(400, 'Purchase has refunds; reverse them first');
+        }
+
+        // A transfer is two rows; both sides are reversed together
+        const originals = [tx];
+        if (tx.type === 'transfer') {
+            const candidates = await db.transaction.findMany({
+                where: {
+                    id: { not: tx.id },
+                    type: 'transfer',
+                    userId: tx.relatedId,
+                    relatedId: tx.userId,
+                    amount: -tx.amount,
+                    createdBy: tx.createdBy,
+                    reversedAt: null
+                }
+            });
+            if (candidates.length === 0) {
+                throw ledgerError(400, 'The other side of this transfer could not be found');
+            }
+            // Both rows are written back to back, so the nearest id is the pair
+            candidates.sort((a, b) => Math.abs(a.id - tx.id) - Math.abs(b.id - tx.id));
+            originals.push(candidates[0]);
+        }
+
+        const entries = [];
+        for (const original of originals) {
+            // Only points the original actually moved are given back
+            const amount = original.processed && !original.suspicious ? -original.amount : 0;
+            const entry = await db.transaction.create({
+                data: {
+                    userId: original.userId,
+                    type: 'adjustment',
+                    amount,
+                    relatedId: original.id,
+                    remark: remark || `Reversal of transaction #${tx.id}`,
+                    createdBy: reversedBy,
+                    createdByRole: reversedByRole,
+                    processed: true
+                }
+            });
+            // A concurrent reversal of the same transaction fails here and rolls back
+            const { count } = await db.transaction.updateMany({
+                where: { id: original.id, reversedAt: null },
+                data: { reversedAt: new Date(), reversalId: entry.id }
+            });
+            if (count === 0) throw ledgerError(400, 'Transaction already reversed');
+            if (amount !== 0) await ledgerUtils.adjust(db, original.userId, amount);
+            entries.push(entry);
+        }
+
+        // One-time promotions spent on a purchase can be used again
+        const onetimePromotionIds = tx.transactionPromotions
+            .filter(tp => tp.promotion.type === 'onetime')
+            .map(tp => tp.promotionId);
+        if (tx.type === 'purchase' && onetimePromotionIds.length > 0) {
+            await db.userPromotion.updateMany({
+                where: { userId: tx.userId, promotionId: { in: onetimePromotionIds } },
+                data: { used: false }
+            });
+        }
+
+        // An unfulfilled reward goes back on the shelf
+        if (tx.type === 'redemption' && !tx.processed && tx.rewardId) {
+            await rewardUtils.restock(db, tx.rewardId);
+        }
+
+        // Awarded points go back into the event's budget
+        if (tx.type === 'event' && tx.relatedId) {
+            await db.event.updateMany({
+                where: { id: tx.relatedId },
+                data: { pointsRemain: { increment: tx.amount } }
+            });
+        }
+        return { tx, originals, entries };
+    }
+};
+
+// Suspicious transactions
+// Flagging takes a transaction's points back off the balance until the flag is cleared.
+// Clearing the flag on a held purchase or transfer credits it like any other.
+// Call inside a ledger transaction; problems are thrown as ledger errors.
+const flagUtils = {
+    async setSuspicious(db, transactionId, suspicious, flaggedBy) {
+        const tx = await db.transaction.findUnique({ where: { id: transactionId } });
+        if (!tx) throw ledgerError(404, 'Transaction not found');
+        if (tx.reversedAt) throw ledgerError(400, 'Transaction has been reversed');
+        // Refunds already took back part of the points, so flipping the flag would move them twice
+        if (tx.type === 'purchase' && (await refundUtils.refunded(db, tx.id)).count > 0) {
+            throw ledgerError(400, 'Purchase has refunds');
+        }
+
+        let pointsChange = 0;
+        if (suspicious && !tx.suspicious) pointsChange = -tx.amount;
+        else if (!suspicious && tx.suspicious) pointsChange = tx.amount;
+
+        // If marking as suspicious and transaction was processed, set processed to false
+        const updateData = { suspicious };
+        if (suspicious && !tx.suspicious) updateData.flagReason = `Flagged by ${flaggedBy.utorid}`;
+        if (suspicious && tx.processed) {
+            updateData.processed = false;
+        } else if (!suspicious && tx.suspicious) {
+            if (tx.type === 'purchase' || tx.type === 'transfer' || tx.type === 'adjustment' && !tx.processed) {
+                updateData.processed = true;
+                updateData.processedBy = flaggedBy.id;
+                updateData.processedByRole = flaggedBy.role;
+            }
+        }
+
+        // Only the request that actually flips the flag moves points
+        const { count } = await db.transaction.updateMany({
+            where: { id: tx.id, suspicious: tx.suspicious },
+            data: updateData
+        });
+        if (count === 0) throw ledgerError(409, 'Transaction was changed by another request');
+        if (pointsChange !== 0) await ledgerUtils.adjust(db, tx.userId, pointsChange);
+        return db.transaction.findUnique({ where: { id: tx.id } });
+    }
+};
+
+// Redemptions
+// A redemption waits for a cashier until it is processed or cancelled. Its points are
+// held in the meantime and only leave the balance when it is processed, so cancelling
+// just closes the request and releases the hold. Expired requests are cancelled by the
+// hourly job; until then, passing the cutoff to pending() leaves them out.
+const redemptionUtils = {
+    pending(where = {}, cutoff = null) {
+        const open = { ...where, type: 'redemption', processed: false, cancelledAt: null, reversedAt: null };
+        return cutoff ? { ...open, createdAt: { gte: cutoff } } : open;
+    },
+    // Requests created before this have expired, or null if they never expire
+    async cutoff(db = prisma) {
+        const days = await settingsUtils.get('redemptionExpiryDays', db);
+        return days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+    },
+    // Returns false if the request was processed or cancelled in the meantime
+    async cancel(transactionId) {
+        return ledgerUtils.run(async (db) => {
+            const { count } = await db.transaction.updateMany({
+                where: this.pending({ id: transactionId }),
+                data: { cancelledAt: new Date() }
+            });
+            if (count === 0) return false;
+            const tx = await db.transaction.findUnique({ where: { id: transactionId } });
+            if (tx.rewardId) await rewardUtils.restock(db, tx.rewardId);
+            return true;
+        });
+    },
+    // Cancels requests left unprocessed for longer than the configured expiry
+    async expireStale() {
+        const cutoff = await this.cutoff();
+        if (!cutoff) return 0;
+        const stale = await prisma.transaction.findMany({
+            where: this.pending({ createdAt: { lt: cutoff } }),
+            select: { id: true }
+        });
+        let count = 0;
+        for (const { id } of stale) {
+            if (await this.cancel(id)) count++;
+        }
+        return count;
+    }
+};
+
+// Fraud rules
+// New purchases and transfers are checked against the enabled rules before they are written.
+// A match holds the transaction for review: it is stored suspicious and unprocessed with the
+// rule's reason, so its points are not credited until a manager releases it or reverses it.
+const FRAUD_RULE_KINDS = {
+    spentAbove: { type: 'purchase', params: ['threshold'] },
+    purchaseVelocity: { type: 'purchase', params: ['count', 'windowMinutes'] },
+    cashierRepeat: { type: 'purchase', params: ['count', 'windowMinutes'] },
+    transferRing: { type: 'transfer', params: ['count', 'windowMinutes'] }
+};
+
+const fraudUtils = {
+    // Parameters the rule's kind needs but does not have
+    missingParams(rule) {
+        return FRAUD_RULE_KINDS[rule.kind].params.filter(key => rule[key] === null || rule[key] === undefined);
+    },
+    rulesFor(db, type) {
+        const kinds = Object.keys(FRAUD_RULE_KINDS).filter(kind => FRAUD_RULE_KINDS[kind].type === type);
+        return db.fraudRule.findMany({ where: { enabled: true, kind: { in: kinds } }, orderBy: { id: 'asc' } });
+    },
+    windowStart(rule) {
+        return new Date(Date.now() - rule.windowMinutes * 60 * 1000);
+    },
+    // The reason to hold a new purchase for, or null
+    async checkPurchase(db, { userId, createdBy, spent }) {
+        for (const rule of await this.rulesFor(db, 'purchase')) {
+            if (rule.kind === 'spentAbove') {
+                if (spent > rule.threshold) {
+                    return `${rule.name}: $${spent.toFixed(2)} spent is above $${rule.threshold.toFixed(2)}`;
+                }
+                continue;
+            }
+            const where = { userId, type: 'purchase', createdAt: { gte: this.windowStart(rule) } };
+            if (rule.kind === 'cashierRepeat') where.createdBy = createdBy;
+            // Counting the new purchase too
+            const recent = await db.transaction.count({ where }) + 1;
+            if (recent > rule.count) {
+                return rule.kind === 'cashierRepeat'
+                    ? `${rule.name}: the same cashier served this user ${recent} times in ${rule.windowMinutes} minutes`
+                    : `${rule.name}: ${recent} purchases in ${rule.windowMinutes} minutes`;
+            }
+        }
+        return null;
+    },
+    // The reason to hold a new transfer for, or null
+    async checkTransfer(db, senderId, recipientId) {
+        for (const rule of await this.rulesFor(db, 'transfer')) {
+            const size = await this.ringSize(db, senderId, recipientId, rule);
+            if (size) return `${rule.name}: points went around a ring of ${size} users in ${rule.windowMinutes} minutes`;
+        }
+        return null;
+    },
+    // Whether recent transfers already lead from the recipient back to the sender, so the new
+    // one would close a ring of at most `count` users. Returns the smallest such ring's size.
+    async ringSize(db, senderId, recipientId, rule) {
+        const sent = await db.transaction.findMany({
+            where: { type: 'transfer', amount: { lt: 0 }, reversedAt: null, createdAt: { gte: this.windowStart(rule) } },
+            select: { userId: true, relatedId: true }
+        });
+        const sentTo = new Map();
+        for (const { userId, relatedId } of sent) {
+            if (!sentTo.has(userId)) sentTo.set(userId, new Set());
+            sentTo.get(userId).add(relatedId);
+        }
+        let frontier = [recipientId];
+        const seen = new Set(frontier);
+        for (let size = 2; size <= rule.count && frontier.length > 0; size++) {
+            const next = [];
+            for (const userId of frontier) {
+                for (const to of sentTo.get(userId) || []) {
+                    if (to === senderId) return size;
+                    if (!seen.has(to)) {
+                        seen.add(to);
+                        next.push(to);
+                    }
+                }
+            }
+            frontier = next;
+        }
+        return null;
+    }
+};
+
+// Purchases
+// What POST /transactions checks and writes for a purchase. CSV imports go through the same
+// steps, so an imported sale earns and is held exactly as one keyed in at the till.
+// Problems are thrown as ledger errors.
+const purchaseUtils = {
+    // What the purchase earns and why it is held, if it is; nothing is written
+    async prepare(db, { user, creator, spent, promotionIds = [], earnRate, now = new Date() }) {
+        if (!spent || spent <= 0) throw ledgerError(400, 'Invalid spent amount');
+
+        // Active automatic promotions apply on their own once their minimum spend is met
+        const automaticPromotions = await db.promotion.findMany({
+            where: { type: 'automatic', startTime: { lte: now }, endTime: { gte: now } }
+        });
+        const allPromotionIds = [...new Set([
+            ...promotionIds.map(id => parseInt(id)),
+            ...automaticPromotions.filter(promo => !promo.minSpending || spent >= promo.minSpending).map(p => p.id)
+        ])];
+
+        let earned;
+        try {
+            earned = await calculatePurchasePoints(spent, allPromotionIds, user.id, earnRate, db);
+        } catch (error) {
+            throw ledgerError(400, error.message);
+        }
+
+        // Held if recorded by a cashier marked as suspicious or if a fraud rule matches
+        const flagReason = creator.role === 'cashier' && creator.suspicious
+            ? 'Recorded by a cashier marked as suspicious'
+            : await fraudUtils.checkPurchase(db, { userId: user.id, createdBy: creator.id, spent });
+        return { userId: user.id, spent, earned, earnRate, promotionIds: allPromotionIds, flagReason };
+    },
+    // Writes a prepared purchase; call inside a ledger transaction
+    async record(db, purchase, { remark, createdBy, createdByRole, importBatchId }) {
+        // Held purchases are stored unprocessed and credited once released
+        const suspicious = Boolean(purchase.flagReason);
+        const created = await db.transaction.create({
+            data: {
+                userId: purchase.userId,
+                type: 'purchase',
+                amount: purchase.earned, // Stored even when held, for review
+                spent: purchase.spent,
+                earnRate: purchase.earnRate.pointsPerDollar,
+                rounding: purchase.earnRate.rounding,
+                suspicious,
+                flagReason: purchase.flagReason,
+                processed: !suspicious,
+                remark: remark || '',
+                createdBy,
+                createdByRole,
+                importBatchId
+            }
+        });
+
+        if (purchase.promotionIds.length > 0) {
+            await db.transactionPromotion.createMany({
+                data: purchase.promotionIds.map(pid => ({ transactionId: created.id, promotionId: pid }))
+            });
+            const onetimePromotions = await db.promotion.findMany({
+                where: { id: { in: purchase.promotionIds }, type: 'onetime' },
+                select: { id: true }
+            });
+            for (const { id } of onetimePromotions) {
+                await db.userPromotion.upsert({
+                    where: { userId_promotionId: { userId: purchase.userId, promotionId: id } },
+                    update: { used: true },
+                    create: { userId: purchase.userId, promotionId: id, used: true }
+                });
+            }
+        }
+
+        if (!suspicious) await ledgerUtils.adjust(db, purchase.userId, purchase.earned);
+        return created;
+    }
+};
+
+// Purchase imports
+// Offline sales arrive as CSV with a header row naming the columns utorid, spent, remark and
+// promotionIds; the last two may be left out. Several promotion IDs in one cell are separated
+// by spaces or semicolons. The rows are checked and written in order inside one ledger
+// transaction, so each row sees the ones before it, and the batch only commits if every row
+// is valid. A dry run does the same work and rolls it back.
+const IMPORT_MAX_ROWS = 500;
+const IMPORT_TIMEOUT_MS = 60 * 1000;
+const IMPORT_COLUMNS = ['utorid', 'spent', 'remark', 'promotionIds'];
+
+// Thrown to roll back a dry run or a batch with invalid rows
+const IMPORT_ROLLBACK = new Error('Import rolled back');
+
+const importUtils = {
+    // Rows of fields. Quoted fields may hold commas, line breaks and doubled quotes
+    parseCsv(text) {
+        const rows = [];
+        let row = [], field = '', quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    },
+    // Row objects keyed by column and numbered as a spreadsheet would show them (the header is row 1)
+    readRows(csv) {
+        const [header = [], ...records] = this.parseCsv(csv.replace(/^\uFEFF/, ''));
+        const columns = header.map(name => name.trim());
+        for (const name of ['utorid', 'spent']) {
+            if (!columns.includes(name)) throw ledgerError(400, `The header row needs a ${name} column`);
+        }
+        const unknown = columns.find(name => !IMPORT_COLUMNS.includes(name));
+        if (unknown) throw ledgerError(400, `Unknown column: ${unknown}`);
+
+        const rows = records
+            .map((fields, index) => ({ fields, row: index + 2 }))
+            .filter(({ fields }) => fields.some(field => field.trim() !== ''))
+            .map(({ fields, row }) => ({
+                row,
+                ...Object.fromEntries(columns.map((name, i) => [name, (fields[i] || '').trim()]))
+            }));
+        if (rows.length === 0) throw ledgerError(400, 'The CSV file has no rows');
+        if (rows.length > IMPORT_MAX_ROWS) throw ledgerError(400, `At most ${IMPORT_MAX_ROWS} rows can be imported at once`);
+        return rows;
+    },
+    // Checks and records one row
+    async importRow(db, row, { creator, creatorRole, earnRate, now, importBatchId }) {
+        const spent = Number(row.spent);
+        if (row.spent === '' || !Number.isFinite(spent) || spent <= 0) throw ledgerError(400, 'Invalid spent amount');
+        const promotionIds = (row.promotionIds || '').split(/[\s;]+/).filter(Boolean);
+        const badId = promotionIds.find(id => !/^\d+$/.test(id));
+        if (badId) throw ledgerError(400, `Invalid promotion ID: ${badId}`);
+
+        const user = await db.user.findUnique({ where: { utorid: row.utorid } });
+        if (!user) throw ledgerError(404, 'User not found');
+        const purchase = await purchaseUtils.prepare(db, {
+            user, creator, spent, promotionIds: promotionIds.map(Number), earnRate, now
+        });
+        const tx = await purchaseUtils.record(db, purchase, {
+            remark: row.remark, createdBy: creator.id, createdByRole: creatorRole, importBatchId
+        });
+        return {
+            id: tx.id,
+            utorid: user.utorid,
+            spent,
+            earned: purchase.flagReason ? 0 : purchase.earned,
+            remark: tx.remark,
+            promotionIds: purchase.promotionIds,
+            flagReason: purchase.flagReason
+        };
+    },
+    // Every row's outcome, and the batch ID if the rows were committed
+    // creatorRole is the role the importing staff member is acting as
+    async run(csv, { creator, creatorRole, dryRun }) {
+        const rows = this.readRows(csv);
+        const now = new Date();
+        const earnRate = await earnRateUtils.current(now);
+        const importBatchId = crypto.randomUUID();
+        let results;
+        try {
+            await ledgerUtils.run(async (db) => {
+                results = [];
+                for (const row of rows) {
+                    try {
+                        const result = await this.importRow(db, row, { creator, creatorRole, earnRate, now, importBatchId });
+                        results.push({ row: row.row, ...result });
+                    } catch (error) {
+                        if (!error.status) throw error;
+                        results.push({ row: row.row, utorid: row.utorid, error: error.message });
+                    }
+                }
+                if (dryRun || results.some(result => result.error)) throw IMPORT_ROLLBACK;
+            }, { timeout: IMPORT_TIMEOUT_MS });
+        } catch (error) {
+            if (error !== IMPORT_ROLLBACK) throw error;
+            // Nothing was written, so the preview's IDs do not exist
+            return { rows: results.map(({ id, ...result }) => result), importBatchId: null };
+        }
+        return { rows: results, importBatchId };
+    }
+};
+
+// PDF
+// Just enough of the format for plain text documents: Helvetica on US Letter pages, lines
+// laid out top to bottom with optional columns, continuing on a new page when one fills.
+// Characters outside Latin-1 print as '?'.
+const PDF_PAGE = { width: 612, height: 792, margin: 54 };
+
+const pdfUtils = {
+    escape(text) {
+        return String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?').replace(/[\\()]/g, '\\$&');
+    },
+    // lines are { text } or { cells: [{ text, x }] }, with optional size, bold, and gap (extra space above)
+    render(lines) {
+        const pages = [[]];
+        let y = PDF_PAGE.height - PDF_PAGE.margin;
+        for (const line of lines) {
+            const size = line.size || 10;
+            const height = size * 1.5 + (line.gap || 0);
+            if (y - height < PDF_PAGE.margin && pages[pages.length - 1].length > 0) {
+                pages.push([]);
+                y = PDF_PAGE.height - PDF_PAGE.margin;
+            }
+            y -= height;
+            const cells = line.cells || [{ text: line.text ?? '', x: 0 }];
+            for (const cell of cells) {
+                pages[pages.length - 1].push(
+                    `BT /${line.bold ? 'F2' : 'F1'} ${size} Tf ${PDF_PAGE.margin + (cell.x || 0)} ${y.toFixed(2)} Td (${this.escape(cell.text)}) Tj ET`
+                );
+            }
+        }
+
+        // 1 catalog, 2 page tree, 3 and 4 fonts, then each page followed by its content stream
+        const pageIds = pages.map((_, i) => 5 + i * 2);
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+        pages.forEach((operations, i) => {
+            const content = operations.join('\n');
+            objects.push(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+                `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+            );
+        });
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = Buffer.byteLength(pdf, 'latin1');
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = Buffer.byteLength(pdf, 'latin1');
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return Buffer.from(pdf, 'latin1');
+    }
+};
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// How a transaction stands today, as printed on receipts and statements
+const transactionStatus = (tx) => tx.reversedAt ? 'Reversed'
+    : tx.cancelledAt ? 'Cancelled'
+        : tx.suspicious ? 'Held for review'
+            : tx.processed ? 'Completed' : 'Pending';
+
+// Receipts
+// Proof of one transaction for the member: what was spent, how the points were made up, who
+// recorded it and the balance right after it. Promotion bonuses are rounded on their own and
+// the base points are the rest, so the lines always add up to the points on the transaction.
+// The balance counts the user's processed, unflagged transactions up to this one, the same
+// rule reconciliation uses.
+const receiptUtils = {
+    async build(db, transactionId) {
+        const tx = await db.transaction.findUnique({
+            where: { id: transactionId },
+            include: {
+                user: { select: { utorid: true, name: true } },
+                creator: { select: { utorid: true, name: true } },
+                reward: { select: { name: true } },
+                transactionPromotions: { include: { promotion: true }, orderBy: { promotionId: 'asc' } }
+            }
+        });
+        if (!tx) return null;
+
+        const receipt = {
+            id: tx.id,
+            type: tx.type,
+            utorid: tx.user.utorid,
+            name: tx.user.name,
+            createdAt: tx.createdAt,
+            cashier: tx.creator.utorid,
+            remark: tx.remark || '',
+            amount: tx.amount,
+            status: transactionStatus(tx)
+        };
+
+        if (tx.type === 'purchase') {
+            const { pointsPerDollar, rounding } = earnRateUtils.of(tx);
+            receipt.spent = tx.spent;
+            receipt.earnRate = pointsPerDollar;
+            receipt.promotions = tx.transactionPromotions.map(({ promotion }) => ({
+                id: promotion.id,
+                name: promotion.name,
+                points: earnRateUtils.round(
+                    (promotion.rate ? tx.spent * CENTS_PER_DOLLAR * promotion.rate : 0) + (promotion.points || 0),
+                    rounding
+                )
+            }));
+            receipt.basePoints = tx.amount - receipt.promotions.reduce((sum, promo) => sum + promo.points, 0);
+        } else if (tx.type === 'refund') {
+            receipt.spent = tx.spent;
+        }
+        if (tx.reward) receipt.reward = tx.reward.name;
+        if (tx.relatedId) {
+            if (tx.type === 'transfer') {
+                const other = await db.user.findUnique({ where: { id: tx.relatedId }, select: { utorid: true } });
+                receipt.counterparty = other?.utorid || null;
+            } else if (tx.type === 'event') {
+                const event = await db.event.findUnique({ where: { id: tx.relatedId }, select: { name: true } });
+                receipt.event = event?.name || null;
+            } else {
+                receipt.relatedId = tx.relatedId;
+            }
+        }
+
+        const { _sum } = await db.transaction.aggregate({
+            where: { userId: tx.userId, processed: true, suspicious: false, id: { lte: tx.id } },
+            _sum: { amount: true }
+        });
+        receipt.balance = _sum.amount || 0;
+        return receipt;
+    },
+    // [label, value] pairs shown on both the PDF and the HTML view
+    details(receipt) {
+        const points = (amount) => `${amount > 0 ? '+' : ''}${amount} points`;
+        const rows = [
+            ['Member', `${receipt.name} (${receipt.utorid})`],
+            ['Type', receipt.type.charAt(0).toUpperCase() + receipt.type.slice(1)],
+            ['Date', receipt.createdAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC'],
+            ['Recorded by', receipt.cashier],
+            ['Status', receipt.status]
+        ];
+        if (receipt.spent !== undefined) rows.push([receipt.type === 'refund' ? 'Refunded' : 'Spent', `$${receipt.spent.toFixed(2)}`]);
+        if (receipt.reward) rows.push(['Reward', receipt.reward]);
+        if (receipt.counterparty) rows.push([receipt.amount < 0 ? 'Sent to' : 'Received from', receipt.counterparty]);
+        if (receipt.event) rows.push(['Event', receipt.event]);
+        if (receipt.relatedId) rows.push(['Related transaction', `#${receipt.relatedId}`]);
+        if (receipt.type === 'purchase') {
+            rows.push([`Base points (${receipt.earnRate} per dollar)`, points(receipt.basePoints)]);
+            for (const promo of receipt.promotions) rows.push([`Promotion: ${promo.name}`, points(promo.points)]);
+        }
+        rows.push(['Total points', points(receipt.amount)]);
+        if (receipt.remark) rows.push(['Remark', receipt.remark]);
+        rows.push(['Balance after this transaction', `${receipt.balance} points`]);
+        return rows;
+    },
+    pdf(receipt) {
+        return pdfUtils.render([
+            { text: 'CSSU Rewards', size: 18, bold: true },
+            { text: `Receipt for transaction #${receipt.id}`, size: 12, gap: 4 },
+            ...this.details(receipt).map(([label, value], i) => ({
+                cells: [{ text: label, x: 0 }, { text: value, x: 220 }],
+                gap: i === 0 ? 16 : 0
+            }))
+        ]);
+    },
+    html(receipt) {
+        const rows = this.details(receipt)
+            .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+            .join('\n');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt #${receipt.id}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #0B2E33; max-width: 480px; margin: 32px auto; padding: 0 16px; }
+h1 { font-size: 22px; margin: 0; }
+p { margin: 4px 0 24px; color: #4F7C82; }
+table { width: 100%; border-collapse: collapse; font-size: 14px; }
+th, td { padding: 8px 0; border-bottom: 1px solid #B8E3E9; vertical-align: top; }
+th { text-align: left; font-weight: 600; padding-right: 16px; }
+td { text-align: right; }
+@media print { body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<h1>CSSU Rewards</h1>
+<p>Receipt for transaction #${receipt.id}</p>
+<table>
+${rows}
+</table>
+</body>
+</html>
+`;
+    }
+};
+
+// Statements
+// A member's account for one calendar month (UTC): the balance going in, every transaction
+// created in the month grouped by type, and the balance coming out. Balances follow the
+// reconciliation rule, so only processed, unflagged transactions move them; held, pending
+// and cancelled ones are listed with their status but add nothing. The points expiring soon
+// are forecast from today, whichever month is asked for.
+const STATEMENT_GROUPS = {
+    purchase: 'Purchases',
+    refund: 'Refunds',
+    event: 'Event awards',
+    transfer: 'Transfers',
+    adjustment: 'Adjustments',
+    redemption: 'Redemptions',
+    expiration: 'Expirations'
+};
+// Quotes a cell when it needs it and keeps text from being read as a spreadsheet formula
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const statementUtils = {
+    // 'YYYY-MM' to the UTC instants the month starts and ends at
+    period(month) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return { start: new Date(Date.UTC(year, monthNumber - 1, 1)), end: new Date(Date.UTC(year, monthNumber, 1)) };
+    },
+    previousMonth(now = new Date()) {
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+    },
+    async build(user, month) {
+        const { start, end } = this.period(month);
+        const counted = { userId: user.id, processed: true, suspicious: false };
+        const [opening, closing, transactions] = await Promise.all([
+            prisma.transaction.aggregate({ where: { ...counted, createdAt: { lt: start } }, _sum: { amount: true } }),
+            prisma.transaction.aggregate({ where: { ...counted, createdAt: { lt: end } }, _sum: { amount: true } }),
+            prisma.transaction.findMany({
+                where: { userId: user.id, createdAt: { gte: start, lt: end } },
+                include: { reward: { select: { name: true } } },
+                orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+            })
+        ]);
+
+        // Transfers name the other member and event awards the event
+        const idsOf = (type) => [...new Set(transactions.filter(t => t.type === type && t.relatedId).map(t => t.relatedId))];
+        const [counterparties, events] = await Promise.all([
+            prisma.user.findMany({ where: { id: { in: idsOf('transfer') } }, select: { id: true, utorid: true } }),
+            prisma.event.findMany({ where: { id: { in: idsOf('event') } }, select: { id: true, name: true } })
+        ]);
+        const utorids = new Map(counterparties.map(u => [u.id, u.utorid]));
+        const eventNames = new Map(events.map(e => [e.id, e.name]));
+        const describe = (t) => {
+            switch (t.type) {
+                case 'purchase': return `$${t.spent.toFixed(2)} spent`;
+                case 'refund': return t.spent ? `$${t.spent.toFixed(2)} refunded` : '';
+                case 'transfer': return `${t.amount < 0 ? 'Sent to' : 'Received from'} ${utorids.get(t.relatedId) || 'unknown user'}`;
+                case 'event': return eventNames.get(t.relatedId) || '';
+                case 'redemption': return t.reward?.name || '';
+                case 'adjustment': return t.relatedId ? `For transaction #${t.relatedId}` : '';
+                default: return '';
+            }
+        };
+
+        const groups = Object.entries(STATEMENT_GROUPS).map(([type, label]) => {
+            const entries = transactions.filter(t => t.type === type).map(t => ({
+                id: t.id,
+                createdAt: t.createdAt,
+                amount: t.amount,
+                counted: t.processed && !t.suspicious,
+                status: transactionStatus(t),
+                description: describe(t),
+                remark: t.remark || ''
+            }));
+            return {
+                type, label,
+                count: entries.length,
+                points: entries.reduce((sum, t) => sum + (t.counted ? t.amount : 0), 0),
+                transactions: entries
+            };
+        }).filter(group => group.count > 0);
+
+        return {
+            month,
+            periodStart: start,
+            periodEnd: end,
+            user: { id: user.id, utorid: user.utorid, name: user.name },
+            openingBalance: opening._sum.amount || 0,
+            closingBalance: closing._sum.amount || 0,
+            groups,
+            expiringSoon: await pointsExpiryUtils.upcoming(user),
+            generatedAt: new Date()
+        };
+    },
+    // e.g. 'September 2026'
+    label(statement) {
+        return statement.periodStart.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    },
+    // One row per transaction between an opening and a closing balance row
+    csv(statement) {
+        const rows = [['date', 'id', 'type', 'status', 'points', 'description', 'remark']];
+        rows.push([statement.periodStart.toISOString().slice(0, 10), '', 'opening balance', '', statement.openingBalance, '', '']);
+        for (const group of statement.groups) {
+            for (const t of group.transactions) {
+                rows.push([t.createdAt.toISOString().slice(0, 10), t.id, group.type, t.status, t.amount, t.description, t.remark]);
+            }
+        }
+        const lastDay = new Date(statement.periodEnd.getTime() - DAY_MS);
+        rows.push([lastDay.toISOString().slice(0, 10), '', 'closing balance', '', statement.closingBalance, '', '']);
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    },
+    pdf(statement) {
+        const points = (amount) => `${amount > 0 ? '+' : ''}${amount}`;
+        const clip = (text, length) => text.length > length ? `${text.slice(0, length - 3)}...` : text;
+        const lines = [
+            { text: 'CSSU Rewards', size: 18, bold: true },
+            { text: `Statement for ${this.label(statement)}`, size: 12, gap: 4 },
+            { text: `${statement.user.name} (${statement.user.utorid})`, gap: 12 },
+            { cells: [{ text: 'Opening balance', x: 0 }, { text: `${statement.openingBalance} points`, x: 400 }], bold: true, gap: 12 }
+        ];
+        if (statement.groups.length === 0) lines.push({ text: 'No transactions this month.', gap: 12 });
+        for (const group of statement.groups) {
+            lines.push({
+                cells: [{ text: `${group.label} (${group.count})`, x: 0 }, { text: points(group.points), x: 400 }],
+                bold: true, gap: 12
+            });
+            for (const t of group.transactions) {
+                const detail = [t.description, t.remark].filter(Boolean).join(' - ');
+                lines.push({
+                    cells: [
+                        { text: t.createdAt.toISOString().slice(0, 10), x: 0 },
+                        { text: `#${t.id}`, x: 70 },
+                        { text: clip(detail, 45), x: 120 },
+                        { text: t.counted ? '' : t.status, x: 330 },
+                        { text: points(t.amount), x: 400 }
+                    ],
+                    size: 9
+                });
+            }
+        }
+        lines.push({ cells: [{ text: 'Closing balance', x: 0 }, { text: `${statement.closingBalance} points`, x: 400 }], bold: true, gap: 12 });
+        if (statement.expiringSoon.amount > 0) {
+            lines.push({
+                text: `${statement.expiringSoon.amount} points expire on ${statement.expiringSoon.expiresAt.toISOString().slice(0, 10)}.`,
+                gap: 12
+            });
+        }
+        lines.push({ text: `Only completed transactions change the balance. Generated ${statement.generatedAt.toISOString().slice(0, 10)}.`, size: 8, gap: 16 });
+        return pdfUtils.render(lines);
+    },
+    // Emails last month's statement to every member who opted in and has not had it yet.
+    // Safe to run as often as needed.
+    async sendMonthly(now = new Date()) {
+        const month = this.previousMonth(now);
+        const users = await prisma.user.findMany({
+            where: {
+                statementEmails: true,
+                isServiceAccount: false,
+                createdAt: { lt: this.period(month).end },
+                OR: [{ statementSentFor: null }, { statementSentFor: { not: month } }]
+            }
+        });
+        let sent = 0;
+        for (const user of users) {
+            try {
+                const statement = await this.build(user, month);
+                await emailUtils.sendMonthlyStatement(user.name, user.email, statement);
+            } catch (emailError) {
+                console.error('Failed to send monthly statement:', emailError);
+                continue;
+            }
+            await prisma.user.update({ where: { id: user.id }, data: { statementSentFor: month } });
+            sent++;
+        }
+        return { month, sent };
+    }
+};
+
+// Point requests
+// A member asks another member for points. Nothing moves until the recipient approves,
+// which sends the points as an ordinary transfer; unanswered requests expire.
+const pointRequestUtils = {
+    async expireStale() {
+        const { count } = await prisma.pointRequest.updateMany({
+            where: { status: 'pending', expiresAt: { lte: new Date() } },
+            data: { status: 'expired' }
+        });
+        return count;
+    },
+    // Claims a pending request so it cannot be answered twice
+    async respond(tx, requestId, status) {
+        const { count } = await tx.pointRequest.updateMany({
+            where: { id: requestId, status: 'pending', expiresAt: { gt: new Date() } },
+            data: { status, respondedAt: new Date() }
+        });
+        if (count === 0) throw ledgerError(400, 'Request is no longer pending');
+    },
+    // Failures are logged but never undo the request
+    async notify(user, message) {
+        try {
+            await emailUtils.sendPointRequestEmail(user.name, user.email, message);
+        } catch (emailError) {
+            console.error('Failed to send point request email:', emailError);
+        }
+    }
+};
+
+// Rewards
+// Catalog items a redemption can be for. Stock is taken when the redemption is requested
+// and put back if the request is cancelled; a null stock or per-user limit means unlimited.
+const rewardUtils = {
+    isActive(reward, now = new Date()) {
+        return (!reward.startTime || reward.startTime <= now) && (!reward.endTime || reward.endTime > now);
+    },
+    async take(tx, reward) {
+        if (reward.stock === null) return;
+        const { count } = await tx.reward.updateMany({
+            where: { id: reward.id, stock: { gt: 0 } },
+            data: { stock: { decrement: 1 } }
+        });
+        if (count === 0) throw ledgerError(400, 'Reward is out of stock');
+    },
+    restock(tx, rewardId) {
+        return tx.reward.updateMany({
+            where: { id: rewardId, stock: { not: null } },
+            data: { stock: { increment: 1 } }
+        });
+    },
+    // Redemptions of this reward that were not cancelled or reversed
+    countRedeemed(tx, rewardId, userId) {
+        return tx.transaction.count({
+            where: { rewardId, userId, type: 'redemption', cancelledAt: null, reversedAt: null }
+        });
+    }
+};
+
+// Points expiry
+// Under the 'earned' policy each credit expires `months` after it was earned, and
+// spending uses up the oldest points first. Under 'inactivity' the whole balance expires
+// `months` after the user was last active, i.e. logged in or refreshed their session.
+// Points held for pending redemptions never expire.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+};
+
+const pointsExpiryUtils = {
+    // Points that will have expired by `until`, and the first date any of them expire
+    async forecast(user, policy, until) {
+        const held = await ledgerUtils.heldPoints(prisma, user.id);
+        const expirable = Math.max(0, user.points - held);
+        if (policy.mode === 'none' || expirable === 0) return { amount: 0, expiresAt: null };
+        
+        if (policy.mode === 'inactivity') {
+            const expiresAt = addMonths(user.lastActiveAt || user.lastLogin || user.createdAt, policy.months);
+            return expiresAt <= until ? { amount: expirable, expiresAt } : { amount: 0, expiresAt: null };
+        }
+        
+        // Same rule as reconciliation: only processed, unflagged transactions moved points
+        const entries = await prisma.transaction.findMany({
+            where: { userId: user.id, processed: true, suspicious: false },
+            select: { amount: true, createdAt: true },
+            orderBy: { createdAt: 'asc' }
+        });
+        let spent = entries.reduce((sum, t) => sum + (t.amount < 0 ? -t.amount : 0), 0);
+        let amount = 0, expiresAt = null;
+        for (const t of entries) {
+            if (t.amount <= 0) continue;
+            const left = Math.max(0, t.amount - spent);
+            spent = Math.max(0, spent - t.amount);
+            const lotExpiresAt = addMonths(t.createdAt, policy.months);
+            if (lotExpiresAt > until) break;
+            if (left > 0) {
+                amount += left;
+                expiresAt = expiresAt || lotExpiresAt;
+            }
+        }
+        return { amount: Math.min(amount, expirable), expiresAt: amount > 0 ? expiresAt : null };
+    },
+    // The dashboard's "expiring soon" figure
+    async upcoming(user) {
+        const policy = await settingsUtils.get('pointsExpiry');
+        return this.forecast(user, policy, new Date(Date.now() + policy.warningDays * DAY_MS));
+    },
+    // Writes an expiration entry for every balance that is due and warns users whose
+    // points expire within the warning window. Safe to run as often as needed.
+    async run(now = new Date()) {
+        const summary = { expired: 0, points: 0, warned: 0 };
+        const policy = await settingsUtils.get('pointsExpiry');
+        if (policy.mode === 'none') return summary;
+        await redemptionUtils.expireStale();
+        
+        const users = await prisma.user.findMany({ where: { points: { gt: 0 }, isServiceAccount: false } });
+        for (let user of users) {
+            const due = await this.forecast(user, policy, now);
+            if (due.amount > 0) {
+                const remark = policy.mode === 'inactivity'
+                    ? `Points expired after ${policy.months} months without activity`
+                    : `Points not used within ${policy.months} months expired`;
+                try {
+                    await ledgerUtils.run(async (db) => {
+                        await ledgerUtils.debit(db, user.id, due.amount);
+                        await ledgerUtils.requireAvailable(db, user.id);
+                        await db.transaction.create({
+                            data: { userId: user.id, type: 'expiration', amount: -due.amount, remark, createdBy: user.id, processed: true }
+                        });
+                    });
+                } catch (error) {
+                    // The balance changed underneath us; the next run picks the user up again
+                    if (!error.status) throw error;
+                    continue;
+                }
+                summary.expired++;
+                summary.points += due.amount;
+                user = await prisma.user.findUnique({ where: { id: user.id } });
+            }
+            
+            if (policy.warningDays === 0) continue;
+            const soon = await this.forecast(user, policy, new Date(now.getTime() + policy.warningDays * DAY_MS));
+            if (soon.amount === 0 || user.expiryWarningFor?.getTime() === soon.expiresAt.getTime()) continue;
+            try {
+                await emailUtils.sendPointsExpiryWarning(user.name, user.email, soon.amount, soon.expiresAt);
+            } catch (emailError) {
+                console.error('Failed to send points expiry warning:', emailError);
+                continue;
+            }
+            await prisma.user.update({ where: { id: user.id }, data: { expiryWarningFor: soon.expiresAt } });
+            summary.warned++;
+        }
+        return summary;
+    }
+};
+
+// Reconciliation
+// Recomputes balances from the Transaction table. A transaction counts towards its
+// user's balance once it is processed and not flagged; an event's remaining budget is
+// its allocation minus every award made from it that has not been reversed.
+const transactionSummary = (t) => ({
+    id: t.id, type: t.type, amount: t.amount, processed: t.processed,
+    suspicious: t.suspicious, remark: t.remark, createdAt: t.createdAt
+});
+
+const reconciliationUtils = {
+    async check(db = prisma) {
+        // Sequential so the same code runs inside an interactive transaction
+        const users = await db.user.findMany({ select: { id: true, utorid: true, points: true }, orderBy: { id: 'asc' } });
+        const balances = await db.transaction.groupBy({ by: ['userId'], where: { processed: true, suspicious: false }, _sum: { amount: true } });
+        const events = await db.event.findMany({ select: { id: true, name: true, pointsAllocated: true, pointsRemain: true }, orderBy: { id: 'asc' } });
+        const awards = await db.transaction.groupBy({ by: ['relatedId'], where: { type: 'event', reversedAt: null }, _sum: { amount: true } });
+        const ledgerBalance = new Map(balances.map(b => [b.userId, b._sum.amount || 0]));
+        const awarded = new Map(awards.map(a => [a.relatedId, a._sum.amount || 0]));
+
+        const userMismatches = [];
+        for (const user of users) {
+            const expected = ledgerBalance.get(user.id) || 0;
+            if (user.points === expected) continue;
+            const difference = user.points - expected;
+            // Pending or flagged transactions, and any whose amount matches the drift,
+            // are the usual explanations: a counter moved without the flags following
+            const transactions = await db.transaction.findMany({
+                where: {
+                    userId: user.id,
+                    OR: [
+                        { processed: false },
+                        { suspicious: true },
+                        { amount: { in: [difference, -difference] } }
+                    ]
+                },
+                orderBy: { createdAt: 'asc' }
+            });
+            userMismatches.push({
+                userId: user.id, utorid: user.utorid, points: user.points, expected, difference,
+                transactions: transactions.map(transactionSummary)
+            });
+        }
+
+        const eventMismatches = [];
+        for (const event of events) {
+            const expected = event.pointsAllocated - (awarded.get(event.id) || 0);
+            if (event.pointsRemain === expected) continue;
+            const transactions = await db.transaction.findMany({
+                where: { type: 'event', relatedId: event.id },
+                orderBy: { createdAt: 'asc' }
+            });
+            eventMismatches.push({
+                eventId: event.id, name: event.name, pointsAllocated: event.pointsAllocated,
+                pointsRemain: event.pointsRemain, expected, difference: event.pointsRemain - expected,
+                transactions: transactions.map(transactionSummary)
+            });
+        }
+
+        return {
+            checkedAt: new Date(),
+            users: { checked: users.length, mismatches: userMismatches },
+            events: { checked: events.length, mismatches: eventMismatches }
+        };
+    },
+    // Re-checks and corrects in one transaction. User drift is recorded as an adjustment
+    // so the history accounts for the balance the user actually holds; event budgets are
+    // reset from their awards.
+    correct(reason, runBy, runByRole) {
+        return ledgerUtils.run(async (db) => {
+            const report = await this.check(db);
+            const { mismatches: users } = report.users;
+            const { mismatches: events } = report.events;
+            if (users.length === 0 && events.length === 0) return { ...report, reconciliation: null };
+
+            for (const mismatch of users) {
+                mismatch.adjustment = transactionSummary(await db.transaction.create({
+                    data: {
+                        userId: mismatch.userId,
+                        type: 'adjustment',
+                        amount: mismatch.difference,
+                        remark: `Reconciliation: ${reason}`,
+                        createdBy: runBy,
+                        createdByRole: runByRole,
+                        processed: true
+                    }
+                }));
+            }
+            for (const mismatch of events) {
+                await db.event.update({ where: { id: mismatch.eventId }, data: { pointsRemain: mismatch.expected } });
+            }
+
+            const reconciliation = await db.reconciliation.create({
+                data: {
+                    reason,
+                    runBy,
+                    users: users.length,
+                    events: events.length,
+                    details: JSON.stringify({ users, events })
+                }
+            });
+            return { ...report, reconciliation };
+        });
+    }
+};
+
+// Idempotency
+// Transaction-creating requests may carry an Idempotency-Key header. The first response
+// for a key is stored and replayed to retries of the same request, and the key cannot be
+// reused for a different one. Keys belong to the caller and expire after a day.
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+// A key still unanswered after this long belongs to a request that died; its
+// writes were rolled back with it, so the key may be claimed again
+const IDEMPOTENCY_ABANDONED_MS = 60 * 1000; // 1 minute
+
+const idempotencyUtils = {
+    ownerOf(req) {
+        return req.apiKey ? `apikey:${req.apiKey.id}` : `user:${req.user.id}`;
+    },
+    hashRequest(req) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([req.method, req.baseUrl + req.path, req.body ?? null]))
+            .digest('hex');
+    },
+    // Call once the request is authenticated; returns true if a response was already sent
+    async begin(req, res) {
+        const key = req.get('idempotency-key');
+        if (key === undefined) return false;
+        if (!key || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+            res.status(400).json({ error: 'Invalid Idempotency-Key header' });
+            return true;
+        }
+        const owner = this.ownerOf(req);
+        const requestHash = this.hashRequest(req);
+        const now = new Date();
+
+        const existing = await prisma.idempotencyKey.findUnique({ where: { owner_key: { owner, key } } });
+        const abandoned = existing && existing.statusCode === null && now - existing.createdAt > IDEMPOTENCY_ABANDONED_MS;
+        if (existing && existing.expiresAt > now && !abandoned) {
+            if (existing.requestHash !== requestHash) {
+                res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            } else if (existing.statusCode === null) {
+                res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+            } else {
+                res.set('Idempotent-Replayed', 'true');
+                res.status(existing.statusCode).json(JSON.parse(existing.response));
+            }
+            return true;
+        }
+
+        if (abandoned) await prisma.idempotencyKey.deleteMany({ where: { id: existing.id, statusCode: null } });
+        await prisma.idempotencyKey.deleteMany({ where: { expiresAt: { lte: now } } });
+        let record;
         try {
-            return jwt.verify(token, JWT_SECRET);
+            record = await prisma.idempotencyKey.create({
+                data: { owner, key, requestHash, expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS) }
+            });
         } catch (error) {
-            throw new Error('Invalid or expired token');
+            // An identical request claimed the key first
+            if (error.code !== 'P2002') throw error;
+            res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+            return true;
         }
-    },
-    extractToken(authHeader) {
-        if (!authHeader) return null;
-        const parts = authHeader.split(' ');
-        if (parts.length !== 2 || parts[0] !== 'Bearer') return null;
-        return parts[1];
+
+        // Store the response before it is sent, so a retry can never see the key unfinished.
+        // Server errors are dropped instead, leaving the client free to retry them.
+        const send = res.json.bind(res);
+        res.json = (body) => {
+            const save = res.statusCode < 500
+                ? prisma.idempotencyKey.update({
+                    where: { id: record.id },
+                    data: { statusCode: res.statusCode, response: JSON.stringify(body) }
+                })
+                : prisma.idempotencyKey.delete({ where: { id: record.id } });
+            save.catch((error) => console.error('Failed to store idempotent response:', error))
+                .finally(() => send(body));
+            return res;
+        };
+        return false;
     }
 };
 
@@ -47,6 +2082,22 @@ const isWelcomeEmailConfigured = () => {
     return !!(process.env.EMAILJS_SERVICE_ID && process.env.EMAILJS_WELCOME_TEMPLATE_ID && process.env.EMAILJS_PUBLIC_KEY && process.env.EMAILJS_PRIVATE_KEY);
 };
 
+const isExpiryEmailConfigured = () => {
+    return !!(process.env.EMAILJS_SERVICE_ID && process.env.EMAILJS_EXPIRY_TEMPLATE_ID && process.env.EMAILJS_PUBLIC_KEY && process.env.EMAILJS_PRIVATE_KEY);
+};
+
+const isPointRequestEmailConfigured = () => {
+    return !!(process.env.EMAILJS_SERVICE_ID && process.env.EMAILJS_POINT_REQUEST_TEMPLATE_ID && process.env.EMAILJS_PUBLIC_KEY && process.env.EMAILJS_PRIVATE_KEY);
+};
+
+const isVerificationEmailConfigured = () => {
+    return !!(process.env.EMAILJS_SERVICE_ID && process.env.EMAILJS_VERIFICATION_TEMPLATE_ID && process.env.EMAILJS_PUBLIC_KEY && process.env.EMAILJS_PRIVATE_KEY);
+};
+
+const isStatementEmailConfigured = () => {
+    return !!(process.env.EMAILJS_SERVICE_ID && process.env.EMAILJS_STATEMENT_TEMPLATE_ID && process.env.EMAILJS_PUBLIC_KEY && process.env.EMAILJS_PRIVATE_KEY);
+};
+
 const emailjs = require('@emailjs/nodejs');
 
 const emailUtils = {
@@ -125,6 +2176,178 @@ const emailUtils = {
             console.error('Error sending welcome email via EmailJS:', error);
             throw error;
         }
+    },
+    async sendVerificationEmail(userName, userEmail, verificationToken) {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        const verificationLink = `${frontendUrl}/verify-email/${verificationToken}`;
+        
+        if (!isVerificationEmailConfigured()) {
+            console.log('\n========================================');
+            console.log('VERIFICATION EMAIL (Development Mode)');
+            console.log('========================================');
+            console.log(`Email would be sent to: ${userEmail}`);
+            console.log(`Name: ${userName}`);
+            console.log(`Verification Link: ${verificationLink}`);
+            console.log('========================================\n');
+            return { messageId: 'console-log', verificationLink };
+        }
+        
+        try {
+            const templateParams = {
+                name: userName,
+                email: userEmail,
+                url: verificationLink,
+            };
+            
+            const response = await emailjs.send(
+                process.env.EMAILJS_SERVICE_ID,
+                process.env.EMAILJS_VERIFICATION_TEMPLATE_ID,
+                templateParams,
+                {
+                    publicKey: process.env.EMAILJS_PUBLIC_KEY,
+                    privateKey: process.env.EMAILJS_PRIVATE_KEY,
+                }
+            );
+            
+            console.log('Verification email sent via EmailJS:', response.text);
+            return { messageId: response.text, verificationLink };
+        } catch (error) {
+            console.error('Error sending verification email via EmailJS:', error);
+            throw error;
+        }
+    },
+    async sendPointsExpiryWarning(userName, userEmail, points, expiresAt) {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        const expiryDate = expiresAt.toISOString().slice(0, 10);
+        
+        if (!isExpiryEmailConfigured()) {
+            console.log('\n========================================');
+            console.log('POINTS EXPIRY WARNING (Development Mode)');
+            console.log('========================================');
+            console.log(`Email would be sent to: ${userEmail}`);
+            console.log(`Name: ${userName}`);
+            console.log(`${points} points expire on ${expiryDate}`);
+            console.log('========================================\n');
+            return { messageId: 'console-log' };
+        }
+        
+        try {
+            const templateParams = {
+                name: userName,
+                email: userEmail,
+                points,
+                date: expiryDate,
+                url: frontendUrl,
+            };
+            
+            const response = await emailjs.send(
+                process.env.EMAILJS_SERVICE_ID,
+                process.env.EMAILJS_EXPIRY_TEMPLATE_ID,
+                templateParams,
+                {
+                    publicKey: process.env.EMAILJS_PUBLIC_KEY,
+                    privateKey: process.env.EMAILJS_PRIVATE_KEY,
+                }
+            );
+            
+            console.log('Points expiry warning sent via EmailJS:', response.text);
+            return { messageId: response.text };
+        } catch (error) {
+            console.error('Error sending points expiry warning via EmailJS:', error);
+            throw error;
+        }
+    },
+    async sendPointRequestEmail(userName, userEmail, message) {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        
+        if (!isPointRequestEmailConfigured()) {
+            console.log('\n========================================');
+            console.log('POINT REQUEST NOTIFICATION (Development Mode)');
+            console.log('========================================');
+            console.log(`Email would be sent to: ${userEmail}`);
+            console.log(`Name: ${userName}`);
+            console.log(message);
+            console.log('========================================\n');
+            return { messageId: 'console-log' };
+        }
+        
+        try {
+            const templateParams = {
+                name: userName,
+                email: userEmail,
+                message,
+                url: `${frontendUrl}/dashboard`,
+            };
+            
+            const response = await emailjs.send(
+                process.env.EMAILJS_SERVICE_ID,
+                process.env.EMAILJS_POINT_REQUEST_TEMPLATE_ID,
+                templateParams,
+                {
+                    publicKey: process.env.EMAILJS_PUBLIC_KEY,
+                    privateKey: process.env.EMAILJS_PRIVATE_KEY,
+                }
+            );
+            
+            console.log('Point request notification sent via EmailJS:', response.text);
+            return { messageId: response.text };
+        } catch (error) {
+            console.error('Error sending point request notification via EmailJS:', error);
+            throw error;
+        }
+    },
+    async sendMonthlyStatement(userName, userEmail, statement) {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        const period = statementUtils.label(statement);
+        const transactions = statement.groups.reduce((sum, group) => sum + group.count, 0);
+        
+        if (!isStatementEmailConfigured()) {
+            console.log('\n========================================');
+            console.log('MONTHLY STATEMENT (Development Mode)');
+            console.log('========================================');
+            console.log(`Email would be sent to: ${userEmail}`);
+            console.log(`Name: ${userName}`);
+            console.log(`${period}: ${statement.openingBalance} -> ${statement.closingBalance} points over ${transactions} transactions`);
+            console.log('========================================\n');
+            return { messageId: 'console-log' };
+        }
+        
+        try {
+            const templateParams = {
+                name: userName,
+                email: userEmail,
+                period,
+                opening_balance: statement.openingBalance,
+                closing_balance: statement.closingBalance,
+                transactions,
+                expiring_points: statement.expiringSoon.amount,
+                url: `${frontendUrl}/statements?month=${statement.month}`,
+            };
+            
+            const response = await emailjs.send(
+                process.env.EMAILJS_SERVICE_ID,
+                process.env.EMAILJS_STATEMENT_TEMPLATE_ID,
+                templateParams,
+                {
+                    publicKey: process.env.EMAILJS_PUBLIC_KEY,
+                    privateKey: process.env.EMAILJS_PRIVATE_KEY,
+                }
+            );
+            
+            console.log('Monthly statement sent via EmailJS:', response.text);
+            return { messageId: response.text };
+        } catch (error) {
+            console.error('Error sending monthly statement via EmailJS:', error);
+            throw error;
+        }
+    },
+    // Send a fresh verification link; failures are logged but never block the caller
+    async sendVerification(user) {
+        try {
+            await this.sendVerificationEmail(user.name, user.email, jwtUtils.generateVerificationToken(user));
+        } catch (emailError) {
+            console.error('Failed to send verification email:', emailError);
+        }
     }
 };
 
@@ -133,8 +2356,45 @@ const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*()_+\-=\[\]{
 const utoridRegex = /^[a-zA-Z0-9]{7,8}$/;
 const uoftEmailRegex = /^[^\s@]+@(mail\.)?utoronto\.ca$/i;
 const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+const monthRegex = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Rewards can be sent as multipart form data (for the image), where every field is a
+// string and an empty string clears an optional value
+const optionalCount = (min) => z.preprocess(
+    (val) => {
+        if (val === '' || val === null || val === 'null') return null;
+        if (typeof val === 'string') return Number(val);
+        return val;
+    },
+    z.number().int().min(min).nullable().optional()
+);
+const optionalDate = z.preprocess(
+    (val) => (val === '' || val === null || val === 'null' ? null : val),
+    z.string().refine(val => !isNaN(Date.parse(val)), 'Invalid date').nullable().optional()
+);
+const rewardSchema = z.object({
+    name: z.string().trim().min(1, 'Name is required').max(100),
+    description: z.string().trim().max(1000).default(''),
+    pointCost: z.preprocess(
+        (val) => (typeof val === 'string' && val !== '' ? Number(val) : val),
+        z.number({ invalid_type_error: 'Point cost must be a positive integer' }).int().positive('Point cost must be a positive integer')
+    ),
+    stock: optionalCount(0),
+    perUserLimit: optionalCount(1),
+    startTime: optionalDate,
+    endTime: optionalDate
+});
 
 // Validation Schemas
+const fraudRuleSchema = z.object({
+    name: z.string().trim().min(1).max(100),
+    kind: z.enum(Object.keys(FRAUD_RULE_KINDS)),
+    threshold: z.number().positive().nullable().optional(),
+    count: z.number().int().min(1).max(1000).nullable().optional(),
+    windowMinutes: z.number().int().min(1).max(7 * 24 * 60).nullable().optional(),
+    enabled: z.boolean().optional()
+}).strict();
+
 const schemas = {
     createUser: z.object({
         utorid: z.string().regex(utoridRegex),
@@ -142,7 +2402,36 @@ const schemas = {
         email: z.string().regex(uoftEmailRegex)
     }),
     login: z.object({ utorid: z.string(), password: z.string() }),
+    twoFactorLogin: z.object({
+        challengeToken: z.string(),
+        code: z.string().optional(),
+        recoveryCode: z.string().optional()
+    }),
+    twoFactorCode: z.object({
+        challengeToken: z.string().optional(),
+        code: z.string().optional(),
+        recoveryCode: z.string().optional()
+    }),
     resetRequest: z.object({ utorid: z.string() }),
+    verificationRequest: z.object({ utorid: z.string() }),
+    scopeToken: z.object({
+        role: z.enum(ROLES),
+        password: z.string().optional()
+    }),
+    importPurchases: z.object({
+        csv: z.string().min(1, 'The CSV file is empty'),
+        dryRun: z.boolean().default(false)
+    }),
+    reverseTransaction: z.object({
+        remark: z.string().trim().max(200).optional()
+    }),
+    reconcile: z.object({
+        reason: z.string().trim().min(1, 'A reason is required').max(200)
+    }),
+    startImpersonation: z.object({
+        userId: z.number().int().positive(),
+        readOnly: z.boolean().default(true)
+    }),
     resetPassword: z.object({
         utorid: z.string(),
         password: z.string().regex(passwordRegex)
@@ -151,6 +2440,17 @@ const schemas = {
         old: z.string(),
         new: z.string().regex(passwordRegex)
     }),
+    createServiceAccount: z.object({
+        name: z.string().min(1).max(50)
+    }),
+    createApiKey: z.object({
+        name: z.string().min(1).max(50),
+        scopes: z.array(z.enum(Object.keys(apiKeyScopes))).min(1, 'At least one scope is required'),
+        expiresInDays: z.number().int().min(1).max(365).default(90)
+    }),
+    updatePermissionGrants: z.object({
+        permissions: z.array(z.enum(PERMISSIONS)).transform(list => [...new Set(list)])
+    }),
     createTransaction: z.object({
         utorid: z.string(),
         type: z.string(),
@@ -431,7 +2731,43 @@ const schemas = {
             },
             z.number().positive().int().nullable().optional()
         )
-    })
+    }),
+    createPointRequest: z.object({
+        utorid: z.string().min(1),
+        amount: z.number().int().positive(),
+        remark: z.string().trim().max(200).optional()
+    }),
+    createInvestigation: z.object({
+        title: z.string().trim().min(1).max(100),
+        summary: z.string().trim().max(2000).optional(),
+        utorids: z.array(z.string().min(1)).max(20).default([]),
+        transactionIds: z.array(z.number().int().positive()).max(50).default([]),
+        assignee: z.string().min(1).nullable().optional()
+    }),
+    // utorids and transactionIds are added to the case
+    updateInvestigation: z.object({
+        title: z.string().trim().min(1).max(100).optional(),
+        status: z.enum(['open', 'underReview']).optional(),
+        assignee: z.string().min(1).nullable().optional(),
+        utorids: z.array(z.string().min(1)).max(20).optional(),
+        transactionIds: z.array(z.number().int().positive()).max(50).optional()
+    }).strict(),
+    addInvestigationNote: z.object({
+        kind: z.enum(['note', 'evidence']).default('note'),
+        body: z.string().trim().min(1).max(2000),
+        link: z.string().trim().url().max(500).optional()
+    }),
+    resolveInvestigation: z.object({
+        actions: z.array(z.enum(['clearFlags', 'reverseTransactions', 'demoteCashiers'])).default([]),
+        note: z.string().trim().min(1, 'A resolution note is required').max(2000)
+    }),
+    createFraudRule: fraudRuleSchema,
+    updateFraudRule: fraudRuleSchema.partial(),
+    respondPointRequest: z.object({
+        status: z.enum(['approved', 'declined', 'cancelled'])
+    }),
+    createReward: rewardSchema,
+    updateReward: rewardSchema.partial()
 };
 
 // Multer for avatar uploads
@@ -446,56 +2782,128 @@ const storage = multer.diskStorage({
         cb(null, `${req.user.utorid}${ext}`);
     }
 });
+const imageFileFilter = (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+    cb(extname && mimetype ? null : new Error('Only image files allowed'), extname && mimetype);
+};
 const upload = multer({
     storage,
     limits: { fileSize: 5 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = /jpeg|jpg|png|gif/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        const mimetype = allowedTypes.test(file.mimetype);
-        cb(extname && mimetype ? null : new Error('Only image files allowed'), extname && mimetype);
-    }
+    fileFilter: imageFileFilter
+});
+const rewardImageUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            const uploadDir = path.join(__dirname, '../uploads/rewards');
+            if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+            cb(null, uploadDir);
+        },
+        filename: (req, file, cb) => {
+            cb(null, `${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname)}`);
+        }
+    }),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: imageFileFilter
 });
 
 // Middleware functions
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
     let token = req.cookies?.token;
     if (!token) return res.status(401).json({ error: 'Unauthorized' });
     try {
-        req.user = jwtUtils.verifyToken(token);
-        next();
+        req.user = await sessionUtils.verify(token);
+    } catch (error) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (impersonationUtils.guard(req, res)) return;
+    next();
+};
+
+// Sets req.user from the session cookie unless allowApiKey already did.
+// Returns false once a response has been sent.
+const resolveUser = async (req, res) => {
+    if (req.apiKey) return true;
+    let token = req.cookies?.token;
+    if (!token) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return false;
+    }
+    try {
+        req.user = await sessionUtils.verify(token);
     } catch (error) {
         res.status(401).json({ error: 'Unauthorized' });
+        return false;
     }
+    return !impersonationUtils.guard(req, res);
 };
 
 const requireRole = (minRole) => {
-    const roleHierarchy = { regular: 0, cashier: 1, manager: 2, superuser: 3 };
     const minLevel = roleHierarchy[minRole];
-    return (req, res, next) => {
-        let token = req.cookies?.token;
-        if (!token) return res.status(401).json({ error: 'Unauthorized' });
-        
-        try {
-            req.user = jwtUtils.verifyToken(token);
-            if (roleHierarchy[req.user.role] < minLevel) {
-                return res.status(403).json({ error: 'Forbidden' });
-            }
-            next();
-        } catch (error) {
-            res.status(401).json({ error: 'Unauthorized' });
+    return async (req, res, next) => {
+        if (!(await resolveUser(req, res))) return;
+        if (roleHierarchy[req.user.role] < minLevel) {
+            return res.status(403).json({ error: 'Forbidden' });
         }
+        next();
     };
 };
 
-const optionalAuth = (req, res, next) => {
+// permission can be a function of the request, e.g. to pick one by transaction type
+const requirePermission = (permission) => async (req, res, next) => {
+    if (!(await resolveUser(req, res))) return;
+    const required = typeof permission === 'function' ? permission(req) : permission;
+    try {
+        if (!(await permissionUtils.has(req.user, required))) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+    } catch (error) {
+        return next(error);
+    }
+    next();
+};
+
+// Lets a route accept API keys that carry the given scope. scope can be a function of the
+// request; routes without this middleware only accept the session cookie.
+const allowApiKey = (scope) => async (req, res, next) => {
+    const key = jwtUtils.extractToken(req.get('authorization'));
+    if (!apiKeyUtils.isApiKey(key)) return next();
+    
+    let result;
+    try {
+        result = await apiKeyUtils.verify(key);
+    } catch (error) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    if (!result.apiKey.scopes.includes(required)) {
+        return res.status(403).json({ error: 'API key is not permitted to perform this action' });
+    }
+    req.user = result.user;
+    req.apiKey = result.apiKey;
+    next();
+};
+
+// Honours the Idempotency-Key header; place after the authentication middleware
+const idempotent = async (req, res, next) => {
+    try {
+        if (await idempotencyUtils.begin(req, res)) return;
+    } catch (error) {
+        return next(error);
+    }
+    next();
+};
+
+const optionalAuth = async (req, res, next) => {
     let token = req.cookies?.token;
     if (token) {
-        try { req.user = jwtUtils.verifyToken(token); }
+        try { req.user = await sessionUtils.verify(token); }
         catch (error) { req.user = null; }
     } else {
         req.user = null;
     }
+    if (impersonationUtils.guard(req, res)) return;
     next();
 };
 
@@ -532,17 +2940,21 @@ const validateQuery = (schema) => (req, res, next) => {
 };
 
 // Helper functions
+const CENTS_PER_DOLLAR = 100;
+
 const normalizeAvatarUrl = (avatarUrl) => {
     return avatarUrl || '/uploads/avatars/default.png';
 };
 
 // Helper: Calculate points for purchase
-const calculatePurchasePoints = async (spent, promotionIds = [], userId) => {
-    let basePoints = spent / 0.25;
+// earnRate is the { pointsPerDollar, rounding } from earnRateUtils that the purchase is earned at
+const calculatePurchasePoints = async (spent, promotionIds = [], userId, earnRate, db = prisma) => {
+    const { pointsPerDollar, rounding } = earnRate || await earnRateUtils.current();
+    let basePoints = spent * pointsPerDollar;
     let totalPoints = basePoints;
     
     if (promotionIds.length > 0) {
-        const promotions = await prisma.promotion.findMany({
+        const promotions = await db.promotion.findMany({
             where: { 
                 id: { in: promotionIds }
             }
@@ -562,7 +2974,7 @@ const calculatePurchasePoints = async (spent, promotionIds = [], userId) => {
             }
             
             if (promo.type === 'onetime' || promo.type === 'one-time') {
-                const userPromo = await prisma.userPromotion.findUnique({
+                const userPromo = await db.userPromotion.findUnique({
                     where: { userId_promotionId: { userId, promotionId: promo.id } }
                 });
                 if (userPromo && userPromo.used) {
@@ -574,12 +2986,13 @@ const calculatePurchasePoints = async (spent, promotionIds = [], userId) => {
                 throw new Error(`Minimum spending ${promo.minSpending} not met for promotion ${promo.id}`);
             }
             
-            if (promo.rate) totalPoints += spent * promo.rate * 100;
+            // A promotion's rate is extra points per cent spent
+            if (promo.rate) totalPoints += spent * CENTS_PER_DOLLAR * promo.rate;
             if (promo.points) totalPoints += promo.points;
         }
     }
     
-    return totalPoints;
+    return earnRateUtils.round(totalPoints, rounding);
 };
 
 // Helper: Check if user is organizer
@@ -593,11 +3006,50 @@ const isOrganizer = async (eventId, userId) => {
 module.exports = {
     prisma,
     jwtUtils,
+    sessionUtils,
+    totpUtils,
+    settingsUtils,
+    settingDefinitions,
+    earnRateUtils,
+    refundUtils,
+    reversalUtils,
+    flagUtils,
+    purchaseUtils,
+    importUtils,
+    pdfUtils,
+    receiptUtils,
+    statementUtils,
+    permissionUtils,
+    permissionDefinitions,
+    PERMISSIONS,
+    ROLES,
+    EDITABLE_ROLES,
+    roleHierarchy,
+    capRole,
+    isTwoFactorRequired,
+    throttleUtils,
+    throttle,
+    impersonationUtils,
+    ledgerUtils,
+    ledgerError,
+    redemptionUtils,
+    rewardUtils,
+    pointsExpiryUtils,
+    pointRequestUtils,
+    fraudUtils,
+    reconciliationUtils,
+    idempotencyUtils,
+    apiKeyUtils,
+    apiKeyScopes,
     emailUtils,
     schemas,
     upload,
+    rewardImageUpload,
     authenticate,
     requireRole,
+    requirePermission,
+    allowApiKey,
+    idempotent,
     optionalAuth,
     validate,
     validateQuery,
@@ -608,6 +3060,10 @@ module.exports = {
     passwordRegex,
     utoridRegex,
     uoftEmailRegex,
-    dateRegex
+    dateRegex,
+    monthRegex,
+    ACCESS_TOKEN_TTL_MS,
+    IMPERSONATION_TTL_MS,
+    REFRESH_TOKEN_TTL_MS
 };
 
@@ -0,0 +1,26 @@
+/*
+ * Applies the points expiry policy from Settings: writes expiration entries for
+ * points that are due and emails users whose points expire soon. Meant to be run
+ * daily from cron.
+ * Usage example:
+ *   node prisma/expire-points.js
+ */
+'use strict';
+
+try { require('dotenv').config(); } catch (e) {}
+
+const { prisma, pointsExpiryUtils } = require('../middleware');
+
+async function expirePoints() {
+    try {
+        const summary = await pointsExpiryUtils.run();
+        console.log(`Expired ${summary.points} points from ${summary.expired} users, warned ${summary.warned} users`);
+    } catch (error) {
+        console.error('Error expiring points:', error.message);
+        process.exit(1);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+expirePoints();
@@ -0,0 +1,65 @@
+/*
+ * Checks every user's points and every event's remaining budget against the
+ * Transaction table and prints any drift. With --fix, records correcting
+ * adjustments on behalf of the given superuser.
+ * Usage example:
+ *   node prisma/reconcile.js
+ *   node prisma/reconcile.js --fix clive123 "Quarterly audit"
+ */
+'use strict';
+
+try { require('dotenv').config(); } catch (e) {}
+
+const { prisma, reconciliationUtils } = require('../middleware');
+
+const printReport = (report) => {
+    console.log(`Checked ${report.users.checked} users and ${report.events.checked} events`);
+    for (const m of report.users.mismatches) {
+        console.log(`  User ${m.utorid} (#${m.userId}): points ${m.points}, history ${m.expected}, drift ${m.difference}`);
+        for (const t of m.transactions) {
+            console.log(`    #${t.id} ${t.type} ${t.amount} processed=${t.processed} suspicious=${t.suspicious}`);
+        }
+    }
+    for (const m of report.events.mismatches) {
+        console.log(`  Event "${m.name}" (#${m.eventId}): pointsRemain ${m.pointsRemain}, history ${m.expected}, drift ${m.difference}`);
+    }
+};
+
+async function reconcile() {
+    try {
+        const args = process.argv.slice(2);
+        const fix = args[0] === '--fix';
+
+        if (!fix) {
+            printReport(await reconciliationUtils.check());
+            return;
+        }
+
+        if (args.length !== 3) {
+            console.error('Usage: node prisma/reconcile.js [--fix <superuser utorid> <reason>]');
+            process.exit(1);
+        }
+
+        const [, utorid, reason] = args;
+        const superuser = await prisma.user.findUnique({ where: { utorid } });
+        if (!superuser || superuser.role !== 'superuser') {
+            console.error('Error: corrections must be made by a superuser');
+            process.exit(1);
+        }
+
+        const result = await reconciliationUtils.correct(reason, superuser.id, superuser.role);
+        printReport(result);
+        if (result.reconciliation) {
+            console.log(`Recorded reconciliation #${result.reconciliation.id}`);
+        } else {
+            console.log('Nothing to correct');
+        }
+    } catch (error) {
+        console.error('Error reconciling ledger:', error.message);
+        process.exit(1);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+reconcile();
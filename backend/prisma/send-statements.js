@@ -0,0 +1,26 @@
+/*
+ * Emails last month's statement to every member who opted in to monthly statements
+ * and has not received it yet. Meant to be run daily from cron; each member gets
+ * one email per month however often it runs.
+ * Usage example:
+ *   node prisma/send-statements.js
+ */
+'use strict';
+
+try { require('dotenv').config(); } catch (e) {}
+
+const { prisma, statementUtils } = require('../middleware');
+
+async function sendStatements() {
+    try {
+        const summary = await statementUtils.sendMonthly();
+        console.log(`Sent ${summary.sent} statements for ${summary.month}`);
+    } catch (error) {
+        console.error('Error sending statements:', error.message);
+        process.exit(1);
+    } finally {
+        await prisma.$disconnect();
+    }
+}
+
+sendStatements();
@@ -1,5 +1,5 @@
 // Analytics routes for dashboard metrics
-const { prisma } = require('../middleware');
+const { prisma, redemptionUtils } = require('../middleware');
 
 // Helper function to get date ranges
 const getDateRanges = () => {
@@ -95,7 +95,7 @@ const getCashierStats = async (req, res, next) => {
 
         // Pending redemptions count
         const pendingRedemptions = await prisma.transaction.count({
-            where: { type: 'redemption', processed: false }
+            where: redemptionUtils.pending({}, await redemptionUtils.cutoff())
         });
 
         // Processing rate
@@ -208,14 +208,14 @@ const getOverview = async (req, res, next) => {
         const [pointsEarnedWeek, pointsEarnedMonth] = await Promise.all([
             prisma.transaction.aggregate({
                 where: {
-                    type: { in: ['purchase', 'event', 'adjustment'] },
+                    type: { in: ['purchase', 'event', 'adjustment', 'refund'] },
                     createdAt: { gte: weekAgo }
                 },
                 _sum: { amount: true }
             }),
             prisma.transaction.aggregate({
                 where: {
-                    type: { in: ['purchase', 'event', 'adjustment'] },
+                    type: { in: ['purchase', 'event', 'adjustment', 'refund'] },
                     createdAt: { gte: monthAgo }
                 },
                 _sum: { amount: true }
@@ -428,7 +428,9 @@ const getTransactionAnalytics = async (req, res, next) => {
             redemption: await prisma.transaction.count({ where: { type: 'redemption' } }),
             adjustment: await prisma.transaction.count({ where: { type: 'adjustment' } }),
             event: await prisma.transaction.count({ where: { type: 'event' } }),
-            transfer: await prisma.transaction.count({ where: { type: 'transfer' } })
+            transfer: await prisma.transaction.count({ where: { type: 'transfer' } }),
+            expiration: await prisma.transaction.count({ where: { type: 'expiration' } }),
+            refund: await prisma.transaction.count({ where: { type: 'refund' } })
         };
 
         // Suspicious transactions
@@ -472,7 +474,7 @@ const getTransactionAnalytics = async (req, res, next) => {
             const [earned, redemptions, transfers] = await Promise.all([
                 prisma.transaction.aggregate({
                     where: {
-                        type: { in: ['purchase', 'event', 'adjustment'] },
+                        type: { in: ['purchase', 'event', 'adjustment', 'refund'] },
                         createdAt: { gte: date, lt: nextDate }
                     },
                     _sum: { amount: true }
@@ -665,24 +667,28 @@ const getFinancialAnalytics = async (req, res, next) => {
     try {
         const { weekAgo, monthAgo } = getDateRanges();
 
-        // Total money spent (sum of `spent` field in purchase transactions)
-        const [totalSpentWeek, totalSpentMonth, allPurchases] = await Promise.all([
-            prisma.transaction.aggregate({
-                where: {
-                    type: 'purchase',
-                    createdAt: { gte: weekAgo }
-                },
-                _sum: { spent: true }
-            }),
+        // Total money spent (sum of `spent` field in purchase transactions, less refunds)
+        // A reversed purchase no longer took any money, and a reversed refund no longer returned any
+        const sumSpent = (type, since) => prisma.transaction.aggregate({
+            where: {
+                type,
+                reversedAt: null,
+                ...(since && { createdAt: { gte: since } })
+            },
+            _sum: { spent: true }
+        });
+        const [purchasedWeek, purchasedMonth, refundedWeek, refundedMonth, refundedAllTime, refunds, allPurchases] = await Promise.all([
+            sumSpent('purchase', weekAgo),
+            sumSpent('purchase', monthAgo),
+            sumSpent('refund', weekAgo),
+            sumSpent('refund', monthAgo),
+            sumSpent('refund'),
             prisma.transaction.aggregate({
-                where: {
-                    type: 'purchase',
-                    createdAt: { gte: monthAgo }
-                },
-                _sum: { spent: true }
+                where: { type: 'refund', reversedAt: null },
+                _sum: { amount: true }
             }),
             prisma.transaction.findMany({
-                where: { type: 'purchase' },
+                where: { type: 'purchase', reversedAt: null },
                 select: { spent: true, amount: true }
             })
         ]);
@@ -692,16 +698,23 @@ const getFinancialAnalytics = async (req, res, next) => {
             ? allPurchases.reduce((sum, tx) => sum + (tx.spent || 0), 0) / allPurchases.length
             : 0;
 
-        // Points per dollar ratio
-        const totalSpent = allPurchases.reduce((sum, tx) => sum + (tx.spent || 0), 0);
-        const totalPoints = allPurchases.reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+        // Points per dollar ratio, after refunds took back their share of both
+        const refundedTotal = refundedAllTime._sum.spent || 0;
+        const totalSpent = allPurchases.reduce((sum, tx) => sum + (tx.spent || 0), 0) - refundedTotal;
+        const totalPoints = allPurchases.reduce((sum, tx) => sum + Math.abs(tx.amount), 0) + (refunds._sum.amount || 0);
         const pointsPerDollar = totalSpent > 0 ? (totalPoints / totalSpent).toFixed(2) : 0;
+        const roundCents = (value) => Math.round(value * 100) / 100;
 
         res.json({
             totalSpent: {
-                week: totalSpentWeek._sum.spent || 0,
-                month: totalSpentMonth._sum.spent || 0,
-                allTime: totalSpent
+                week: roundCents((purchasedWeek._sum.spent || 0) - (refundedWeek._sum.spent || 0)),
+                month: roundCents((purchasedMonth._sum.spent || 0) - (refundedMonth._sum.spent || 0)),
+                allTime: roundCents(totalSpent)
+            },
+            totalRefunded: {
+                week: roundCents(refundedWeek._sum.spent || 0),
+                month: roundCents(refundedMonth._sum.spent || 0),
+                allTime: roundCents(refundedTotal)
             },
             averageSpendingPerTransaction: Math.round(avgSpending * 100) / 100,
             pointsPerDollarRatio: parseFloat(pointsPerDollar)
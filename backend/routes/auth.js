@@ -2,46 +2,462 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
-const { prisma, jwtUtils, emailUtils, schemas, validate } = require('../middleware');
+const {
+    prisma,
+    jwtUtils,
+    sessionUtils,
+    totpUtils,
+    isTwoFactorRequired,
+    throttleUtils,
+    throttle,
+    emailUtils,
+    schemas,
+    requireRole,
+    requirePermission,
+    validate,
+    roleHierarchy,
+    capRole,
+    impersonationUtils,
+    ACCESS_TOKEN_TTL_MS,
+    IMPERSONATION_TTL_MS,
+    REFRESH_TOKEN_TTL_MS
+} = require('../middleware');
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none'
+};
+
+// Refresh cookie is scoped to /auth so it never travels with regular API calls
+const refreshCookieOptions = { ...cookieOptions, path: '/auth' };
+
+// Issue a fresh access token for the session
+const setAccessCookie = (res, user, session) => {
+    const { token, expiresAt } = jwtUtils.generateToken(user, session.id, session.scopedRole);
+    res.cookie('token', token, { ...cookieOptions, maxAge: ACCESS_TOKEN_TTL_MS });
+    return { token, expiresAt };
+};
+
+// Issue a fresh access token for the session and set both cookies
+const setAuthCookies = (res, user, session, refreshToken) => {
+    const result = setAccessCookie(res, user, session);
+    res.cookie('refreshToken', refreshToken, { ...refreshCookieOptions, maxAge: REFRESH_TOKEN_TTL_MS });
+    return result;
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', cookieOptions);
+    res.clearCookie('refreshToken', refreshCookieOptions);
+};
+
+// Final step of every login path: open a session and hand out cookies
+const completeLogin = async (req, res, user) => {
+    const { session, refreshToken } = await sessionUtils.create(user, req);
+    await throttleUtils.release(req.throttle);
+    await throttleUtils.clear('login', user.utorid);
+    const now = new Date();
+    await prisma.user.update({ where: { id: user.id }, data: { lastLogin: now, lastActiveAt: now } });
+    return setAuthCookies(res, user, session, refreshToken);
+};
+
+// Revoke an impersonation session, expired or not, and reissue the superuser's own session it
+// was started from. Only the request that revokes it gets back in, so an old impersonation
+// cookie cannot be replayed. Null if either session has already ended.
+const endImpersonation = async (session, req) => {
+    if (!await sessionUtils.revoke(session.id)) return null;
+    await impersonationUtils.log({ id: session.userId, sid: session.id, impersonatorId: session.impersonatorId }, req, 200);
+    return sessionUtils.reissue(session.impersonatorSessionId);
+};
+
+// Check a TOTP or recovery code and record its use so it cannot be replayed. The use is
+// recorded with a conditional update on what was read, so of two requests presenting the
+// same code at once only the one that records it gets in.
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = totpUtils.verifyCode(user.twoFactorSecret, code, user.twoFactorLastStep);
+        if (step === null) return false;
+        const { count } = await prisma.user.updateMany({
+            where: { id: user.id, OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }] },
+            data: { twoFactorLastStep: step }
+        });
+        return count > 0;
+    }
+    if (recoveryCode) {
+        const hashes = JSON.parse(user.recoveryCodes || '[]');
+        const hash = totpUtils.hashRecoveryCode(recoveryCode);
+        if (!hashes.includes(hash)) return false;
+        const { count } = await prisma.user.updateMany({
+            where: { id: user.id, recoveryCodes: user.recoveryCodes },
+            data: { recoveryCodes: JSON.stringify(hashes.filter(h => h !== hash)) }
+        });
+        return count > 0;
+    }
+    return false;
+};
+
+// 2FA enrollment is allowed either from a live session or, when staff must enroll
+// before they can log in at all, with the challenge token from POST /auth/tokens
+const requireUserOrChallenge = (req, res, next) => {
+    const challengeToken = req.body?.challengeToken;
+    if (!challengeToken) return requireRole('regular')(req, res, next);
+    try {
+        const payload = jwtUtils.verifyChallengeToken(challengeToken);
+        req.user = { id: payload.id };
+        req.isChallenge = true;
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Unauthorized' });
+    }
+};
+
+// Second-step codes count against the same login counters as passwords
+const challengeUtorid = async (req) => {
+    try {
+        const { id } = jwtUtils.verifyChallengeToken(req.validatedData.challengeToken);
+        const user = await prisma.user.findUnique({ where: { id }, select: { utorid: true } });
+        return user?.utorid;
+    } catch (error) {
+        return undefined;
+    }
+};
 
 // POST /auth/tokens - Login
-router.post('/tokens', validate(schemas.login), async (req, res, next) => {
+router.post('/tokens', validate(schemas.login), throttle('login'), async (req, res, next) => {
     try {
         const { utorid, password } = req.validatedData;
         const user = await prisma.user.findUnique({ where: { utorid } });
-        if (!user || !await bcrypt.compare(password, user.password)) {
+        // Service accounts only ever authenticate with API keys
+        if (!user || user.isServiceAccount || !await bcrypt.compare(password, user.password)) {
+            await throttleUtils.recordFailure('login', { utorid, ip: req.ip, userId: user?.id });
             return res.status(401).json({ error: 'Invalid credentials' });
         }
-        const { token, expiresAt } = jwtUtils.generateToken(user);
-        await prisma.user.update({ where: { id: user.id }, data: { lastLogin: new Date() } });
         
-        // Set httpOnly cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: true,
-            sameSite: 'none',
-            maxAge: 24 * 60 * 60 * 1000 // 24 hours
-        });
+        // Two-step login: the password alone only earns a challenge token
+        if (user.twoFactorEnabled || await isTwoFactorRequired(user)) {
+            await throttleUtils.release(req.throttle);
+            return res.json({
+                twoFactorRequired: true,
+                enrollmentRequired: !user.twoFactorEnabled,
+                challengeToken: jwtUtils.generateChallengeToken(user)
+            });
+        }
+        
+        // Set httpOnly cookies
+        const { token, expiresAt } = await completeLogin(req, res, user);
+        
+        res.json({ token, expiresAt });
+    } catch (error) { next(error); }
+});
+
+// POST /auth/tokens/2fa - Second login step with a TOTP or recovery code
+router.post('/tokens/2fa', validate(schemas.twoFactorLogin), throttle('login', challengeUtorid), async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.validatedData;
+        
+        let payload;
+        try {
+            payload = jwtUtils.verifyChallengeToken(challengeToken);
+        } catch (error) {
+            return res.status(401).json({ error: 'Login challenge expired' });
+        }
+        
+        const user = await prisma.user.findUnique({ where: { id: payload.id } });
+        if (!user) return res.status(401).json({ error: 'Unauthorized' });
+        if (!user.twoFactorEnabled) return res.status(400).json({ error: 'Two-factor authentication not enabled' });
+        
+        if (!await consumeSecondFactor(user, { code, recoveryCode })) {
+            await throttleUtils.recordFailure('login', { utorid: user.utorid, ip: req.ip, userId: user.id });
+            return res.status(401).json({ error: 'Invalid two-factor code' });
+        }
+        
+        const { token, expiresAt } = await completeLogin(req, res, user);
+        res.json({ token, expiresAt });
+    } catch (error) { next(error); }
+});
+
+// POST /auth/tokens/refresh - Rotate refresh token and issue a new access token
+router.post('/tokens/refresh', async (req, res, next) => {
+    try {
+        const refreshToken = req.cookies?.refreshToken;
+        if (!refreshToken) return res.status(401).json({ error: 'Unauthorized' });
+        
+        let rotated;
+        try {
+            rotated = await sessionUtils.rotate(refreshToken, req);
+        } catch (error) {
+            // An impersonation that ran out hands the superuser back their own session
+            const session = await sessionUtils.fromCookies({ refreshToken });
+            const original = session?.impersonatorId && session.expiresAt < new Date()
+                ? await endImpersonation(session, req)
+                : null;
+            if (original) {
+                const { token, expiresAt } = setAuthCookies(res, original.user, original.session, original.refreshToken);
+                return res.json({ token, expiresAt, impersonationEnded: true });
+            }
+            clearAuthCookies(res);
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
         
+        const { token, expiresAt } = setAuthCookies(res, rotated.user, rotated.session, rotated.refreshToken);
         res.json({ token, expiresAt });
     } catch (error) { next(error); }
 });
 
+// POST /auth/tokens/scope - Cap the current session at a lower role, or restore a higher one.
+// Lowering is free; raising again needs the password so a shared till cannot be escalated.
+router.post('/tokens/scope', requireRole('regular'), validate(schemas.scopeToken), throttle('login', (req) => req.user.utorid), async (req, res, next) => {
+    try {
+        const { role, password } = req.validatedData;
+        const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!user) return res.status(401).json({ error: 'Unauthorized' });
+        if (roleHierarchy[role] > roleHierarchy[user.role]) {
+            return res.status(403).json({ error: 'Cannot scope above your own role' });
+        }
+        
+        if (roleHierarchy[role] > roleHierarchy[req.user.role]) {
+            if (!password) return res.status(401).json({ error: 'Password required to restore a higher role' });
+            if (!await bcrypt.compare(password, user.password)) {
+                await throttleUtils.recordFailure('login', { utorid: user.utorid, ip: req.ip, userId: user.id });
+                return res.status(401).json({ error: 'Invalid credentials' });
+            }
+        }
+        
+        await throttleUtils.release(req.throttle);
+        const session = await sessionUtils.setScope(req.user.sid, role === user.role ? null : role);
+        const { token, expiresAt } = setAccessCookie(res, user, session);
+        res.json({ token, expiresAt, role: capRole(user.role, session.scopedRole), scopedRole: session.scopedRole });
+    } catch (error) { next(error); }
+});
+
 // POST /auth/logout - Logout
-router.post('/logout', (req, res) => {
-    res.clearCookie('token');
-    res.json({ message: 'Logged out successfully' });
+router.post('/logout', async (req, res, next) => {
+    try {
+        // Revoke the server-side session so neither token can be reused
+        const refreshToken = req.cookies?.refreshToken;
+        if (refreshToken) {
+            const session = await prisma.session.findUnique({
+                where: { refreshTokenHash: sessionUtils.hashToken(refreshToken) }
+            });
+            if (session) await sessionUtils.revoke(session.id);
+        } else if (req.cookies?.token) {
+            try {
+                const payload = jwtUtils.verifyToken(req.cookies.token);
+                if (payload.sid) await sessionUtils.revoke(payload.sid);
+            } catch (_) { /* Expired token: nothing to revoke */ }
+        }
+        
+        clearAuthCookies(res);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) { next(error); }
+});
+
+// GET /auth/sessions - List the current user's active sessions
+// Impersonation sessions belong to the superuser, so they are left out of the target's list
+router.get('/sessions', requireRole('regular'), async (req, res, next) => {
+    try {
+        const sessions = await prisma.session.findMany({
+            where: { userId: req.user.id, impersonatorId: null, revokedAt: null, expiresAt: { gt: new Date() } },
+            orderBy: { lastSeenAt: 'desc' }
+        });
+        
+        res.json(sessions.map(s => ({
+            id: s.id,
+            userAgent: s.userAgent,
+            ipAddress: s.ipAddress,
+            createdAt: s.createdAt,
+            lastSeenAt: s.lastSeenAt,
+            expiresAt: s.expiresAt,
+            scopedRole: s.scopedRole,
+            current: s.id === req.user.sid
+        })));
+    } catch (error) { next(error); }
+});
+
+// DELETE /auth/sessions/:sessionId - Revoke one of the current user's sessions
+router.delete('/sessions/:sessionId', requireRole('regular'), async (req, res, next) => {
+    try {
+        const session = await prisma.session.findUnique({ where: { id: req.params.sessionId } });
+        if (!session || session.userId !== req.user.id || session.impersonatorId || session.revokedAt) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        await sessionUtils.revoke(session.id);
+        if (session.id === req.user.sid) clearAuthCookies(res);
+        
+        res.status(204).send();
+    } catch (error) { next(error); }
+});
+
+// POST /auth/impersonation - Start viewing the app as another user
+router.post('/impersonation', requirePermission('users.impersonate'), validate(schemas.startImpersonation), async (req, res, next) => {
+    try {
+        const { userId, readOnly } = req.validatedData;
+        if (req.user.impersonatorId) return res.status(400).json({ error: 'Already impersonating' });
+        if (userId === req.user.id) return res.status(400).json({ error: 'Cannot impersonate yourself' });
+        
+        const target = await prisma.user.findUnique({ where: { id: userId } });
+        if (!target) return res.status(404).json({ error: 'User not found' });
+        if (target.role === 'superuser') return res.status(403).json({ error: 'Cannot impersonate another superuser' });
+        if (target.isServiceAccount) return res.status(400).json({ error: 'Cannot impersonate a service account' });
+        
+        const { session, refreshToken } = await sessionUtils.create(target, req, {
+            impersonatorId: req.user.id,
+            impersonatorSessionId: req.user.sid,
+            readOnly,
+            ttlMs: IMPERSONATION_TTL_MS
+        });
+        await impersonationUtils.log({ id: target.id, sid: session.id, impersonatorId: req.user.id }, req, 201);
+        
+        const { token, expiresAt } = setAuthCookies(res, target, session, refreshToken);
+        res.status(201).json({
+            token,
+            expiresAt,
+            impersonation: { userId: target.id, utorid: target.utorid, readOnly, endsAt: session.expiresAt }
+        });
+    } catch (error) { next(error); }
+});
+
+// DELETE /auth/impersonation - End impersonation and return to the superuser's own session.
+// Works after the impersonation session has expired, which would otherwise strand the superuser.
+router.delete('/impersonation', async (req, res, next) => {
+    try {
+        const session = await sessionUtils.fromCookies(req.cookies);
+        if (!session) {
+            clearAuthCookies(res);
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (!session.impersonatorId) return res.status(400).json({ error: 'Not impersonating' });
+        
+        const original = await endImpersonation(session, req);
+        if (!original) {
+            clearAuthCookies(res);
+            return res.status(401).json({ error: 'Your session has expired. Please log in again.' });
+        }
+        
+        const { token, expiresAt } = setAuthCookies(res, original.user, original.session, original.refreshToken);
+        res.json({ token, expiresAt });
+    } catch (error) { next(error); }
+});
+
+// GET /auth/2fa - Two-factor status for the current user
+router.get('/2fa', requireRole('regular'), async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        
+        res.json({
+            enabled: user.twoFactorEnabled,
+            required: await isTwoFactorRequired(user),
+            recoveryCodesRemaining: user.twoFactorEnabled ? JSON.parse(user.recoveryCodes || '[]').length : 0
+        });
+    } catch (error) { next(error); }
+});
+
+// POST /auth/2fa/setup - Start enrollment and return the provisioning secret
+router.post('/2fa/setup', requireUserOrChallenge, async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactorEnabled) return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+        
+        const secret = totpUtils.generateSecret();
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { twoFactorSecret: secret, twoFactorLastStep: null }
+        });
+        
+        res.json({ secret, otpauthUrl: totpUtils.provisioningUri(secret, user.utorid) });
+    } catch (error) { next(error); }
+});
+
+// POST /auth/2fa/verify - Confirm enrollment with a first code and issue recovery codes
+router.post('/2fa/verify', requireUserOrChallenge, validate(schemas.twoFactorCode), async (req, res, next) => {
+    try {
+        const { code } = req.validatedData;
+        const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactorEnabled) return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+        if (!user.twoFactorSecret) return res.status(400).json({ error: 'Two-factor setup not started' });
+        
+        const step = totpUtils.verifyCode(user.twoFactorSecret, code);
+        if (step === null) return res.status(400).json({ error: 'Invalid two-factor code' });
+        
+        const recoveryCodes = totpUtils.generateRecoveryCodes();
+        const enrolled = await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                twoFactorEnabled: true,
+                twoFactorLastStep: step,
+                recoveryCodes: JSON.stringify(recoveryCodes.map(c => totpUtils.hashRecoveryCode(c)))
+            }
+        });
+        
+        // Enrolling during a login challenge finishes the login as well
+        if (req.isChallenge) {
+            const { token, expiresAt } = await completeLogin(req, res, enrolled);
+            return res.json({ recoveryCodes, token, expiresAt });
+        }
+        
+        res.json({ recoveryCodes });
+    } catch (error) { next(error); }
+});
+
+// POST /auth/2fa/recovery-codes - Replace recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', requireRole('regular'), validate(schemas.twoFactorCode), async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!user || !user.twoFactorEnabled) return res.status(400).json({ error: 'Two-factor authentication not enabled' });
+        
+        if (!await consumeSecondFactor(user, { code: req.validatedData.code })) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+        
+        const recoveryCodes = totpUtils.generateRecoveryCodes();
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { recoveryCodes: JSON.stringify(recoveryCodes.map(c => totpUtils.hashRecoveryCode(c))) }
+        });
+        
+        res.json({ recoveryCodes });
+    } catch (error) { next(error); }
+});
+
+// DELETE /auth/2fa - Turn off two-factor authentication
+router.delete('/2fa', requireRole('regular'), validate(schemas.twoFactorCode), async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!user || !user.twoFactorEnabled) return res.status(400).json({ error: 'Two-factor authentication not enabled' });
+        if (await isTwoFactorRequired(user)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+        }
+        
+        const { code, recoveryCode } = req.validatedData;
+        if (!await consumeSecondFactor(user, { code, recoveryCode })) {
+            return res.status(400).json({ error: 'Invalid two-factor code' });
+        }
+        
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null, recoveryCodes: null }
+        });
+        
+        res.status(204).send();
+    } catch (error) { next(error); }
 });
 
 // POST /auth/resets/:resetToken - Reset password
-router.post('/resets/:resetToken', validate(schemas.resetPassword), async (req, res, next) => {
+router.post('/resets/:resetToken', validate(schemas.resetPassword), throttle('reset'), async (req, res, next) => {
     try {
         const { resetToken } = req.params;
         const { utorid, password } = req.validatedData;
         
         // First check if token exists
         const userWithToken = await prisma.user.findUnique({ where: { resetToken } });
-        if (!userWithToken) return res.status(404).json({ error: 'Invalid reset token' });
+        if (!userWithToken) {
+            await throttleUtils.recordFailure('reset', { utorid, ip: req.ip });
+            return res.status(404).json({ error: 'Invalid reset token' });
+        }
         
         // Check if token expired
         if (userWithToken.resetTokenExpiry && new Date() > userWithToken.resetTokenExpiry) {
@@ -50,24 +466,28 @@ router.post('/resets/:resetToken', validate(schemas.resetPassword), async (req,
         
         // Check if utorid matches
         if (userWithToken.utorid !== utorid) {
+            await throttleUtils.recordFailure('reset', { utorid, ip: req.ip });
             return res.status(401).json({ error: 'UTORid mismatch' });
         }
         
         const hashedPassword = await bcrypt.hash(password, 10);
         await prisma.user.update({
             where: { id: userWithToken.id },
-            data: { password: hashedPassword, resetToken: null, resetTokenExpiry: null }
+            data: { password: hashedPassword, resetToken: null, resetTokenExpiry: null, tokenVersion: { increment: 1 } }
         });
+        await sessionUtils.revokeAll(userWithToken.id);
+        await throttleUtils.release(req.throttle);
         res.status(200).json({ message: 'Password reset successful' });
     } catch (error) { next(error); }
 });
 
 // POST /auth/resets - Request password reset
-router.post('/resets', validate(schemas.resetRequest), async (req, res, next) => {
+router.post('/resets', validate(schemas.resetRequest), throttle('reset'), async (req, res, next) => {
     try {
         const { utorid } = req.validatedData;
         const user = await prisma.user.findUnique({ where: { utorid } });
-        if (!user) {
+        await throttleUtils.recordFailure('reset', { utorid, ip: req.ip, userId: user?.id });
+        if (!user || user.isServiceAccount) {
             // Don't reveal if user exists or not for security
             return res.status(202).json({ message: 'If the user exists, a password reset email has been sent.' });
         }
@@ -92,5 +512,41 @@ router.post('/resets', validate(schemas.resetRequest), async (req, res, next) =>
     } catch (error) { next(error); }
 });
 
+// POST /auth/verifications - Resend the email verification link
+router.post('/verifications', validate(schemas.verificationRequest), throttle('verification'), async (req, res, next) => {
+    try {
+        const { utorid } = req.validatedData;
+        const user = await prisma.user.findUnique({ where: { utorid } });
+        await throttleUtils.recordFailure('verification', { utorid, ip: req.ip, userId: user?.id });
+        if (user && !user.verified && !user.isServiceAccount) {
+            await emailUtils.sendVerification(user);
+        }
+        // Same response either way so the endpoint can't be used to probe accounts
+        res.status(202).json({ message: 'If the account needs verifying, a verification email has been sent.' });
+    } catch (error) { next(error); }
+});
+
+// POST /auth/verifications/:verificationToken - Confirm an email address
+router.post('/verifications/:verificationToken', async (req, res, next) => {
+    try {
+        let payload;
+        try {
+            payload = jwtUtils.verifyVerificationToken(req.params.verificationToken);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+        
+        const user = await prisma.user.findUnique({ where: { id: payload.id } });
+        if (!user || user.email !== payload.email) {
+            return res.status(400).json({ error: 'Invalid or expired verification link' });
+        }
+        
+        if (!user.verified) {
+            await prisma.user.update({ where: { id: user.id }, data: { verified: true } });
+        }
+        res.json({ utorid: user.utorid, email: user.email, verified: true });
+    } catch (error) { next(error); }
+});
+
 module.exports = router;
 
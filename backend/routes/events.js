@@ -4,8 +4,14 @@ const { z } = require('zod');
 const {
     prisma,
     schemas,
-    jwtUtils,
+    sessionUtils,
+    impersonationUtils,
+    idempotencyUtils,
+    permissionUtils,
+    ledgerUtils,
+    ledgerError,
     requireRole,
+    requirePermission,
     optionalAuth,
     validate,
     validateQuery,
@@ -13,7 +19,7 @@ const {
 } = require('../middleware');
 
 // POST /events - Validate request body better
-router.post('/', requireRole('manager'), validate(schemas.createEvent), async (req, res, next) => {
+router.post('/', requirePermission('events.manage'), validate(schemas.createEvent), async (req, res, next) => {
     try {
         const { name, description, location, startTime, endTime, capacity, points } = req.body;
         
@@ -130,9 +136,9 @@ router.get('/', optionalAuth, validateQuery(z.object({
         if (started) where.startTime = started === 'true' ? { lte: now } : { gt: now };
         if (ended) where.endTime = ended === 'true' ? { lte: now } : { gt: now };
         
-        const isManagerOrAbove = req.user && ['manager', 'superuser'].includes(req.user.role);
+        const canManageEvents = await permissionUtils.has(req.user, 'events.manage');
         
-        if (!isManagerOrAbove) {
+        if (!canManageEvents) {
             where.published = true;
         } else if (published) {
             where.published = published === 'true';
@@ -142,12 +148,12 @@ router.get('/', optionalAuth, validateQuery(z.object({
         const includeGuests = (registeredUserName || registered) ? { include: { user: { select: { id: true, name: true, utorid: true } } } } : true;
         
         // Always include organizer userId to check if current user is organizer
-        // But only include full user details for managers
+        // But only include full user details for event managers
         let events = await prisma.event.findMany({
             where,
             include: {
                 guests: includeGuests,
-                organizers: isManagerOrAbove 
+                organizers: canManageEvents 
                     ? { include: { user: true } } 
                     : true  // Include basic organizer info (with userId) for all users
             }
@@ -216,7 +222,7 @@ router.get('/', optionalAuth, validateQuery(z.object({
                 startTime: e.startTime, endTime: e.endTime,
                 capacity: e.capacity, numGuests: e.guests.length
             };
-            if (isManagerOrAbove) {
+            if (canManageEvents) {
                 result.pointsRemain = e.pointsRemain;
                 result.pointsAwarded = e.pointsAllocated - e.pointsRemain;
                 result.published = e.published;
@@ -280,12 +286,12 @@ router.get('/:eventId', optionalAuth, async (req, res, next) => {
         // Authentication (401) then authorization (403)
         const authUser = req.user; // optionalAuth middleware sets req.user or null
 
-        const isManagerOrAbove = authUser && ['manager', 'superuser'].includes(authUser.role);
+        const canManageEvents = await permissionUtils.has(authUser, 'events.manage');
         const isEventOrganizer = authUser ? await isOrganizer(eventId, authUser.id) : false;
 
         if (!event.published) {
             if (!authUser) return res.status(401).json({ error: 'Unauthorized' });
-            if (!isManagerOrAbove && !isEventOrganizer) return res.status(403).json({ error: 'Forbidden' });
+            if (!canManageEvents && !isEventOrganizer) return res.status(403).json({ error: 'Forbidden' });
         }
         
         const organizers = event.organizers.map(o => ({ id: o.user.id, utorid: o.user.utorid, name: o.user.name }));
@@ -296,7 +302,7 @@ router.get('/:eventId', optionalAuth, async (req, res, next) => {
             capacity: event.capacity, organizers
         };
         
-        if (isManagerOrAbove || isEventOrganizer) {
+        if (canManageEvents || isEventOrganizer) {
             response.pointsAllocated = event.pointsAllocated;
             response.pointsRemain = event.pointsRemain;
             response.pointsAwarded = event.pointsAllocated - event.pointsRemain;
@@ -337,17 +343,18 @@ router.patch('/:eventId', async (req, res, next) => {
         let token = req.cookies?.token;
         if (!token) return res.status(401).json({ error: 'Unauthorized' });
         let authUser;
-        try { authUser = jwtUtils.verifyToken(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
+        try { authUser = await sessionUtils.verify(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
         req.user = authUser;
+        if (impersonationUtils.guard(req, res)) return;
 
         // 5) Check authorization (403)
-        const isManagerOrAbove = ['manager', 'superuser'].includes(authUser.role);
+        const canManageEvents = await permissionUtils.has(authUser, 'events.manage');
         const isEventOrganizer = await isOrganizer(eventId, authUser.id);
-        if (!isManagerOrAbove && !isEventOrganizer) {
+        if (!canManageEvents && !isEventOrganizer) {
             return res.status(403).json({ error: 'Forbidden' });
         }
         // Enforce 403 for restricted fields before structure validation
-        if (!isManagerOrAbove && ('points' in req.body || 'published' in req.body || 'organizerIds' in req.body)) {
+        if (!canManageEvents && ('points' in req.body || 'published' in req.body || 'organizerIds' in req.body)) {
             return res.status(403).json({ error: 'Forbidden' });
         }
 
@@ -447,8 +454,7 @@ router.patch('/:eventId', async (req, res, next) => {
             if (newRemaining < 0) {
                 return res.status(400).json({ error: 'Cannot reduce points below awarded amount' });
             }
-            updates.pointsAllocated = updates.points;
-            updates.pointsRemain = newRemaining;
+            updates.pointsChange = updates.points - event.pointsAllocated;
             delete updates.points;
         }
         
@@ -456,8 +462,8 @@ router.patch('/:eventId', async (req, res, next) => {
             return res.status(400).json({ error: 'Cannot unpublish event' });
         }
         
-        // Handle organizerIds if provided (only for managers/superusers)
-        if (updates.organizerIds !== undefined && isManagerOrAbove) {
+        // Handle organizerIds if provided (only with events.manage)
+        if (updates.organizerIds !== undefined && canManageEvents) {
             // Validate that all user IDs exist
             const organizerIds = updates.organizerIds;
             if (organizerIds.length > 0) {
@@ -523,22 +529,33 @@ router.patch('/:eventId', async (req, res, next) => {
         if (updates.startTime) finalUpdates.startTime = new Date(updates.startTime);
         if (updates.endTime) finalUpdates.endTime = new Date(updates.endTime);
         if (updates.capacity !== undefined) finalUpdates.capacity = updates.capacity;
-        if (updates.pointsAllocated !== undefined) finalUpdates.pointsAllocated = updates.pointsAllocated;
-        if (updates.pointsRemain !== undefined) finalUpdates.pointsRemain = updates.pointsRemain;
         if (updates.published !== undefined) finalUpdates.published = updates.published;
         
-        const updated = await prisma.event.update({
-            where: { id: eventId },
-            data: finalUpdates,
-            include: {
-                organizers: {
-                    include: {
-                        user: {
-                            select: { id: true, utorid: true, name: true }
+        const updated = await ledgerUtils.run(async (db) => {
+            if (updates.pointsChange !== undefined) {
+                // Awards draw on pointsRemain concurrently, so shift the budget rather than overwrite it
+                const { count } = await db.event.updateMany({
+                    where: { id: eventId, pointsRemain: { gte: -updates.pointsChange } },
+                    data: {
+                        pointsAllocated: { increment: updates.pointsChange },
+                        pointsRemain: { increment: updates.pointsChange }
+                    }
+                });
+                if (count === 0) throw ledgerError(400, 'Cannot reduce points below awarded amount');
+            }
+            return db.event.update({
+                where: { id: eventId },
+                data: finalUpdates,
+                include: {
+                    organizers: {
+                        include: {
+                            user: {
+                                select: { id: true, utorid: true, name: true }
+                            }
                         }
                     }
                 }
-            }
+            });
         });
         
         // Build response - always return id, name, location + fields that were in the request
@@ -589,9 +606,11 @@ router.delete('/:eventId', async (req, res, next) => {
         let token = req.cookies?.token;
         if (!token) return res.status(401).json({ error: 'Unauthorized' });
         let authUser;
-        try { authUser = jwtUtils.verifyToken(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
-        const isManagerOrAbove = ['manager', 'superuser'].includes(authUser.role);
-        if (!isManagerOrAbove) return res.status(403).json({ error: 'Forbidden' });
+        try { authUser = await sessionUtils.verify(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
+        req.user = authUser;
+        if (impersonationUtils.guard(req, res)) return;
+        const canManageEvents = await permissionUtils.has(authUser, 'events.manage');
+        if (!canManageEvents) return res.status(403).json({ error: 'Forbidden' });
         
         await prisma.event.delete({ where: { id: eventId } });
         res.status(204).send();
@@ -625,9 +644,10 @@ router.post('/:eventId/organizers', async (req, res, next) => {
         let token = req.cookies?.token;
         if (!token) return res.status(401).json({ error: 'Unauthorized' });
         let authUser;
-        try { authUser = jwtUtils.verifyToken(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
-        const roleHierarchy = { regular: 0, cashier: 1, manager: 2, superuser: 3 };
-        if (roleHierarchy[authUser.role] < 2) {
+        try { authUser = await sessionUtils.verify(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
+        req.user = authUser;
+        if (impersonationUtils.guard(req, res)) return;
+        if (!(await permissionUtils.has(authUser, 'events.manage'))) {
             return res.status(403).json({ error: 'Forbidden' });
         }
         
@@ -699,7 +719,7 @@ router.post('/:eventId/organizers', async (req, res, next) => {
 });
 
 // DELETE /events/:eventId/organizers/:userId - Remove organizer
-router.delete('/:eventId/organizers/:userId', requireRole('manager'), async (req, res, next) => {
+router.delete('/:eventId/organizers/:userId', requirePermission('events.manage'), async (req, res, next) => {
     try {
         const eventId = parseInt(req.params.eventId);
         if (isNaN(eventId)) return res.status(400).json({ error: 'Invalid event ID' });
@@ -745,10 +765,12 @@ router.post('/:eventId/guests', async (req, res, next) => {
         let token = req.cookies?.token;
         if (!token) return res.status(401).json({ error: 'Unauthorized' });
         let authUser;
-        try { authUser = jwtUtils.verifyToken(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
-        const isManagerOrAbove = ['manager', 'superuser'].includes(authUser.role);
+        try { authUser = await sessionUtils.verify(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
+        req.user = authUser;
+        if (impersonationUtils.guard(req, res)) return;
+        const canManageEvents = await permissionUtils.has(authUser, 'events.manage');
         const isEventOrganizer = await isOrganizer(eventId, authUser.id);
-        if (!isManagerOrAbove && !isEventOrganizer) {
+        if (!canManageEvents && !isEventOrganizer) {
             return res.status(403).json({ error: 'Forbidden' });
         }
 
@@ -813,7 +835,9 @@ router.delete('/:eventId/guests/me', async (req, res, next) => {
         let token = req.cookies?.token;
         if (!token) return res.status(401).json({ error: 'Unauthorized' });
         let authUser;
-        try { authUser = jwtUtils.verifyToken(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
+        try { authUser = await sessionUtils.verify(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
+        req.user = authUser;
+        if (impersonationUtils.guard(req, res)) return;
 
         // Check if user is a guest (404)
         const guest = await prisma.eventGuest.findUnique({
@@ -843,13 +867,15 @@ router.delete('/:eventId/guests/:userId', async (req, res, next) => {
         const event = await prisma.event.findUnique({ where: { id: eventId } });
         if (!event) return res.status(404).json({ error: 'Event not found' });
         
-        // Authentication (401) and authorization (403) - only managers/superusers can remove guests
+        // Authentication (401) and authorization (403) - requires events.manage
         let token = req.cookies?.token;
         if (!token) return res.status(401).json({ error: 'Unauthorized' });
         let authUser;
-        try { authUser = jwtUtils.verifyToken(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
-        const isManagerOrAbove = ['manager', 'superuser'].includes(authUser.role);
-        if (!isManagerOrAbove) {
+        try { authUser = await sessionUtils.verify(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
+        req.user = authUser;
+        if (impersonationUtils.guard(req, res)) return;
+        const canManageEvents = await permissionUtils.has(authUser, 'events.manage');
+        if (!canManageEvents) {
             return res.status(403).json({ error: 'Forbidden' });
         }
         
@@ -935,12 +961,15 @@ router.post('/:eventId/transactions', async (req, res, next) => {
         let token = req.cookies?.token;
         if (!token) return res.status(401).json({ error: 'Unauthorized' });
         let authUser;
-        try { authUser = jwtUtils.verifyToken(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
-        const isManagerOrAbove = ['manager', 'superuser'].includes(authUser.role);
+        try { authUser = await sessionUtils.verify(token); } catch (_) { return res.status(401).json({ error: 'Unauthorized' }); }
+        req.user = authUser;
+        if (impersonationUtils.guard(req, res)) return;
+        const canAwardPoints = await permissionUtils.has(authUser, 'events.award');
         const isEventOrganizer = await isOrganizer(eventId, authUser.id);
-        if (!isManagerOrAbove && !isEventOrganizer) {
+        if (!canAwardPoints && !isEventOrganizer) {
             return res.status(403).json({ error: 'Forbidden' });
         }
+        if (await idempotencyUtils.begin(req, res)) return;
 
         const creator = await prisma.user.findUnique({ where: { id: authUser.id } });
         
@@ -951,41 +980,38 @@ router.post('/:eventId/transactions', async (req, res, next) => {
                 return res.status(400).json({ error: 'Insufficient points remaining' });
             }
             
-            const transactions = [];
-            for (const guest of event.guests) {
-                const tx = await prisma.transaction.create({
-                    data: {
-                        userId: guest.userId,
-                        type: 'event',
-                        amount: amount,
-                        relatedId: eventId,
-                        remark: event.name,
-                        createdBy: authUser.id,
-                        processed: true
-                    }
-                });
-                
-                await prisma.user.update({
-                    where: { id: guest.userId },
-                    data: { points: { increment: amount } }
-                });
-                
-                transactions.push({
-                    id: tx.id,
-                    recipient: guest.user.utorid,
-                    awarded: amount,
-                    type: 'event',
-                    relatedId: eventId,
-                    remark: tx.remark,
-                    createdBy: creator.utorid
-                });
-            }
-            
-            await prisma.event.update({
-                where: { id: eventId },
-                data: { pointsRemain: { decrement: totalPoints } }
+            const created = await ledgerUtils.run(async (db) => {
+                // Re-checked against the live budget; another award may have drawn on it since
+                await ledgerUtils.drawEventPoints(db, eventId, totalPoints);
+                const rows = [];
+                for (const guest of event.guests) {
+                    rows.push(await db.transaction.create({
+                        data: {
+                            userId: guest.userId,
+                            type: 'event',
+                            amount: amount,
+                            relatedId: eventId,
+                            remark: event.name,
+                            createdBy: authUser.id,
+                            createdByRole: authUser.role,
+                            processed: true
+                        }
+                    }));
+                    await ledgerUtils.adjust(db, guest.userId, amount);
+                }
+                return rows;
             });
             
+            const transactions = created.map((tx, i) => ({
+                id: tx.id,
+                recipient: event.guests[i].user.utorid,
+                awarded: amount,
+                type: 'event',
+                relatedId: eventId,
+                remark: tx.remark,
+                createdBy: creator.utorid
+            }));
+            
             return res.status(201).json(transactions);
         }
         
@@ -1005,26 +1031,21 @@ router.post('/:eventId/transactions', async (req, res, next) => {
             return res.status(400).json({ error: 'Insufficient points remaining' });
         }
         
-        const tx = await prisma.transaction.create({
-            data: {
-                userId: user.id,
-                type: 'event',
-                amount: amount,
-                relatedId: eventId,
-                remark: event.name,
-                createdBy: authUser.id,
-                processed: true
-            }
-        });
-        
-        await prisma.user.update({
-            where: { id: user.id },
-            data: { points: { increment: amount } }
-        });
-        
-        await prisma.event.update({
-            where: { id: eventId },
-            data: { pointsRemain: { decrement: amount } }
+        const tx = await ledgerUtils.run(async (db) => {
+            await ledgerUtils.drawEventPoints(db, eventId, amount);
+            await ledgerUtils.adjust(db, user.id, amount);
+            return db.transaction.create({
+                data: {
+                    userId: user.id,
+                    type: 'event',
+                    amount: amount,
+                    relatedId: eventId,
+                    remark: event.name,
+                    createdBy: authUser.id,
+                    createdByRole: authUser.role,
+                    processed: true
+                }
+            });
         });
         
         res.status(201).json({
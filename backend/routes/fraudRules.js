@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const {
+    prisma,
+    schemas,
+    fraudUtils,
+    requirePermission,
+    validate
+} = require('../middleware');
+
+// A rule is only saved once it has every parameter its kind checks
+const checkRule = (rule) => {
+    const missing = fraudUtils.missingParams(rule);
+    if (missing.length > 0) return `${rule.kind} rules need ${missing.join(' and ')}`;
+    if (rule.kind === 'transferRing' && rule.count < 2) return 'A ring has at least 2 users';
+    return null;
+};
+
+// GET /fraud-rules - List the rules, enabled or not
+router.get('/', requirePermission('fraud.rules'), async (req, res, next) => {
+    try {
+        const rules = await prisma.fraudRule.findMany({ orderBy: { id: 'asc' } });
+        res.json({ count: rules.length, results: rules });
+    } catch (error) { next(error); }
+});
+
+// POST /fraud-rules - Add a rule
+router.post('/', requirePermission('fraud.rules'), validate(schemas.createFraudRule), async (req, res, next) => {
+    try {
+        const error = checkRule(req.validatedData);
+        if (error) return res.status(400).json({ error });
+
+        const rule = await prisma.fraudRule.create({ data: req.validatedData });
+        res.status(201).json(rule);
+    } catch (error) { next(error); }
+});
+
+// PATCH /fraud-rules/:ruleId - Change a rule or switch it on or off
+router.patch('/:ruleId', requirePermission('fraud.rules'), validate(schemas.updateFraudRule), async (req, res, next) => {
+    try {
+        const ruleId = parseInt(req.params.ruleId);
+        if (isNaN(ruleId)) return res.status(400).json({ error: 'Invalid rule ID' });
+
+        const rule = await prisma.fraudRule.findUnique({ where: { id: ruleId } });
+        if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+        const updates = {};
+        for (const [key, value] of Object.entries(req.validatedData)) {
+            if (value !== undefined) updates[key] = value;
+        }
+        const error = checkRule({ ...rule, ...updates });
+        if (error) return res.status(400).json({ error });
+
+        const updated = await prisma.fraudRule.update({ where: { id: ruleId }, data: updates });
+        res.json(updated);
+    } catch (error) { next(error); }
+});
+
+// DELETE /fraud-rules/:ruleId - Remove a rule; transactions it held keep their reason
+router.delete('/:ruleId', requirePermission('fraud.rules'), async (req, res, next) => {
+    try {
+        const ruleId = parseInt(req.params.ruleId);
+        if (isNaN(ruleId)) return res.status(400).json({ error: 'Invalid rule ID' });
+
+        const rule = await prisma.fraudRule.findUnique({ where: { id: ruleId } });
+        if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+        await prisma.fraudRule.delete({ where: { id: ruleId } });
+        res.status(204).send();
+    } catch (error) { next(error); }
+});
+
+module.exports = router;
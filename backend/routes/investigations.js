@@ -0,0 +1,395 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const {
+    prisma,
+    schemas,
+    permissionUtils,
+    ledgerUtils,
+    ledgerError,
+    reversalUtils,
+    flagUtils,
+    requirePermission,
+    validate,
+    validateQuery
+} = require('../middleware');
+
+const userSelect = { id: true, utorid: true, name: true };
+
+// Each resolution action also needs the permission for doing it by hand
+const resolutionActions = {
+    reverseTransactions: { permission: 'transactions.reverse', label: 'reverse transactions' },
+    clearFlags: { permission: 'transactions.flag', label: 'clear suspicious flags' },
+    demoteCashiers: { permission: 'users.promote', label: 'change roles' }
+};
+
+const statusLabels = { open: 'open', underReview: 'under review', resolved: 'resolved' };
+
+const caseInclude = {
+    opener: { select: userSelect },
+    assignee: { select: userSelect },
+    users: { include: { user: { select: { ...userSelect, role: true, suspicious: true } } } },
+    transactions: { include: { transaction: { include: { user: { select: { utorid: true } } } } } }
+};
+
+const caseSummary = (investigation) => ({
+    id: investigation.id,
+    title: investigation.title,
+    status: investigation.status,
+    openedBy: investigation.opener.utorid,
+    assignee: investigation.assignee,
+    users: investigation.users.map(link => link.user.utorid),
+    transactionIds: investigation.transactions.map(link => link.transactionId),
+    createdAt: investigation.createdAt,
+    updatedAt: investigation.updatedAt,
+    resolvedAt: investigation.resolvedAt
+});
+
+const caseResponse = (investigation) => ({
+    ...caseSummary(investigation),
+    summary: investigation.summary,
+    resolution: investigation.resolution === null ? null : investigation.resolution.split(',').filter(Boolean),
+    users: investigation.users.map(({ user }) => user),
+    transactions: investigation.transactions.map(({ transaction: tx }) => ({
+        id: tx.id,
+        utorid: tx.user.utorid,
+        type: tx.type,
+        amount: tx.amount,
+        spent: tx.spent,
+        suspicious: tx.suspicious,
+        flagReason: tx.flagReason,
+        reversed: Boolean(tx.reversedAt),
+        createdAt: tx.createdAt
+    })),
+    notes: investigation.notes.map(note => ({
+        id: note.id,
+        kind: note.kind,
+        body: note.body,
+        link: note.link,
+        author: note.author.utorid,
+        createdAt: note.createdAt
+    }))
+});
+
+const findCase = (id) => prisma.investigation.findUnique({
+    where: { id },
+    include: {
+        ...caseInclude,
+        notes: { include: { author: { select: { utorid: true } } }, orderBy: { createdAt: 'asc' } }
+    }
+});
+
+const logActivity = (db, investigationId, authorId, body) => db.investigationNote.create({
+    data: { investigationId, authorId, kind: 'activity', body }
+});
+
+// Looks up the users and transactions to link; returns an error message if any are missing
+const findSubjects = async (utorids = [], transactionIds = []) => {
+    const users = await prisma.user.findMany({ where: { utorid: { in: utorids } }, select: userSelect });
+    const missingUser = utorids.find(utorid => !users.some(u => u.utorid === utorid));
+    if (missingUser) return { error: `User not found: ${missingUser}` };
+
+    const transactions = await prisma.transaction.findMany({ where: { id: { in: transactionIds } }, select: { id: true } });
+    const missingTx = transactionIds.find(id => !transactions.some(tx => tx.id === id));
+    if (missingTx) return { error: `Transaction not found: #${missingTx}` };
+
+    return { users, transactions };
+};
+
+// Only staff who can work cases can be assigned one
+const findAssignee = async (utorid) => {
+    const user = await prisma.user.findUnique({ where: { utorid } });
+    if (!user) return { error: 'Assignee not found', status: 404 };
+    if (!(await permissionUtils.has(user, 'investigations.manage'))) {
+        return { error: 'Assignee cannot manage investigations', status: 400 };
+    }
+    return { user };
+};
+
+// GET /investigations - List cases; status "active" means open or under review
+router.get('/', requirePermission('investigations.manage'), validateQuery(z.object({
+    status: z.enum(['active', 'open', 'underReview', 'resolved']).optional(),
+    assignee: z.string().optional(),
+    page: z.preprocess(
+        (val) => (val === undefined || val === null || val === '') ? '1' : val,
+        z.string().regex(/^\d+$/)
+    ),
+    limit: z.preprocess(
+        (val) => (val === undefined || val === null || val === '') ? '10' : val,
+        z.string().regex(/^\d+$/)
+    )
+})), async (req, res, next) => {
+    try {
+        const { status, assignee, page = '1', limit = '10' } = req.validatedQuery;
+        const pageNum = parseInt(page), limitNum = parseInt(limit);
+
+        if (pageNum < 1) {
+            return res.status(400).json({ error: 'Page must be at least 1' });
+        }
+        if (limitNum < 1 || limitNum > 100) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+        }
+
+        const where = {};
+        if (status === 'active') where.status = { in: ['open', 'underReview'] };
+        else if (status) where.status = status;
+        if (assignee === 'me') where.assigneeId = req.user.id;
+        else if (assignee) where.assignee = { utorid: assignee };
+
+        const count = await prisma.investigation.count({ where });
+        const investigations = await prisma.investigation.findMany({
+            where,
+            include: caseInclude,
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.json({ count, results: investigations.map(caseSummary) });
+    } catch (error) { next(error); }
+});
+
+// POST /investigations - Open a case on users and transactions
+router.post('/', requirePermission('investigations.manage'), validate(schemas.createInvestigation), async (req, res, next) => {
+    try {
+        const { title, summary, utorids, transactionIds, assignee } = req.validatedData;
+        if (utorids.length === 0 && transactionIds.length === 0) {
+            return res.status(400).json({ error: 'A case needs at least one user or transaction' });
+        }
+
+        const subjects = await findSubjects(utorids, transactionIds);
+        if (subjects.error) return res.status(404).json({ error: subjects.error });
+
+        let assigneeUser = null;
+        if (assignee) {
+            const found = await findAssignee(assignee);
+            if (found.error) return res.status(found.status).json({ error: found.error });
+            assigneeUser = found.user;
+        }
+
+        const created = await prisma.$transaction(async (db) => {
+            const investigation = await db.investigation.create({
+                data: {
+                    title,
+                    summary: summary || '',
+                    openedBy: req.user.id,
+                    assigneeId: assigneeUser?.id ?? null,
+                    users: { create: subjects.users.map(u => ({ userId: u.id })) },
+                    transactions: { create: subjects.transactions.map(tx => ({ transactionId: tx.id })) }
+                }
+            });
+            await logActivity(db, investigation.id, req.user.id,
+                `Opened by ${req.user.utorid}` + (assigneeUser ? ` and assigned to ${assigneeUser.utorid}` : ''));
+            return investigation;
+        });
+
+        res.status(201).json(caseResponse(await findCase(created.id)));
+    } catch (error) { next(error); }
+});
+
+// GET /investigations/:investigationId - A case with its subjects and notes
+router.get('/:investigationId', requirePermission('investigations.manage'), async (req, res, next) => {
+    try {
+        const investigationId = parseInt(req.params.investigationId);
+        if (isNaN(investigationId)) return res.status(400).json({ error: 'Invalid investigation ID' });
+
+        const investigation = await findCase(investigationId);
+        if (!investigation) return res.status(404).json({ error: 'Investigation not found' });
+
+        res.json(caseResponse(investigation));
+    } catch (error) { next(error); }
+});
+
+// PATCH /investigations/:investigationId - Retitle, move between open and under review,
+// reassign, or link more users and transactions
+router.patch('/:investigationId', requirePermission('investigations.manage'), validate(schemas.updateInvestigation), async (req, res, next) => {
+    try {
+        const investigationId = parseInt(req.params.investigationId);
+        if (isNaN(investigationId)) return res.status(400).json({ error: 'Invalid investigation ID' });
+
+        const investigation = await prisma.investigation.findUnique({
+            where: { id: investigationId },
+            include: { assignee: { select: userSelect }, users: true, transactions: true }
+        });
+        if (!investigation) return res.status(404).json({ error: 'Investigation not found' });
+        if (investigation.status === 'resolved') return res.status(400).json({ error: 'Investigation is resolved' });
+
+        const { title, status, assignee, utorids = [], transactionIds = [] } = req.validatedData;
+        const subjects = await findSubjects(utorids, transactionIds);
+        if (subjects.error) return res.status(404).json({ error: subjects.error });
+        const newUsers = subjects.users.filter(u => !investigation.users.some(link => link.userId === u.id));
+        const newTransactions = subjects.transactions
+            .filter(tx => !investigation.transactions.some(link => link.transactionId === tx.id));
+
+        const updates = {};
+        const activity = [];
+        if (title !== undefined && title !== investigation.title) updates.title = title;
+        if (status !== undefined && status !== investigation.status) {
+            updates.status = status;
+            activity.push(`Marked ${statusLabels[status]}`);
+        }
+        if (assignee !== undefined && assignee !== (investigation.assignee?.utorid ?? null)) {
+            if (assignee === null) {
+                updates.assigneeId = null;
+                activity.push('Unassigned');
+            } else {
+                const found = await findAssignee(assignee);
+                if (found.error) return res.status(found.status).json({ error: found.error });
+                updates.assigneeId = found.user.id;
+                activity.push(`Assigned to ${found.user.utorid}`);
+            }
+        }
+        if (newUsers.length > 0) activity.push(`Added ${newUsers.map(u => u.utorid).join(', ')}`);
+        if (newTransactions.length > 0) activity.push(`Added ${newTransactions.map(tx => `#${tx.id}`).join(', ')}`);
+
+        await prisma.$transaction(async (db) => {
+            await db.investigation.update({
+                where: { id: investigationId },
+                data: {
+                    ...updates,
+                    users: { create: newUsers.map(u => ({ userId: u.id })) },
+                    transactions: { create: newTransactions.map(tx => ({ transactionId: tx.id })) }
+                }
+            });
+            if (activity.length > 0) {
+                await logActivity(db, investigationId, req.user.id, `${activity.join('. ')} by ${req.user.utorid}`);
+            }
+        });
+
+        res.json(caseResponse(await findCase(investigationId)));
+    } catch (error) { next(error); }
+});
+
+// POST /investigations/:investigationId/notes - Add a note or a piece of evidence
+router.post('/:investigationId/notes', requirePermission('investigations.manage'), validate(schemas.addInvestigationNote), async (req, res, next) => {
+    try {
+        const investigationId = parseInt(req.params.investigationId);
+        if (isNaN(investigationId)) return res.status(400).json({ error: 'Invalid investigation ID' });
+
+        const investigation = await prisma.investigation.findUnique({ where: { id: investigationId } });
+        if (!investigation) return res.status(404).json({ error: 'Investigation not found' });
+
+        const { kind, body, link } = req.validatedData;
+        const note = await prisma.investigationNote.create({
+            data: { investigationId, authorId: req.user.id, kind, body, link: link || null }
+        });
+        // Notes count as work on the case
+        await prisma.investigation.update({ where: { id: investigationId }, data: { updatedAt: new Date() } });
+
+        res.status(201).json({
+            id: note.id,
+            kind: note.kind,
+            body: note.body,
+            link: note.link,
+            author: req.user.utorid,
+            createdAt: note.createdAt
+        });
+    } catch (error) { next(error); }
+});
+
+// POST /investigations/:investigationId/resolution - Close the case, applying the chosen
+// actions to its users and transactions. Either every action succeeds or nothing changes.
+router.post('/:investigationId/resolution', requirePermission('investigations.manage'), validate(schemas.resolveInvestigation), async (req, res, next) => {
+    try {
+        const investigationId = parseInt(req.params.investigationId);
+        if (isNaN(investigationId)) return res.status(400).json({ error: 'Invalid investigation ID' });
+
+        const { actions, note } = req.validatedData;
+        for (const action of actions) {
+            const { permission, label } = resolutionActions[action];
+            if (!(await permissionUtils.has(req.user, permission))) {
+                return res.status(403).json({ error: `You are not allowed to ${label}` });
+            }
+        }
+
+        const investigation = await prisma.investigation.findUnique({
+            where: { id: investigationId },
+            include: { users: { include: { user: true } }, transactions: true }
+        });
+        if (!investigation) return res.status(404).json({ error: 'Investigation not found' });
+        if (investigation.status === 'resolved') return res.status(400).json({ error: 'Investigation is resolved' });
+
+        await ledgerUtils.run(async (db) => {
+            // Claim the case first so two managers cannot resolve it twice
+            const { count } = await db.investigation.updateMany({
+                where: { id: investigationId, status: { not: 'resolved' } },
+                data: {
+                    status: 'resolved',
+                    resolution: actions.join(','),
+                    resolvedAt: new Date(),
+                    resolvedBy: req.user.id
+                }
+            });
+            if (count === 0) throw ledgerError(400, 'Investigation is resolved');
+
+            // Errors name the transaction they came from
+            const forTransaction = async (transactionId, work) => {
+                try {
+                    return await work();
+                } catch (error) {
+                    if (error.status) throw ledgerError(error.status, `Transaction #${transactionId}: ${error.message}`);
+                    throw error;
+                }
+            };
+
+            const done = [];
+            // Reversals go first; a reversed transaction has nothing left to clear
+            if (actions.includes('reverseTransactions')) {
+                const reversed = [];
+                for (const { transactionId } of investigation.transactions) {
+                    const tx = await db.transaction.findUnique({ where: { id: transactionId } });
+                    // The other side of a linked transfer may already have gone with it
+                    if (tx.reversedAt || tx.cancelledAt) continue;
+                    await forTransaction(transactionId, () => reversalUtils.reverse(db, transactionId, {
+                        remark: `Reversed by investigation #${investigationId}`,
+                        reversedBy: req.user.id,
+                        reversedByRole: req.user.role
+                    }));
+                    reversed.push(`#${transactionId}`);
+                }
+                done.push(reversed.length > 0 ? `Reversed ${reversed.join(', ')}` : 'Nothing to reverse');
+            }
+            if (actions.includes('clearFlags')) {
+                const cleared = [];
+                for (const { transactionId } of investigation.transactions) {
+                    const tx = await db.transaction.findUnique({ where: { id: transactionId } });
+                    if (!tx.suspicious || tx.reversedAt) continue;
+                    await forTransaction(transactionId, () => flagUtils.setSuspicious(db, transactionId, false, req.user));
+                    cleared.push(`#${transactionId}`);
+                }
+                for (const { user } of investigation.users) {
+                    if (!user.suspicious) continue;
+                    // The flag is carried in tokens that are already issued
+                    await db.user.update({
+                        where: { id: user.id },
+                        data: { suspicious: false, tokenVersion: { increment: 1 } }
+                    });
+                    cleared.push(user.utorid);
+                }
+                done.push(cleared.length > 0 ? `Cleared flags on ${cleared.join(', ')}` : 'No flags to clear');
+            }
+            if (actions.includes('demoteCashiers')) {
+                const cashiers = investigation.users.filter(({ user }) => user.role === 'cashier');
+                for (const { user } of cashiers) {
+                    await db.user.update({
+                        where: { id: user.id },
+                        data: { role: 'regular', tokenVersion: { increment: 1 } }
+                    });
+                }
+                done.push(cashiers.length > 0
+                    ? `Demoted ${cashiers.map(({ user }) => user.utorid).join(', ')} to regular`
+                    : 'No cashiers to demote');
+            }
+
+            await logActivity(db, investigationId, req.user.id,
+                `Resolved by ${req.user.utorid}. ${done.length > 0 ? done.join('. ') : 'No action taken'}.`);
+            await db.investigationNote.create({
+                data: { investigationId, authorId: req.user.id, kind: 'note', body: note }
+            });
+        });
+
+        res.json(caseResponse(await findCase(investigationId)));
+    } catch (error) { next(error); }
+});
+
+module.exports = router;
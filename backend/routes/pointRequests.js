@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const {
+    prisma,
+    schemas,
+    ledgerUtils,
+    settingsUtils,
+    pointRequestUtils,
+    throttleUtils,
+    throttle,
+    requireRole,
+    validate,
+    validateQuery
+} = require('../middleware');
+
+const userSelect = { id: true, utorid: true, name: true };
+
+const pointRequestResponse = (request) => ({
+    id: request.id,
+    requester: request.requester,
+    recipient: request.recipient,
+    amount: request.amount,
+    remark: request.remark,
+    status: request.status,
+    expiresAt: request.expiresAt,
+    respondedAt: request.respondedAt,
+    transactionId: request.transactionId,
+    createdAt: request.createdAt
+});
+
+const findRequest = (id) => prisma.pointRequest.findUnique({
+    where: { id },
+    include: { requester: { select: userSelect }, recipient: { select: userSelect } }
+});
+
+// POST /point-requests - Ask another member for points
+// Every request counts against the requester's throttle, since each one sends an email
+router.post('/', requireRole('regular'), validate(schemas.createPointRequest), throttle('pointRequest', (req) => req.user.utorid), async (req, res, next) => {
+    try {
+        const { utorid, amount, remark } = req.validatedData;
+
+        await throttleUtils.recordFailure('pointRequest', { utorid: req.user.utorid, ip: req.ip, userId: req.user.id });
+        const requester = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!requester.verified) return res.status(403).json({ error: 'Requester not verified' });
+
+        const recipient = await prisma.user.findUnique({ where: { utorid } });
+        if (!recipient) return res.status(404).json({ error: 'Recipient not found' });
+        if (recipient.id === requester.id) {
+            return res.status(400).json({ error: 'Cannot request points from yourself' });
+        }
+
+        const days = await settingsUtils.get('pointRequestExpiryDays');
+        const created = await prisma.pointRequest.create({
+            data: {
+                requesterId: requester.id,
+                recipientId: recipient.id,
+                amount,
+                remark: remark || '',
+                expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+            }
+        });
+
+        await pointRequestUtils.notify(recipient,
+            `${requester.name} (${requester.utorid}) has requested ${amount} points from you.`
+            + (created.remark ? ` Note: ${created.remark}` : ''));
+
+        res.status(201).json(pointRequestResponse(await findRequest(created.id)));
+    } catch (error) { next(error); }
+});
+
+// GET /point-requests - List requests the current user made or received
+router.get('/', requireRole('regular'), validateQuery(z.object({
+    direction: z.enum(['incoming', 'outgoing']).optional(),
+    status: z.enum(['pending', 'approved', 'declined', 'cancelled', 'expired']).optional(),
+    page: z.preprocess(
+        (val) => (val === undefined || val === null || val === '') ? '1' : val,
+        z.string().regex(/^\d+$/)
+    ),
+    limit: z.preprocess(
+        (val) => (val === undefined || val === null || val === '') ? '10' : val,
+        z.string().regex(/^\d+$/)
+    )
+})), async (req, res, next) => {
+    try {
+        const { direction, status, page = '1', limit = '10' } = req.validatedQuery;
+        const pageNum = parseInt(page), limitNum = parseInt(limit);
+
+        if (pageNum < 1) {
+            return res.status(400).json({ error: 'Page must be at least 1' });
+        }
+        if (limitNum < 1 || limitNum > 100) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+        }
+
+        await pointRequestUtils.expireStale();
+
+        const where = {};
+        if (direction === 'incoming') where.recipientId = req.user.id;
+        else if (direction === 'outgoing') where.requesterId = req.user.id;
+        else where.OR = [{ recipientId: req.user.id }, { requesterId: req.user.id }];
+        if (status) where.status = status;
+
+        const count = await prisma.pointRequest.count({ where });
+        const requests = await prisma.pointRequest.findMany({
+            where,
+            include: { requester: { select: userSelect }, recipient: { select: userSelect } },
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.json({ count, results: requests.map(pointRequestResponse) });
+    } catch (error) { next(error); }
+});
+
+// PATCH /point-requests/:requestId - Approve or decline (recipient) or cancel (requester)
+router.patch('/:requestId', requireRole('regular'), validate(schemas.respondPointRequest), async (req, res, next) => {
+    try {
+        const requestId = parseInt(req.params.requestId);
+        if (isNaN(requestId)) return res.status(400).json({ error: 'Invalid request ID' });
+        const { status } = req.validatedData;
+
+        await pointRequestUtils.expireStale();
+        const request = await prisma.pointRequest.findUnique({
+            where: { id: requestId },
+            include: { requester: true, recipient: true }
+        });
+        if (!request || (request.requesterId !== req.user.id && request.recipientId !== req.user.id)) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+        const answeringAs = status === 'cancelled' ? request.requesterId : request.recipientId;
+        if (answeringAs !== req.user.id) {
+            return res.status(403).json({
+                error: status === 'cancelled'
+                    ? 'Only the requester can cancel a request'
+                    : 'Only the recipient can answer a request'
+            });
+        }
+        if (request.status !== 'pending') {
+            return res.status(400).json({ error: 'Request is no longer pending' });
+        }
+
+        const { requester, recipient } = request;
+        if (status === 'approved') {
+            if (!recipient.verified) return res.status(403).json({ error: 'Sender not verified' });
+
+            const { received } = await ledgerUtils.run(async (db) => {
+                await pointRequestUtils.respond(db, requestId, 'approved');
+                const transfer = await ledgerUtils.transfer(db, recipient, requester, request.amount, request.remark);
+                await db.pointRequest.update({ where: { id: requestId }, data: { transactionId: transfer.sent.id } });
+                return transfer;
+            });
+            await pointRequestUtils.notify(requester, received.suspicious
+                ? `${recipient.name} (${recipient.utorid}) approved your request for ${request.amount} points. The transfer is held for review.`
+                : `${recipient.name} (${recipient.utorid}) approved your request and sent you ${request.amount} points.`);
+        } else {
+            await ledgerUtils.run((db) => pointRequestUtils.respond(db, requestId, status));
+            if (status === 'declined') {
+                await pointRequestUtils.notify(requester,
+                    `${recipient.name} (${recipient.utorid}) declined your request for ${request.amount} points.`);
+            } else {
+                await pointRequestUtils.notify(recipient,
+                    `${requester.name} (${requester.utorid}) cancelled their request for ${request.amount} points.`);
+            }
+        }
+
+        res.json(pointRequestResponse(await findRequest(requestId)));
+    } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -5,14 +5,15 @@ const {
     prisma,
     schemas,
     jwtUtils,
-    requireRole,
+    permissionUtils,
+    requirePermission,
     optionalAuth,
     validate,
     validateQuery
 } = require('../middleware');
 
 // POST /promotions - Create promotion
-router.post('/', requireRole('manager'), async (req, res, next) => {
+router.post('/', requirePermission('promotions.manage'), async (req, res, next) => {
     try {
         // Now validate request body
         let validatedData;
@@ -93,7 +94,7 @@ router.get('/', optionalAuth, validateQuery(z.object({
         // Determine which user's role to use for filtering
         let targetUser = req.user;
         let targetUserId = req.user?.id;
-        const requesterIsManagerOrAbove = req.user && ['manager', 'superuser'].includes(req.user.role);
+        const requesterCanManage = await permissionUtils.has(req.user, 'promotions.manage');
         
         // If utorid is provided, look up that user instead
         if (utorid) {
@@ -109,13 +110,13 @@ router.get('/', optionalAuth, validateQuery(z.object({
         if (name) where.name = { contains: name };
         if (type) where.type = type;
         
-        // Use target user's role to determine visibility
-        const isManagerOrAbove = targetUser && ['manager', 'superuser'].includes(targetUser.role);
+        // Use target user's permissions to determine visibility
+        const canManagePromotions = await permissionUtils.has(targetUser, 'promotions.manage');
         
         if (utorid) {
             where.startTime = { lte: now };
             where.endTime = { gte: now };
-        } else if (isManagerOrAbove) {
+        } else if (canManagePromotions) {
             // Only apply time filters if explicitly requested with 'true' or 'false'
             if (started === 'true') {
                 // Active promotions: started and not ended
@@ -142,7 +143,7 @@ router.get('/', optionalAuth, validateQuery(z.object({
             } : false
         });
         
-        if (targetUserId && (!requesterIsManagerOrAbove || utorid)) {
+        if (targetUserId && (!requesterCanManage || utorid)) {
             promotions = promotions.filter(p => {
                 if (p.type === 'automatic') return true;
                 const userPromo = p.userPromotions?.find(up => up.userId === targetUserId);
@@ -164,7 +165,7 @@ router.get('/', optionalAuth, validateQuery(z.object({
                 rate: p.rate,
                 points: p.points
             };
-            if (isManagerOrAbove) result.startTime = p.startTime;
+            if (canManagePromotions) result.startTime = p.startTime;
             return result;
         });
         
@@ -184,13 +185,13 @@ router.get('/:promotionId', optionalAuth, async (req, res, next) => {
         
         if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
         
-        const isManagerOrAbove = req.user && ['manager', 'superuser'].includes(req.user.role);
+        const canManagePromotions = await permissionUtils.has(req.user, 'promotions.manage');
         const now = new Date();
         
         const isActive = promotion.startTime <= now && promotion.endTime >= now;
         
         // Regular users can only see active promotions
-        if (!isManagerOrAbove && !isActive) {
+        if (!canManagePromotions && !isActive) {
             return res.status(404).json({ error: 'Promotion not found' });
         }
         
@@ -205,14 +206,14 @@ router.get('/:promotionId', optionalAuth, async (req, res, next) => {
             points: promotion.points
         };
         
-        if (isManagerOrAbove) response.startTime = promotion.startTime;
+        if (canManagePromotions) response.startTime = promotion.startTime;
         
         res.json(response);
     } catch (error) { next(error); }
 });
 
 // PATCH /promotions/:promotionId - Update promotion
-router.patch('/:promotionId', requireRole('manager'), async (req, res, next) => {
+router.patch('/:promotionId', requirePermission('promotions.manage'), async (req, res, next) => {
     try {
         const promotionId = parseInt(req.params.promotionId);
 
@@ -309,7 +310,7 @@ router.patch('/:promotionId', requireRole('manager'), async (req, res, next) =>
 });
 
 // DELETE /promotions/:promotionId - Delete promotion
-router.delete('/:promotionId', requireRole('manager'), async (req, res, next) => {
+router.delete('/:promotionId', requirePermission('promotions.manage'), async (req, res, next) => {
     try {
         const promotionId = parseInt(req.params.promotionId);
         if (isNaN(promotionId) || promotionId <= 0) {
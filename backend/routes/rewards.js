@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const {
+    prisma,
+    schemas,
+    permissionUtils,
+    rewardUtils,
+    rewardImageUpload,
+    requireRole,
+    requirePermission,
+    validate,
+    validateQuery
+} = require('../middleware');
+
+const rewardResponse = (reward) => ({
+    id: reward.id,
+    name: reward.name,
+    description: reward.description,
+    imageUrl: reward.imageUrl,
+    pointCost: reward.pointCost,
+    stock: reward.stock,
+    perUserLimit: reward.perUserLimit,
+    startTime: reward.startTime,
+    endTime: reward.endTime,
+    active: rewardUtils.isActive(reward)
+});
+
+const activeWhere = (now) => ({
+    AND: [
+        { OR: [{ startTime: null }, { startTime: { lte: now } }] },
+        { OR: [{ endTime: null }, { endTime: { gt: now } }] }
+    ]
+});
+
+// POST /rewards - Add a reward to the catalog
+router.post('/', requirePermission('rewards.manage'), rewardImageUpload.single('image'), validate(schemas.createReward), async (req, res, next) => {
+    try {
+        const { name, description, pointCost, stock, perUserLimit, startTime, endTime } = req.validatedData;
+        const start = startTime ? new Date(startTime) : null;
+        const end = endTime ? new Date(endTime) : null;
+        if (start && end && start >= end) return res.status(400).json({ error: 'End time must be after start time' });
+
+        const reward = await prisma.reward.create({
+            data: {
+                name, description, pointCost,
+                stock: stock ?? null,
+                perUserLimit: perUserLimit ?? null,
+                startTime: start,
+                endTime: end,
+                imageUrl: req.file ? `/uploads/rewards/${req.file.filename}` : null
+            }
+        });
+
+        res.status(201).json(rewardResponse(reward));
+    } catch (error) { next(error); }
+});
+
+// GET /rewards - List the catalog; only managers see rewards outside their active window
+router.get('/', requireRole('regular'), validateQuery(z.object({
+    name: z.string().optional(),
+    active: z.enum(['true', 'false']).optional(),
+    page: z.preprocess(
+        (val) => (val === undefined || val === null || val === '') ? '1' : val,
+        z.string().regex(/^\d+$/)
+    ),
+    limit: z.preprocess(
+        (val) => (val === undefined || val === null || val === '') ? '10' : val,
+        z.string().regex(/^\d+$/)
+    )
+})), async (req, res, next) => {
+    try {
+        const { name, active, page = '1', limit = '10' } = req.validatedQuery;
+        const pageNum = parseInt(page), limitNum = parseInt(limit);
+
+        if (pageNum < 1) {
+            return res.status(400).json({ error: 'Page must be at least 1' });
+        }
+        if (limitNum < 1 || limitNum > 100) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+        }
+
+        const canManage = await permissionUtils.has(req.user, 'rewards.manage');
+        const now = new Date();
+
+        const where = {};
+        if (name) where.name = { contains: name };
+        if (!canManage || active === 'true') {
+            Object.assign(where, activeWhere(now));
+        } else if (active === 'false') {
+            where.NOT = activeWhere(now);
+        }
+
+        const count = await prisma.reward.count({ where });
+        const rewards = await prisma.reward.findMany({
+            where,
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            orderBy: [{ pointCost: 'asc' }, { id: 'asc' }]
+        });
+
+        res.json({ count, results: rewards.map(rewardResponse) });
+    } catch (error) { next(error); }
+});
+
+// GET /rewards/:rewardId - Get reward details
+router.get('/:rewardId', requireRole('regular'), async (req, res, next) => {
+    try {
+        const rewardId = parseInt(req.params.rewardId);
+        if (isNaN(rewardId)) return res.status(400).json({ error: 'Invalid reward ID' });
+
+        const reward = await prisma.reward.findUnique({ where: { id: rewardId } });
+        if (!reward) return res.status(404).json({ error: 'Reward not found' });
+
+        if (!rewardUtils.isActive(reward) && !(await permissionUtils.has(req.user, 'rewards.manage'))) {
+            return res.status(404).json({ error: 'Reward not found' });
+        }
+
+        res.json(rewardResponse(reward));
+    } catch (error) { next(error); }
+});
+
+// PATCH /rewards/:rewardId - Update a reward, its stock or its image
+router.patch('/:rewardId', requirePermission('rewards.manage'), rewardImageUpload.single('image'), validate(schemas.updateReward), async (req, res, next) => {
+    try {
+        const rewardId = parseInt(req.params.rewardId);
+        if (isNaN(rewardId)) return res.status(400).json({ error: 'Invalid reward ID' });
+
+        const reward = await prisma.reward.findUnique({ where: { id: rewardId } });
+        if (!reward) return res.status(404).json({ error: 'Reward not found' });
+
+        const updates = {};
+        for (const [key, value] of Object.entries(req.validatedData)) {
+            if (value === undefined) continue;
+            updates[key] = (key === 'startTime' || key === 'endTime') && value !== null ? new Date(value) : value;
+        }
+        if (req.file) updates.imageUrl = `/uploads/rewards/${req.file.filename}`;
+
+        const start = updates.startTime !== undefined ? updates.startTime : reward.startTime;
+        const end = updates.endTime !== undefined ? updates.endTime : reward.endTime;
+        if (start && end && start >= end) return res.status(400).json({ error: 'End time must be after start time' });
+
+        const updated = await prisma.reward.update({ where: { id: rewardId }, data: updates });
+        res.json(rewardResponse(updated));
+    } catch (error) { next(error); }
+});
+
+// DELETE /rewards/:rewardId - Remove a reward that was never redeemed
+router.delete('/:rewardId', requirePermission('rewards.manage'), async (req, res, next) => {
+    try {
+        const rewardId = parseInt(req.params.rewardId);
+        if (isNaN(rewardId)) return res.status(400).json({ error: 'Invalid reward ID' });
+
+        const reward = await prisma.reward.findUnique({ where: { id: rewardId } });
+        if (!reward) return res.status(404).json({ error: 'Reward not found' });
+
+        // Redemptions keep pointing at the reward, so it can only be retired
+        const redemptions = await prisma.transaction.count({ where: { rewardId } });
+        if (redemptions > 0) {
+            return res.status(400).json({ error: 'Reward has been redeemed; set an end time to retire it instead' });
+        }
+
+        await prisma.reward.delete({ where: { id: rewardId } });
+        res.status(204).send();
+    } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const {
+    prisma,
+    sessionUtils,
+    apiKeyUtils,
+    apiKeyScopes,
+    schemas,
+    requirePermission,
+    validate
+} = require('../middleware');
+
+const formatApiKey = (apiKey) => ({
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: JSON.parse(apiKey.scopes),
+    createdAt: apiKey.createdAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt
+});
+
+const formatAccount = (account) => ({
+    id: account.id,
+    utorid: account.utorid,
+    name: account.name,
+    role: account.role,
+    createdAt: account.createdAt,
+    apiKeys: (account.apiKeys || []).map(formatApiKey)
+});
+
+// The plaintext key is only ever returned from here, once
+const issueApiKey = async (accountId, { name, scopes, expiresAt }, createdBy) => {
+    const { key, prefix } = apiKeyUtils.generate();
+    const apiKey = await prisma.apiKey.create({
+        data: {
+            userId: accountId,
+            name,
+            prefix,
+            keyHash: sessionUtils.hashToken(key),
+            scopes: JSON.stringify(scopes),
+            expiresAt,
+            createdBy
+        }
+    });
+    return { ...formatApiKey(apiKey), key };
+};
+
+const findAccount = async (accountId) => {
+    const id = parseInt(accountId);
+    if (isNaN(id)) return null;
+    return prisma.user.findFirst({ where: { id, isServiceAccount: true } });
+};
+
+// GET /service-accounts - List service accounts and their keys
+router.get('/', requirePermission('settings.manage'), async (req, res, next) => {
+    try {
+        const accounts = await prisma.user.findMany({
+            where: { isServiceAccount: true },
+            include: { apiKeys: { orderBy: { createdAt: 'desc' } } },
+            orderBy: { createdAt: 'asc' }
+        });
+        res.json({ scopes: apiKeyScopes, results: accounts.map(formatAccount) });
+    } catch (error) { next(error); }
+});
+
+// POST /service-accounts - Create a service account
+router.post('/', requirePermission('settings.manage'), validate(schemas.createServiceAccount), async (req, res, next) => {
+    try {
+        const { name } = req.validatedData;
+        // Service accounts act as cashiers but can never log in with a password
+        const utorid = `svc${crypto.randomBytes(3).toString('hex').slice(0, 5)}`;
+        const account = await prisma.user.create({
+            data: {
+                utorid,
+                name,
+                email: `${utorid}@service.invalid`,
+                password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+                role: 'cashier',
+                verified: true,
+                isServiceAccount: true
+            }
+        });
+        res.status(201).json(formatAccount(account));
+    } catch (error) {
+        if (error.code === 'P2002') return res.status(409).json({ error: 'Please try again' });
+        next(error);
+    }
+});
+
+// POST /service-accounts/:accountId/keys - Issue a new API key
+router.post('/:accountId/keys', requirePermission('settings.manage'), validate(schemas.createApiKey), async (req, res, next) => {
+    try {
+        const account = await findAccount(req.params.accountId);
+        if (!account) return res.status(404).json({ error: 'Service account not found' });
+        
+        const { name, scopes, expiresInDays } = req.validatedData;
+        const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+        const apiKey = await issueApiKey(account.id, { name, scopes: [...new Set(scopes)], expiresAt }, req.user.id);
+        res.status(201).json(apiKey);
+    } catch (error) { next(error); }
+});
+
+// POST /service-accounts/:accountId/keys/:keyId/rotation - Replace a key with a fresh one
+router.post('/:accountId/keys/:keyId/rotation', requirePermission('settings.manage'), async (req, res, next) => {
+    try {
+        const account = await findAccount(req.params.accountId);
+        if (!account) return res.status(404).json({ error: 'Service account not found' });
+        
+        const keyId = parseInt(req.params.keyId);
+        const existing = isNaN(keyId) ? null : await prisma.apiKey.findFirst({ where: { id: keyId, userId: account.id } });
+        if (!existing) return res.status(404).json({ error: 'API key not found' });
+        if (existing.revokedAt) return res.status(400).json({ error: 'API key already revoked' });
+        
+        // The replacement keeps the name, scopes and lifetime of the old key
+        const lifetime = existing.expiresAt - existing.createdAt;
+        const apiKey = await issueApiKey(account.id, {
+            name: existing.name,
+            scopes: JSON.parse(existing.scopes),
+            expiresAt: new Date(Date.now() + lifetime)
+        }, req.user.id);
+        await prisma.apiKey.update({ where: { id: existing.id }, data: { revokedAt: new Date() } });
+        
+        res.status(201).json(apiKey);
+    } catch (error) { next(error); }
+});
+
+// DELETE /service-accounts/:accountId/keys/:keyId - Revoke a key
+router.delete('/:accountId/keys/:keyId', requirePermission('settings.manage'), async (req, res, next) => {
+    try {
+        const account = await findAccount(req.params.accountId);
+        if (!account) return res.status(404).json({ error: 'Service account not found' });
+        
+        const keyId = parseInt(req.params.keyId);
+        const existing = isNaN(keyId) ? null : await prisma.apiKey.findFirst({ where: { id: keyId, userId: account.id } });
+        if (!existing) return res.status(404).json({ error: 'API key not found' });
+        
+        if (!existing.revokedAt) {
+            await prisma.apiKey.update({ where: { id: existing.id }, data: { revokedAt: new Date() } });
+        }
+        res.status(204).send();
+    } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { settingsUtils, settingDefinitions, permissionDefinitions, EDITABLE_ROLES, requirePermission } = require('../middleware');
+
+// GET /settings - Current value of every setting
+router.get('/', requirePermission('settings.manage'), async (req, res, next) => {
+    try {
+        res.json(await settingsUtils.getAll());
+    } catch (error) { next(error); }
+});
+
+// GET /settings/permissions - Catalog of named permissions and the roles they can be mapped to
+router.get('/permissions', requirePermission('settings.manage'), (req, res) => {
+    res.json({
+        roles: EDITABLE_ROLES,
+        permissions: Object.entries(permissionDefinitions).map(([name, definition]) => ({
+            name,
+            description: definition.description,
+            defaultRole: definition.defaultRole
+        }))
+    });
+});
+
+// PATCH /settings - Update one or more settings
+router.patch('/', requirePermission('settings.manage'), async (req, res, next) => {
+    try {
+        const body = req.body && typeof req.body === 'object' ? req.body : {};
+        const keys = Object.keys(body);
+        if (keys.length === 0) {
+            return res.status(400).json({ error: 'At least one setting must be provided' });
+        }
+        
+        // Role mappings decide who holds what, so like per-user grants they stay with superusers
+        if (keys.includes('rolePermissions') && req.user.role !== 'superuser') {
+            return res.status(403).json({ error: 'Only superusers can change role permissions' });
+        }
+        
+        // Validate everything before writing anything
+        const updates = {};
+        for (const key of keys) {
+            const definition = settingDefinitions[key];
+            if (!definition) return res.status(400).json({ error: `Unknown setting: ${key}` });
+            try {
+                updates[key] = definition.schema.parse(body[key]);
+            } catch (error) {
+                if (error instanceof z.ZodError) {
+                    return res.status(400).json({ error: `Invalid value for ${key}` });
+                }
+                throw error;
+            }
+        }
+        
+        for (const [key, value] of Object.entries(updates)) {
+            await settingsUtils.set(key, value, req.user.id);
+        }
+        
+        res.json(await settingsUtils.getAll());
+    } catch (error) { next(error); }
+});
+
+module.exports = router;
@@ -4,121 +4,70 @@ const { z } = require('zod');
 const {
     prisma,
     schemas,
+    permissionUtils,
     requireRole,
+    requirePermission,
+    allowApiKey,
+    idempotent,
     validate,
     validateQuery,
     coerceBoolean,
-    calculatePurchasePoints
+    calculatePurchasePoints,
+    earnRateUtils,
+    ledgerUtils,
+    ledgerError,
+    redemptionUtils,
+    refundUtils,
+    reversalUtils,
+    flagUtils,
+    purchaseUtils,
+    importUtils,
+    receiptUtils,
+    reconciliationUtils
 } = require('../middleware');
 
-// POST /transactions - Create purchase/adjustment
-router.post('/', requireRole('cashier'), validate(schemas.createTransaction), async (req, res, next) => {
+// POST /transactions - Create purchase/adjustment/refund
+router.post('/', allowApiKey((req) => `transactions:${req.body?.type}`), requirePermission((req) => (
+    req.body?.type === 'adjustment' ? 'transactions.adjust'
+        : req.body?.type === 'refund' ? 'transactions.refund'
+            : 'transactions.purchase'
+)), idempotent, validate(schemas.createTransaction), async (req, res, next) => {
     try {
         const { utorid, type, spent, amount, relatedId, promotionIds = [], remark } = req.validatedData;
         
         const targetUser = await prisma.user.findUnique({ where: { utorid } });
         if (!targetUser) return res.status(404).json({ error: 'User not found' });
         
-        let transaction, earnedPoints;
+        let transaction;
         
         if (type === 'purchase') {
-            if (!spent || spent <= 0) return res.status(400).json({ error: 'Invalid spent amount' });
-            
-            // Automatically fetch and include automatic promotions
-            const now = new Date();
-            const automaticPromotions = await prisma.promotion.findMany({
-                where: {
-                    type: 'automatic',
-                    startTime: { lte: now },
-                    endTime: { gte: now }
-                }
-            });
-            
-            // Filter automatic promotions based on user role and minimum spending
-            const applicableAutomaticPromotions = automaticPromotions.filter(promo => {
-                // Check if user role allows this promotion (regular users see all active, managers/superusers see all)
-                const isManagerOrAbove = ['manager', 'superuser'].includes(targetUser.role);
-                // For now, all active automatic promotions are available to all users
-                // Check minimum spending requirement
-                if (promo.minSpending && spent < promo.minSpending) {
-                    return false;
-                }
-                return true;
-            });
-            
-            // Combine manual promotion IDs with automatic promotion IDs
-            const allPromotionIds = [...new Set([
-                ...promotionIds.map(id => parseInt(id)),
-                ...applicableAutomaticPromotions.map(p => p.id)
-            ])];
-            
-            earnedPoints = await calculatePurchasePoints(spent, allPromotionIds, targetUser.id);
-            
             const creator = await prisma.user.findUnique({ where: { id: req.user.id } });
             if (!creator) return res.status(404).json({ error: 'Creator not found' });
             
-            // Transaction is suspicious if creator is a cashier AND marked as suspicious
-            const suspicious = creator.role === 'cashier' && Boolean(creator.suspicious);
-            // If cashier is suspicious, transaction should be pending (not processed)
-            const processed = !suspicious;
-            
-            transaction = await prisma.transaction.create({
-                data: {
-                    userId: targetUser.id,
-                    type: 'purchase',
-                    amount: earnedPoints, // Store the calculated points even if suspicious
-                    spent,
-                    suspicious,
-                    processed,
-                    remark: remark || '',
-                    createdBy: req.user.id
-                }
-            });
-            
-            // Link promotions (including automatic ones)
-            if (allPromotionIds && allPromotionIds.length > 0) {
-                await prisma.transactionPromotion.createMany({
-                    data: allPromotionIds.map(pid => ({ transactionId: transaction.id, promotionId: pid }))
-                });
-                
-                // Mark one-time promotions as used
-                for (const pid of allPromotionIds) {
-                    const promo = await prisma.promotion.findUnique({ where: { id: pid } });
-                    if (promo && promo.type === 'onetime') {
-                        await prisma.userPromotion.upsert({
-                            where: { userId_promotionId: { userId: targetUser.id, promotionId: pid } },
-                            update: { used: true },
-                            create: { userId: targetUser.id, promotionId: pid, used: true }
-                        });
-                    }
-                }
-            }
-            
-            // Only update user points if transaction is NOT suspicious
-            // The transaction amount still stores the calculated points for audit purposes
-            if (!suspicious) {
-                await prisma.user.update({
-                    where: { id: targetUser.id },
-                    data: { points: { increment: earnedPoints } }
+            const now = new Date();
+            const earnRate = await earnRateUtils.current(now);
+            // Fraud counts and one-time promotion use are read in the same transaction as the
+            // write, so concurrent purchases for one member cannot all pass on the same counts
+            let purchase;
+            transaction = await ledgerUtils.run(async (db) => {
+                purchase = await purchaseUtils.prepare(db, { user: targetUser, creator, spent, promotionIds, earnRate, now });
+                return purchaseUtils.record(db, purchase, {
+                    remark, createdBy: creator.id, createdByRole: req.user.role
                 });
-            }
+            });
             
-            const creatorUser = await prisma.user.findUnique({ where: { id: req.user.id } });
             return res.status(201).json({
                 id: transaction.id,
                 utorid: targetUser.utorid,
                 type: 'purchase',
                 spent: transaction.spent,
-                earned: suspicious ? 0 : earnedPoints,
+                earned: purchase.flagReason ? 0 : purchase.earned,
                 remark: transaction.remark,
-                promotionIds: allPromotionIds || [],
-                createdBy: creatorUser.utorid
+                promotionIds: purchase.promotionIds,
+                createdBy: creator.utorid
             });
             
         } else if (type === 'adjustment') {
-            if (req.user.role !== 'manager' && req.user.role !== 'superuser') {
-                return res.status(403).json({ error: 'Forbidden' });
-            }
             // Check if required fields are missing (400)
             if (amount === undefined || amount === null) {
                 return res.status(400).json({ error: 'Invalid adjustment data' });
@@ -144,29 +93,30 @@ router.post('/', requireRole('cashier'), validate(schemas.createTransaction), as
             const relatedTransaction = await prisma.transaction.findUnique({ where: { id: relatedIdNum } });
             if (!relatedTransaction) return res.status(404).json({ error: 'Related transaction not found' });
             
-            transaction = await prisma.transaction.create({
-                data: {
-                    userId: targetUser.id,
-                    type: 'adjustment',
-                    amount,
-                    relatedId: relatedIdNum,
-                    remark: remark || '',
-                    createdBy: req.user.id,
-                    processed: true  // Adjustments are applied immediately, so they're processed
-                }
-            });
-            
-            // Link promotions
-            if (promotionIds && promotionIds.length > 0) {
-                await prisma.transactionPromotion.createMany({
-                    data: promotionIds.map(pid => ({ transactionId: transaction.id, promotionId: pid }))
+            transaction = await ledgerUtils.run(async (db) => {
+                const created = await db.transaction.create({
+                    data: {
+                        userId: targetUser.id,
+                        type: 'adjustment',
+                        amount,
+                        relatedId: relatedIdNum,
+                        remark: remark || '',
+                        createdBy: req.user.id,
+                        createdByRole: req.user.role,
+                        processed: true  // Adjustments are applied immediately, so they're processed
+                    }
                 });
-            }
-            
-            // Apply adjustment immediately
-            await prisma.user.update({
-                where: { id: targetUser.id },
-                data: { points: { increment: amount } }
+                
+                // Link promotions
+                if (promotionIds && promotionIds.length > 0) {
+                    await db.transactionPromotion.createMany({
+                        data: promotionIds.map(pid => ({ transactionId: created.id, promotionId: pid }))
+                    });
+                }
+                
+                // Apply adjustment immediately
+                await ledgerUtils.adjust(db, targetUser.id, amount);
+                return created;
             });
             
             const creatorUser = await prisma.user.findUnique({ where: { id: req.user.id } });
@@ -181,6 +131,53 @@ router.post('/', requireRole('cashier'), validate(schemas.createTransaction), as
                 createdBy: creatorUser.utorid,
                 processed: transaction.processed
             });
+        } else if (type === 'refund') {
+            // spent is the dollar amount being returned and relatedId the purchase it came from
+            if (!spent || spent <= 0) return res.status(400).json({ error: 'Invalid refund amount' });
+            if (!Number.isInteger(relatedId) || relatedId <= 0) {
+                return res.status(400).json({ error: 'Invalid refund data' });
+            }
+            
+            const purchase = await prisma.transaction.findUnique({ where: { id: relatedId } });
+            if (!purchase || purchase.type !== 'purchase') return res.status(404).json({ error: 'Purchase not found' });
+            if (purchase.userId !== targetUser.id) {
+                return res.status(400).json({ error: 'Purchase belongs to another user' });
+            }
+            if (purchase.reversedAt) return res.status(400).json({ error: 'Transaction has been reversed' });
+            if (!purchase.processed || purchase.suspicious || !purchase.spent) {
+                return res.status(400).json({ error: 'Only processed purchases can be refunded' });
+            }
+            
+            transaction = await ledgerUtils.run(async (db) => {
+                const created = await db.transaction.create({
+                    data: {
+                        userId: targetUser.id,
+                        type: 'refund',
+                        amount: 0,
+                        spent,
+                        relatedId: purchase.id,
+                        remark: remark || '',
+                        createdBy: req.user.id,
+                        createdByRole: req.user.role,
+                        processed: true
+                    }
+                });
+                // Points already spent are still taken back, so the balance can go below zero
+                const clawback = await refundUtils.pointsFor(db, purchase);
+                if (clawback !== 0) await ledgerUtils.adjust(db, targetUser.id, clawback);
+                return db.transaction.update({ where: { id: created.id }, data: { amount: clawback } });
+            });
+            
+            return res.status(201).json({
+                id: transaction.id,
+                utorid: targetUser.utorid,
+                type: 'refund',
+                spent: transaction.spent,
+                amount: transaction.amount,
+                relatedId: purchase.id,
+                remark: transaction.remark,
+                createdBy: req.user.utorid
+            });
         } else {
             return res.status(400).json({ error: 'Invalid transaction type' });
         }
@@ -195,8 +192,76 @@ router.post('/', requireRole('cashier'), validate(schemas.createTransaction), as
     }
 });
 
+// POST /transactions/import - Record offline purchases from a CSV file, or preview them with dryRun
+router.post('/import', requirePermission('transactions.purchase'), idempotent, validate(schemas.importPurchases), async (req, res, next) => {
+    try {
+        const { csv, dryRun } = req.validatedData;
+        const creator = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!creator) return res.status(404).json({ error: 'Creator not found' });
+        
+        const { rows, importBatchId } = await importUtils.run(csv, { creator, creatorRole: req.user.role, dryRun });
+        const errors = rows.filter(row => row.error).length;
+        const summary = {
+            count: rows.length,
+            errors,
+            spent: Math.round(rows.reduce((sum, row) => sum + (row.error ? 0 : row.spent), 0) * 100) / 100,
+            earned: rows.reduce((sum, row) => sum + (row.error ? 0 : row.earned), 0),
+            held: rows.filter(row => row.flagReason).length
+        };
+        
+        if (dryRun) return res.json({ dryRun: true, ...summary, rows });
+        if (errors > 0) {
+            return res.status(400).json({
+                error: `${errors} row${errors === 1 ? ' has' : 's have'} errors; nothing was imported`,
+                ...summary,
+                rows
+            });
+        }
+        res.status(201).json({ importBatchId, ...summary, rows });
+    } catch (error) { next(error); }
+});
+
+// POST /transactions/import/:importBatchId/reversal - Reverse every purchase of an import
+router.post('/import/:importBatchId/reversal', requirePermission('transactions.reverse'), validate(schemas.reverseTransaction), async (req, res, next) => {
+    try {
+        const { importBatchId } = req.params;
+        const purchases = await prisma.transaction.findMany({
+            where: { importBatchId },
+            select: { id: true, reversedAt: true },
+            orderBy: { id: 'asc' }
+        });
+        if (purchases.length === 0) return res.status(404).json({ error: 'Import not found' });
+        const pending = purchases.filter(tx => !tx.reversedAt);
+        if (pending.length === 0) return res.status(400).json({ error: 'Import already reversed' });
+        
+        const entries = await ledgerUtils.run(async (db) => {
+            const written = [];
+            for (const { id } of pending) {
+                try {
+                    const reversal = await reversalUtils.reverse(db, id, {
+                        remark: req.validatedData.remark || `Reversal of transaction #${id} (import ${importBatchId})`,
+                        reversedBy: req.user.id,
+                        reversedByRole: req.user.role
+                    });
+                    written.push(...reversal.entries);
+                } catch (error) {
+                    if (error.status) error.message = `Transaction #${id}: ${error.message}`;
+                    throw error;
+                }
+            }
+            return written;
+        }, { timeout: 60 * 1000 });
+        
+        res.status(201).json({
+            importBatchId,
+            reversed: pending.map(tx => tx.id),
+            amount: entries.reduce((sum, entry) => sum + entry.amount, 0)
+        });
+    } catch (error) { next(error); }
+});
+
 // GET /transactions - List all transactions
-router.get('/', requireRole('manager'), validateQuery(z.object({
+router.get('/', requirePermission('transactions.list'), validateQuery(z.object({
     name: z.string().optional(),
     createdBy: z.string().optional(),
     suspicious: z.string().optional(),
@@ -205,6 +270,7 @@ router.get('/', requireRole('manager'), validateQuery(z.object({
     relatedId: z.string().optional(),
     amount: z.string().optional(),
     operator: z.string().optional(),
+    importBatchId: z.string().optional(),
     page: z.preprocess(
         (val) => (val === undefined || val === null || val === '') ? '1' : val,
         z.string().regex(/^\d+$/)
@@ -217,7 +283,7 @@ router.get('/', requireRole('manager'), validateQuery(z.object({
     order: z.enum(['asc', 'desc']).optional()
 })), async (req, res, next) => {
     try {
-        const { name, createdBy, suspicious, promotionId, type, relatedId, amount, operator, page = '1', limit = '10', sortBy, order } = req.validatedQuery;
+        const { name, createdBy, suspicious, promotionId, type, relatedId, amount, operator, importBatchId, page = '1', limit = '10', sortBy, order } = req.validatedQuery;
         const pageNum = parseInt(page), limitNum = parseInt(limit);
         
         // FIX: Add validation
@@ -248,6 +314,7 @@ router.get('/', requireRole('manager'), validateQuery(z.object({
         }
         if (type) where.type = type;
         if (relatedId) where.relatedId = parseInt(relatedId);
+        if (importBatchId) where.importBatchId = importBatchId;
         if (amount && operator) {
             where.amount = operator === 'gte' ? { gte: parseInt(amount) } : { lte: parseInt(amount) };
         }
@@ -269,6 +336,7 @@ router.get('/', requireRole('manager'), validateQuery(z.object({
             include: {
                 user: { select: { utorid: true } },
                 creator: { select: { utorid: true } },
+                reward: { select: { id: true, name: true, imageUrl: true } },
                 transactionPromotions: { select: { promotionId: true } }
             },
             orderBy
@@ -288,8 +356,16 @@ router.get('/', requireRole('manager'), validateQuery(z.object({
             };
             if (tx.spent) result.spent = tx.spent;
             if (tx.relatedId) result.relatedId = tx.relatedId;
-            if (tx.type === 'purchase' || tx.type === 'adjustment') result.suspicious = tx.suspicious;
+            if (tx.type === 'purchase' || tx.type === 'adjustment' || tx.suspicious) result.suspicious = tx.suspicious;
+            if (tx.flagReason) result.flagReason = tx.flagReason;
             if (tx.type === 'redemption') result.redeemed = Math.abs(tx.amount);
+            if (tx.cancelledAt) result.cancelledAt = tx.cancelledAt;
+            if (tx.reward) result.reward = tx.reward;
+            if (tx.importBatchId) result.importBatchId = tx.importBatchId;
+            if (tx.reversedAt) {
+                result.reversedAt = tx.reversedAt;
+                result.reversalId = tx.reversalId;
+            }
             return result;
         });
         
@@ -298,7 +374,7 @@ router.get('/', requireRole('manager'), validateQuery(z.object({
 });
 
 // GET /transactions/redemptions - List redemption transactions (cashier only)
-router.get('/redemptions', requireRole('cashier'), validateQuery(z.object({
+router.get('/redemptions', requirePermission('redemptions.process'), validateQuery(z.object({
     page: z.preprocess(
         (val) => (val === undefined || val === null || val === '') ? '1' : val,
         z.string().regex(/^\d+$/)
@@ -324,10 +400,10 @@ router.get('/redemptions', requireRole('cashier'), validateQuery(z.object({
         
         const skip = (pageNum - 1) * limitNum;
         
-        const where = { type: 'redemption' };
-        if (processed !== undefined) {
-            where.processed = processed === 'true';
-        }
+        // Cancelled, reversed and expired requests are closed, not waiting for a cashier
+        const where = processed === undefined ? { type: 'redemption' }
+            : processed === 'true' ? { type: 'redemption', processed: true }
+                : redemptionUtils.pending({}, await redemptionUtils.cutoff());
 
         const orderBy = {};
         if (sortBy) {
@@ -346,6 +422,7 @@ router.get('/redemptions', requireRole('cashier'), validateQuery(z.object({
             include: {
                 user: { select: { utorid: true, name: true } },
                 creator: { select: { utorid: true } },
+                reward: { select: { id: true, name: true, imageUrl: true } },
                 processor: { select: { utorid: true } }
             },
             orderBy
@@ -365,6 +442,8 @@ router.get('/redemptions', requireRole('cashier'), validateQuery(z.object({
                 redeemed: Math.abs(tx.amount)
             };
             if (tx.processor) result.processedBy = tx.processor.utorid;
+            if (tx.cancelledAt) result.cancelledAt = tx.cancelledAt;
+            if (tx.reward) result.reward = tx.reward;
             return result;
         });
         
@@ -372,8 +451,83 @@ router.get('/redemptions', requireRole('cashier'), validateQuery(z.object({
     } catch (error) { next(error); }
 });
 
+// GET /transactions/flagged - Review queue of transactions held as suspicious, oldest first
+router.get('/flagged', requirePermission('transactions.flag'), validateQuery(z.object({
+    type: z.enum(['purchase', 'transfer', 'adjustment']).optional(),
+    page: z.preprocess(
+        (val) => (val === undefined || val === null || val === '') ? '1' : val,
+        z.string().regex(/^\d+$/)
+    ),
+    limit: z.preprocess(
+        (val) => (val === undefined || val === null || val === '') ? '10' : val,
+        z.string().regex(/^\d+$/)
+    )
+})), async (req, res, next) => {
+    try {
+        const { type, page = '1', limit = '10' } = req.validatedQuery;
+        const pageNum = parseInt(page), limitNum = parseInt(limit);
+        
+        if (pageNum < 1) {
+            return res.status(400).json({ error: 'Page must be at least 1' });
+        }
+        if (limitNum < 1 || limitNum > 100) {
+            return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+        }
+        
+        // Reversing a held transaction rejects it, so it leaves the queue
+        const where = { suspicious: true, reversedAt: null };
+        if (type) where.type = type;
+        
+        const count = await prisma.transaction.count({ where });
+        const transactions = await prisma.transaction.findMany({
+            where,
+            skip: (pageNum - 1) * limitNum,
+            take: limitNum,
+            include: {
+                user: { select: { utorid: true, name: true } },
+                creator: { select: { utorid: true } }
+            },
+            orderBy: { createdAt: 'asc' }
+        });
+        
+        const results = transactions.map(tx => {
+            const result = {
+                id: tx.id,
+                utorid: tx.user.utorid,
+                userName: tx.user.name,
+                type: tx.type,
+                amount: tx.amount,
+                flagReason: tx.flagReason,
+                remark: tx.remark,
+                createdBy: tx.creator.utorid,
+                createdAt: tx.createdAt
+            };
+            if (tx.spent) result.spent = tx.spent;
+            if (tx.relatedId) result.relatedId = tx.relatedId;
+            return result;
+        });
+        
+        res.json({ count, results });
+    } catch (error) { next(error); }
+});
+
+// GET /transactions/reconciliation - Compare balances against transaction history
+router.get('/reconciliation', requirePermission('transactions.reconcile'), async (req, res, next) => {
+    try {
+        res.json(await reconciliationUtils.check());
+    } catch (error) { next(error); }
+});
+
+// POST /transactions/reconciliation - Record correcting adjustments for any drift found
+router.post('/reconciliation', requirePermission('transactions.reconcile'), validate(schemas.reconcile), async (req, res, next) => {
+    try {
+        const result = await reconciliationUtils.correct(req.validatedData.reason, req.user.id, req.user.role);
+        res.status(result.reconciliation ? 201 : 200).json(result);
+    } catch (error) { next(error); }
+});
+
 // GET /transactions/:transactionId - Get single transaction
-router.get('/:transactionId', requireRole('cashier'), async (req, res, next) => {
+router.get('/:transactionId', requirePermission('transactions.view'), async (req, res, next) => {
     try {
         const transactionId = parseInt(req.params.transactionId);
         if (isNaN(transactionId)) return res.status(400).json({ error: 'Invalid transaction ID' });
@@ -382,6 +536,7 @@ router.get('/:transactionId', requireRole('cashier'), async (req, res, next) =>
             include: {
                 user: { select: { utorid: true } },
                 creator: { select: { utorid: true } },
+                reward: { select: { id: true, name: true, imageUrl: true } },
                 transactionPromotions: { select: { promotionId: true } }
             }
         });
@@ -399,57 +554,65 @@ router.get('/:transactionId', requireRole('cashier'), async (req, res, next) =>
             processed: tx.processed
         };
         if (tx.spent) result.spent = tx.spent;
+        if (tx.type === 'purchase') result.earnRate = earnRateUtils.of(tx);
         if (tx.relatedId) result.relatedId = tx.relatedId;
-        if (tx.type === 'purchase' || tx.type === 'adjustment') result.suspicious = tx.suspicious;
+        if (tx.type === 'purchase' || tx.type === 'adjustment' || tx.suspicious) result.suspicious = tx.suspicious;
+        if (tx.flagReason) result.flagReason = tx.flagReason;
+        if (tx.cancelledAt) result.cancelledAt = tx.cancelledAt;
+        if (tx.reward) result.reward = tx.reward;
+        if (tx.importBatchId) result.importBatchId = tx.importBatchId;
+        // Staff can work under a lower role than their account's; this is the one they used
+        if (tx.createdByRole) result.createdByRole = tx.createdByRole;
+        if (tx.processedByRole) result.processedByRole = tx.processedByRole;
+        if (tx.reversedAt) {
+            result.reversedAt = tx.reversedAt;
+            result.reversalId = tx.reversalId;
+        }
         
         res.json(result);
     } catch (error) { next(error); }
 });
 
+// GET /transactions/:transactionId/receipt - Printable receipt as PDF, or HTML with format=html
+router.get('/:transactionId/receipt', requireRole('regular'), validateQuery(z.object({
+    format: z.enum(['pdf', 'html']).default('pdf')
+})), async (req, res, next) => {
+    try {
+        const transactionId = parseInt(req.params.transactionId);
+        if (isNaN(transactionId)) return res.status(400).json({ error: 'Invalid transaction ID' });
+        const tx = await prisma.transaction.findUnique({ where: { id: transactionId }, select: { userId: true } });
+        if (!tx) return res.status(404).json({ error: 'Transaction not found' });
+        
+        // Members get their own receipts; staff who can look transactions up get anyone's
+        const permissions = await permissionUtils.forUser(req.user);
+        if (tx.userId !== req.user.id && !permissions.includes('transactions.view')) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        
+        const receipt = await receiptUtils.build(prisma, transactionId);
+        if (req.validatedQuery.format === 'html') {
+            return res.type('html').send(receiptUtils.html(receipt));
+        }
+        res.type('pdf')
+            .set('Content-Disposition', `attachment; filename="receipt-${receipt.id}.pdf"`)
+            .send(receiptUtils.pdf(receipt));
+    } catch (error) { next(error); }
+});
+
 // PATCH /transactions/:transactionId/suspicious - Flag transaction
-router.patch('/:transactionId/suspicious', requireRole('manager'), async (req, res, next) => {
+router.patch('/:transactionId/suspicious', requirePermission('transactions.flag'), async (req, res, next) => {
     try {
         const suspicious = coerceBoolean(req.body.suspicious);
         if (typeof suspicious !== 'boolean') return res.status(400).json({ error: 'Invalid data' });
         
         const transactionId = parseInt(req.params.transactionId);
         if (isNaN(transactionId)) return res.status(400).json({ error: 'Invalid transaction ID' });
+        
+        const updated = await ledgerUtils.run((db) => flagUtils.setSuspicious(db, transactionId, suspicious, req.user));
         const tx = await prisma.transaction.findUnique({
             where: { id: transactionId },
             include: { user: true, creator: { select: { utorid: true } }, transactionPromotions: { select: { promotionId: true } } }
         });
-        if (!tx) return res.status(404).json({ error: 'Transaction not found' });
-        
-        // Update points based on flag change
-        if (suspicious && !tx.suspicious) {
-            // Marking as suspicious - deduct points
-            await prisma.user.update({
-                where: { id: tx.userId },
-                data: { points: { decrement: tx.amount } }
-            });
-        } else if (!suspicious && tx.suspicious) {
-            // Clearing suspicious - add points
-            await prisma.user.update({
-                where: { id: tx.userId },
-                data: { points: { increment: tx.amount } }
-            });
-        }
-        
-        // If marking as suspicious and transaction was processed, set processed to false
-        const updateData = { suspicious };
-        if (suspicious && tx.processed) {
-            updateData.processed = false;
-        } else if (!suspicious && tx.suspicious) {
-            if (tx.type === 'purchase' || tx.type === 'adjustment' && !tx.processed) {
-                updateData.processed = true;
-                updateData.processedBy = req.user.id;
-            }
-        }
-        
-        const updated = await prisma.transaction.update({
-            where: { id: tx.id },
-            data: updateData
-        });
         
         res.json({
             id: updated.id,
@@ -468,7 +631,7 @@ router.patch('/:transactionId/suspicious', requireRole('manager'), async (req, r
 });
 
 // PATCH /transactions/:transactionId/amount - Update transaction amount
-router.patch('/:transactionId/amount', requireRole('manager'), async (req, res, next) => {
+router.patch('/:transactionId/amount', requirePermission('transactions.adjust'), async (req, res, next) => {
     try {
         const amount = parseFloat(req.body.amount);
         if (isNaN(amount)) return res.status(400).json({ error: 'Invalid amount' });
@@ -485,6 +648,7 @@ router.patch('/:transactionId/amount', requireRole('manager'), async (req, res,
             }
         });
         if (!tx) return res.status(404).json({ error: 'Transaction not found' });
+        if (tx.reversedAt) return res.status(400).json({ error: 'Transaction has been reversed' });
         
         // Only allow updating amount for purchase and adjustment transactions
         if (tx.type !== 'purchase' && tx.type !== 'adjustment') {
@@ -495,18 +659,17 @@ router.patch('/:transactionId/amount', requireRole('manager'), async (req, res,
         const oldAmount = tx.amount;
         const difference = amount - oldAmount;
         
-        // Update user points if transaction is not suspicious
-        if (!tx.suspicious) {
-            await prisma.user.update({
-                where: { id: tx.userId },
-                data: { points: { increment: difference } }
+        const updated = await ledgerUtils.run(async (db) => {
+            // Update transaction amount unless another edit got there first
+            const { count } = await db.transaction.updateMany({
+                where: { id: tx.id, amount: oldAmount, suspicious: tx.suspicious },
+                data: { amount }
             });
-        }
-        
-        // Update transaction amount
-        const updated = await prisma.transaction.update({
-            where: { id: tx.id },
-            data: { amount }
+            if (count === 0) throw ledgerError(409, 'Transaction was changed by another request');
+            
+            // Update user points if transaction is not suspicious
+            if (!tx.suspicious) await ledgerUtils.adjust(db, tx.userId, difference);
+            return db.transaction.findUnique({ where: { id: tx.id } });
         });
         
         res.json({
@@ -525,7 +688,7 @@ router.patch('/:transactionId/amount', requireRole('manager'), async (req, res,
 });
 
 // PATCH /transactions/:transactionId/spent - Update transaction spent amount
-router.patch('/:transactionId/spent', requireRole('manager'), async (req, res, next) => {
+router.patch('/:transactionId/spent', requirePermission('transactions.adjust'), async (req, res, next) => {
     try {
         const spent = parseFloat(req.body.spent);
         if (isNaN(spent) || spent <= 0) return res.status(400).json({ error: 'Invalid spent amount' });
@@ -542,33 +705,39 @@ router.patch('/:transactionId/spent', requireRole('manager'), async (req, res, n
             }
         });
         if (!tx) return res.status(404).json({ error: 'Transaction not found' });
+        if (tx.reversedAt) return res.status(400).json({ error: 'Transaction has been reversed' });
         
         // Only allow updating spent for purchase transactions
         if (tx.type !== 'purchase') {
             return res.status(400).json({ error: 'Cannot update spent for this transaction type' });
         }
+        const refunded = await refundUtils.refunded(prisma, tx.id);
+        if (Math.round(spent * 100) < Math.round(refunded.spent * 100)) {
+            return res.status(400).json({ error: 'Spent cannot be less than the amount already refunded' });
+        }
         
-        // Recalculate points based on new spent amount and promotions
+        // Recalculate points based on new spent amount and promotions, at the rate the purchase was earned at
         const promotionIds = tx.transactionPromotions.map(tp => tp.promotionId);
-        const newAmount = await calculatePurchasePoints(spent, promotionIds, tx.userId);
+        const newAmount = await calculatePurchasePoints(spent, promotionIds, tx.userId, earnRateUtils.of(tx));
         const oldAmount = tx.amount;
         const amountDifference = newAmount - oldAmount;
         
-        // Update user points if transaction is not suspicious
-        if (!tx.suspicious && amountDifference !== 0) {
-            await prisma.user.update({
-                where: { id: tx.userId },
-                data: { points: { increment: amountDifference } }
+        const updated = await ledgerUtils.run(async (db) => {
+            // Update transaction spent and amount unless another edit got there first
+            const { count } = await db.transaction.updateMany({
+                where: { id: tx.id, amount: oldAmount, suspicious: tx.suspicious },
+                data: { 
+                    spent,
+                    amount: newAmount
+                }
             });
-        }
-        
-        // Update transaction spent and amount
-        const updated = await prisma.transaction.update({
-            where: { id: tx.id },
-            data: { 
-                spent,
-                amount: newAmount
+            if (count === 0) throw ledgerError(409, 'Transaction was changed by another request');
+            
+            // Update user points if transaction is not suspicious
+            if (!tx.suspicious && amountDifference !== 0) {
+                await ledgerUtils.adjust(db, tx.userId, amountDifference);
             }
+            return db.transaction.findUnique({ where: { id: tx.id } });
         });
         
         res.json({
@@ -586,9 +755,39 @@ router.patch('/:transactionId/spent', requireRole('manager'), async (req, res, n
     } catch (error) { next(error); }
 });
 
+// POST /transactions/:transactionId/reversal - Undo a transaction with a compensating adjustment
+router.post('/:transactionId/reversal', requirePermission('transactions.reverse'), validate(schemas.reverseTransaction), async (req, res, next) => {
+    try {
+        const transactionId = parseInt(req.params.transactionId);
+        if (isNaN(transactionId)) return res.status(400).json({ error: 'Invalid transaction ID' });
+        
+        const { tx, originals, entries } = await ledgerUtils.run((db) => reversalUtils.reverse(db, transactionId, {
+            remark: req.validatedData.remark,
+            reversedBy: req.user.id,
+            reversedByRole: req.user.role
+        }));
+        
+        res.status(201).json({
+            id: entries[0].id,
+            utorid: tx.user.utorid,
+            type: 'adjustment',
+            amount: entries[0].amount,
+            relatedId: tx.id,
+            remark: entries[0].remark,
+            createdBy: req.user.utorid,
+            reversed: originals.map(original => original.id)
+        });
+    } catch (error) { next(error); }
+});
+
 // PATCH /transactions/:transactionId/processed - Process redemption or purchase
-router.patch('/:transactionId/processed', requireRole('cashier'), async (req, res, next) => {
+router.patch('/:transactionId/processed', requireRole('regular'), async (req, res, next) => {
     try {
+        const permissions = await permissionUtils.forUser(req.user);
+        const canProcessRedemptions = permissions.includes('redemptions.process');
+        const canProcessPurchases = permissions.includes('transactions.process');
+        if (!canProcessRedemptions && !canProcessPurchases) return res.status(403).json({ error: 'Forbidden' });
+        
         const processed = coerceBoolean(req.body.processed);
         if (processed !== true) return res.status(400).json({ error: 'Invalid data' });
         
@@ -596,44 +795,48 @@ router.patch('/:transactionId/processed', requireRole('cashier'), async (req, re
         if (isNaN(transactionId)) return res.status(400).json({ error: 'Invalid transaction ID' });
         const tx = await prisma.transaction.findUnique({
             where: { id: transactionId },
-            include: { user: true, creator: { select: { utorid: true } }, transactionPromotions: { select: { promotionId: true } } }
+            include: {
+                user: true,
+                creator: { select: { utorid: true } },
+                transactionPromotions: { select: { promotionId: true } },
+                reward: { select: { id: true, name: true, imageUrl: true } }
+            }
         });
         if (!tx) return res.status(404).json({ error: 'Transaction not found' });
         if (tx.processed) return res.status(400).json({ error: 'Already processed' });
+        if (tx.reversedAt) return res.status(400).json({ error: 'Transaction has been reversed' });
+        if (tx.cancelledAt) return res.status(400).json({ error: 'Redemption request was cancelled' });
+        if (tx.type === 'redemption') {
+            const cutoff = await redemptionUtils.cutoff();
+            if (cutoff && tx.createdAt < cutoff) return res.status(400).json({ error: 'Redemption request has expired' });
+        }
         
-        // Cashiers can only process redemptions
-        if (req.user.role === 'cashier' && tx.type !== 'redemption') {
-            return res.status(403).json({ error: 'Cashiers can only process redemptions' });
+        if (tx.type === 'redemption' && !canProcessRedemptions) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        if (tx.type !== 'redemption' && !canProcessPurchases) {
+            return res.status(403).json({ error: 'You can only process redemptions' });
         }
         
-        // Managers can process purchase transactions (pending and not suspicious)
+        // Pending purchases can be processed unless they are suspicious
         if (tx.type === 'purchase') {
-            if (req.user.role !== 'manager' && req.user.role !== 'superuser') {
-                return res.status(403).json({ error: 'Only managers can process purchase transactions' });
-            }
             if (tx.suspicious) {
                 return res.status(400).json({ error: 'Cannot process suspicious transactions' });
             }
-            // Add points to user
-            await prisma.user.update({
-                where: { id: tx.userId },
-                data: { points: { increment: tx.amount } }
-            });
-        } else if (tx.type === 'redemption') {
-            // For redemptions, check if user has enough points
-            if (tx.user.points < Math.abs(tx.amount)) return res.status(400).json({ error: 'Insufficient points' });
-            // Deduct points (amount is negative, so increment by negative = subtract)
-            await prisma.user.update({
-                where: { id: tx.userId },
-                data: { points: { increment: tx.amount } }
-            });
-        } else {
+        } else if (tx.type !== 'redemption') {
             return res.status(400).json({ error: 'Cannot process this transaction type' });
         }
         
-        const updated = await prisma.transaction.update({
-            where: { id: tx.id },
-            data: { processed: true, processedBy: req.user.id }
+        const updated = await ledgerUtils.run(async (db) => {
+            const processedTx = await ledgerUtils.markProcessed(db, tx.id, req.user.id, req.user.role);
+            if (tx.type === 'purchase') {
+                // Add points to user
+                await ledgerUtils.adjust(db, tx.userId, tx.amount);
+            } else {
+                // Redemptions are stored negative; the debit fails if the user no longer has enough points
+                await ledgerUtils.debit(db, tx.userId, Math.abs(tx.amount));
+            }
+            return processedTx;
         });
         
         const processor = await prisma.user.findUnique({ where: { id: req.user.id } });
@@ -651,6 +854,8 @@ router.patch('/:transactionId/processed', requireRole('cashier'), async (req, re
         if (tx.type === 'redemption') {
             result.redeemed = Math.abs(updated.amount);
             result.createdBy = tx.user.utorid;
+            // The item the cashier hands over
+            if (tx.reward) result.reward = tx.reward;
         } else if (tx.type === 'purchase') {
             result.spent = updated.spent;
             result.amount = updated.amount;
@@ -5,20 +5,33 @@ const { v4: uuidv4 } = require('uuid');
 const { z } = require('zod');
 const {
     prisma,
+    sessionUtils,
+    throttleUtils,
     emailUtils,
     schemas,
     upload,
+    permissionUtils,
+    ledgerUtils,
+    ledgerError,
+    redemptionUtils,
+    rewardUtils,
+    pointsExpiryUtils,
+    statementUtils,
     requireRole,
+    requirePermission,
+    allowApiKey,
+    idempotent,
     validate,
     validateQuery,
     coerceBoolean,
     normalizeAvatarUrl,
     uoftEmailRegex,
-    dateRegex
+    dateRegex,
+    monthRegex
 } = require('../middleware');
 
 // POST /users - Register new user
-router.post('/', requireRole('cashier'), validate(schemas.createUser), async (req, res, next) => {
+router.post('/', requirePermission('users.create'), validate(schemas.createUser), async (req, res, next) => {
     try {
         const { utorid, name, email } = req.validatedData;
         const existing = await prisma.user.findFirst({ where: { OR: [{ utorid }, { email }] } });
@@ -48,6 +61,7 @@ router.post('/', requireRole('cashier'), validate(schemas.createUser), async (re
             console.error('Failed to send welcome email:', emailError);
             // Continue even if email fails - don't block user creation
         }
+        await emailUtils.sendVerification(user);
         
         res.status(201).json({
             id: user.id, 
@@ -62,7 +76,7 @@ router.post('/', requireRole('cashier'), validate(schemas.createUser), async (re
 });
 
 // GET /users - List users
-router.get('/', requireRole('manager'), validateQuery(z.object({
+router.get('/', requirePermission('users.manage'), validateQuery(z.object({
     name: z.string().optional(),
     role: z.enum(['regular', 'cashier', 'manager', 'superuser']).optional(),
     verified: z.preprocess(
@@ -107,7 +121,8 @@ router.get('/', requireRole('manager'), validateQuery(z.object({
         }
         const skip = (pageNum - 1) * limitNum;
         
-        const where = {};
+        // Service accounts are managed from their own page
+        const where = { isServiceAccount: false };
         
         if (name) {
             where.OR = [
@@ -184,11 +199,30 @@ router.get('/me', requireRole('regular'), async (req, res, next) => {
         });
         if (!user) return res.status(404).json({ error: 'User not found' });
         const promotions = user.userPromotions.map(up => up.promotion);
+        const heldPoints = await ledgerUtils.heldPoints(prisma, user.id);
+        const expiringPoints = await pointsExpiryUtils.upcoming(user);
+        
+        // Lets the frontend show who is really behind an impersonation session
+        let impersonation = null;
+        if (req.user.impersonatorId) {
+            const [impersonator, session] = await Promise.all([
+                prisma.user.findUnique({ where: { id: req.user.impersonatorId }, select: { utorid: true, name: true } }),
+                prisma.session.findUnique({ where: { id: req.user.sid }, select: { expiresAt: true } })
+            ]);
+            impersonation = { impersonator, readOnly: req.user.readOnly, expiresAt: session.expiresAt };
+        }
+        
+        // role is the account's role; activeRole is lower while the session is scoped down
+        const permissions = await permissionUtils.forUser(req.user);
+        
         res.json({
             id: user.id, utorid: user.utorid, name: user.name, email: user.email,
             birthday: user.birthday, role: user.role, points: user.points,
+            heldPoints, availablePoints: user.points - heldPoints, expiringPoints,
             createdAt: user.createdAt, lastLogin: user.lastLogin, verified: user.verified,
-            avatarUrl: normalizeAvatarUrl(user.avatarUrl), promotions
+            avatarUrl: normalizeAvatarUrl(user.avatarUrl), statementEmails: user.statementEmails, promotions,
+            activeRole: req.user.role, permissions,
+            ...(impersonation && { impersonation })
         });
     } catch (error) { next(error); }
 });
@@ -213,6 +247,12 @@ router.patch('/me', requireRole('regular'), upload.single('avatar'), async (req,
             }
             updates.email = req.body.email;
             hasUpdates = true;
+            
+            // A new address has to be confirmed before the account counts as verified again
+            const current = await prisma.user.findUnique({ where: { id: req.user.id }, select: { email: true } });
+            if (current.email !== req.body.email) {
+                updates.verified = false;
+            }
         }
         
         if (req.body.birthday !== undefined && req.body.birthday !== null) {
@@ -232,6 +272,15 @@ router.patch('/me', requireRole('regular'), upload.single('avatar'), async (req,
             hasUpdates = true;
         }
         
+        if (req.body.statementEmails !== undefined && req.body.statementEmails !== null) {
+            const statementEmails = coerceBoolean(req.body.statementEmails);
+            if (statementEmails === null) {
+                return res.status(400).json({ error: 'Invalid statementEmails value' });
+            }
+            updates.statementEmails = statementEmails;
+            hasUpdates = true;
+        }
+        
         if (req.file) {
             updates.avatarUrl = `/uploads/avatars/${req.file.filename}`;
             hasUpdates = true;
@@ -246,9 +295,13 @@ router.patch('/me', requireRole('regular'), upload.single('avatar'), async (req,
             data: updates,
             select: {
                 id: true, utorid: true, name: true, email: true, birthday: true,
-                role: true, points: true, createdAt: true, lastLogin: true, verified: true, avatarUrl: true
+                role: true, points: true, createdAt: true, lastLogin: true, verified: true, avatarUrl: true,
+                statementEmails: true
             }
         });
+        if (updates.verified === false) {
+            await emailUtils.sendVerification(user);
+        }
         // Normalize avatar URL to use default if null
         res.json({
             ...user,
@@ -269,13 +322,18 @@ router.patch('/me/password', requireRole('regular'), validate(schemas.changePass
             return res.status(403).json({ error: 'Current password is incorrect' });
         }
         const hashedPassword = await bcrypt.hash(newPassword, 10);
-        await prisma.user.update({ where: { id: req.user.id }, data: { password: hashedPassword } });
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { password: hashedPassword, tokenVersion: { increment: 1 } }
+        });
+        // Sign out every other device; this one picks up a new token on refresh
+        await sessionUtils.revokeAll(req.user.id, req.user.sid);
         res.json({ message: 'Password updated successfully' });
     } catch (error) { next(error); }
 });
 
 // GET /users/:userId - Get user details
-router.get('/:userId', requireRole('cashier'), async (req, res, next) => {
+router.get('/:userId', allowApiKey('users:read'), requirePermission('users.view'), async (req, res, next) => {
     try {
         const identifier = req.params.userId;
         const whereClause = /^\d+$/.test(identifier)
@@ -298,7 +356,7 @@ router.get('/:userId', requireRole('cashier'), async (req, res, next) => {
         
         const promotions = user.userPromotions.map(up => up.promotion);
         
-        if (req.user.role === 'cashier') {
+        if (!(await permissionUtils.has(req.user, 'users.manage'))) {
             return res.json({ id: user.id, utorid: user.utorid, name: user.name, points: user.points, verified: user.verified, promotions });
         }
         
@@ -312,7 +370,7 @@ router.get('/:userId', requireRole('cashier'), async (req, res, next) => {
 });
 
 // PATCH /users/:userId - Update user
-router.patch('/:userId', requireRole('manager'), async (req, res, next) => {
+router.patch('/:userId', requirePermission('users.manage'), async (req, res, next) => {
     try {
         const identifier = req.params.userId;
         const whereClause = /^\d+$/.test(identifier)
@@ -385,10 +443,13 @@ router.patch('/:userId', requireRole('manager'), async (req, res, next) => {
                 return res.status(400).json({ error: 'Invalid role' });
             }
 
-            if (req.user.role === 'manager') {
-                if (!['regular', 'cashier'].includes(req.body.role)) {
-                    return res.status(403).json({ error: 'Managers can only set role to regular or cashier' });
-                }
+            const rolePermission = ['regular', 'cashier'].includes(req.body.role) ? 'users.promote' : 'users.promote_staff';
+            if (!(await permissionUtils.has(req.user, rolePermission))) {
+                return res.status(403).json({
+                    error: rolePermission === 'users.promote'
+                        ? 'You are not allowed to change roles'
+                        : 'You can only set role to regular or cashier'
+                });
             }
 
             if (req.body.role === 'cashier' && user.suspicious) {
@@ -405,6 +466,16 @@ router.patch('/:userId', requireRole('manager'), async (req, res, next) => {
             return res.status(400).json({ error: 'At least one field must be provided' });
         }
         
+        // A changed email needs confirming again unless the manager verifies it in the same request
+        if (updates.email !== undefined && !providedFields.has('verified')) {
+            updates.verified = false;
+        }
+        
+        // Role and suspicious changes must reach tokens that are already issued
+        if (updates.role !== undefined || updates.suspicious !== undefined) {
+            updates.tokenVersion = { increment: 1 };
+        }
+        
         // Perform update only if there are actual changes
         if (Object.keys(updates).length > 0) {
             await prisma.user.update({
@@ -427,6 +498,9 @@ router.patch('/:userId', requireRole('manager'), async (req, res, next) => {
                 role: true 
             }
         });
+        if (updates.email !== undefined && !updatedUser.verified) {
+            await emailUtils.sendVerification(updatedUser);
+        }
         
         // Build response: always include id, utorid, name
         const response = {
@@ -458,30 +532,231 @@ router.patch('/:userId', requireRole('manager'), async (req, res, next) => {
     }
 });
 
+// GET /users/lockouts/ip - Addresses currently locked out of login, reset or verification
+router.get('/lockouts/ip', requirePermission('users.manage'), async (req, res, next) => {
+    try {
+        const lockouts = await prisma.lockout.findMany({
+            where: { ipAddress: { not: null }, unlockedAt: null, lockedUntil: { gt: new Date() } },
+            orderBy: { createdAt: 'desc' }
+        });
+        const results = lockouts.map(l => ({
+            id: l.id,
+            ipAddress: l.ipAddress,
+            scope: l.scope,
+            createdAt: l.createdAt,
+            lockedUntil: l.lockedUntil
+        }));
+        
+        res.json({ count: results.length, results });
+    } catch (error) { next(error); }
+});
+
+// DELETE /users/lockouts/ip/:ipAddress - Unlock an address and reset its attempt counters
+router.delete('/lockouts/ip/:ipAddress', requirePermission('users.manage'), async (req, res, next) => {
+    try {
+        const unlocked = await throttleUtils.unlockIp(req.params.ipAddress, req.user.id);
+        res.json({ unlocked });
+    } catch (error) { next(error); }
+});
+
+// GET /users/:userId/lockouts - Lockout history for a user
+router.get('/:userId/lockouts', requirePermission('users.manage'), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.userId, 10);
+        if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+        
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        
+        const lockouts = await prisma.lockout.findMany({
+            where: { userId },
+            orderBy: { createdAt: 'desc' },
+            take: 20
+        });
+        const now = new Date();
+        const results = lockouts.map(l => ({
+            id: l.id,
+            scope: l.scope,
+            createdAt: l.createdAt,
+            lockedUntil: l.lockedUntil,
+            unlockedAt: l.unlockedAt,
+            active: !l.unlockedAt && l.lockedUntil > now
+        }));
+        
+        res.json({ locked: results.some(l => l.active), results });
+    } catch (error) { next(error); }
+});
+
+// DELETE /users/:userId/lockouts - Unlock a user and reset their attempt counters
+router.delete('/:userId/lockouts', requirePermission('users.manage'), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.userId, 10);
+        if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+        
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        
+        const unlocked = await throttleUtils.unlock(user, req.user.id);
+        res.json({ unlocked });
+    } catch (error) { next(error); }
+});
+
+// GET /users/:userId/investigations - Cases on the user or on any of their transactions
+router.get('/:userId/investigations', requirePermission('investigations.manage'), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.userId, 10);
+        if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+        
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        
+        const investigations = await prisma.investigation.findMany({
+            where: {
+                OR: [
+                    { users: { some: { userId } } },
+                    { transactions: { some: { transaction: { userId } } } }
+                ]
+            },
+            include: { assignee: { select: { utorid: true } } },
+            orderBy: { createdAt: 'desc' },
+            take: 50
+        });
+        res.json({
+            results: investigations.map(investigation => ({
+                id: investigation.id,
+                title: investigation.title,
+                status: investigation.status,
+                assignee: investigation.assignee?.utorid ?? null,
+                resolution: investigation.resolution === null ? null : investigation.resolution.split(',').filter(Boolean),
+                createdAt: investigation.createdAt,
+                resolvedAt: investigation.resolvedAt
+            }))
+        });
+    } catch (error) { next(error); }
+});
+
+// GET /users/:userId/impersonations - Audit trail of superusers viewing as this user
+router.get('/:userId/impersonations', requirePermission('settings.manage'), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.userId, 10);
+        if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+        
+        const logs = await prisma.impersonationLog.findMany({
+            where: { userId },
+            include: { impersonator: { select: { utorid: true, name: true } } },
+            orderBy: { createdAt: 'desc' },
+            take: 100
+        });
+        res.json({
+            results: logs.map(log => ({
+                id: log.id,
+                sessionId: log.sessionId,
+                impersonator: log.impersonator.utorid,
+                method: log.method,
+                path: log.path,
+                statusCode: log.statusCode,
+                createdAt: log.createdAt
+            }))
+        });
+    } catch (error) { next(error); }
+});
+
+const permissionSummary = async (user) => {
+    const [fromRole, grants, permissions] = await Promise.all([
+        permissionUtils.forRole(user.role),
+        permissionUtils.grantsFor(user.id),
+        permissionUtils.forUser(user)
+    ]);
+    return { role: user.role, fromRole, grants, permissions };
+};
+
+// GET /users/:userId/permissions - Role permissions, individual grants and the effective set
+router.get('/:userId/permissions', requirePermission('settings.manage'), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.userId, 10);
+        if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+        const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, role: true } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        res.json(await permissionSummary(user));
+    } catch (error) { next(error); }
+});
+
+// PUT /users/:userId/permissions - Replace a user's individual grants
+// Superusers only: settings.manage can itself be granted, and a holder must not be able
+// to hand themselves users.promote_staff and promote themselves from there
+router.put('/:userId/permissions', requireRole('superuser'), validate(schemas.updatePermissionGrants), async (req, res, next) => {
+    try {
+        const userId = parseInt(req.params.userId, 10);
+        if (isNaN(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+        const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, role: true } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.role === 'superuser') {
+            return res.status(400).json({ error: 'Superusers already hold every permission' });
+        }
+
+        const { permissions: requested } = req.validatedData;
+        const current = await permissionUtils.grantsFor(user.id);
+        const added = requested.filter(p => !current.includes(p));
+        const removed = current.filter(p => !requested.includes(p));
+
+        await prisma.$transaction([
+            prisma.permissionGrant.deleteMany({ where: { userId, permission: { in: removed } } }),
+            ...added.map(permission => prisma.permissionGrant.create({
+                data: { userId, permission, grantedBy: req.user.id }
+            }))
+        ]);
+
+        res.json(await permissionSummary(user));
+    } catch (error) { next(error); }
+});
+
 // POST /users/me/transactions - Create redemption
-router.post('/me/transactions', requireRole('regular'), async (req, res, next) => {
+router.post('/me/transactions', requireRole('regular'), idempotent, async (req, res, next) => {
     try {
-        const { type, amount, remark } = req.body;
+        const { type, amount, remark, rewardId } = req.body;
         if (type !== 'redemption') return res.status(400).json({ error: 'Invalid type' });
-        if (!amount || typeof amount !== 'number' || amount <= 0) {
+        
+        // A catalog reward sets the price; otherwise the user names an amount
+        let reward = null;
+        if (rewardId !== undefined && rewardId !== null) {
+            if (!Number.isInteger(rewardId) || rewardId < 1) return res.status(400).json({ error: 'Invalid reward ID' });
+            reward = await prisma.reward.findUnique({ where: { id: rewardId } });
+            if (!reward) return res.status(404).json({ error: 'Reward not found' });
+            if (!rewardUtils.isActive(reward)) return res.status(400).json({ error: 'Reward is not available' });
+        } else if (!amount || typeof amount !== 'number' || amount <= 0) {
             return res.status(400).json({ error: 'Invalid amount' });
         }
         
-        const amountInt = Math.floor(amount);
+        const amountInt = reward ? reward.pointCost : Math.floor(amount);
         
         const user = await prisma.user.findUnique({ where: { id: req.user.id } });
         if (!user.verified) return res.status(403).json({ error: 'User not verified' });
         if (user.points < amountInt) return res.status(400).json({ error: 'Insufficient points' });
         
-        const transaction = await prisma.transaction.create({
-            data: {
-                userId: user.id,
-                type: 'redemption',
-                amount: -amountInt,  // Store as negative
-                remark: remark || '',
-                createdBy: user.id,
-                processed: false
+        const transaction = await ledgerUtils.run(async (db) => {
+            const created = await db.transaction.create({
+                data: {
+                    userId: user.id,
+                    type: 'redemption',
+                    amount: -amountInt,  // Store as negative
+                    remark: remark || '',
+                    createdBy: user.id,
+                    processed: false,
+                    rewardId: reward?.id
+                }
+            });
+            if (reward) {
+                await rewardUtils.take(db, reward);
+                if (reward.perUserLimit !== null && await rewardUtils.countRedeemed(db, reward.id, user.id) > reward.perUserLimit) {
+                    throw ledgerError(400, 'Reward limit reached');
+                }
             }
+            // The new request holds its points; fail if more is now held than the balance covers
+            await ledgerUtils.requireAvailable(db, user.id);
+            return created;
         });
         
         res.status(201).json({
@@ -491,13 +766,14 @@ router.post('/me/transactions', requireRole('regular'), async (req, res, next) =
             processedBy: null,
             amount: Math.abs(transaction.amount),  // Return as positive
             remark: transaction.remark,
-            createdBy: user.utorid
+            createdBy: user.utorid,
+            ...(reward && { reward: { id: reward.id, name: reward.name, imageUrl: reward.imageUrl } })
         });
     } catch (error) { next(error); }
 });
 
 // POST /users/:userId/transactions - Transfer points
-router.post('/:userId/transactions', requireRole('regular'), async (req, res, next) => {
+router.post('/:userId/transactions', requireRole('regular'), idempotent, async (req, res, next) => {
     try {
         const { type, amount, remark } = req.body;
         if (!type) return res.status(400).json({ error: 'type is required' });
@@ -524,43 +800,18 @@ router.post('/:userId/transactions', requireRole('regular'), async (req, res, ne
             return res.status(400).json({ error: 'Cannot transfer points to yourself' });
         }
         
-        // Create two transactions
-        const senderTx = await prisma.transaction.create({
-            data: {
-                userId: sender.id,
-                type: 'transfer',
-                amount: -amount,
-                relatedId: recipient.id,
-                remark: remark || '',
-                createdBy: sender.id,
-                processed: true
-            }
-        });
-        
-        await prisma.transaction.create({
-            data: {
-                userId: recipient.id,
-                type: 'transfer',
-                amount: amount,
-                relatedId: sender.id,
-                remark: remark || '',
-                createdBy: sender.id,
-                processed: true
-            }
-        });
-        
-        // Update points
-        await prisma.user.update({ where: { id: sender.id }, data: { points: { decrement: amount } } });
-        await prisma.user.update({ where: { id: recipient.id }, data: { points: { increment: amount } } });
+        const { sent, received } = await ledgerUtils.run((db) => ledgerUtils.transfer(db, sender, recipient, amount, remark));
         
         res.status(201).json({
-            id: senderTx.id,
+            id: sent.id,
             sender: sender.utorid,
             recipient: recipient.utorid,
             type: 'transfer',
             sent: amount,
-            remark: senderTx.remark,
-            createdBy: sender.utorid
+            remark: sent.remark,
+            createdBy: sender.utorid,
+            // The recipient is only credited once a manager releases it
+            ...(received.suspicious && { held: true })
         });
     } catch (error) { next(error); }
 });
@@ -624,6 +875,7 @@ router.get('/me/transactions', requireRole('regular'), validateQuery(z.object({
             where, skip, take: limitNum,
             include: {
                 creator: { select: { utorid: true } },
+                reward: { select: { id: true, name: true, imageUrl: true } },
                 transactionPromotions: { select: { promotionId: true } }
             },
             orderBy
@@ -643,6 +895,12 @@ router.get('/me/transactions', requireRole('regular'), validateQuery(z.object({
             if (tx.spent) result.spent = tx.spent;
             if (tx.relatedId) result.relatedId = tx.relatedId;
             if (tx.type === 'redemption') result.redeemed = Math.abs(tx.amount);
+            if (tx.cancelledAt) result.cancelledAt = tx.cancelledAt;
+            if (tx.reward) result.reward = tx.reward;
+            if (tx.reversedAt) {
+                result.reversedAt = tx.reversedAt;
+                result.reversalId = tx.reversalId;
+            }
             return result;
         });
         
@@ -650,8 +908,37 @@ router.get('/me/transactions', requireRole('regular'), validateQuery(z.object({
     } catch (error) { next(error); }
 });
 
+// DELETE /users/me/transactions/:transactionId - Cancel own pending redemption
+router.delete('/me/transactions/:transactionId', requireRole('regular'), async (req, res, next) => {
+    try {
+        const transactionId = parseInt(req.params.transactionId);
+        if (isNaN(transactionId)) return res.status(400).json({ error: 'Invalid transaction ID' });
+        
+        const tx = await prisma.transaction.findUnique({ where: { id: transactionId } });
+        if (!tx || tx.userId !== req.user.id) return res.status(404).json({ error: 'Transaction not found' });
+        if (tx.type !== 'redemption') return res.status(400).json({ error: 'Only redemptions can be cancelled' });
+        if (tx.cancelledAt) return res.status(400).json({ error: 'Redemption already cancelled' });
+        if (tx.reversedAt) return res.status(400).json({ error: 'Transaction has been reversed' });
+        
+        // A cashier may process the request at the same moment; only one of them wins
+        const cancelled = await redemptionUtils.cancel(tx.id);
+        if (!cancelled) return res.status(400).json({ error: 'Redemption already processed' });
+        
+        const updated = await prisma.transaction.findUnique({ where: { id: tx.id } });
+        res.json({
+            id: updated.id,
+            utorid: req.user.utorid,
+            type: 'redemption',
+            amount: Math.abs(updated.amount),
+            remark: updated.remark,
+            processed: updated.processed,
+            cancelledAt: updated.cancelledAt
+        });
+    } catch (error) { next(error); }
+});
+
 // GET /users/:userId/transactions - List specific user's transactions
-router.get('/:userId/transactions', requireRole('manager'), validateQuery(z.object({
+router.get('/:userId/transactions', requirePermission('users.manage'), validateQuery(z.object({
     type: z.string().optional(),
     relatedId: z.string().optional(),
     promotionId: z.string().optional(),
@@ -712,6 +999,7 @@ router.get('/:userId/transactions', requireRole('manager'), validateQuery(z.obje
             where, skip, take: limitNum,
             include: {
                 creator: { select: { utorid: true } },
+                reward: { select: { id: true, name: true, imageUrl: true } },
                 transactionPromotions: { select: { promotionId: true } }
             },
             orderBy
@@ -732,6 +1020,12 @@ router.get('/:userId/transactions', requireRole('manager'), validateQuery(z.obje
             if (tx.relatedId) result.relatedId = tx.relatedId;
             if (tx.type === 'purchase' || tx.type === 'adjustment') result.suspicious = tx.suspicious;
             if (tx.type === 'redemption') result.redeemed = Math.abs(tx.amount);
+            if (tx.cancelledAt) result.cancelledAt = tx.cancelledAt;
+            if (tx.reward) result.reward = tx.reward;
+            if (tx.reversedAt) {
+                result.reversedAt = tx.reversedAt;
+                result.reversalId = tx.reversalId;
+            }
             return result;
         });
         
@@ -739,5 +1033,52 @@ router.get('/:userId/transactions', requireRole('manager'), validateQuery(z.obje
     } catch (error) { next(error); }
 });
 
-module.exports = router;
+const statementQuery = validateQuery(z.object({
+    format: z.enum(['json', 'csv', 'pdf']).default('json')
+}));
+
+// Replies with the user's statement for req.params.month in the requested format
+const sendStatement = async (req, res, user) => {
+    const { month } = req.params;
+    if (!monthRegex.test(month)) return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    if (statementUtils.period(month).start > new Date()) {
+        return res.status(400).json({ error: 'Statements are not available for future months' });
+    }
+    
+    const statement = await statementUtils.build(user, month);
+    const fileName = `statement-${user.utorid}-${month}`;
+    if (req.validatedQuery.format === 'csv') {
+        return res.type('csv')
+            .set('Content-Disposition', `attachment; filename="${fileName}.csv"`)
+            .send(statementUtils.csv(statement));
+    }
+    if (req.validatedQuery.format === 'pdf') {
+        return res.type('pdf')
+            .set('Content-Disposition', `attachment; filename="${fileName}.pdf"`)
+            .send(statementUtils.pdf(statement));
+    }
+    res.json(statement);
+};
+
+// GET /users/me/statements/:month - Current user's statement for a month (json, csv or pdf)
+router.get('/me/statements/:month', requireRole('regular'), statementQuery, async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        await sendStatement(req, res, user);
+    } catch (error) { next(error); }
+});
+
+// GET /users/:userId/statements/:month - Any user's statement for a month, by ID or UTORid
+router.get('/:userId/statements/:month', requirePermission('users.manage'), statementQuery, async (req, res, next) => {
+    try {
+        const identifier = req.params.userId;
+        const user = await prisma.user.findUnique({
+            where: /^\d+$/.test(identifier) ? { id: parseInt(identifier, 10) } : { utorid: identifier }
+        });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        await sendStatement(req, res, user);
+    } catch (error) { next(error); }
+});
 
+module.exports = router;
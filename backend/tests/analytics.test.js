@@ -176,6 +176,44 @@ describe('Analytics Endpoints', () => {
             expect(res.statusCode).toEqual(200);
             expect(res.body.totalSpent.allTime).toBeGreaterThanOrEqual(25.0);
         });
+
+        it('should take refunds off the money totals', async () => {
+            const { token } = await createTestUser('manager');
+            const { user } = await createTestUser('regular');
+            const purchase = await prisma.transaction.create({
+                data: { userId: user.id, type: 'purchase', amount: 160, spent: 40, processed: true, createdBy: user.id }
+            });
+            await prisma.transaction.create({
+                data: { userId: user.id, type: 'refund', amount: -40, spent: 10, relatedId: purchase.id, processed: true, createdBy: user.id }
+            });
+
+            const res = await request(app)
+                .get('/analytics/financial')
+                .set('Cookie', `token=${token}`);
+
+            expect(res.body.totalSpent).toEqual({ week: 30, month: 30, allTime: 30 });
+            expect(res.body.totalRefunded.allTime).toEqual(10);
+            expect(res.body.pointsPerDollarRatio).toEqual(4);
+        });
+
+        it('should leave reversed purchases out of the money totals', async () => {
+            const { token } = await createTestUser('manager');
+            const { user } = await createTestUser('regular');
+            await prisma.transaction.create({
+                data: { userId: user.id, type: 'purchase', amount: 160, spent: 40, processed: true, createdBy: user.id }
+            });
+            await prisma.transaction.create({
+                data: { userId: user.id, type: 'purchase', amount: 400, spent: 100, processed: true, createdBy: user.id, reversedAt: new Date() }
+            });
+
+            const res = await request(app)
+                .get('/analytics/financial')
+                .set('Cookie', `token=${token}`);
+
+            expect(res.body.totalSpent).toEqual({ week: 40, month: 40, allTime: 40 });
+            expect(res.body.averageSpendingPerTransaction).toEqual(40);
+            expect(res.body.pointsPerDollarRatio).toEqual(4);
+        });
     });
 });
 
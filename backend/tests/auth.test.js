@@ -1,6 +1,7 @@
 const request = require('supertest');
 const { app, prisma } = require('../index');
 const { createTestUser, clearDatabase } = require('./helpers');
+const { totpUtils, jwtUtils } = require('../middleware');
 
 describe('Auth Endpoints', () => {
     beforeAll(async () => {
@@ -11,6 +12,12 @@ describe('Auth Endpoints', () => {
         await prisma.$disconnect();
     });
 
+    const getCookie = (res, name) => {
+        const cookies = res.headers['set-cookie'] || [];
+        const cookie = cookies.find(c => c.startsWith(`${name}=`));
+        return cookie ? cookie.split(';')[0].split('=')[1] : null;
+    };
+
     describe('POST /auth/tokens (Login)', () => {
         it('should login successfully with valid credentials', async () => {
             const { user, password } = await createTestUser('regular');
@@ -42,6 +49,675 @@ describe('Auth Endpoints', () => {
         });
     });
 
+    describe('Sessions', () => {
+        const login = async () => {
+            const { user, password } = await createTestUser('regular');
+            const res = await request(app)
+                .post('/auth/tokens')
+                .set('User-Agent', 'jest-agent')
+                .send({ utorid: user.utorid, password });
+            return { user, token: getCookie(res, 'token'), refreshToken: getCookie(res, 'refreshToken') };
+        };
+
+        it('should create a session and set a refresh cookie on login', async () => {
+            const { user, token, refreshToken } = await login();
+            expect(token).toBeTruthy();
+            expect(refreshToken).toBeTruthy();
+
+            const res = await request(app)
+                .get('/auth/sessions')
+                .set('Cookie', `token=${token}`);
+
+            expect(res.statusCode).toEqual(200);
+            const current = res.body.find(s => s.current);
+            expect(current).toBeDefined();
+            expect(current.userAgent).toEqual('jest-agent');
+
+            const stored = await prisma.session.findUnique({ where: { id: current.id } });
+            expect(stored.userId).toEqual(user.id);
+            expect(stored.refreshTokenHash).not.toEqual(refreshToken);
+        });
+
+        it('should rotate the refresh token and reject the old one', async () => {
+            const { refreshToken } = await login();
+
+            const res = await request(app)
+                .post('/auth/tokens/refresh')
+                .set('Cookie', `refreshToken=${refreshToken}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body).toHaveProperty('token');
+            const rotated = getCookie(res, 'refreshToken');
+            expect(rotated).toBeTruthy();
+            expect(rotated).not.toEqual(refreshToken);
+
+            // Replaying the old token revokes the session entirely
+            const replay = await request(app)
+                .post('/auth/tokens/refresh')
+                .set('Cookie', `refreshToken=${refreshToken}`);
+            expect(replay.statusCode).toEqual(401);
+
+            const afterReplay = await request(app)
+                .post('/auth/tokens/refresh')
+                .set('Cookie', `refreshToken=${rotated}`);
+            expect(afterReplay.statusCode).toEqual(401);
+        });
+
+        it('should not fork a session when the same token is refreshed twice at once', async () => {
+            const { user, refreshToken } = await login();
+            const refresh = () => request(app)
+                .post('/auth/tokens/refresh')
+                .set('Cookie', `refreshToken=${refreshToken}`);
+
+            const results = await Promise.all([refresh(), refresh()]);
+            expect(results.map(r => r.statusCode).sort()).toEqual([200, 401]);
+
+            // The second use of the token is a replay, so the winner's token is dead too
+            const winner = results.find(r => r.statusCode === 200);
+            const next = await request(app)
+                .post('/auth/tokens/refresh')
+                .set('Cookie', `refreshToken=${getCookie(winner, 'refreshToken')}`);
+            expect(next.statusCode).toEqual(401);
+            const sessions = await prisma.session.findMany({ where: { userId: user.id, revokedAt: null } });
+            expect(sessions).toHaveLength(0);
+        });
+
+        it('should reject access tokens of a revoked session', async () => {
+            const { token } = await login();
+            const second = await login();
+
+            const list = await request(app)
+                .get('/auth/sessions')
+                .set('Cookie', `token=${token}`);
+            const sessionId = list.body.find(s => s.current).id;
+
+            const res = await request(app)
+                .delete(`/auth/sessions/${sessionId}`)
+                .set('Cookie', `token=${token}`);
+            expect(res.statusCode).toEqual(204);
+
+            const me = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${token}`);
+            expect(me.statusCode).toEqual(401);
+
+            // Another user's session cannot be revoked
+            const other = await request(app)
+                .delete(`/auth/sessions/${sessionId}`)
+                .set('Cookie', `token=${second.token}`);
+            expect(other.statusCode).toEqual(404);
+        });
+
+        it('should revoke the session on logout', async () => {
+            const { token, refreshToken } = await login();
+
+            const res = await request(app)
+                .post('/auth/logout')
+                .set('Cookie', [`token=${token}`, `refreshToken=${refreshToken}`]);
+            expect(res.statusCode).toEqual(200);
+
+            const me = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${token}`);
+            expect(me.statusCode).toEqual(401);
+        });
+    });
+
+    describe('Role scoping', () => {
+        it('should cap the session at a lower role until the password is given', async () => {
+            const { token, password } = await createTestUser('manager');
+
+            const scoped = await request(app)
+                .post('/auth/tokens/scope')
+                .set('Cookie', `token=${token}`)
+                .send({ role: 'cashier' });
+            expect(scoped.statusCode).toEqual(200);
+            expect(scoped.body.role).toEqual('cashier');
+            const scopedToken = getCookie(scoped, 'token');
+
+            // The cap is on the session, so the original manager token is capped as well
+            for (const t of [token, scopedToken]) {
+                const res = await request(app)
+                    .get('/users')
+                    .set('Cookie', `token=${t}`);
+                expect(res.statusCode).toEqual(403);
+            }
+
+            const me = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${scopedToken}`);
+            expect(me.body.role).toEqual('manager');
+            expect(me.body.activeRole).toEqual('cashier');
+            expect(me.body.permissions).not.toContain('users.manage');
+
+            const noPassword = await request(app)
+                .post('/auth/tokens/scope')
+                .set('Cookie', `token=${scopedToken}`)
+                .send({ role: 'manager' });
+            expect(noPassword.statusCode).toEqual(401);
+
+            const wrongPassword = await request(app)
+                .post('/auth/tokens/scope')
+                .set('Cookie', `token=${scopedToken}`)
+                .send({ role: 'manager', password: 'WrongPassword1!' });
+            expect(wrongPassword.statusCode).toEqual(401);
+
+            const restored = await request(app)
+                .post('/auth/tokens/scope')
+                .set('Cookie', `token=${scopedToken}`)
+                .send({ role: 'manager', password });
+            expect(restored.statusCode).toEqual(200);
+            expect(restored.body.scopedRole).toBeNull();
+
+            const res = await request(app)
+                .get('/users')
+                .set('Cookie', `token=${getCookie(restored, 'token')}`);
+            expect(res.statusCode).toEqual(200);
+
+            // Keep later throttle tests independent of the failure above
+            await prisma.authThrottle.deleteMany();
+        });
+
+        it('should record the scoped role on transactions staff create and process', async () => {
+            const { token } = await createTestUser('manager');
+            const { token: viewerToken } = await createTestUser('manager');
+            const { user } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 100 } });
+            const redemption = await prisma.transaction.create({
+                data: { userId: user.id, type: 'redemption', amount: -50, createdBy: user.id }
+            });
+
+            await request(app)
+                .post('/auth/tokens/scope')
+                .set('Cookie', `token=${token}`)
+                .send({ role: 'cashier' });
+
+            const purchase = await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${token}`)
+                .send({ utorid: user.utorid, type: 'purchase', spent: 10 });
+            expect(purchase.statusCode).toEqual(201);
+            const processed = await request(app)
+                .patch(`/transactions/${redemption.id}/processed`)
+                .set('Cookie', `token=${token}`)
+                .send({ processed: true });
+            expect(processed.statusCode).toEqual(200);
+
+            const purchaseDetail = await request(app)
+                .get(`/transactions/${purchase.body.id}`)
+                .set('Cookie', `token=${viewerToken}`);
+            expect(purchaseDetail.body.createdByRole).toEqual('cashier');
+            const redemptionDetail = await request(app)
+                .get(`/transactions/${redemption.id}`)
+                .set('Cookie', `token=${viewerToken}`);
+            expect(redemptionDetail.body.processedByRole).toEqual('cashier');
+        });
+
+        it('should not scope above the account role', async () => {
+            const { token } = await createTestUser('cashier');
+
+            const res = await request(app)
+                .post('/auth/tokens/scope')
+                .set('Cookie', `token=${token}`)
+                .send({ role: 'manager', password: 'Password123!' });
+            expect(res.statusCode).toEqual(403);
+        });
+
+        it('should keep the cap across token refreshes', async () => {
+            const { user, password } = await createTestUser('manager');
+            const login = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            const token = getCookie(login, 'token');
+            const refreshToken = getCookie(login, 'refreshToken');
+
+            await request(app)
+                .post('/auth/tokens/scope')
+                .set('Cookie', `token=${token}`)
+                .send({ role: 'regular' });
+
+            const refreshed = await request(app)
+                .post('/auth/tokens/refresh')
+                .set('Cookie', `refreshToken=${refreshToken}`);
+            expect(refreshed.statusCode).toEqual(200);
+            expect(jwtUtils.verifyToken(refreshed.body.token).role).toEqual('regular');
+
+            const sessions = await request(app)
+                .get('/auth/sessions')
+                .set('Cookie', `token=${refreshed.body.token}`);
+            expect(sessions.body.find(s => s.current).scopedRole).toEqual('regular');
+        });
+    });
+
+    describe('Two-factor authentication', () => {
+        const enroll = async (token) => {
+            const setup = await request(app)
+                .post('/auth/2fa/setup')
+                .set('Cookie', `token=${token}`);
+            const code = totpUtils.generateCode(setup.body.secret, totpUtils.currentStep());
+            const verify = await request(app)
+                .post('/auth/2fa/verify')
+                .set('Cookie', `token=${token}`)
+                .send({ code });
+            return { setup, verify, secret: setup.body.secret };
+        };
+
+        afterEach(async () => {
+            await prisma.setting.deleteMany();
+        });
+
+        it('should enroll and return recovery codes', async () => {
+            const { token } = await createTestUser('manager');
+            const { setup, verify } = await enroll(token);
+
+            expect(setup.statusCode).toEqual(200);
+            expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+            expect(verify.statusCode).toEqual(200);
+            expect(verify.body.recoveryCodes).toHaveLength(10);
+
+            const status = await request(app)
+                .get('/auth/2fa')
+                .set('Cookie', `token=${token}`);
+            expect(status.body.enabled).toBe(true);
+            expect(status.body.recoveryCodesRemaining).toEqual(10);
+        });
+
+        it('should require a second step to log in once enabled', async () => {
+            const { user, token, password } = await createTestUser('manager');
+            const { verify } = await enroll(token);
+
+            const first = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            expect(first.statusCode).toEqual(200);
+            expect(first.body.twoFactorRequired).toBe(true);
+            expect(first.body).not.toHaveProperty('token');
+
+            const wrong = await request(app)
+                .post('/auth/tokens/2fa')
+                .send({ challengeToken: first.body.challengeToken, code: '000000' });
+            expect(wrong.statusCode).toEqual(401);
+
+            // The enrollment code's time step was consumed, so use a recovery code
+            const second = await request(app)
+                .post('/auth/tokens/2fa')
+                .send({ challengeToken: first.body.challengeToken, recoveryCode: verify.body.recoveryCodes[0] });
+            expect(second.statusCode).toEqual(200);
+            expect(second.body).toHaveProperty('token');
+
+            // Recovery codes are single use
+            const reuse = await request(app)
+                .post('/auth/tokens/2fa')
+                .send({ challengeToken: first.body.challengeToken, recoveryCode: verify.body.recoveryCodes[0] });
+            expect(reuse.statusCode).toEqual(401);
+        });
+
+        it('should accept a recovery code only once when it is used twice at once', async () => {
+            const { user, token, password } = await createTestUser('manager');
+            const { verify } = await enroll(token);
+            const first = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            const useCode = () => request(app)
+                .post('/auth/tokens/2fa')
+                .send({ challengeToken: first.body.challengeToken, recoveryCode: verify.body.recoveryCodes[0] });
+
+            const results = await Promise.all([useCode(), useCode()]);
+            expect(results.map(r => r.statusCode).sort()).toEqual([200, 401]);
+            const stored = await prisma.user.findUnique({ where: { id: user.id } });
+            expect(JSON.parse(stored.recoveryCodes)).toHaveLength(9);
+        });
+
+        it('should force staff to enroll when the superuser policy is on', async () => {
+            const { token: superToken } = await createTestUser('superuser');
+            const { user, password } = await createTestUser('cashier');
+
+            const policy = await request(app)
+                .patch('/settings')
+                .set('Cookie', `token=${superToken}`)
+                .send({ requireTwoFactorForStaff: true });
+            expect(policy.statusCode).toEqual(200);
+
+            const login = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            expect(login.body.twoFactorRequired).toBe(true);
+            expect(login.body.enrollmentRequired).toBe(true);
+
+            const { challengeToken } = login.body;
+            const setup = await request(app)
+                .post('/auth/2fa/setup')
+                .send({ challengeToken });
+            expect(setup.statusCode).toEqual(200);
+
+            const verify = await request(app)
+                .post('/auth/2fa/verify')
+                .send({ challengeToken, code: totpUtils.generateCode(setup.body.secret, totpUtils.currentStep()) });
+            expect(verify.statusCode).toEqual(200);
+            expect(verify.body).toHaveProperty('token');
+            expect(verify.body.recoveryCodes).toHaveLength(10);
+        });
+
+        it('should not let staff disable 2FA while it is required', async () => {
+            const { token: superToken } = await createTestUser('superuser');
+            const { token } = await createTestUser('manager');
+            const { verify } = await enroll(token);
+
+            await request(app)
+                .patch('/settings')
+                .set('Cookie', `token=${superToken}`)
+                .send({ requireTwoFactorForStaff: true });
+
+            const res = await request(app)
+                .delete('/auth/2fa')
+                .set('Cookie', `token=${token}`)
+                .send({ recoveryCode: verify.body.recoveryCodes[0] });
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    describe('Impersonation', () => {
+        it('should let a superuser view as a user read-only and log every request', async () => {
+            const { user: superuser, token: superToken } = await createTestUser('superuser');
+            const { user: student } = await createTestUser('regular');
+
+            const start = await request(app)
+                .post('/auth/impersonation')
+                .set('Cookie', `token=${superToken}`)
+                .send({ userId: student.id });
+            expect(start.statusCode).toEqual(201);
+            expect(start.body.impersonation.readOnly).toBe(true);
+            const token = getCookie(start, 'token');
+
+            const me = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${token}`);
+            expect(me.statusCode).toEqual(200);
+            expect(me.body.utorid).toEqual(student.utorid);
+            expect(me.body.impersonation.impersonator.utorid).toEqual(superuser.utorid);
+
+            const write = await request(app)
+                .patch('/users/me')
+                .set('Cookie', `token=${token}`)
+                .send({ name: 'Changed' });
+            expect(write.statusCode).toEqual(403);
+
+            const stop = await request(app)
+                .delete('/auth/impersonation')
+                .set('Cookie', `token=${token}`);
+            expect(stop.statusCode).toEqual(200);
+
+            const back = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${getCookie(stop, 'token')}`);
+            expect(back.body.utorid).toEqual(superuser.utorid);
+
+            const audit = await request(app)
+                .get(`/users/${student.id}/impersonations`)
+                .set('Cookie', `token=${getCookie(stop, 'token')}`);
+            expect(audit.statusCode).toEqual(200);
+            // Requests are logged as they finish, so don't rely on their order
+            expect(audit.body.results.map(l => `${l.method} ${l.path} ${l.statusCode}`).sort()).toEqual([
+                'DELETE /auth/impersonation 200',
+                'GET /users/me 200',
+                'PATCH /users/me 403',
+                'POST /auth/impersonation 201'
+            ]);
+            expect(audit.body.results.every(l => l.impersonator === superuser.utorid)).toBe(true);
+        });
+
+        it('should return the superuser to their own session after impersonation expires', async () => {
+            const { user: superuser, token: superToken } = await createTestUser('superuser');
+            const { user: student } = await createTestUser('regular');
+
+            const startImpersonation = async () => {
+                const start = await request(app)
+                    .post('/auth/impersonation')
+                    .set('Cookie', `token=${superToken}`)
+                    .send({ userId: student.id });
+                await prisma.session.updateMany({
+                    where: { userId: student.id, impersonatorId: superuser.id, revokedAt: null },
+                    data: { expiresAt: new Date(Date.now() - 1000) }
+                });
+                return start;
+            };
+
+            // Clicking stop after the session ran out
+            const first = await startImpersonation();
+            const stop = await request(app)
+                .delete('/auth/impersonation')
+                .set('Cookie', `token=${getCookie(first, 'token')}`);
+            expect(stop.statusCode).toEqual(200);
+            const back = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${getCookie(stop, 'token')}`);
+            expect(back.body.utorid).toEqual(superuser.utorid);
+
+            // An ended impersonation cannot be used to get back in again
+            const replay = await request(app)
+                .delete('/auth/impersonation')
+                .set('Cookie', `token=${getCookie(first, 'token')}`);
+            expect(replay.statusCode).toEqual(401);
+
+            // Any request after it ran out, which refreshes first
+            const second = await startImpersonation();
+            const refreshed = await request(app)
+                .post('/auth/tokens/refresh')
+                .set('Cookie', `refreshToken=${getCookie(second, 'refreshToken')}`);
+            expect(refreshed.statusCode).toEqual(200);
+            expect(refreshed.body.impersonationEnded).toBe(true);
+            expect(jwtUtils.verifyToken(refreshed.body.token).id).toEqual(superuser.id);
+        });
+
+        it('should hide impersonation sessions from the impersonated user', async () => {
+            const { token: superToken } = await createTestUser('superuser');
+            const { user: student, token: studentToken } = await createTestUser('regular');
+
+            const start = await request(app)
+                .post('/auth/impersonation')
+                .set('Cookie', `token=${superToken}`)
+                .send({ userId: student.id });
+            const impersonation = await prisma.session.findFirst({ where: { userId: student.id, impersonatorId: { not: null } } });
+
+            const list = await request(app)
+                .get('/auth/sessions')
+                .set('Cookie', `token=${studentToken}`);
+            expect(list.statusCode).toEqual(200);
+            expect(list.body.map(s => s.id)).not.toContain(impersonation.id);
+
+            const revoke = await request(app)
+                .delete(`/auth/sessions/${impersonation.id}`)
+                .set('Cookie', `token=${studentToken}`);
+            expect(revoke.statusCode).toEqual(404);
+
+            const me = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${getCookie(start, 'token')}`);
+            expect(me.statusCode).toEqual(200);
+        });
+
+        it('should not allow impersonating another superuser', async () => {
+            const { token: superToken } = await createTestUser('superuser');
+            const { user: other } = await createTestUser('superuser');
+
+            const res = await request(app)
+                .post('/auth/impersonation')
+                .set('Cookie', `token=${superToken}`)
+                .send({ userId: other.id });
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    describe('Brute-force protection', () => {
+        const failLogin = (utorid) => request(app)
+            .post('/auth/tokens')
+            .send({ utorid, password: 'WrongPassword1!' });
+
+        it('should delay repeated failures with 429 and Retry-After', async () => {
+            const { user, password } = await createTestUser();
+
+            for (let i = 0; i < 4; i++) {
+                const res = await failLogin(user.utorid);
+                expect(res.statusCode).toEqual(401);
+            }
+
+            const res = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            expect(res.statusCode).toEqual(429);
+            expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        });
+
+        it('should count parallel failures without letting them past the delay', async () => {
+            const { user } = await createTestUser();
+            await prisma.authThrottle.deleteMany();
+
+            const responses = await Promise.all([1, 2, 3, 4, 5, 6].map(() => failLogin(user.utorid)));
+            const codes = responses.map(r => r.statusCode).sort();
+            // Three free attempts and the fourth that starts the delay; the rest must wait
+            expect(codes).toEqual([401, 401, 401, 401, 429, 429]);
+
+            const counter = await prisma.authThrottle.findUnique({ where: { key: `login:utorid:${user.utorid.toLowerCase()}` } });
+            expect(counter.failures).toEqual(4);
+            await prisma.authThrottle.deleteMany();
+        });
+
+        it('should record a lockout and let a manager unlock it', async () => {
+            const { user, password } = await createTestUser();
+            const { token: managerToken } = await createTestUser('manager');
+
+            // One failure short of the threshold, old enough to be past the delay
+            await prisma.authThrottle.create({
+                data: {
+                    key: `login:utorid:${user.utorid.toLowerCase()}`,
+                    failures: 9,
+                    lastFailureAt: new Date(Date.now() - 60 * 1000)
+                }
+            });
+            await failLogin(user.utorid);
+
+            const locked = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            expect(locked.statusCode).toEqual(429);
+
+            const history = await request(app)
+                .get(`/users/${user.id}/lockouts`)
+                .set('Cookie', `token=${managerToken}`);
+            expect(history.statusCode).toEqual(200);
+            expect(history.body.locked).toBe(true);
+            expect(history.body.results[0].scope).toEqual('login');
+
+            const unlock = await request(app)
+                .delete(`/users/${user.id}/lockouts`)
+                .set('Cookie', `token=${managerToken}`);
+            expect(unlock.statusCode).toEqual(200);
+            expect(unlock.body.unlocked).toEqual(1);
+
+            const res = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            expect(res.statusCode).toEqual(200);
+        });
+
+        it('should let a manager see and clear an IP lockout', async () => {
+            const { user, password } = await createTestUser();
+            const { token: managerToken } = await createTestUser('manager');
+            await prisma.authThrottle.deleteMany();
+
+            // Find the key for this client's address, then put it one failure short of the threshold
+            await failLogin(user.utorid);
+            const ipCounter = await prisma.authThrottle.findFirst({ where: { key: { startsWith: 'login:ip:' } } });
+            await prisma.authThrottle.update({
+                where: { key: ipCounter.key },
+                data: { failures: 49, lastFailureAt: new Date(Date.now() - 60 * 1000) }
+            });
+            await failLogin(user.utorid);
+
+            const locked = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            expect(locked.statusCode).toEqual(429);
+
+            const list = await request(app)
+                .get('/users/lockouts/ip')
+                .set('Cookie', `token=${managerToken}`);
+            expect(list.statusCode).toEqual(200);
+            expect(list.body.count).toEqual(1);
+            const { ipAddress } = list.body.results[0];
+            expect(ipCounter.key).toEqual(`login:ip:${ipAddress}`);
+
+            const unlock = await request(app)
+                .delete(`/users/lockouts/ip/${encodeURIComponent(ipAddress)}`)
+                .set('Cookie', `token=${managerToken}`);
+            expect(unlock.statusCode).toEqual(200);
+            expect(unlock.body.unlocked).toEqual(1);
+
+            const after = await request(app)
+                .get('/users/lockouts/ip')
+                .set('Cookie', `token=${managerToken}`);
+            expect(after.body.count).toEqual(0);
+
+            const res = await request(app)
+                .post('/auth/tokens')
+                .send({ utorid: user.utorid, password });
+            expect(res.statusCode).toEqual(200);
+        });
+
+        it('should throttle repeated reset requests', async () => {
+            const { user } = await createTestUser();
+
+            const first = await request(app).post('/auth/resets').send({ utorid: user.utorid });
+            expect(first.statusCode).toEqual(202);
+            await request(app).post('/auth/resets').send({ utorid: user.utorid });
+
+            const res = await request(app).post('/auth/resets').send({ utorid: user.utorid });
+            expect(res.statusCode).toEqual(429);
+            expect(res.headers['retry-after']).toBeDefined();
+        });
+    });
+
+    describe('Email verification', () => {
+        it('should verify the account from an emailed link', async () => {
+            const { user } = await createTestUser();
+            await prisma.user.update({ where: { id: user.id }, data: { verified: false } });
+
+            const res = await request(app)
+                .post(`/auth/verifications/${jwtUtils.generateVerificationToken(user)}`);
+            expect(res.statusCode).toEqual(200);
+
+            const updated = await prisma.user.findUnique({ where: { id: user.id } });
+            expect(updated.verified).toBe(true);
+        });
+
+        it('should void older links when the email changes', async () => {
+            const { user, token } = await createTestUser();
+            const link = jwtUtils.generateVerificationToken(user);
+
+            const patch = await request(app)
+                .patch('/users/me')
+                .set('Cookie', `token=${token}`)
+                .send({ email: `new${user.utorid}@mail.utoronto.ca` });
+            expect(patch.statusCode).toEqual(200);
+            expect(patch.body.verified).toBe(false);
+
+            const res = await request(app).post(`/auth/verifications/${link}`);
+            expect(res.statusCode).toEqual(400);
+        });
+
+        it('should throttle verification resends', async () => {
+            const { user } = await createTestUser();
+            await prisma.user.update({ where: { id: user.id }, data: { verified: false } });
+
+            const first = await request(app).post('/auth/verifications').send({ utorid: user.utorid });
+            expect(first.statusCode).toEqual(202);
+            await request(app).post('/auth/verifications').send({ utorid: user.utorid });
+
+            const res = await request(app).post('/auth/verifications').send({ utorid: user.utorid });
+            expect(res.statusCode).toEqual(429);
+        });
+    });
+
     describe('POST /auth/resets (Request Reset)', () => {
         it('should request password reset', async () => {
             const { user } = await createTestUser();
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const { app, prisma } = require('../index');
+const { createTestUser, clearDatabase } = require('./helpers');
+
+describe('Fraud Rule Endpoints', () => {
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    afterAll(async () => {
+        await prisma.$disconnect();
+    });
+
+    const purchase = (token, utorid, spent) => request(app)
+        .post('/transactions')
+        .set('Cookie', `token=${token}`)
+        .send({ utorid, type: 'purchase', spent });
+
+    const transfer = (token, utorid, amount) => request(app)
+        .post(`/users/${utorid}/transactions`)
+        .set('Cookie', `token=${token}`)
+        .send({ type: 'transfer', amount });
+
+    const pointsOf = async (userId) => (await prisma.user.findUnique({ where: { id: userId } })).points;
+
+    describe('POST /fraud-rules', () => {
+        it('should allow manager to add a rule', async () => {
+            const { token: managerToken } = await createTestUser('manager');
+
+            const res = await request(app)
+                .post('/fraud-rules')
+                .set('Cookie', `token=${managerToken}`)
+                .send({ name: 'Big spender', kind: 'spentAbove', threshold: 500 });
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body).toMatchObject({ name: 'Big spender', kind: 'spentAbove', threshold: 500, enabled: true });
+        });
+
+        it('should reject a rule without the parameters its kind needs', async () => {
+            const { token: managerToken } = await createTestUser('manager');
+
+            const res = await request(app)
+                .post('/fraud-rules')
+                .set('Cookie', `token=${managerToken}`)
+                .send({ name: 'Too fast', kind: 'purchaseVelocity', count: 3 });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error).toEqual('purchaseVelocity rules need windowMinutes');
+        });
+
+        it('should not allow cashiers to edit rules', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+
+            const res = await request(app)
+                .post('/fraud-rules')
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ name: 'Big spender', kind: 'spentAbove', threshold: 500 });
+
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    describe('Holding transactions', () => {
+        it('should hold a purchase that matches a rule until it is released', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            await prisma.fraudRule.create({ data: { name: 'Big spender', kind: 'spentAbove', threshold: 500 } });
+
+            const small = await purchase(cashierToken, user.utorid, 10);
+            expect(small.body.earned).toEqual(40);
+
+            const big = await purchase(cashierToken, user.utorid, 600);
+            expect(big.statusCode).toEqual(201);
+            expect(big.body.earned).toEqual(0);
+            expect(await pointsOf(user.id)).toEqual(40);
+
+            const queue = await request(app)
+                .get('/transactions/flagged')
+                .set('Cookie', `token=${managerToken}`);
+            expect(queue.body.count).toEqual(1);
+            expect(queue.body.results[0]).toMatchObject({
+                id: big.body.id,
+                flagReason: 'Big spender: $600.00 spent is above $500.00'
+            });
+
+            const released = await request(app)
+                .patch(`/transactions/${big.body.id}/suspicious`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({ suspicious: false });
+            expect(released.body.processed).toBe(true);
+            expect(await pointsOf(user.id)).toEqual(2440);
+        });
+
+        it('should count recent purchases for velocity rules', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            await prisma.fraudRule.create({
+                data: { name: 'Too fast', kind: 'purchaseVelocity', count: 2, windowMinutes: 60 }
+            });
+
+            await purchase(cashierToken, user.utorid, 10);
+            await purchase(cashierToken, user.utorid, 10);
+            const third = await purchase(cashierToken, user.utorid, 10);
+
+            const held = await prisma.transaction.findUnique({ where: { id: third.body.id } });
+            expect(held.suspicious).toBe(true);
+            expect(held.flagReason).toEqual('Too fast: 3 purchases in 60 minutes');
+        });
+
+        it('should count concurrent purchases for velocity rules', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            await prisma.fraudRule.create({
+                data: { name: 'Too fast', kind: 'purchaseVelocity', count: 2, windowMinutes: 60 }
+            });
+
+            const responses = await Promise.all([1, 2, 3, 4].map(() => purchase(cashierToken, user.utorid, 10)));
+            expect(responses.every(res => res.statusCode === 201)).toBe(true);
+
+            const held = await prisma.transaction.count({ where: { userId: user.id, type: 'purchase', suspicious: true } });
+            expect(held).toEqual(2);
+        });
+
+        it('should ignore disabled rules', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            await prisma.fraudRule.create({ data: { name: 'Big spender', kind: 'spentAbove', threshold: 5, enabled: false } });
+
+            const res = await purchase(cashierToken, user.utorid, 10);
+            expect(res.body.earned).toEqual(40);
+        });
+
+        it('should hold a transfer that closes a ring and refund the sender when rejected', async () => {
+            const { user: a, token: aToken } = await createTestUser('regular');
+            const { user: b, token: bToken } = await createTestUser('regular');
+            const { token: managerToken } = await createTestUser('manager');
+            await prisma.user.update({ where: { id: a.id }, data: { points: 100 } });
+            await prisma.fraudRule.create({
+                data: { name: 'Ring', kind: 'transferRing', count: 3, windowMinutes: 60 }
+            });
+
+            expect((await transfer(aToken, b.utorid, 50)).body.held).toBeUndefined();
+            const back = await transfer(bToken, a.utorid, 50);
+            expect(back.statusCode).toEqual(201);
+            expect(back.body.held).toBe(true);
+            expect(await pointsOf(a.id)).toEqual(50);
+            expect(await pointsOf(b.id)).toEqual(0);
+
+            const queue = await request(app)
+                .get('/transactions/flagged?type=transfer')
+                .set('Cookie', `token=${managerToken}`);
+            expect(queue.body.results[0].utorid).toEqual(a.utorid);
+
+            await request(app)
+                .post(`/transactions/${queue.body.results[0].id}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({});
+            expect(await pointsOf(a.id)).toEqual(50);
+            expect(await pointsOf(b.id)).toEqual(50);
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const { prisma } = require('../index');
 
 const createTestUser = async (role = 'regular', utorid = null) => {
@@ -20,13 +21,22 @@ const createTestUser = async (role = 'regular', utorid = null) => {
         }
     });
 
+    // Tokens are only honoured while their session is live
+    const session = await prisma.session.create({
+        data: {
+            userId: user.id,
+            refreshTokenHash: crypto.randomBytes(32).toString('hex'),
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        }
+    });
+
     const token = jwt.sign(
-        { id: user.id, utorid: user.utorid, role: user.role },
+        { id: user.id, utorid: user.utorid, role: user.role, sid: session.id, tv: user.tokenVersion },
         process.env.JWT_SECRET || 'test-secret',
         { expiresIn: '1h' }
     );
 
-    return { user, token, password };
+    return { user, token, password, session };
 };
 
 const clearDatabase = async () => {
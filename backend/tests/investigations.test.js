@@ -0,0 +1,226 @@
+const request = require('supertest');
+const { app, prisma } = require('../index');
+const { createTestUser, clearDatabase } = require('./helpers');
+
+describe('Investigation Endpoints', () => {
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    afterAll(async () => {
+        await prisma.$disconnect();
+    });
+
+    const purchase = (token, utorid, spent) => request(app)
+        .post('/transactions')
+        .set('Cookie', `token=${token}`)
+        .send({ utorid, type: 'purchase', spent });
+
+    const openCase = (token, data) => request(app)
+        .post('/investigations')
+        .set('Cookie', `token=${token}`)
+        .send(data);
+
+    const resolve = (token, investigationId, data) => request(app)
+        .post(`/investigations/${investigationId}/resolution`)
+        .set('Cookie', `token=${token}`)
+        .send(data);
+
+    describe('POST /investigations', () => {
+        it('should open a case on users and transactions', async () => {
+            const { user } = await createTestUser('regular');
+            const { user: cashier, token: cashierToken } = await createTestUser('cashier');
+            const { user: manager, token: managerToken } = await createTestUser('manager');
+            const tx = await purchase(cashierToken, user.utorid, 10);
+
+            const res = await openCase(managerToken, {
+                title: 'Repeat purchases',
+                summary: 'Same cashier every time',
+                utorids: [user.utorid, cashier.utorid],
+                transactionIds: [tx.body.id],
+                assignee: manager.utorid
+            });
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body).toMatchObject({
+                title: 'Repeat purchases',
+                status: 'open',
+                openedBy: manager.utorid,
+                assignee: { utorid: manager.utorid }
+            });
+            expect(res.body.users.map(u => u.utorid)).toEqual([user.utorid, cashier.utorid]);
+            expect(res.body.transactions[0]).toMatchObject({ id: tx.body.id, utorid: user.utorid });
+            expect(res.body.notes[0]).toMatchObject({
+                kind: 'activity',
+                body: `Opened by ${manager.utorid} and assigned to ${manager.utorid}`
+            });
+        });
+
+        it('should reject unknown users', async () => {
+            const { token: managerToken } = await createTestUser('manager');
+
+            const res = await openCase(managerToken, { title: 'Nobody', utorids: ['nobody12'] });
+
+            expect(res.statusCode).toEqual(404);
+            expect(res.body.error).toEqual('User not found: nobody12');
+        });
+
+        it('should not let cashiers open cases', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+
+            const res = await openCase(cashierToken, { title: 'Case', utorids: [user.utorid] });
+
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    describe('PATCH /investigations/:investigationId', () => {
+        it('should record status changes, assignment and new subjects', async () => {
+            const { user } = await createTestUser('regular');
+            const { user: other } = await createTestUser('regular');
+            const { user: manager, token: managerToken } = await createTestUser('manager');
+            const opened = await openCase(managerToken, { title: 'Case', utorids: [user.utorid] });
+
+            const res = await request(app)
+                .patch(`/investigations/${opened.body.id}`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({ status: 'underReview', assignee: manager.utorid, utorids: [other.utorid] });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.status).toEqual('underReview');
+            expect(res.body.users).toHaveLength(2);
+            expect(res.body.notes[1].body).toEqual(
+                `Marked under review. Assigned to ${manager.utorid}. Added ${other.utorid} by ${manager.utorid}`
+            );
+        });
+
+        it('should only assign cases to staff who can work them', async () => {
+            const { user } = await createTestUser('regular');
+            const { user: cashier } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            const opened = await openCase(managerToken, { title: 'Case', utorids: [user.utorid] });
+
+            const res = await request(app)
+                .patch(`/investigations/${opened.body.id}`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({ assignee: cashier.utorid });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error).toEqual('Assignee cannot manage investigations');
+        });
+    });
+
+    describe('POST /investigations/:investigationId/notes', () => {
+        it('should add evidence with a link', async () => {
+            const { user } = await createTestUser('regular');
+            const { user: manager, token: managerToken } = await createTestUser('manager');
+            const opened = await openCase(managerToken, { title: 'Case', utorids: [user.utorid] });
+
+            const res = await request(app)
+                .post(`/investigations/${opened.body.id}/notes`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({ kind: 'evidence', body: 'Till receipt does not match', link: 'https://example.com/receipt.png' });
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body).toMatchObject({ kind: 'evidence', author: manager.utorid, link: 'https://example.com/receipt.png' });
+        });
+    });
+
+    describe('POST /investigations/:investigationId/resolution', () => {
+        it('should reverse linked transactions and demote linked cashiers', async () => {
+            const { user } = await createTestUser('regular');
+            const { user: cashier, token: cashierToken } = await createTestUser('cashier');
+            const { user: manager, token: managerToken } = await createTestUser('manager');
+            const tx = await purchase(cashierToken, user.utorid, 10);
+            const opened = await openCase(managerToken, {
+                title: 'Fake purchases',
+                utorids: [cashier.utorid],
+                transactionIds: [tx.body.id]
+            });
+
+            const res = await resolve(managerToken, opened.body.id, {
+                actions: ['reverseTransactions', 'demoteCashiers'],
+                note: 'Cashier admitted to recording purchases for a friend'
+            });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.status).toEqual('resolved');
+            expect(res.body.resolution).toEqual(['reverseTransactions', 'demoteCashiers']);
+            expect(res.body.transactions[0].reversed).toBe(true);
+            expect(res.body.notes.map(n => n.body)).toContain(
+                `Resolved by ${manager.utorid}. Reversed #${tx.body.id}. Demoted ${cashier.utorid} to regular.`
+            );
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(0);
+            expect((await prisma.user.findUnique({ where: { id: cashier.id } })).role).toEqual('regular');
+
+            const again = await resolve(managerToken, opened.body.id, { note: 'Again' });
+            expect(again.statusCode).toEqual(400);
+        });
+
+        it('should clear flags and credit held transactions', async () => {
+            const { user } = await createTestUser('regular');
+            const { user: cashier, token: cashierToken } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            await prisma.user.update({ where: { id: cashier.id }, data: { suspicious: true } });
+            const tx = await purchase(cashierToken, user.utorid, 10);
+            expect(tx.body.earned).toEqual(0);
+            const opened = await openCase(managerToken, {
+                title: 'Flagged cashier',
+                utorids: [cashier.utorid],
+                transactionIds: [tx.body.id]
+            });
+
+            const res = await resolve(managerToken, opened.body.id, { actions: ['clearFlags'], note: 'Mistaken flag' });
+
+            expect(res.statusCode).toEqual(200);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(40);
+            expect((await prisma.user.findUnique({ where: { id: cashier.id } })).suspicious).toBe(false);
+        });
+
+        it('should change nothing if an action fails', async () => {
+            const { user } = await createTestUser('regular');
+            const { user: cashier, token: cashierToken } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            const tx = await purchase(cashierToken, user.utorid, 10);
+            const refund = await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ utorid: user.utorid, type: 'refund', relatedId: tx.body.id, spent: 5 });
+            expect(refund.statusCode).toEqual(201);
+            const opened = await openCase(managerToken, {
+                title: 'Refunded purchase',
+                utorids: [cashier.utorid],
+                transactionIds: [tx.body.id]
+            });
+
+            const res = await resolve(managerToken, opened.body.id, {
+                actions: ['demoteCashiers', 'reverseTransactions'],
+                note: 'Undo it all'
+            });
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error).toEqual(`Transaction #${tx.body.id}: Purchase has refunds; reverse them first`);
+            expect((await prisma.user.findUnique({ where: { id: cashier.id } })).role).toEqual('cashier');
+            expect((await prisma.investigation.findUnique({ where: { id: opened.body.id } })).status).toEqual('open');
+        });
+    });
+
+    describe('GET /users/:userId/investigations', () => {
+        it('should list cases on the user and on their transactions', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            const tx = await purchase(cashierToken, user.utorid, 10);
+            await openCase(managerToken, { title: 'On the user', utorids: [user.utorid] });
+            await openCase(managerToken, { title: 'On a purchase', transactionIds: [tx.body.id] });
+
+            const res = await request(app)
+                .get(`/users/${user.id}/investigations`)
+                .set('Cookie', `token=${managerToken}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.results.map(c => c.title).sort()).toEqual(['On a purchase', 'On the user']);
+        });
+    });
+});
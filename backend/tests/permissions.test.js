@@ -0,0 +1,214 @@
+const request = require('supertest');
+const { app, prisma } = require('../index');
+const { createTestUser, clearDatabase } = require('./helpers');
+
+describe('Permissions', () => {
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    afterAll(async () => {
+        await prisma.$disconnect();
+    });
+
+    const eventBody = () => {
+        const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        const end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+        return {
+            name: 'Games Night', description: 'Board games', location: 'BA 1160',
+            startTime: start.toISOString(), endTime: end.toISOString(), points: 100
+        };
+    };
+
+    it('should expose effective permissions on the current user', async () => {
+        const { token } = await createTestUser('cashier');
+
+        const res = await request(app)
+            .get('/users/me')
+            .set('Cookie', `token=${token}`);
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.permissions).toContain('transactions.purchase');
+        expect(res.body.permissions).not.toContain('transactions.adjust');
+        expect(res.body.activeRole).toEqual('cashier');
+    });
+
+    it('should list the permission catalog for superusers only', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { token: managerToken } = await createTestUser('manager');
+
+        const res = await request(app)
+            .get('/settings/permissions')
+            .set('Cookie', `token=${superToken}`);
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.roles).toEqual(['regular', 'cashier', 'manager']);
+        expect(res.body.permissions.map(p => p.name)).toContain('events.award');
+
+        const denied = await request(app)
+            .get('/settings/permissions')
+            .set('Cookie', `token=${managerToken}`);
+        expect(denied.statusCode).toEqual(403);
+    });
+
+    it('should enforce role mappings edited by a superuser', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { token: managerToken } = await createTestUser('manager');
+
+        const settings = await request(app)
+            .get('/settings')
+            .set('Cookie', `token=${superToken}`);
+        const { rolePermissions } = settings.body;
+        expect(rolePermissions.manager).toContain('events.manage');
+
+        const update = await request(app)
+            .patch('/settings')
+            .set('Cookie', `token=${superToken}`)
+            .send({
+                rolePermissions: {
+                    ...rolePermissions,
+                    manager: rolePermissions.manager.filter(p => p !== 'events.manage')
+                }
+            });
+        expect(update.statusCode).toEqual(200);
+
+        const res = await request(app)
+            .post('/events')
+            .set('Cookie', `token=${managerToken}`)
+            .send(eventBody());
+        expect(res.statusCode).toEqual(403);
+    });
+
+    it('should keep default roles for permissions a saved mapping does not mention', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { token: managerToken } = await createTestUser('manager');
+
+        const settings = await request(app)
+            .get('/settings')
+            .set('Cookie', `token=${superToken}`);
+        const { rolePermissions } = settings.body;
+        await request(app)
+            .patch('/settings')
+            .set('Cookie', `token=${superToken}`)
+            .send({ rolePermissions: { ...rolePermissions, manager: rolePermissions.manager.filter(p => p !== 'events.award') } });
+
+        // A mapping saved before fraud.rules existed would not list it anywhere
+        const row = await prisma.setting.findUnique({ where: { key: 'rolePermissions' } });
+        expect(row.value).toContain('events.award');
+        expect(row.value).not.toContain('fraud.rules');
+
+        const res = await request(app)
+            .get('/fraud-rules')
+            .set('Cookie', `token=${managerToken}`);
+        expect(res.statusCode).toEqual(200);
+
+        const after = await request(app)
+            .get('/settings')
+            .set('Cookie', `token=${superToken}`);
+        expect(after.body.rolePermissions.manager).toContain('fraud.rules');
+        expect(after.body.rolePermissions.manager).not.toContain('events.award');
+    });
+
+    it('should reject unknown permissions in role mappings', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+
+        const res = await request(app)
+            .patch('/settings')
+            .set('Cookie', `token=${superToken}`)
+            .send({ rolePermissions: { regular: ['events.launch'], cashier: [], manager: [] } });
+        expect(res.statusCode).toEqual(400);
+    });
+
+    it('should let a per-user grant extend a role', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { user: cashier, token: cashierToken } = await createTestUser('cashier');
+
+        const before = await request(app)
+            .get('/users')
+            .set('Cookie', `token=${cashierToken}`);
+        expect(before.statusCode).toEqual(403);
+
+        const grant = await request(app)
+            .put(`/users/${cashier.id}/permissions`)
+            .set('Cookie', `token=${superToken}`)
+            .send({ permissions: ['users.manage'] });
+        expect(grant.statusCode).toEqual(200);
+        expect(grant.body.grants).toEqual(['users.manage']);
+        expect(grant.body.permissions).toContain('users.manage');
+
+        const after = await request(app)
+            .get('/users')
+            .set('Cookie', `token=${cashierToken}`);
+        expect(after.statusCode).toEqual(200);
+
+        const revoke = await request(app)
+            .put(`/users/${cashier.id}/permissions`)
+            .set('Cookie', `token=${superToken}`)
+            .send({ permissions: [] });
+        expect(revoke.body.grants).toEqual([]);
+
+        const revoked = await request(app)
+            .get('/users')
+            .set('Cookie', `token=${cashierToken}`);
+        expect(revoked.statusCode).toEqual(403);
+    });
+
+    it('should require users.promote_staff to make managers', async () => {
+        const { token: managerToken } = await createTestUser('manager');
+        const { user: target } = await createTestUser('regular');
+
+        const res = await request(app)
+            .patch(`/users/${target.id}`)
+            .set('Cookie', `token=${managerToken}`)
+            .send({ role: 'manager' });
+        expect(res.statusCode).toEqual(403);
+    });
+
+    it('should not store grants for superusers or let non-superusers grant', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { user: otherSuper } = await createTestUser('superuser');
+        const { user: manager, token: managerToken } = await createTestUser('manager');
+
+        const superGrant = await request(app)
+            .put(`/users/${otherSuper.id}/permissions`)
+            .set('Cookie', `token=${superToken}`)
+            .send({ permissions: ['users.manage'] });
+        expect(superGrant.statusCode).toEqual(400);
+
+        const selfGrant = await request(app)
+            .put(`/users/${manager.id}/permissions`)
+            .set('Cookie', `token=${managerToken}`)
+            .send({ permissions: ['settings.manage'] });
+        expect(selfGrant.statusCode).toEqual(403);
+    });
+
+    it('should keep grants and role mappings with superusers even for settings.manage holders', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { user: manager, token: managerToken } = await createTestUser('manager');
+        await request(app)
+            .put(`/users/${manager.id}/permissions`)
+            .set('Cookie', `token=${superToken}`)
+            .send({ permissions: ['settings.manage'] });
+
+        const selfGrant = await request(app)
+            .put(`/users/${manager.id}/permissions`)
+            .set('Cookie', `token=${managerToken}`)
+            .send({ permissions: ['settings.manage', 'users.promote_staff'] });
+        expect(selfGrant.statusCode).toEqual(403);
+
+        const settings = await request(app)
+            .get('/settings')
+            .set('Cookie', `token=${managerToken}`);
+        expect(settings.statusCode).toEqual(200);
+        const mapping = await request(app)
+            .patch('/settings')
+            .set('Cookie', `token=${managerToken}`)
+            .send({ rolePermissions: { ...settings.body.rolePermissions, manager: ['users.promote_staff'] } });
+        expect(mapping.statusCode).toEqual(403);
+        expect(mapping.body.error).toEqual('Only superusers can change role permissions');
+
+        const other = await request(app)
+            .patch('/settings')
+            .set('Cookie', `token=${managerToken}`)
+            .send({ redemptionExpiryDays: 14 });
+        expect(other.statusCode).toEqual(200);
+    });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { app, prisma } = require('../index');
+const { emailUtils } = require('../middleware');
+const { createTestUser, clearDatabase } = require('./helpers');
+
+describe('Point Request Endpoints', () => {
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    afterAll(async () => {
+        await prisma.$disconnect();
+    });
+
+    const ask = (token, utorid, amount, remark) => request(app)
+        .post('/point-requests')
+        .set('Cookie', `token=${token}`)
+        .send({ utorid, amount, remark });
+
+    const answer = (token, requestId, status) => request(app)
+        .patch(`/point-requests/${requestId}`)
+        .set('Cookie', `token=${token}`)
+        .send({ status });
+
+    describe('POST /point-requests', () => {
+        it('should create a pending request that expires', async () => {
+            const { token } = await createTestUser('regular');
+            const { user: member } = await createTestUser('regular');
+
+            const res = await ask(token, member.utorid, 50, 'Pizza order');
+            expect(res.statusCode).toEqual(201);
+            expect(res.body).toMatchObject({ amount: 50, remark: 'Pizza order', status: 'pending' });
+            expect(res.body.recipient.utorid).toEqual(member.utorid);
+            expect(new Date(res.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('should not allow requesting points from yourself', async () => {
+            const { user, token } = await createTestUser('regular');
+
+            const res = await ask(token, user.utorid, 50);
+            expect(res.statusCode).toEqual(400);
+        });
+
+        it('should throttle a requester who keeps asking', async () => {
+            const { token } = await createTestUser('regular');
+            const { user: member } = await createTestUser('regular');
+
+            for (let i = 0; i < 6; i++) {
+                expect((await ask(token, member.utorid, 10)).statusCode).toEqual(201);
+            }
+            const res = await ask(token, member.utorid, 10);
+            expect(res.statusCode).toEqual(429);
+            expect(await prisma.pointRequest.count()).toEqual(6);
+        });
+    });
+
+    describe('PATCH /point-requests/:requestId', () => {
+        it('should transfer the points when the recipient approves', async () => {
+            const { user: treasurer, token } = await createTestUser('regular');
+            const { user: member, token: memberToken } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: member.id }, data: { points: 100 } });
+            const created = await ask(token, member.utorid, 40);
+
+            const res = await answer(memberToken, created.body.id, 'approved');
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.status).toEqual('approved');
+            expect(res.body.transactionId).not.toBeNull();
+            expect((await prisma.user.findUnique({ where: { id: member.id } })).points).toEqual(60);
+            expect((await prisma.user.findUnique({ where: { id: treasurer.id } })).points).toEqual(40);
+
+            const again = await answer(memberToken, created.body.id, 'approved');
+            expect(again.statusCode).toEqual(400);
+        });
+
+        it('should leave the request pending when the recipient cannot cover it', async () => {
+            const { token } = await createTestUser('regular');
+            const { user: member, token: memberToken } = await createTestUser('regular');
+            const created = await ask(token, member.utorid, 40);
+
+            const res = await answer(memberToken, created.body.id, 'approved');
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error).toEqual('Insufficient points');
+            expect((await prisma.pointRequest.findUnique({ where: { id: created.body.id } })).status).toEqual('pending');
+        });
+
+        it('should only let the recipient answer and the requester cancel', async () => {
+            const { token } = await createTestUser('regular');
+            const { user: member, token: memberToken } = await createTestUser('regular');
+            const created = await ask(token, member.utorid, 40);
+
+            expect((await answer(token, created.body.id, 'approved')).statusCode).toEqual(403);
+            expect((await answer(memberToken, created.body.id, 'cancelled')).statusCode).toEqual(403);
+
+            const declined = await answer(memberToken, created.body.id, 'declined');
+            expect(declined.body.status).toEqual('declined');
+        });
+
+        it('should tell the recipient when a request is cancelled', async () => {
+            const { user: treasurer, token } = await createTestUser('regular');
+            const { user: member } = await createTestUser('regular');
+            const created = await ask(token, member.utorid, 40);
+            const send = jest.spyOn(emailUtils, 'sendPointRequestEmail').mockResolvedValue();
+
+            try {
+                const res = await answer(token, created.body.id, 'cancelled');
+                expect(res.statusCode).toEqual(200);
+                expect(send).toHaveBeenCalledWith(member.name, member.email,
+                    expect.stringContaining(`${treasurer.utorid}) cancelled their request for 40 points`));
+            } finally {
+                send.mockRestore();
+            }
+        });
+
+        it('should not approve an expired request', async () => {
+            const { token } = await createTestUser('regular');
+            const { user: member, token: memberToken } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: member.id }, data: { points: 100 } });
+            const created = await ask(token, member.utorid, 40);
+            await prisma.pointRequest.update({
+                where: { id: created.body.id },
+                data: { expiresAt: new Date(Date.now() - 1000) }
+            });
+
+            const res = await answer(memberToken, created.body.id, 'approved');
+            expect(res.statusCode).toEqual(400);
+            expect((await prisma.pointRequest.findUnique({ where: { id: created.body.id } })).status).toEqual('expired');
+            expect((await prisma.user.findUnique({ where: { id: member.id } })).points).toEqual(100);
+        });
+    });
+
+    describe('GET /point-requests', () => {
+        it('should list incoming and outgoing requests separately', async () => {
+            const { user, token } = await createTestUser('regular');
+            const { user: member, token: memberToken } = await createTestUser('regular');
+            await ask(token, member.utorid, 10);
+            await ask(memberToken, user.utorid, 20);
+
+            const incoming = await request(app)
+                .get('/point-requests?direction=incoming')
+                .set('Cookie', `token=${token}`);
+            expect(incoming.body.count).toEqual(1);
+            expect(incoming.body.results[0].amount).toEqual(20);
+
+            const all = await request(app)
+                .get('/point-requests')
+                .set('Cookie', `token=${token}`);
+            expect(all.body.count).toEqual(2);
+        });
+    });
+});
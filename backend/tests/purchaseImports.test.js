@@ -0,0 +1,149 @@
+const request = require('supertest');
+const { app, prisma } = require('../index');
+const { createTestUser, clearDatabase } = require('./helpers');
+
+describe('Purchase Import Endpoints', () => {
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    afterAll(async () => {
+        await prisma.$disconnect();
+    });
+
+    const importCsv = (token, csv, dryRun = false) => request(app)
+        .post('/transactions/import')
+        .set('Cookie', `token=${token}`)
+        .send({ csv, dryRun });
+
+    const createOnetimePromotion = () => prisma.promotion.create({
+        data: {
+            name: 'Welcome Bonus', description: 'Desc', type: 'onetime',
+            startTime: new Date(), endTime: new Date(Date.now() + 86400000), points: 50
+        }
+    });
+
+    describe('POST /transactions/import', () => {
+        it('should preview rows without recording them', async () => {
+            const { token } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+
+            const res = await importCsv(token, `utorid,spent,remark\n${user.utorid},10,Paper receipt 1\nnobody1,5,\n`, true);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body).toMatchObject({ dryRun: true, count: 2, errors: 1, spent: 10, earned: 40 });
+            expect(res.body.rows[0]).toMatchObject({ row: 2, utorid: user.utorid, spent: 10, earned: 40, remark: 'Paper receipt 1' });
+            expect(res.body.rows[0].id).toBeUndefined();
+            expect(res.body.rows[1]).toEqual({ row: 3, utorid: 'nobody1', error: 'User not found' });
+
+            expect(await prisma.transaction.count()).toEqual(0);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(0);
+        });
+
+        it('should record every row under one batch ID', async () => {
+            const { user: cashier, token } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+            const promo = await createOnetimePromotion();
+
+            const res = await importCsv(token, [
+                'utorid,spent,remark,promotionIds',
+                `${user.utorid},10,"Paper receipt, till 2",${promo.id}`,
+                `${user.utorid},2.50,,`
+            ].join('\r\n'));
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body).toMatchObject({ count: 2, errors: 0, spent: 12.5, earned: 100 });
+            expect(res.body.rows[0]).toMatchObject({ remark: 'Paper receipt, till 2', promotionIds: [promo.id], earned: 90 });
+
+            const purchases = await prisma.transaction.findMany({ where: { importBatchId: res.body.importBatchId } });
+            expect(purchases).toHaveLength(2);
+            expect(purchases.every(tx => tx.type === 'purchase' && tx.createdBy === cashier.id)).toBe(true);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(100);
+
+            const list = await request(app)
+                .get('/transactions')
+                .query({ importBatchId: res.body.importBatchId })
+                .set('Cookie', `token=${(await createTestUser('manager')).token}`);
+            expect(list.body.count).toEqual(2);
+        });
+
+        it('should import nothing if any row is invalid', async () => {
+            const { token } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+
+            const res = await importCsv(token, `utorid,spent\n${user.utorid},10\n${user.utorid},-3\n`);
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error).toEqual('1 row has errors; nothing was imported');
+            expect(res.body.rows[1]).toMatchObject({ row: 3, error: 'Invalid spent amount' });
+            expect(await prisma.transaction.count()).toEqual(0);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(0);
+        });
+
+        it('should check each row against the rows before it', async () => {
+            const { token } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+            const promo = await createOnetimePromotion();
+
+            const res = await importCsv(token, `utorid,spent,promotionIds\n${user.utorid},10,${promo.id}\n${user.utorid},10,${promo.id}\n`, true);
+
+            expect(res.body.rows[0].error).toBeUndefined();
+            expect(res.body.rows[1].error).toEqual(`Promotion ${promo.id} already used`);
+        });
+
+        it('should hold rows that match a fraud rule', async () => {
+            const { token } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+            await prisma.fraudRule.create({ data: { name: 'Big spender', kind: 'spentAbove', threshold: 500 } });
+
+            const res = await importCsv(token, `utorid,spent\n${user.utorid},600\n${user.utorid},10\n`);
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.held).toEqual(1);
+            expect(res.body.rows[0]).toMatchObject({ earned: 0, flagReason: 'Big spender: $600.00 spent is above $500.00' });
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(40);
+        });
+
+        it('should reject a file without the required columns', async () => {
+            const { token } = await createTestUser('cashier');
+
+            const res = await importCsv(token, 'utorid,amount\nclive123,10\n');
+
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error).toEqual('The header row needs a spent column');
+        });
+
+        it('should not let regular users import', async () => {
+            const { token } = await createTestUser('regular');
+
+            const res = await importCsv(token, 'utorid,spent\nclive123,10\n');
+
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    describe('POST /transactions/import/:importBatchId/reversal', () => {
+        it('should reverse every purchase of the batch', async () => {
+            const { token } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            const { user } = await createTestUser('regular');
+            const imported = await importCsv(token, `utorid,spent\n${user.utorid},10\n${user.utorid},5\n`);
+
+            const res = await request(app)
+                .post(`/transactions/import/${imported.body.importBatchId}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({});
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.reversed).toEqual(imported.body.rows.map(row => row.id));
+            expect(res.body.amount).toEqual(-60);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(0);
+
+            const again = await request(app)
+                .post(`/transactions/import/${imported.body.importBatchId}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({});
+            expect(again.statusCode).toEqual(400);
+        });
+    });
+});
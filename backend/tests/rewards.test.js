@@ -0,0 +1,140 @@
+const request = require('supertest');
+const { app, prisma } = require('../index');
+const { createTestUser, clearDatabase } = require('./helpers');
+
+describe('Reward Endpoints', () => {
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    afterAll(async () => {
+        await prisma.$disconnect();
+    });
+
+    const createReward = (data = {}) => prisma.reward.create({
+        data: { name: 'Hoodie', description: 'CSSU hoodie', pointCost: 300, ...data }
+    });
+
+    const redeem = (token, rewardId) => request(app)
+        .post('/users/me/transactions')
+        .set('Cookie', `token=${token}`)
+        .send({ type: 'redemption', rewardId });
+
+    describe('POST /rewards', () => {
+        it('should allow manager to add a reward', async () => {
+            const { token: managerToken } = await createTestUser('manager');
+
+            const res = await request(app)
+                .post('/rewards')
+                .set('Cookie', `token=${managerToken}`)
+                .send({ name: 'Mug', description: 'Ceramic mug', pointCost: 150, stock: 10, perUserLimit: 1 });
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body).toMatchObject({ name: 'Mug', pointCost: 150, stock: 10, perUserLimit: 1, active: true });
+        });
+
+        it('should not allow regular users to add rewards', async () => {
+            const { token } = await createTestUser('regular');
+
+            const res = await request(app)
+                .post('/rewards')
+                .set('Cookie', `token=${token}`)
+                .send({ name: 'Mug', pointCost: 150 });
+
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    describe('GET /rewards', () => {
+        it('should only show regular users rewards inside their active window', async () => {
+            const { token } = await createTestUser('regular');
+            const { token: managerToken } = await createTestUser('manager');
+            await createReward({ name: 'Available' });
+            await createReward({ name: 'Retired', endTime: new Date(Date.now() - 86400000) });
+
+            const res = await request(app)
+                .get('/rewards')
+                .set('Cookie', `token=${token}`);
+            expect(res.body.results.map(r => r.name)).toEqual(['Available']);
+
+            const managerRes = await request(app)
+                .get('/rewards')
+                .set('Cookie', `token=${managerToken}`);
+            expect(managerRes.body.count).toEqual(2);
+        });
+    });
+
+    describe('Redeeming rewards', () => {
+        it('should charge the reward cost and take it from stock', async () => {
+            const { user, token } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 1000 } });
+            const reward = await createReward({ stock: 1 });
+
+            const res = await redeem(token, reward.id);
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.amount).toEqual(300);
+            expect(res.body.reward.name).toEqual('Hoodie');
+            expect((await prisma.reward.findUnique({ where: { id: reward.id } })).stock).toEqual(0);
+
+            const soldOut = await redeem(token, reward.id);
+            expect(soldOut.statusCode).toEqual(400);
+            expect(soldOut.body.error).toEqual('Reward is out of stock');
+        });
+
+        it('should enforce the per-user limit', async () => {
+            const { user, token } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 1000 } });
+            const reward = await createReward({ perUserLimit: 1 });
+
+            expect((await redeem(token, reward.id)).statusCode).toEqual(201);
+            const again = await redeem(token, reward.id);
+            expect(again.statusCode).toEqual(400);
+            expect(again.body.error).toEqual('Reward limit reached');
+        });
+
+        it('should put the reward back when the request is cancelled', async () => {
+            const { user, token } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 1000 } });
+            const reward = await createReward({ stock: 3 });
+
+            const res = await redeem(token, reward.id);
+            await request(app)
+                .delete(`/users/me/transactions/${res.body.id}`)
+                .set('Cookie', `token=${token}`);
+
+            expect((await prisma.reward.findUnique({ where: { id: reward.id } })).stock).toEqual(3);
+        });
+
+        it('should show the cashier which reward to hand over', async () => {
+            const { user, token } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 1000 } });
+            const reward = await createReward();
+
+            const res = await redeem(token, reward.id);
+            const processed = await request(app)
+                .patch(`/transactions/${res.body.id}/processed`)
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ processed: true });
+
+            expect(processed.statusCode).toEqual(200);
+            expect(processed.body.reward).toMatchObject({ id: reward.id, name: 'Hoodie' });
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(700);
+        });
+    });
+
+    describe('DELETE /rewards/:rewardId', () => {
+        it('should not delete a reward that has been redeemed', async () => {
+            const { user, token } = await createTestUser('regular');
+            const { token: managerToken } = await createTestUser('manager');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 1000 } });
+            const reward = await createReward();
+            await redeem(token, reward.id);
+
+            const res = await request(app)
+                .delete(`/rewards/${reward.id}`)
+                .set('Cookie', `token=${managerToken}`);
+            expect(res.statusCode).toEqual(400);
+        });
+    });
+});
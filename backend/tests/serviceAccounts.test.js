@@ -0,0 +1,95 @@
+const request = require('supertest');
+const { app, prisma } = require('../index');
+const { createTestUser, clearDatabase } = require('./helpers');
+
+describe('Service Account Endpoints', () => {
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    afterAll(async () => {
+        await prisma.$disconnect();
+    });
+
+    const createAccountWithKey = async (superToken, scopes) => {
+        const account = await request(app)
+            .post('/service-accounts')
+            .set('Cookie', `token=${superToken}`)
+            .send({ name: 'Cafe Till' });
+        const key = await request(app)
+            .post(`/service-accounts/${account.body.id}/keys`)
+            .set('Cookie', `token=${superToken}`)
+            .send({ name: 'Front counter', scopes });
+        return { account: account.body, key: key.body };
+    };
+
+    it('should only let superusers manage service accounts', async () => {
+        const { token: managerToken } = await createTestUser('manager');
+
+        const res = await request(app)
+            .post('/service-accounts')
+            .set('Cookie', `token=${managerToken}`)
+            .send({ name: 'Cafe Till' });
+        expect(res.statusCode).toEqual(403);
+    });
+
+    it('should create a purchase with a scoped API key', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { user: customer } = await createTestUser('regular');
+        const { account, key } = await createAccountWithKey(superToken, ['transactions:purchase']);
+
+        expect(key.key).toMatch(/^cssu_/);
+        const stored = await prisma.apiKey.findUnique({ where: { id: key.id } });
+        expect(stored.keyHash).not.toEqual(key.key);
+
+        const res = await request(app)
+            .post('/transactions')
+            .set('Authorization', `Bearer ${key.key}`)
+            .send({ utorid: customer.utorid, type: 'purchase', spent: 10 });
+        expect(res.statusCode).toEqual(201);
+        expect(res.body.createdBy).toEqual(account.utorid);
+
+        const used = await prisma.apiKey.findUnique({ where: { id: key.id } });
+        expect(used.lastUsedAt).not.toBeNull();
+    });
+
+    it('should reject actions outside the key scopes', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { user: customer } = await createTestUser('regular');
+        const { key } = await createAccountWithKey(superToken, ['transactions:purchase']);
+
+        const adjustment = await request(app)
+            .post('/transactions')
+            .set('Authorization', `Bearer ${key.key}`)
+            .send({ utorid: customer.utorid, type: 'adjustment', amount: 10, relatedId: 1 });
+        expect(adjustment.statusCode).toEqual(403);
+
+        // Routes that have not opted in ignore API keys entirely
+        const users = await request(app)
+            .get('/users')
+            .set('Authorization', `Bearer ${key.key}`);
+        expect(users.statusCode).toEqual(401);
+    });
+
+    it('should stop accepting a key once it is rotated', async () => {
+        const { token: superToken } = await createTestUser('superuser');
+        const { user: customer } = await createTestUser('regular');
+        const { account, key } = await createAccountWithKey(superToken, ['users:read']);
+
+        const rotated = await request(app)
+            .post(`/service-accounts/${account.id}/keys/${key.id}/rotation`)
+            .set('Cookie', `token=${superToken}`);
+        expect(rotated.statusCode).toEqual(201);
+        expect(rotated.body.scopes).toEqual(['users:read']);
+
+        const oldKey = await request(app)
+            .get(`/users/${customer.utorid}`)
+            .set('Authorization', `Bearer ${key.key}`);
+        expect(oldKey.statusCode).toEqual(401);
+
+        const newKey = await request(app)
+            .get(`/users/${customer.utorid}`)
+            .set('Authorization', `Bearer ${rotated.body.key}`);
+        expect(newKey.statusCode).toEqual(200);
+    });
+});
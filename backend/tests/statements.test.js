@@ -0,0 +1,153 @@
+const request = require('supertest');
+const { app, prisma } = require('../index');
+const { statementUtils } = require('../middleware');
+const { createTestUser, clearDatabase } = require('./helpers');
+
+describe('Statement Endpoints', () => {
+    beforeEach(async () => {
+        await clearDatabase();
+    });
+
+    afterAll(async () => {
+        await prisma.$disconnect();
+    });
+
+    // August and September 2026 activity for one member; the held purchase moves no points
+    const recordActivity = async () => {
+        const { user: cashier } = await createTestUser('cashier');
+        const { user, token } = await createTestUser('regular');
+        const { user: friend } = await createTestUser('regular');
+        const entry = (data) => prisma.transaction.create({
+            data: { userId: user.id, createdBy: cashier.id, processed: true, ...data }
+        });
+        await entry({ type: 'purchase', spent: 25, amount: 100, createdAt: new Date('2026-08-20T12:00:00Z') });
+        await entry({ type: 'purchase', spent: 10, amount: 40, remark: 'Till 2, front', createdAt: new Date('2026-09-03T12:00:00Z') });
+        await entry({ type: 'purchase', spent: 50, amount: 200, suspicious: true, processed: false, createdAt: new Date('2026-09-10T12:00:00Z') });
+        await entry({ type: 'transfer', amount: -30, relatedId: friend.id, createdAt: new Date('2026-09-15T12:00:00Z') });
+        await entry({ type: 'purchase', spent: 5, amount: 20, createdAt: new Date('2026-10-02T12:00:00Z') });
+        await prisma.user.update({ where: { id: user.id }, data: { points: 130 } });
+        return { user, token, friend };
+    };
+
+    describe('GET /users/me/statements/:month', () => {
+        it('should group the month by type between the opening and closing balances', async () => {
+            const { token, friend } = await recordActivity();
+
+            const res = await request(app)
+                .get('/users/me/statements/2026-09')
+                .set('Cookie', `token=${token}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body).toMatchObject({ month: '2026-09', openingBalance: 100, closingBalance: 110 });
+            expect(res.body.groups.map(group => group.type)).toEqual(['purchase', 'transfer']);
+            expect(res.body.groups[0]).toMatchObject({ label: 'Purchases', count: 2, points: 40 });
+            expect(res.body.groups[0].transactions[1]).toMatchObject({ amount: 200, counted: false, status: 'Held for review' });
+            expect(res.body.groups[1].transactions[0]).toMatchObject({ amount: -30, description: `Sent to ${friend.utorid}` });
+            expect(res.body.expiringSoon).toEqual({ amount: 0, expiresAt: null });
+        });
+
+        it('should export the statement as CSV', async () => {
+            const { user, token } = await recordActivity();
+
+            const res = await request(app)
+                .get('/users/me/statements/2026-09')
+                .query({ format: 'csv' })
+                .set('Cookie', `token=${token}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toMatch(/text\/csv/);
+            expect(res.headers['content-disposition']).toContain(`statement-${user.utorid}-2026-09.csv`);
+            const rows = res.text.trim().split('\r\n');
+            expect(rows[0]).toEqual('date,id,type,status,points,description,remark');
+            expect(rows[1]).toEqual('2026-09-01,,opening balance,,100,,');
+            expect(rows[2]).toMatch(/^2026-09-03,\d+,purchase,Completed,40,\$10\.00 spent,"Till 2, front"$/);
+            expect(rows[rows.length - 1]).toEqual('2026-09-30,,closing balance,,110,,');
+        });
+
+        it('should export the statement as PDF', async () => {
+            const { token } = await recordActivity();
+
+            const res = await request(app)
+                .get('/users/me/statements/2026-09')
+                .query({ format: 'pdf' })
+                .set('Cookie', `token=${token}`)
+                .responseType('blob');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toMatch(/application\/pdf/);
+            expect(res.body.toString('latin1')).toContain('(Statement for September 2026)');
+            expect(res.body.toString('latin1')).toContain('(110 points)');
+        });
+
+        it('should reject malformed and future months', async () => {
+            const { token } = await createTestUser('regular');
+
+            const malformed = await request(app)
+                .get('/users/me/statements/2026-13')
+                .set('Cookie', `token=${token}`);
+            expect(malformed.statusCode).toEqual(400);
+
+            const future = await request(app)
+                .get(`/users/me/statements/${new Date().getUTCFullYear() + 1}-01`)
+                .set('Cookie', `token=${token}`);
+            expect(future.statusCode).toEqual(400);
+            expect(future.body.error).toEqual('Statements are not available for future months');
+        });
+    });
+
+    describe('GET /users/:userId/statements/:month', () => {
+        it("should let managers generate any member's statement", async () => {
+            const { user } = await recordActivity();
+            const { token } = await createTestUser('manager');
+
+            const res = await request(app)
+                .get(`/users/${user.utorid}/statements/2026-08`)
+                .set('Cookie', `token=${token}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body).toMatchObject({ openingBalance: 0, closingBalance: 100 });
+            expect(res.body.user.utorid).toEqual(user.utorid);
+        });
+
+        it("should not let regular users see other members' statements", async () => {
+            const { user } = await recordActivity();
+            const { token } = await createTestUser('regular');
+
+            const res = await request(app)
+                .get(`/users/${user.id}/statements/2026-09`)
+                .set('Cookie', `token=${token}`);
+
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    describe('Monthly statement emails', () => {
+        it('should let members opt in', async () => {
+            const { token } = await createTestUser('regular');
+
+            const res = await request(app)
+                .patch('/users/me')
+                .set('Cookie', `token=${token}`)
+                .send({ statementEmails: true });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.statementEmails).toBe(true);
+        });
+
+        it('should email last month once to members who opted in', async () => {
+            const { user } = await recordActivity();
+            const { user: other } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: user.id }, data: { statementEmails: true, createdAt: new Date('2026-08-01T00:00:00Z') } });
+            const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            const first = await statementUtils.sendMonthly(new Date('2026-10-01T06:00:00Z'));
+            const second = await statementUtils.sendMonthly(new Date('2026-10-02T06:00:00Z'));
+            log.mockRestore();
+
+            expect(first).toEqual({ month: '2026-09', sent: 1 });
+            expect(second).toEqual({ month: '2026-09', sent: 0 });
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).statementSentFor).toEqual('2026-09');
+            expect((await prisma.user.findUnique({ where: { id: other.id } })).statementSentFor).toBeNull();
+        });
+    });
+});
@@ -1,6 +1,7 @@
 const request = require('supertest');
 const { app, prisma } = require('../index');
 const { createTestUser, clearDatabase } = require('./helpers');
+const { ledgerUtils, refundUtils, redemptionUtils } = require('../middleware');
 
 describe('Transaction Endpoints', () => {
     beforeEach(async () => {
@@ -257,6 +258,72 @@ describe('Transaction Endpoints', () => {
         });
     });
 
+    describe('GET /transactions/:transactionId/receipt', () => {
+        const recordPurchase = async () => {
+            const { user: cashier, token: cashierToken } = await createTestUser('cashier');
+            const { user: regular, token: regularToken } = await createTestUser('regular');
+            const promo = await prisma.promotion.create({
+                data: {
+                    name: 'Welcome Bonus', description: 'Desc', type: 'onetime',
+                    startTime: new Date(), endTime: new Date(Date.now() + 86400000), points: 50
+                }
+            });
+            await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ utorid: regular.utorid, type: 'purchase', spent: 5 });
+            const purchase = await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ utorid: regular.utorid, type: 'purchase', spent: 10, promotionIds: [promo.id] });
+            return { cashier, cashierToken, regular, regularToken, purchase: purchase.body };
+        };
+
+        it('should show the points breakdown and resulting balance', async () => {
+            const { cashier, regularToken, purchase } = await recordPurchase();
+
+            const res = await request(app)
+                .get(`/transactions/${purchase.id}/receipt`)
+                .query({ format: 'html' })
+                .set('Cookie', `token=${regularToken}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toMatch(/text\/html/);
+            expect(res.text).toContain(`Receipt for transaction #${purchase.id}`);
+            expect(res.text).toContain('<tr><th>Spent</th><td>$10.00</td></tr>');
+            expect(res.text).toContain('<tr><th>Base points (4 per dollar)</th><td>+40 points</td></tr>');
+            expect(res.text).toContain('<tr><th>Promotion: Welcome Bonus</th><td>+50 points</td></tr>');
+            expect(res.text).toContain(`<tr><th>Recorded by</th><td>${cashier.utorid}</td></tr>`);
+            expect(res.text).toContain('<tr><th>Balance after this transaction</th><td>110 points</td></tr>');
+        });
+
+        it('should return a PDF by default', async () => {
+            const { cashierToken, purchase } = await recordPurchase();
+
+            const res = await request(app)
+                .get(`/transactions/${purchase.id}/receipt`)
+                .set('Cookie', `token=${cashierToken}`)
+                .responseType('blob');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toMatch(/application\/pdf/);
+            expect(res.headers['content-disposition']).toContain(`receipt-${purchase.id}.pdf`);
+            expect(res.body.toString('latin1')).toMatch(/^%PDF-1\.4/);
+            expect(res.body.toString('latin1')).toContain('(Balance after this transaction)');
+        });
+
+        it("should not show other members' receipts", async () => {
+            const { purchase } = await recordPurchase();
+            const { token: otherToken } = await createTestUser('regular');
+
+            const res = await request(app)
+                .get(`/transactions/${purchase.id}/receipt`)
+                .set('Cookie', `token=${otherToken}`);
+
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
     describe('PATCH /transactions/:transactionId/suspicious', () => {
         it('should allow manager to flag transaction as suspicious', async () => {
             const { token: managerToken } = await createTestUser('manager');
@@ -348,4 +415,808 @@ describe('Transaction Endpoints', () => {
             expect(resSuspicious.body.results[0].suspicious).toBe(true);
         });
     });
+
+    describe('Concurrent balance changes', () => {
+        it('should not let simultaneous transfers overdraw the sender', async () => {
+            const { user: sender, token: senderToken } = await createTestUser('regular');
+            const { user: recipient } = await createTestUser('regular');
+
+            await prisma.user.update({ where: { id: sender.id }, data: { points: 100 } });
+
+            const responses = await Promise.all([1, 2, 3, 4, 5].map(() => request(app)
+                .post(`/users/${recipient.utorid}/transactions`)
+                .set('Cookie', `token=${senderToken}`)
+                .send({ type: 'transfer', amount: 40 })));
+
+            const succeeded = responses.filter(res => res.statusCode === 201);
+            expect(succeeded).toHaveLength(2);
+            responses.filter(res => res.statusCode !== 201).forEach(res => {
+                expect(res.statusCode).toEqual(400);
+                expect(res.body.error).toEqual('Insufficient points');
+            });
+
+            const after = await prisma.user.findUnique({ where: { id: sender.id } });
+            const received = await prisma.user.findUnique({ where: { id: recipient.id } });
+            expect(after.points).toEqual(20);
+            expect(received.points).toEqual(80);
+            expect(await prisma.transaction.count({ where: { userId: sender.id, type: 'transfer' } })).toEqual(2);
+        });
+
+        it('should apply a redemption once when processed twice at the same time', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { token: otherCashierToken } = await createTestUser('cashier');
+            const { user: regular } = await createTestUser('regular');
+
+            await prisma.user.update({ where: { id: regular.id }, data: { points: 500 } });
+            const tx = await prisma.transaction.create({
+                data: { userId: regular.id, type: 'redemption', amount: -300, processed: false, createdBy: regular.id }
+            });
+
+            const responses = await Promise.all([cashierToken, otherCashierToken].map(token => request(app)
+                .patch(`/transactions/${tx.id}/processed`)
+                .set('Cookie', `token=${token}`)
+                .send({ processed: true })));
+
+            expect(responses.map(res => res.statusCode).sort()).toEqual([200, 400]);
+            const after = await prisma.user.findUnique({ where: { id: regular.id } });
+            expect(after.points).toEqual(200);
+        });
+
+        it('should not debit a redemption reversed while it was being processed', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            const { user: regular } = await createTestUser('regular');
+
+            await prisma.user.update({ where: { id: regular.id }, data: { points: 500 } });
+            const tx = await prisma.transaction.create({
+                data: { userId: regular.id, type: 'redemption', amount: -300, processed: false, createdBy: regular.id }
+            });
+
+            await Promise.all([
+                request(app)
+                    .patch(`/transactions/${tx.id}/processed`)
+                    .set('Cookie', `token=${cashierToken}`)
+                    .send({ processed: true }),
+                request(app)
+                    .post(`/transactions/${tx.id}/reversal`)
+                    .set('Cookie', `token=${managerToken}`)
+                    .send({})
+            ]);
+            // Whichever landed first, the member ends up with the points they started with
+            expect((await prisma.user.findUnique({ where: { id: regular.id } })).points).toEqual(500);
+
+            // The claim itself refuses a reversed row, whatever the caller checked before
+            const reversed = await prisma.transaction.create({
+                data: { userId: regular.id, type: 'redemption', amount: -100, createdBy: regular.id, reversedAt: new Date() }
+            });
+            await expect(ledgerUtils.run((db) => ledgerUtils.markProcessed(db, reversed.id, regular.id)))
+                .rejects.toMatchObject({ status: 400 });
+        });
+
+        it('should reject a redemption the balance no longer covers', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { user: regular } = await createTestUser('regular');
+
+            await prisma.user.update({ where: { id: regular.id }, data: { points: 500 } });
+            const [first, second] = await Promise.all([1, 2].map(() => prisma.transaction.create({
+                data: { userId: regular.id, type: 'redemption', amount: -300, processed: false, createdBy: regular.id }
+            })));
+
+            const responses = await Promise.all([first, second].map(tx => request(app)
+                .patch(`/transactions/${tx.id}/processed`)
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ processed: true })));
+
+            expect(responses.map(res => res.statusCode).sort()).toEqual([200, 400]);
+            const after = await prisma.user.findUnique({ where: { id: regular.id } });
+            expect(after.points).toEqual(200);
+            expect(await prisma.transaction.count({ where: { userId: regular.id, processed: true } })).toEqual(1);
+        });
+
+        it('should not let simultaneous event awards exceed the event budget', async () => {
+            const { token: managerToken } = await createTestUser('manager');
+            const { user: guest } = await createTestUser('regular');
+
+            const event = await prisma.event.create({
+                data: {
+                    name: 'Hackathon',
+                    description: 'Desc',
+                    location: 'BA 1160',
+                    startTime: new Date(Date.now() - 86400000),
+                    endTime: new Date(Date.now() + 86400000),
+                    pointsAllocated: 100,
+                    pointsRemain: 100,
+                    published: true,
+                    guests: { create: { userId: guest.id } }
+                }
+            });
+
+            const responses = await Promise.all([1, 2, 3].map(() => request(app)
+                .post(`/events/${event.id}/transactions`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({ type: 'event', utorid: guest.utorid, amount: 40 })));
+
+            expect(responses.filter(res => res.statusCode === 201)).toHaveLength(2);
+            const updatedEvent = await prisma.event.findUnique({ where: { id: event.id } });
+            const updatedGuest = await prisma.user.findUnique({ where: { id: guest.id } });
+            expect(updatedEvent.pointsRemain).toEqual(20);
+            expect(updatedGuest.points).toEqual(80);
+        });
+    });
+
+    describe('Ledger reconciliation', () => {
+        it('should report balances that drifted from transaction history', async () => {
+            const { token: superToken } = await createTestUser('superuser');
+            const { token: managerToken } = await createTestUser('manager');
+            const { user: regular } = await createTestUser('regular');
+
+            await prisma.transaction.create({
+                data: { userId: regular.id, type: 'adjustment', amount: 300, processed: true, createdBy: regular.id }
+            });
+            const flagged = await prisma.transaction.create({
+                data: { userId: regular.id, type: 'purchase', amount: 40, spent: 10, suspicious: true, createdBy: regular.id }
+            });
+            await prisma.user.update({ where: { id: regular.id }, data: { points: 340 } });
+
+            const res = await request(app)
+                .get('/transactions/reconciliation')
+                .set('Cookie', `token=${superToken}`);
+            expect(res.statusCode).toEqual(200);
+            const mismatch = res.body.users.mismatches.find(m => m.userId === regular.id);
+            expect(mismatch.expected).toEqual(300);
+            expect(mismatch.difference).toEqual(40);
+            expect(mismatch.transactions.map(t => t.id)).toEqual([flagged.id]);
+
+            const denied = await request(app)
+                .get('/transactions/reconciliation')
+                .set('Cookie', `token=${managerToken}`);
+            expect(denied.statusCode).toEqual(403);
+        });
+
+        it('should record corrections with the audit reason', async () => {
+            const { user: superuser, token: superToken } = await createTestUser('superuser');
+            const { user: regular } = await createTestUser('regular');
+
+            await prisma.user.update({ where: { id: regular.id }, data: { points: 25 } });
+            const event = await prisma.event.create({
+                data: {
+                    name: 'Study Jam', description: 'Desc', location: 'BA 1160',
+                    startTime: new Date(), endTime: new Date(Date.now() + 86400000),
+                    pointsAllocated: 100, pointsRemain: 100
+                }
+            });
+            await prisma.transaction.create({
+                data: { userId: regular.id, type: 'event', amount: 30, relatedId: event.id, processed: true, createdBy: superuser.id }
+            });
+
+            const missingReason = await request(app)
+                .post('/transactions/reconciliation')
+                .set('Cookie', `token=${superToken}`)
+                .send({});
+            expect(missingReason.statusCode).toEqual(400);
+
+            const res = await request(app)
+                .post('/transactions/reconciliation')
+                .set('Cookie', `token=${superToken}`)
+                .send({ reason: 'Spring audit' });
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.reconciliation.reason).toEqual('Spring audit');
+
+            const adjustment = await prisma.transaction.findFirst({ where: { userId: regular.id, type: 'adjustment' } });
+            expect(adjustment.amount).toEqual(-5);
+            expect(adjustment.remark).toEqual('Reconciliation: Spring audit');
+            expect(adjustment.createdBy).toEqual(superuser.id);
+
+            const updatedEvent = await prisma.event.findUnique({ where: { id: event.id } });
+            expect(updatedEvent.pointsRemain).toEqual(70);
+
+            const after = await request(app)
+                .get('/transactions/reconciliation')
+                .set('Cookie', `token=${superToken}`);
+            expect(after.body.users.mismatches).toEqual([]);
+            expect(after.body.events.mismatches).toEqual([]);
+        });
+    });
+
+    describe('Idempotency keys', () => {
+        it('should replay a retried purchase instead of crediting it again', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { user: regular } = await createTestUser('regular');
+            const purchase = { utorid: regular.utorid, type: 'purchase', spent: 10 };
+
+            const first = await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .set('Idempotency-Key', 'till-1-purchase-1')
+                .send(purchase);
+            expect(first.statusCode).toEqual(201);
+
+            const retry = await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .set('Idempotency-Key', 'till-1-purchase-1')
+                .send(purchase);
+            expect(retry.statusCode).toEqual(201);
+            expect(retry.headers['idempotent-replayed']).toEqual('true');
+            expect(retry.body).toEqual(first.body);
+
+            const after = await prisma.user.findUnique({ where: { id: regular.id } });
+            expect(after.points).toEqual(40);
+            expect(await prisma.transaction.count({ where: { userId: regular.id } })).toEqual(1);
+        });
+
+        it('should reject a key reused for a different request', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { user: regular } = await createTestUser('regular');
+
+            await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .set('Idempotency-Key', 'reused-key')
+                .send({ utorid: regular.utorid, type: 'purchase', spent: 10 });
+
+            const res = await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .set('Idempotency-Key', 'reused-key')
+                .send({ utorid: regular.utorid, type: 'purchase', spent: 20 });
+            expect(res.statusCode).toEqual(422);
+        });
+
+        it('should keep keys separate per caller', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { token: otherCashierToken } = await createTestUser('cashier');
+            const { user: regular } = await createTestUser('regular');
+            const purchase = { utorid: regular.utorid, type: 'purchase', spent: 10 };
+
+            const responses = [];
+            for (const token of [cashierToken, otherCashierToken]) {
+                responses.push(await request(app)
+                    .post('/transactions')
+                    .set('Cookie', `token=${token}`)
+                    .set('Idempotency-Key', 'shared-key')
+                    .send(purchase));
+            }
+            expect(responses.map(res => res.statusCode)).toEqual([201, 201]);
+            expect(responses[0].body.id).not.toEqual(responses[1].body.id);
+        });
+
+        it('should replay a retried transfer and honour expiry', async () => {
+            const { user: sender, token: senderToken } = await createTestUser('regular');
+            const { user: recipient } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: sender.id }, data: { points: 500 } });
+
+            const send = () => request(app)
+                .post(`/users/${recipient.utorid}/transactions`)
+                .set('Cookie', `token=${senderToken}`)
+                .set('Idempotency-Key', 'transfer-1')
+                .send({ type: 'transfer', amount: 100 });
+
+            const first = await send();
+            const retry = await send();
+            expect(retry.body.id).toEqual(first.body.id);
+            expect((await prisma.user.findUnique({ where: { id: sender.id } })).points).toEqual(400);
+
+            await prisma.idempotencyKey.updateMany({ data: { expiresAt: new Date(Date.now() - 1000) } });
+            const later = await send();
+            expect(later.statusCode).toEqual(201);
+            expect(later.body.id).not.toEqual(first.body.id);
+            expect((await prisma.user.findUnique({ where: { id: sender.id } })).points).toEqual(300);
+        });
+    });
+
+    describe('POST /transactions/:transactionId/reversal', () => {
+        it('should reverse a purchase and free its one-time promotion', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            const { user: regular } = await createTestUser('regular');
+
+            const promo = await prisma.promotion.create({
+                data: {
+                    name: 'Welcome Bonus', description: 'Desc', type: 'onetime',
+                    startTime: new Date(), endTime: new Date(Date.now() + 86400000), points: 50
+                }
+            });
+            const purchase = await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ utorid: regular.utorid, type: 'purchase', spent: 10, promotionIds: [promo.id] });
+            expect(purchase.statusCode).toEqual(201);
+
+            const denied = await request(app)
+                .post(`/transactions/${purchase.body.id}/reversal`)
+                .set('Cookie', `token=${cashierToken}`)
+                .send({});
+            expect(denied.statusCode).toEqual(403);
+
+            const res = await request(app)
+                .post(`/transactions/${purchase.body.id}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({ remark: 'Wrong customer' });
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.amount).toEqual(-90);
+            expect(res.body.relatedId).toEqual(purchase.body.id);
+            expect(res.body.remark).toEqual('Wrong customer');
+
+            const after = await prisma.user.findUnique({ where: { id: regular.id } });
+            expect(after.points).toEqual(0);
+            const usage = await prisma.userPromotion.findUnique({
+                where: { userId_promotionId: { userId: regular.id, promotionId: promo.id } }
+            });
+            expect(usage.used).toBe(false);
+
+            const original = await request(app)
+                .get(`/transactions/${purchase.body.id}`)
+                .set('Cookie', `token=${managerToken}`);
+            expect(original.body.reversalId).toEqual(res.body.id);
+
+            const again = await request(app)
+                .post(`/transactions/${purchase.body.id}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({});
+            expect(again.statusCode).toEqual(400);
+
+            const ofReversal = await request(app)
+                .post(`/transactions/${res.body.id}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({});
+            expect(ofReversal.statusCode).toEqual(400);
+        });
+
+        it('should return a reversed event award to the event budget', async () => {
+            const { user: manager, token: managerToken } = await createTestUser('manager');
+            const { user: guest } = await createTestUser('regular');
+
+            const event = await prisma.event.create({
+                data: {
+                    name: 'Trivia', description: 'Desc', location: 'BA 1160',
+                    startTime: new Date(), endTime: new Date(Date.now() + 86400000),
+                    pointsAllocated: 100, pointsRemain: 70
+                }
+            });
+            const award = await prisma.transaction.create({
+                data: { userId: guest.id, type: 'event', amount: 30, relatedId: event.id, processed: true, createdBy: manager.id }
+            });
+            await prisma.user.update({ where: { id: guest.id }, data: { points: 30 } });
+
+            const res = await request(app)
+                .post(`/transactions/${award.id}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({});
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.remark).toEqual(`Reversal of transaction #${award.id}`);
+
+            expect((await prisma.event.findUnique({ where: { id: event.id } })).pointsRemain).toEqual(100);
+            expect((await prisma.user.findUnique({ where: { id: guest.id } })).points).toEqual(0);
+        });
+
+        it('should reverse both sides of a transfer', async () => {
+            const { token: managerToken } = await createTestUser('manager');
+            const { user: sender, token: senderToken } = await createTestUser('regular');
+            const { user: recipient } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: sender.id }, data: { points: 200 } });
+
+            const transfer = await request(app)
+                .post(`/users/${recipient.utorid}/transactions`)
+                .set('Cookie', `token=${senderToken}`)
+                .send({ type: 'transfer', amount: 80 });
+
+            const res = await request(app)
+                .post(`/transactions/${transfer.body.id}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({});
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.reversed).toHaveLength(2);
+
+            expect((await prisma.user.findUnique({ where: { id: sender.id } })).points).toEqual(200);
+            expect((await prisma.user.findUnique({ where: { id: recipient.id } })).points).toEqual(0);
+        });
+    });
+
+    describe('DELETE /users/me/transactions/:transactionId', () => {
+        const createRedemption = (userId, data = {}) => prisma.transaction.create({
+            data: { userId, type: 'redemption', amount: -50, processed: false, createdBy: userId, ...data }
+        });
+
+        it('should let a user cancel their own pending redemption', async () => {
+            const { user, token } = await createTestUser('regular');
+            const redemption = await createRedemption(user.id);
+
+            const res = await request(app)
+                .delete(`/users/me/transactions/${redemption.id}`)
+                .set('Cookie', `token=${token}`);
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.cancelledAt).toBeTruthy();
+
+            const history = await request(app)
+                .get('/users/me/transactions')
+                .set('Cookie', `token=${token}`);
+            expect(history.body.results[0].cancelledAt).toBeTruthy();
+
+            const again = await request(app)
+                .delete(`/users/me/transactions/${redemption.id}`)
+                .set('Cookie', `token=${token}`);
+            expect(again.statusCode).toEqual(400);
+        });
+
+        it('should not cancel another user\'s or a processed redemption', async () => {
+            const { user: owner } = await createTestUser('regular');
+            const { user, token } = await createTestUser('regular');
+            const theirs = await createRedemption(owner.id);
+            const processed = await createRedemption(user.id, { processed: true });
+
+            const other = await request(app)
+                .delete(`/users/me/transactions/${theirs.id}`)
+                .set('Cookie', `token=${token}`);
+            expect(other.statusCode).toEqual(404);
+
+            const done = await request(app)
+                .delete(`/users/me/transactions/${processed.id}`)
+                .set('Cookie', `token=${token}`);
+            expect(done.statusCode).toEqual(400);
+        });
+
+        it('should not process a cancelled redemption', async () => {
+            const { user, token } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 100 } });
+            const redemption = await createRedemption(user.id);
+
+            await request(app)
+                .delete(`/users/me/transactions/${redemption.id}`)
+                .set('Cookie', `token=${token}`);
+
+            const res = await request(app)
+                .patch(`/transactions/${redemption.id}/processed`)
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ processed: true });
+            expect(res.statusCode).toEqual(400);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(100);
+        });
+
+        it('should expire requests left pending past the configured number of days', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            await prisma.setting.create({ data: { key: 'redemptionExpiryDays', value: '7' } });
+            const stale = await createRedemption(user.id, { createdAt: new Date(Date.now() - 8 * 86400000) });
+            const fresh = await createRedemption(user.id);
+
+            const res = await request(app)
+                .get('/transactions/redemptions?processed=false')
+                .set('Cookie', `token=${cashierToken}`);
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.results.map(t => t.id)).toEqual([fresh.id]);
+
+            expect(await redemptionUtils.expireStale()).toEqual(1);
+            expect((await prisma.transaction.findUnique({ where: { id: stale.id } })).cancelledAt).toBeTruthy();
+        });
+
+        it('should release and refuse to process an expired request before it is cancelled', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 100 } });
+            await prisma.setting.create({ data: { key: 'redemptionExpiryDays', value: '7' } });
+            const stale = await createRedemption(user.id, { createdAt: new Date(Date.now() - 8 * 86400000) });
+            await createRedemption(user.id);
+
+            expect(await ledgerUtils.heldPoints(prisma, user.id)).toEqual(50);
+            const res = await request(app)
+                .patch(`/transactions/${stale.id}/processed`)
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ processed: true });
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error).toEqual('Redemption request has expired');
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(100);
+        });
+
+        it('should leave cancelled and reversed requests out of the pending queue', async () => {
+            const { user } = await createTestUser('regular');
+            const { token: cashierToken } = await createTestUser('cashier');
+            const pending = await createRedemption(user.id);
+            await createRedemption(user.id, { cancelledAt: new Date() });
+            await createRedemption(user.id, { reversedAt: new Date() });
+
+            const res = await request(app)
+                .get('/transactions/redemptions?processed=false')
+                .set('Cookie', `token=${cashierToken}`);
+            expect(res.body.results.map(t => t.id)).toEqual([pending.id]);
+
+            const stats = await request(app)
+                .get('/analytics/cashier/stats')
+                .set('Cookie', `token=${cashierToken}`);
+            expect(stats.body.pendingRedemptions).toEqual(1);
+        });
+    });
+
+    describe('Held points', () => {
+        const redeem = (token, amount) => request(app)
+            .post('/users/me/transactions')
+            .set('Cookie', `token=${token}`)
+            .send({ type: 'redemption', amount });
+
+        it('should hold points for pending redemptions', async () => {
+            const { user, token } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 100 } });
+
+            expect((await redeem(token, 60)).statusCode).toEqual(201);
+            const second = await redeem(token, 60);
+            expect(second.statusCode).toEqual(400);
+            expect(second.body.error).toEqual('Insufficient points');
+
+            const me = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${token}`);
+            expect(me.body.points).toEqual(100);
+            expect(me.body.heldPoints).toEqual(60);
+            expect(me.body.availablePoints).toEqual(40);
+        });
+
+        it('should not let held points be transferred away', async () => {
+            const { user, token } = await createTestUser('regular');
+            const { user: recipient } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 100 } });
+            await redeem(token, 70);
+
+            const res = await request(app)
+                .post(`/users/${recipient.utorid}/transactions`)
+                .set('Cookie', `token=${token}`)
+                .send({ type: 'transfer', amount: 50 });
+            expect(res.statusCode).toEqual(400);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(100);
+            expect((await prisma.user.findUnique({ where: { id: recipient.id } })).points).toEqual(0);
+        });
+
+        it('should release the hold when a redemption is cancelled', async () => {
+            const { user, token } = await createTestUser('regular');
+            await prisma.user.update({ where: { id: user.id }, data: { points: 100 } });
+            const first = await redeem(token, 100);
+
+            await request(app)
+                .delete(`/users/me/transactions/${first.body.id}`)
+                .set('Cookie', `token=${token}`);
+
+            expect((await redeem(token, 100)).statusCode).toEqual(201);
+        });
+    });
+
+    describe('Points expiry', () => {
+        const { pointsExpiryUtils, sessionUtils } = require('../middleware');
+        const monthsAgo = (months) => {
+            const date = new Date();
+            date.setMonth(date.getMonth() - months);
+            return date;
+        };
+        const setPolicy = (policy) => prisma.setting.create({
+            data: { key: 'pointsExpiry', value: JSON.stringify(policy) }
+        });
+
+        it('should expire the oldest unspent points under the earned policy', async () => {
+            const { user } = await createTestUser('regular');
+            await setPolicy({ mode: 'earned', months: 12, warningDays: 0 });
+            await prisma.user.update({ where: { id: user.id }, data: { points: 120 } });
+            await prisma.transaction.createMany({
+                data: [
+                    { userId: user.id, type: 'purchase', amount: 100, processed: true, createdBy: user.id, createdAt: monthsAgo(13) },
+                    { userId: user.id, type: 'transfer', amount: -30, processed: true, createdBy: user.id, createdAt: monthsAgo(6) },
+                    { userId: user.id, type: 'event', amount: 50, processed: true, createdBy: user.id }
+                ]
+            });
+
+            const summary = await pointsExpiryUtils.run();
+            expect(summary).toEqual({ expired: 1, points: 70, warned: 0 });
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(50);
+            const entry = await prisma.transaction.findFirst({ where: { userId: user.id, type: 'expiration' } });
+            expect(entry.amount).toEqual(-70);
+
+            // Running again finds nothing left to expire
+            expect((await pointsExpiryUtils.run()).points).toEqual(0);
+        });
+
+        it('should expire inactive balances but keep points held for redemptions', async () => {
+            const { user } = await createTestUser('regular');
+            await setPolicy({ mode: 'inactivity', months: 6, warningDays: 0 });
+            await prisma.user.update({ where: { id: user.id }, data: { points: 100, lastLogin: monthsAgo(7) } });
+            await prisma.transaction.create({
+                data: { userId: user.id, type: 'redemption', amount: -40, processed: false, createdBy: user.id }
+            });
+
+            await pointsExpiryUtils.run();
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(40);
+        });
+
+        it('should count a session refresh as activity', async () => {
+            const { user, session } = await createTestUser('regular');
+            await setPolicy({ mode: 'inactivity', months: 6, warningDays: 0 });
+            await prisma.user.update({ where: { id: user.id }, data: { points: 100, lastLogin: monthsAgo(7) } });
+            const refreshToken = sessionUtils.generateRefreshToken();
+            await prisma.session.update({ where: { id: session.id }, data: { refreshTokenHash: sessionUtils.hashToken(refreshToken) } });
+
+            const res = await request(app)
+                .post('/auth/tokens/refresh')
+                .set('Cookie', `refreshToken=${refreshToken}`);
+            expect(res.statusCode).toEqual(200);
+
+            expect((await pointsExpiryUtils.run()).expired).toEqual(0);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(100);
+        });
+
+        it('should warn once before points expire and report them on /users/me', async () => {
+            const { user, token } = await createTestUser('regular');
+            await setPolicy({ mode: 'inactivity', months: 6, warningDays: 14 });
+            const lastLogin = new Date(monthsAgo(6).getTime() + 7 * 24 * 60 * 60 * 1000);
+            await prisma.user.update({ where: { id: user.id }, data: { points: 80, lastLogin } });
+
+            expect((await pointsExpiryUtils.run()).warned).toEqual(1);
+            expect((await pointsExpiryUtils.run()).warned).toEqual(0);
+            const warned = await prisma.user.findUnique({ where: { id: user.id } });
+            expect(warned.points).toEqual(80);
+            expect(warned.expiryWarningFor).toBeTruthy();
+
+            const me = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${token}`);
+            expect(me.body.expiringPoints.amount).toEqual(80);
+            expect(new Date(me.body.expiringPoints.expiresAt).getTime()).toEqual(warned.expiryWarningFor.getTime());
+        });
+    });
+
+    describe('Earn rate', () => {
+        const purchase = (token, utorid, spent) => request(app)
+            .post('/transactions')
+            .set('Cookie', `token=${token}`)
+            .send({ utorid, type: 'purchase', spent });
+
+        it('should earn at the scheduled rate in effect and round as configured', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+            await prisma.setting.create({
+                data: {
+                    key: 'earnRates',
+                    value: JSON.stringify([
+                        { pointsPerDollar: 4, rounding: 'round', effectiveFrom: '1970-01-01T00:00:00.000Z' },
+                        { pointsPerDollar: 5, rounding: 'floor', effectiveFrom: new Date(Date.now() - 60000).toISOString() },
+                        { pointsPerDollar: 10, rounding: 'round', effectiveFrom: new Date(Date.now() + 86400000).toISOString() }
+                    ])
+                }
+            });
+
+            const res = await purchase(cashierToken, user.utorid, 10.35);
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.earned).toEqual(51);
+
+            const stored = await prisma.transaction.findUnique({ where: { id: res.body.id } });
+            expect(stored).toMatchObject({ earnRate: 5, rounding: 'floor' });
+        });
+
+        it('should recompute edited purchases at the rate they were earned at', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { token: superToken } = await createTestUser('superuser');
+            const { user } = await createTestUser('regular');
+
+            const res = await purchase(cashierToken, user.utorid, 10);
+            expect(res.body.earned).toEqual(40);
+
+            await request(app)
+                .patch('/settings')
+                .set('Cookie', `token=${superToken}`)
+                .send({ earnRates: [{ pointsPerDollar: 10, rounding: 'round', effectiveFrom: '2000-01-01T00:00:00.000Z' }] })
+                .expect(200);
+
+            const edited = await request(app)
+                .patch(`/transactions/${res.body.id}/spent`)
+                .set('Cookie', `token=${superToken}`)
+                .send({ spent: 20 });
+            expect(edited.statusCode).toEqual(200);
+            expect(edited.body.amount).toEqual(80);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(80);
+        });
+
+        it('should reject an invalid schedule', async () => {
+            const { token: superToken } = await createTestUser('superuser');
+
+            const res = await request(app)
+                .patch('/settings')
+                .set('Cookie', `token=${superToken}`)
+                .send({ earnRates: [{ pointsPerDollar: 0, rounding: 'round', effectiveFrom: '2000-01-01T00:00:00.000Z' }] });
+            expect(res.statusCode).toEqual(400);
+        });
+    });
+
+    describe('Refunds', () => {
+        const refund = (token, utorid, relatedId, spent) => request(app)
+            .post('/transactions')
+            .set('Cookie', `token=${token}`)
+            .send({ utorid, type: 'refund', relatedId, spent });
+
+        const purchaseWithPromotion = async (cashierToken, user) => {
+            const promo = await prisma.promotion.create({
+                data: {
+                    name: 'Double Up', description: 'Desc', type: 'automatic',
+                    startTime: new Date(Date.now() - 60000), endTime: new Date(Date.now() + 86400000), points: 20
+                }
+            });
+            const res = await request(app)
+                .post('/transactions')
+                .set('Cookie', `token=${cashierToken}`)
+                .send({ utorid: user.utorid, type: 'purchase', spent: 20, promotionIds: [promo.id] });
+            expect(res.body.earned).toEqual(100);
+            return res.body.id;
+        };
+
+        it('should take back base and promotion points in proportion to the refund', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+            const purchaseId = await purchaseWithPromotion(cashierToken, user);
+
+            const first = await refund(cashierToken, user.utorid, purchaseId, 5);
+            expect(first.statusCode).toEqual(201);
+            expect(first.body).toMatchObject({ type: 'refund', spent: 5, amount: -25, relatedId: purchaseId });
+
+            const rest = await refund(cashierToken, user.utorid, purchaseId, 15);
+            expect(rest.body.amount).toEqual(-75);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(0);
+        });
+
+        it('should not refund more than was spent', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+            const purchaseId = await purchaseWithPromotion(cashierToken, user);
+
+            expect((await refund(cashierToken, user.utorid, purchaseId, 15)).statusCode).toEqual(201);
+            const over = await refund(cashierToken, user.utorid, purchaseId, 10);
+            expect(over.statusCode).toEqual(400);
+            expect(over.body.error).toMatch(/cannot exceed/);
+            expect((await prisma.user.findUnique({ where: { id: user.id } })).points).toEqual(25);
+        });
+
+        it('should only refund a purchase of the same user', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+            const { user: other } = await createTestUser('regular');
+            const purchaseId = await purchaseWithPromotion(cashierToken, user);
+
+            expect((await refund(cashierToken, other.utorid, purchaseId, 5)).statusCode).toEqual(400);
+            expect((await refund(cashierToken, user.utorid, 99999, 5)).statusCode).toEqual(404);
+        });
+
+        it('should re-check the purchase inside the ledger transaction', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { user } = await createTestUser('regular');
+            const purchaseId = await purchaseWithPromotion(cashierToken, user);
+
+            // A refund that read the purchase just before a reversal or a fraud hold landed
+            const checked = await prisma.transaction.findUnique({ where: { id: purchaseId } });
+            const refundStale = () => ledgerUtils.run(async (db) => {
+                await db.transaction.create({
+                    data: {
+                        userId: user.id, type: 'refund', amount: 0, spent: 5,
+                        relatedId: purchaseId, createdBy: user.id, processed: true
+                    }
+                });
+                return refundUtils.pointsFor(db, checked);
+            });
+
+            await prisma.transaction.update({ where: { id: purchaseId }, data: { suspicious: true } });
+            await expect(refundStale()).rejects.toMatchObject({ status: 400, message: 'Only processed purchases can be refunded' });
+
+            await prisma.transaction.update({ where: { id: purchaseId }, data: { suspicious: false, reversedAt: new Date() } });
+            await expect(refundStale()).rejects.toMatchObject({ status: 400, message: 'Transaction has been reversed' });
+
+            expect(await prisma.transaction.count({ where: { type: 'refund' } })).toEqual(0);
+        });
+
+        it('should not reverse a purchase that has refunds', async () => {
+            const { token: cashierToken } = await createTestUser('cashier');
+            const { token: managerToken } = await createTestUser('manager');
+            const { user } = await createTestUser('regular');
+            const purchaseId = await purchaseWithPromotion(cashierToken, user);
+            await refund(cashierToken, user.utorid, purchaseId, 5);
+
+            const res = await request(app)
+                .post(`/transactions/${purchaseId}/reversal`)
+                .set('Cookie', `token=${managerToken}`)
+                .send({});
+            expect(res.statusCode).toEqual(400);
+        });
+    });
 });
@@ -157,5 +157,49 @@ describe('User Endpoints', () => {
             expect(res.body.verified).toBe(true);
             expect(res.body.suspicious).toBe(true);
         });
+
+        it('should invalidate the demoted user\'s existing token immediately', async () => {
+            const { token: superToken } = await createTestUser('superuser');
+            const { user: manager, token: managerToken } = await createTestUser('manager');
+
+            const before = await request(app)
+                .get('/users')
+                .set('Cookie', `token=${managerToken}`);
+            expect(before.statusCode).toEqual(200);
+
+            const res = await request(app)
+                .patch(`/users/${manager.id}`)
+                .set('Cookie', `token=${superToken}`)
+                .send({ role: 'regular' });
+            expect(res.statusCode).toEqual(200);
+
+            const after = await request(app)
+                .get('/users')
+                .set('Cookie', `token=${managerToken}`);
+            expect(after.statusCode).toEqual(401);
+        });
+    });
+
+    describe('PATCH /users/me/password', () => {
+        it('should invalidate outstanding tokens after a password change', async () => {
+            const { user, token, password } = await createTestUser('regular');
+            const otherDevice = await prisma.session.create({
+                data: { userId: user.id, refreshTokenHash: 'other-device', expiresAt: new Date(Date.now() + 60000) }
+            });
+
+            const res = await request(app)
+                .patch('/users/me/password')
+                .set('Cookie', `token=${token}`)
+                .send({ old: password, new: 'NewPassword123!' });
+            expect(res.statusCode).toEqual(200);
+
+            const me = await request(app)
+                .get('/users/me')
+                .set('Cookie', `token=${token}`);
+            expect(me.statusCode).toEqual(401);
+
+            const revoked = await prisma.session.findUnique({ where: { id: otherDevice.id } });
+            expect(revoked.revokedAt).not.toBeNull();
+        });
     });
 });
@@ -10,17 +10,28 @@ import Navbar from './components/Navbar';
 // Pages
 import Login from './pages/Login';
 import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
 import Transactions from './pages/Transactions';
 import CreateTransaction from './pages/CreateTransaction';
+import ImportPurchases from './pages/ImportPurchases';
+import Statements from './pages/Statements';
 import Events from './pages/Events';
 import EventDetail from './pages/EventDetail';
 import CreateEvent from './pages/CreateEvent';
 import Promotions from './pages/Promotions';
 import CreatePromotion from './pages/CreatePromotion';
+import Rewards from './pages/Rewards';
+import CreateReward from './pages/CreateReward';
 import Users from './pages/Users';
 import CreateUser from './pages/CreateUser';
+import Settings from './pages/Settings';
+import ServiceAccounts from './pages/ServiceAccounts';
+import ReviewQueue from './pages/ReviewQueue';
+import FraudRules from './pages/FraudRules';
+import Investigations from './pages/Investigations';
+import InvestigationDetail from './pages/InvestigationDetail';
 import UserDetail from './pages/UserDetail';
 
 import './styles/App.css';
@@ -29,7 +40,9 @@ import './styles/Toast.css';
 function AppContent() {
   const location = useLocation();
   const { theme } = useTheme();
-  const hideNavbar = location.pathname === '/login' || location.pathname.startsWith('/reset-password');
+  const hideNavbar = location.pathname === '/login'
+    || location.pathname.startsWith('/reset-password')
+    || location.pathname.startsWith('/verify-email');
 
   return (
     <div className="app">
@@ -55,6 +68,10 @@ function AppContent() {
                 path="/reset-password/:resetToken"
                 element={<ResetPassword />}
               />
+              <Route
+                path="/verify-email/:verificationToken"
+                element={<VerifyEmail />}
+              />
 
               <Route
                 path="/dashboard"
@@ -90,6 +107,22 @@ function AppContent() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/transactions/import"
+                element={
+                  <ProtectedRoute requiredPermission="transactions.purchase">
+                    <ImportPurchases />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/statements"
+                element={
+                  <ProtectedRoute>
+                    <Statements />
+                  </ProtectedRoute>
+                }
+              />
 
               <Route
                 path="/events"
@@ -102,7 +135,7 @@ function AppContent() {
               <Route
                 path="/events/create"
                 element={
-                  <ProtectedRoute requiredRole="manager">
+                  <ProtectedRoute requiredPermission="events.manage">
                     <CreateEvent />
                   </ProtectedRoute>
                 }
@@ -135,7 +168,7 @@ function AppContent() {
               <Route
                 path="/promotions/create"
                 element={
-                  <ProtectedRoute requiredRole="manager">
+                  <ProtectedRoute requiredPermission="promotions.manage">
                     <CreatePromotion />
                   </ProtectedRoute>
                 }
@@ -143,16 +176,74 @@ function AppContent() {
               <Route
                 path="/promotions/:promotionId/edit"
                 element={
-                  <ProtectedRoute requiredRole="manager">
+                  <ProtectedRoute requiredPermission="promotions.manage">
                     <CreatePromotion />
                   </ProtectedRoute>
                 }
               />
 
+              <Route
+                path="/rewards"
+                element={
+                  <ProtectedRoute>
+                    <Rewards />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/rewards/create"
+                element={
+                  <ProtectedRoute requiredPermission="rewards.manage">
+                    <CreateReward />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/rewards/:rewardId/edit"
+                element={
+                  <ProtectedRoute requiredPermission="rewards.manage">
+                    <CreateReward />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/review-queue"
+                element={
+                  <ProtectedRoute requiredPermission="transactions.flag">
+                    <ReviewQueue />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/fraud-rules"
+                element={
+                  <ProtectedRoute requiredPermission="fraud.rules">
+                    <FraudRules />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/investigations"
+                element={
+                  <ProtectedRoute requiredPermission="investigations.manage">
+                    <Investigations />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/investigations/:investigationId"
+                element={
+                  <ProtectedRoute requiredPermission="investigations.manage">
+                    <InvestigationDetail />
+                  </ProtectedRoute>
+                }
+              />
+
               <Route
                 path="/users"
                 element={
-                  <ProtectedRoute requiredRole="manager">
+                  <ProtectedRoute requiredPermission="users.manage">
                     <Users />
                   </ProtectedRoute>
                 }
@@ -160,7 +251,7 @@ function AppContent() {
               <Route
                 path="/users/create"
                 element={
-                  <ProtectedRoute requiredRole="cashier">
+                  <ProtectedRoute requiredPermission="users.create">
                     <CreateUser />
                   </ProtectedRoute>
                 }
@@ -168,11 +259,27 @@ function AppContent() {
               <Route
                 path="/users/:userId"
                 element={
-                  <ProtectedRoute requiredRole="manager">
+                  <ProtectedRoute requiredPermission="users.manage">
                     <UserDetail />
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/settings"
+                element={
+                  <ProtectedRoute requiredPermission="settings.manage">
+                    <Settings />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/settings/service-accounts"
+                element={
+                  <ProtectedRoute requiredPermission="settings.manage">
+                    <ServiceAccounts />
+                  </ProtectedRoute>
+                }
+              />
 
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
               <Route path="*" element={<Navigate to="/dashboard" replace />} />
@@ -1,30 +1,35 @@
 // Create transaction form (for cashiers and above)
 import { useEffect, useState } from 'react';
-import { useNavigate, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { promotionAPI, transactionAPI } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import ReceiptButton from './ReceiptButton';
 import '../styles/pages/CreateTransaction.css';
 
 const CashierCreateTx = () => {
-  const { hasRole } = useAuth();
-  const isCashierOnly = hasRole('cashier') && !hasRole('manager');
+  const { hasRole, hasPermission } = useAuth();
+  const canAdjust = hasRole('manager');
+  const canRefund = hasPermission('transactions.refund');
+  const hasSingleType = !canAdjust && !canRefund;
   const navigate = useNavigate();
   const location = useLocation();
   
-  // Get UTORid from navigation state (from QR scan)
+  // Get UTORid from navigation state (from QR scan, or a purchase being refunded)
   const scannedUtorid = location.state?.utorid || '';
   
   const [formData, setFormData] = useState({
     utorid: scannedUtorid,
-    type: 'purchase',
+    type: location.state?.type || 'purchase',
     spent: '',
     amount: '',
     remark: '',
-    relatedId: ''
+    relatedId: location.state?.relatedId ? String(location.state.relatedId) : ''
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // The transaction just created, shown until the cashier is done printing its receipt
+  const [created, setCreated] = useState(null);
 
   const [allPromotions, setAllPromotions] = useState([]); // All promotions (one-time + automatic)
   const [promotionIds, setPromotionIds] = useState([]); // Manually selected one-time promotions
@@ -125,9 +130,9 @@ const CashierCreateTx = () => {
       }
       
 
-      await transactionAPI.createTransaction(data);
+      const response = await transactionAPI.createTransaction(data);
       toast.success('Transaction created successfully!');
-      navigate('/transactions');
+      setCreated(response.data);
     } catch (err) {
       const errorMessage = err.response?.data?.error || 'Failed to create transaction.';
       setError(errorMessage);
@@ -141,144 +146,194 @@ const CashierCreateTx = () => {
     <div className="create-transaction-page">
       <div className="create-transaction-page-header">
         <h1>Create Transaction</h1>
+        {hasPermission('transactions.purchase') && (
+          <Link to="/transactions/import" className="btn btn-secondary">Import CSV</Link>
+        )}
       </div>
-      <div className="create-transaction-card">
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label htmlFor="utorid">UTORid *</label>
-            <input
-              type="text"
-              id="utorid"
-              value={formData.utorid}
-              onChange={(e) =>
-                setFormData({ ...formData, utorid: e.target.value })
-              }
-              required
-            />
-          </div>
-          <div className="form-group">
-            <label htmlFor="type">Type *</label>
-            <select
-              id="type"
-              value={formData.type}
-              onChange={(e) =>
-                setFormData({ ...formData, type: e.target.value })
-              }
-              required
-              disabled={isCashierOnly}
-              style={isCashierOnly ? {
-                backgroundColor: 'var(--bg-secondary)',
-                opacity: 0.6,
-                cursor: 'not-allowed',
-                color: 'var(--text-secondary)'
-              } : {}}
-            >
-              <option value="purchase">Purchase</option>
-              {hasRole('manager') && (<option value="adjustment">Adjustment</option>)}
-            </select>
+      {created ? (
+        <div className="create-transaction-card">
+          <p className="create-transaction-created">
+            Transaction #{created.id} for {created.utorid} has been recorded.
+          </p>
+          <div className="form-actions">
+            <ReceiptButton transactionId={created.id} />
+            <button type="button" onClick={() => navigate('/transactions')} className="btn btn-primary">
+              Done
+            </button>
           </div>
-          {formData.type === 'purchase' && (
+        </div>
+      ) : (
+        <div className="create-transaction-card">
+          <form onSubmit={handleSubmit}>
             <div className="form-group">
-              <label htmlFor="spent">Amount Spent ($)</label>
+              <label htmlFor="utorid">UTORid *</label>
               <input
-                type="number"
-                id="spent"
-                step="0.01"
-                min="0"
-                value={formData.spent}
+                type="text"
+                id="utorid"
+                value={formData.utorid}
                 onChange={(e) =>
-                  setFormData({ ...formData, spent: e.target.value })
+                  setFormData({ ...formData, utorid: e.target.value })
                 }
+                required
               />
             </div>
-          )}
-          {formData.type === 'adjustment' && (
-            <>
-              <div className="form-group">
-                <label htmlFor="amount">Points Amount</label>
-                <input
-                  type="number"
-                  id="amount"
-                  value={formData.amount}
-                  onChange={(e) =>
-                    setFormData({ ...formData, amount: e.target.value })
-                  }
-                />
-              </div>
+            <div className="form-group">
+              <label htmlFor="type">Type *</label>
+              <select
+                id="type"
+                value={formData.type}
+                onChange={(e) =>
+                  setFormData({ ...formData, type: e.target.value })
+                }
+                required
+                disabled={hasSingleType}
+                style={hasSingleType ? {
+                  backgroundColor: 'var(--bg-secondary)',
+                  opacity: 0.6,
+                  cursor: 'not-allowed',
+                  color: 'var(--text-secondary)'
+                } : {}}
+              >
+                <option value="purchase">Purchase</option>
+                {canAdjust && (<option value="adjustment">Adjustment</option>)}
+                {canRefund && (<option value="refund">Refund</option>)}
+              </select>
+            </div>
+            {formData.type === 'purchase' && (
               <div className="form-group">
-                <label htmlFor="amount">Related Id</label>
+                <label htmlFor="spent">Amount Spent ($)</label>
                 <input
                   type="number"
-                  id="relatedId"
+                  id="spent"
+                  step="0.01"
                   min="0"
-                  value={formData.relatedId}
+                  value={formData.spent}
                   onChange={(e) =>
-                    setFormData({ ...formData, relatedId: e.target.value })
+                    setFormData({ ...formData, spent: e.target.value })
                   }
                 />
               </div>
-            </>
-          )}
-          {/* Display all eligible promotions */}
-          {formData.type === 'purchase' && 
-           (eligiblePromotions.automatic.length > 0 || eligiblePromotions.oneTime.length > 0) && (
-            <div className="form-group">
-              <label>Available Promotions</label>
-              <div className="promotion-list">
-                {/* Automatic promotions - read-only, will be applied automatically */}
-                {eligiblePromotions.automatic.map((promo) => (
-                  <div key={promo.id} className="promotion-item promotion-item-automatic">
-                    <span className="promotion-name">{promo.name} (Automatic)</span>
-                    <span className="promotion-checkmark">✓ Applied</span>
-                  </div>
-                ))}
-                {/* One-time promotions - clickable to apply */}
-                {eligiblePromotions.oneTime.map((promo) => {
-                  const isSelected = promotionIds.includes(String(promo.id));
-                  return (
-                    <div 
-                      key={promo.id} 
-                      className={`promotion-item promotion-item-onetime ${isSelected ? 'promotion-item-selected' : ''}`}
-                      onClick={() => handleToggleOneTimePromotion(promo.id)}
-                      style={{ cursor: 'pointer' }}
-                    >
-                      <span className="promotion-name">
-                        {promo.name} (One Time{isSelected ? '' : ' - click to apply'})
-                      </span>
-                      {isSelected && (
-                        <span className="promotion-checkmark">✓ Applied</span>
-                      )}
+            )}
+            {formData.type === 'refund' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor="relatedId">Purchase ID *</label>
+                  <input
+                    type="number"
+                    id="relatedId"
+                    min="1"
+                    value={formData.relatedId}
+                    onChange={(e) =>
+                      setFormData({ ...formData, relatedId: e.target.value })
+                    }
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="spent">Amount Refunded ($) *</label>
+                  <input
+                    type="number"
+                    id="spent"
+                    step="0.01"
+                    min="0.01"
+                    value={formData.spent}
+                    onChange={(e) =>
+                      setFormData({ ...formData, spent: e.target.value })
+                    }
+                    required
+                  />
+                  <small>The points earned on the purchase are taken back in proportion to the amount refunded.</small>
+                </div>
+              </>
+            )}
+            {formData.type === 'adjustment' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor="amount">Points Amount</label>
+                  <input
+                    type="number"
+                    id="amount"
+                    value={formData.amount}
+                    onChange={(e) =>
+                      setFormData({ ...formData, amount: e.target.value })
+                    }
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="amount">Related Id</label>
+                  <input
+                    type="number"
+                    id="relatedId"
+                    min="0"
+                    value={formData.relatedId}
+                    onChange={(e) =>
+                      setFormData({ ...formData, relatedId: e.target.value })
+                    }
+                  />
+                </div>
+              </>
+            )}
+            {/* Display all eligible promotions */}
+            {formData.type === 'purchase' && 
+             (eligiblePromotions.automatic.length > 0 || eligiblePromotions.oneTime.length > 0) && (
+              <div className="form-group">
+                <label>Available Promotions</label>
+                <div className="promotion-list">
+                  {/* Automatic promotions - read-only, will be applied automatically */}
+                  {eligiblePromotions.automatic.map((promo) => (
+                    <div key={promo.id} className="promotion-item promotion-item-automatic">
+                      <span className="promotion-name">{promo.name} (Automatic)</span>
+                      <span className="promotion-checkmark">✓ Applied</span>
                     </div>
-                  );
-                })}
+                  ))}
+                  {/* One-time promotions - clickable to apply */}
+                  {eligiblePromotions.oneTime.map((promo) => {
+                    const isSelected = promotionIds.includes(String(promo.id));
+                    return (
+                      <div 
+                        key={promo.id} 
+                        className={`promotion-item promotion-item-onetime ${isSelected ? 'promotion-item-selected' : ''}`}
+                        onClick={() => handleToggleOneTimePromotion(promo.id)}
+                        style={{ cursor: 'pointer' }}
+                      >
+                        <span className="promotion-name">
+                          {promo.name} (One Time{isSelected ? '' : ' - click to apply'})
+                        </span>
+                        {isSelected && (
+                          <span className="promotion-checkmark">✓ Applied</span>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
               </div>
+            )}
+            <div className="form-group">
+              <label htmlFor="remark">Remark</label>
+              <textarea
+                id="remark"
+                value={formData.remark}
+                onChange={(e) =>
+                  setFormData({ ...formData, remark: e.target.value })
+                }
+                rows="3"
+              />
             </div>
-          )}
-          <div className="form-group">
-            <label htmlFor="remark">Remark</label>
-            <textarea
-              id="remark"
-              value={formData.remark}
-              onChange={(e) =>
-                setFormData({ ...formData, remark: e.target.value })
-              }
-              rows="3"
-            />
-          </div>
-          <div className="form-actions">
-            <button
-              type="button"
-              onClick={() => navigate('/transactions')}
-              className="btn btn-secondary"
-            >
-              Cancel
-            </button>
-            <button type="submit" className="btn btn-primary" disabled={loading}>
-              {loading ? 'Creating...' : 'Create Transaction'}
-            </button>
-          </div>
-        </form>
-      </div>
+            <div className="form-actions">
+              <button
+                type="button"
+                onClick={() => navigate('/transactions')}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                {loading ? 'Creating...' : 'Create Transaction'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,27 +1,56 @@
 // Navigation bar component
 import { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { getAvatarUrl } from '../services/api';
+import RoleUnlockModal from './RoleUnlockModal';
 import '../styles/components/Navbar.css';
 
 const Navbar = () => {
-  const { user, logout, hasRole, allowedRoles, currentRole, setCurrentRole } = useAuth();
+  const { user, logout, hasPermission, allowedRoles, currentRole, switchRole, stopImpersonation } = useAuth();
   const { theme, toggleTheme } = useTheme();
   const navigate = useNavigate();
   const location = useLocation();
   const [dropdownOpen, setDropdownOpen] = useState(false);
   const [roleMenuOpen, setRoleMenuOpen] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [unlockRole, setUnlockRole] = useState(null);
 
   const dropdownRef = useRef(null);
   const roleMenuRef = useRef(null);
   const mobileMenuRef = useRef(null);
 
-  const switchRole = (newRole) => {
-    setCurrentRole(newRole)
-    navigate('/dashboard')
+  const changeRole = async (newRole) => {
+    if (newRole === currentRole) return;
+    // Going back up needs the password; dropping down does not
+    if (allowedRoles.indexOf(newRole) > allowedRoles.indexOf(currentRole)) {
+      setUnlockRole(newRole);
+      return;
+    }
+    try {
+      await switchRole(newRole);
+      navigate('/dashboard');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to switch role.');
+    }
+  };
+
+  const handleUnlock = async (password) => {
+    await switchRole(unlockRole, password);
+    setUnlockRole(null);
+    navigate('/dashboard');
+  };
+
+  const handleStopImpersonation = async () => {
+    const impersonatedId = user.id;
+    try {
+      await stopImpersonation();
+      navigate(`/users/${impersonatedId}`);
+    } catch (error) {
+      navigate('/login');
+    }
   };
 
   useEffect(() => {
@@ -138,6 +167,18 @@ const Navbar = () => {
 
   return (
     <>
+      {user?.impersonation && (
+        <div className="impersonation-banner" role="status">
+          <span>
+            Viewing as <strong>{user.name}</strong> ({user.utorid})
+            {user.impersonation.readOnly ? ' · read-only' : ' · changes allowed'}
+            {' · ends '}{new Date(user.impersonation.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </span>
+          <button className="impersonation-banner-button" onClick={handleStopImpersonation}>
+            Return to {user.impersonation.impersonator.utorid}
+          </button>
+        </div>
+      )}
       {mobileMenuOpen && (
         <div 
           className="navbar-mobile-overlay" 
@@ -167,9 +208,13 @@ const Navbar = () => {
             <div className={`navbar-links ${mobileMenuOpen ? 'mobile-open' : ''}`} ref={mobileMenuRef}>
             <Link to="/dashboard" className={location.pathname === '/dashboard' || location.pathname === '/' ? 'active' : ''} onClick={closeMobileMenu}>Dashboard</Link>
             <Link to="/transactions" className={location.pathname.startsWith('/transactions') ? 'active' : ''} onClick={closeMobileMenu}>Transactions</Link>
-            {hasRole('manager') && <Link to="/users" className={location.pathname.startsWith('/users') ? 'active' : ''} onClick={closeMobileMenu}>Users</Link>}
+            {hasPermission('users.manage') && <Link to="/users" className={location.pathname.startsWith('/users') ? 'active' : ''} onClick={closeMobileMenu}>Users</Link>}
             <Link to="/events" className={location.pathname.startsWith('/events') ? 'active' : ''} onClick={closeMobileMenu}>Events</Link>
             <Link to="/promotions" className={location.pathname.startsWith('/promotions') ? 'active' : ''} onClick={closeMobileMenu}>Promotions</Link>
+            <Link to="/rewards" className={location.pathname.startsWith('/rewards') ? 'active' : ''} onClick={closeMobileMenu}>Rewards</Link>
+            {hasPermission('transactions.flag') && <Link to="/review-queue" className={location.pathname.startsWith('/review-queue') || location.pathname.startsWith('/fraud-rules') ? 'active' : ''} onClick={closeMobileMenu}>Review</Link>}
+            {hasPermission('investigations.manage') && <Link to="/investigations" className={location.pathname.startsWith('/investigations') ? 'active' : ''} onClick={closeMobileMenu}>Cases</Link>}
+            {hasPermission('settings.manage') && <Link to="/settings" className={location.pathname.startsWith('/settings') ? 'active' : ''} onClick={closeMobileMenu}>Settings</Link>}
 
             <div className="navbar-user" ref={dropdownRef}>
               <div
@@ -244,7 +289,7 @@ const Navbar = () => {
                             className={`navbar-role-menu-item ${currentRole === r ? 'active' : ''}`}
                             onClick={(e) => {
                               e.stopPropagation();
-                              switchRole(r);
+                              changeRole(r);
                               setRoleMenuOpen(false);
                               setDropdownOpen(false);
                               closeMobileMenu();
@@ -314,6 +359,7 @@ const Navbar = () => {
         )}
       </div>
     </nav>
+    <RoleUnlockModal role={unlockRole} onClose={() => setUnlockRole(null)} onUnlock={handleUnlock} />
     </>
   );
 };
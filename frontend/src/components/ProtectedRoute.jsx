@@ -2,8 +2,8 @@
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
-const ProtectedRoute = ({ children, requiredRole }) => {
-  const { user, loading, hasRole } = useAuth();
+const ProtectedRoute = ({ children, requiredRole, requiredPermission }) => {
+  const { user, loading, hasRole, hasPermission } = useAuth();
 
   if (loading) {
     return <div className="loading">Loading...</div>;
@@ -17,6 +17,10 @@ const ProtectedRoute = ({ children, requiredRole }) => {
     return <Navigate to="/dashboard" replace />;
   }
 
+  if (requiredPermission && !hasPermission(requiredPermission)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   return children;
 };
 
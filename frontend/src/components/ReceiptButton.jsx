@@ -0,0 +1,61 @@
+// Prints a transaction's receipt or downloads it as a PDF
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { transactionAPI } from '../services/api';
+
+const printHtml = (html) => {
+  // A hidden frame keeps the print view out of the app's own layout
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
+
+// Also used for statement downloads
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const ReceiptButton = ({ transactionId, download = false, className = 'btn btn-secondary' }) => {
+  const [loading, setLoading] = useState(false);
+
+  const handleClick = async () => {
+    setLoading(true);
+    try {
+      if (download) {
+        const response = await transactionAPI.getReceipt(transactionId, 'pdf');
+        downloadBlob(response.data, `receipt-${transactionId}.pdf`);
+      } else {
+        const response = await transactionAPI.getReceipt(transactionId, 'html');
+        printHtml(response.data);
+      }
+    } catch (err) {
+      toast.error('Failed to load the receipt.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <button type="button" className={className} onClick={handleClick} disabled={loading}>
+      {download ? 'Download Receipt' : 'Print Receipt'}
+    </button>
+  );
+};
+
+export default ReceiptButton;
@@ -0,0 +1,38 @@
+// One-time display of two-factor recovery codes
+import { toast } from 'react-toastify';
+import '../styles/components/TwoFactor.css';
+
+const RecoveryCodes = ({ codes, onDone, doneLabel = 'Done' }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (err) {
+      toast.error('Could not copy recovery codes');
+    }
+  };
+
+  return (
+    <div className="two-factor-recovery">
+      <p className="two-factor-instructions">
+        Save these recovery codes somewhere safe. Each code can be used once to sign in
+        if you lose your authenticator. They will not be shown again.
+      </p>
+      <ul className="two-factor-recovery-list">
+        {codes.map((code) => (
+          <li key={code}><code>{code}</code></li>
+        ))}
+      </ul>
+      <div className="two-factor-recovery-actions">
+        <button type="button" className="btn btn-secondary" onClick={handleCopy}>
+          Copy Codes
+        </button>
+        <button type="button" className="btn btn-primary" onClick={onDone}>
+          {doneLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,67 @@
+// Password prompt for returning the session to a higher role
+import { useState } from 'react';
+import '../styles/components/ConfirmationModal.css';
+
+const RoleUnlockModal = ({ role, onClose, onUnlock }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  if (!role) return null;
+
+  const handleClose = () => {
+    setPassword('');
+    setError('');
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      await onUnlock(password);
+      setPassword('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to switch role.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="confirmation-modal-overlay" onClick={handleClose}>
+      <div className="confirmation-modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="confirmation-modal-header">
+          <h2>Switch to {role.charAt(0).toUpperCase() + role.slice(1)}</h2>
+          <button className="confirmation-modal-close" onClick={handleClose} aria-label="Close">×</button>
+        </div>
+        <form onSubmit={handleSubmit}>
+          <div className="confirmation-modal-body">
+            <p>Enter your password to restore your {role} privileges.</p>
+            <input
+              type="password"
+              className="confirmation-modal-input"
+              aria-label="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoFocus
+              required
+            />
+            {error && <div className="confirmation-modal-error">{error}</div>}
+          </div>
+          <div className="confirmation-modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={handleClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Switching...' : 'Switch Role'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RoleUnlockModal;
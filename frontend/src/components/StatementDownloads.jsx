@@ -0,0 +1,40 @@
+// Downloads a member's monthly statement as PDF or CSV
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { userAPI } from '../services/api';
+import { downloadBlob } from './ReceiptButton';
+
+// Statements are by UTC calendar month, as 'YYYY-MM'
+export const previousMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+};
+
+const StatementDownloads = ({ userId = 'me', utorid, month }) => {
+  const [loading, setLoading] = useState('');
+
+  const handleDownload = async (format) => {
+    setLoading(format);
+    try {
+      const response = await userAPI.getStatement(userId, month, format);
+      downloadBlob(response.data, `statement-${utorid ? `${utorid}-` : ''}${month}.${format}`);
+    } catch (err) {
+      toast.error('Failed to download the statement.');
+    } finally {
+      setLoading('');
+    }
+  };
+
+  return (
+    <>
+      <button type="button" className="btn btn-secondary" onClick={() => handleDownload('pdf')} disabled={!month || Boolean(loading)}>
+        {loading === 'pdf' ? 'Downloading...' : 'Download PDF'}
+      </button>
+      <button type="button" className="btn btn-secondary" onClick={() => handleDownload('csv')} disabled={!month || Boolean(loading)}>
+        {loading === 'csv' ? 'Downloading...' : 'Download CSV'}
+      </button>
+    </>
+  );
+};
+
+export default StatementDownloads;
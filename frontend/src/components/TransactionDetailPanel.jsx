@@ -2,10 +2,13 @@
 import { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import { transactionAPI, promotionAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
 import ConfirmationModal from './ConfirmationModal';
+import ReceiptButton from './ReceiptButton';
 import '../styles/components/TransactionDetailPanel.css';
 
 const TransactionDetailPanel = ({ transaction, isOpen, onClose, onUpdate, hasRole }) => {
+  const { hasPermission, user } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [editingAmount, setEditingAmount] = useState(false);
@@ -263,6 +266,68 @@ const TransactionDetailPanel = ({ transaction, isOpen, onClose, onUpdate, hasRol
     });
   };
 
+  const reverseTransaction = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await transactionAPI.reverseTransaction(transaction.id);
+      await loadTransactionDetails();
+      toast.success(`Transaction reversed by adjustment #${response.data.id}`);
+      if (onUpdate) {
+        onUpdate();
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to reverse transaction';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReverse = () => {
+    setConfirmation({
+      isOpen: true,
+      type: 'reversal',
+      title: 'Reverse Transaction',
+      message: 'Reverse this transaction? A compensating adjustment will undo its points.',
+      onConfirm: reverseTransaction,
+      isDangerous: true
+    });
+  };
+
+  const cancelRedemption = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await transactionAPI.cancelRedemption(transaction.id);
+      setTransactionDetails((prev) => ({ ...(prev || transaction), cancelledAt: response.data.cancelledAt }));
+      toast.success('Redemption request cancelled');
+      if (onUpdate) {
+        onUpdate();
+      }
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to cancel redemption';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelRedemption = () => {
+    setConfirmation({
+      isOpen: true,
+      type: 'cancel',
+      title: 'Cancel Request',
+      message: 'Cancel this redemption request? A cashier will no longer be able to process it.',
+      onConfirm: cancelRedemption,
+      isDangerous: true
+    });
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     return new Date(dateString).toLocaleString();
@@ -275,6 +340,7 @@ const TransactionDetailPanel = ({ transaction, isOpen, onClose, onUpdate, hasRol
       adjustment: 'transaction-panel-badge-warning',
       event: 'transaction-panel-badge-success',
       transfer: 'transaction-panel-badge-secondary',
+      refund: 'transaction-panel-badge-warning',
     };
     return colors[type] || 'transaction-panel-badge-secondary';
   };
@@ -283,6 +349,9 @@ const TransactionDetailPanel = ({ transaction, isOpen, onClose, onUpdate, hasRol
 
   const details = transactionDetails || transaction;
   const isCashierOnly = hasRole('cashier') && !hasRole('manager');
+  // Lists of one's own transactions leave out the utorid
+  const isOwnPendingRedemption = details.type === 'redemption' && !details.processed &&
+    !details.cancelledAt && !details.reversalId && (details.utorid || user?.utorid) === user?.utorid;
 
   return (
     <>
@@ -433,7 +502,15 @@ const TransactionDetailPanel = ({ transaction, isOpen, onClose, onUpdate, hasRol
             <div className="transaction-panel-field">
               <label>Status</label>
               <div className="transaction-panel-value">
-                {details.processed ? (
+                {details.reversalId ? (
+                  <span className="transaction-panel-badge transaction-panel-badge-danger">
+                    Reversed by #{details.reversalId}
+                  </span>
+                ) : details.cancelledAt ? (
+                  <span className="transaction-panel-badge transaction-panel-badge-secondary">
+                    Cancelled
+                  </span>
+                ) : details.processed ? (
                   <span className="transaction-panel-badge transaction-panel-badge-success">
                     Processed
                   </span>
@@ -462,6 +539,20 @@ const TransactionDetailPanel = ({ transaction, isOpen, onClose, onUpdate, hasRol
               </div>
             )}
 
+            {details.flagReason && (hasRole('manager') || hasRole('superuser')) && (
+              <div className="transaction-panel-field">
+                <label>Flag Reason</label>
+                <div className="transaction-panel-value">{details.flagReason}</div>
+              </div>
+            )}
+
+            {details.reward && (
+              <div className="transaction-panel-field">
+                <label>Reward</label>
+                <div className="transaction-panel-value">{details.reward.name}</div>
+              </div>
+            )}
+
             {details.remark && (
               <div className="transaction-panel-field">
                 <label>Remark</label>
@@ -492,7 +583,7 @@ const TransactionDetailPanel = ({ transaction, isOpen, onClose, onUpdate, hasRol
           </div>
 
           <div className="transaction-panel-actions">
-            {hasRole('cashier') && !details.processed && (isCashierOnly || details.type === 'redemption') && (
+            {hasRole('cashier') && !details.processed && !details.cancelledAt && (isCashierOnly || details.type === 'redemption') && (
               <button
                 onClick={handleProcessRedemption}
                 className="btn btn-success"
@@ -543,6 +634,30 @@ const TransactionDetailPanel = ({ transaction, isOpen, onClose, onUpdate, hasRol
                 {details.suspicious ? 'Clear Suspicious' : 'Mark Suspicious'}
               </button>
             )}
+
+            {isOwnPendingRedemption && (
+              <button
+                onClick={handleCancelRedemption}
+                className="btn btn-outline-danger"
+                disabled={loading}
+              >
+                Cancel Request
+              </button>
+            )}
+
+            {((details.utorid || user?.utorid) === user?.utorid || hasPermission('transactions.view')) && (
+              <ReceiptButton transactionId={details.id} download className="btn btn-outline-secondary" />
+            )}
+
+            {hasPermission('transactions.reverse') && !details.reversalId && !details.cancelledAt && (
+              <button
+                onClick={handleReverse}
+                className="btn btn-outline-danger"
+                disabled={loading}
+              >
+                Reverse Transaction
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -1,10 +1,17 @@
-// Transaction Modal Component (for transfer and redemption)
+// Transaction Modal Component (for transfer, redemption and point requests)
 import { useState, useEffect } from "react";
 import { toast } from 'react-toastify';
-import { transactionAPI } from "../services/api";
+import { transactionAPI, pointRequestAPI } from "../services/api";
 import { useAuth } from "../contexts/AuthContext";
+import ReceiptButton from "./ReceiptButton";
 import '../styles/components/TransactionModal.css';
 
+const MODAL_TITLES = {
+  transfer: 'Transfer Points',
+  redemption: 'Redeem Points',
+  request: 'Request Points',
+};
+
 const TransactionModal = ({ isOpen, onClose, defaultType = 'redemption', onSuccess }) => {
   const { user, updateLocalUser } = useAuth();
   const [formData, setFormData] = useState({
@@ -15,6 +22,8 @@ const TransactionModal = ({ isOpen, onClose, defaultType = 'redemption', onSucce
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // The redemption or transfer just made, kept on screen so its receipt can be printed
+  const [createdId, setCreatedId] = useState(null);
 
   // Reset form when modal opens/closes or type changes
   useEffect(() => {
@@ -26,6 +35,7 @@ const TransactionModal = ({ isOpen, onClose, defaultType = 'redemption', onSucce
         remark: ''
       });
       setError('');
+      setCreatedId(null);
     }
   }, [isOpen, defaultType]);
 
@@ -43,13 +53,16 @@ const TransactionModal = ({ isOpen, onClose, defaultType = 'redemption', onSucce
       return;
     }
 
+    let transactionId = null;
     try {
       if (formData.type === 'redemption') {
-        await transactionAPI.createRedemption(amount, formData.remark || undefined);
+        const response = await transactionAPI.createRedemption(amount, formData.remark || undefined);
+        transactionId = response.data?.id;
         toast.success('Redemption request created successfully!');
       } else {
+        const isRequest = formData.type === 'request';
         if (!formData.utorid.trim()) {
-          const errorMessage = 'Please enter recipient UTORid';
+          const errorMessage = isRequest ? 'Please enter the UTORid to request from' : 'Please enter recipient UTORid';
           setError(errorMessage);
           toast.error(errorMessage);
           setLoading(false);
@@ -57,21 +70,35 @@ const TransactionModal = ({ isOpen, onClose, defaultType = 'redemption', onSucce
         }
         // Prevent self-transfers
         if (formData.utorid.trim().toLowerCase() === user?.utorid?.toLowerCase()) {
-          const errorMessage = 'Cannot transfer points to yourself';
+          const errorMessage = isRequest ? 'Cannot request points from yourself' : 'Cannot transfer points to yourself';
           setError(errorMessage);
           toast.error(errorMessage);
           setLoading(false);
           return;
         }
-        await transactionAPI.createTransfer(formData.utorid.trim(), amount, formData.remark || undefined);
-        toast.success('Points transferred successfully!');
+        if (isRequest) {
+          await pointRequestAPI.createPointRequest(formData.utorid.trim(), amount, formData.remark || undefined);
+          toast.success('Point request sent!');
+        } else {
+          const response = await transactionAPI.createTransfer(formData.utorid.trim(), amount, formData.remark || undefined);
+          transactionId = response.data?.id;
+          if (response.data?.held) {
+            toast.info('Transfer sent for review. The recipient gets the points once it is approved.');
+          } else {
+            toast.success('Points transferred successfully!');
+          }
+        }
       }
       
       updateLocalUser();
       if (onSuccess) {
         onSuccess();
       }
-      onClose();
+      if (transactionId) {
+        setCreatedId(transactionId);
+      } else {
+        onClose();
+      }
     } catch (err) {
       const errorMessage = err.response?.data?.error || 'Failed to create transaction.';
       setError(errorMessage);
@@ -101,65 +128,79 @@ const TransactionModal = ({ isOpen, onClose, defaultType = 'redemption', onSucce
           ×
         </button>
         <div className="transaction-modal-header">
-          <h2>{formData.type === 'transfer' ? 'Transfer Points' : 'Redeem Points'}</h2>
+          <h2>{MODAL_TITLES[formData.type]}</h2>
         </div>
-        <form onSubmit={handleSubmit}>
-          {formData.type === 'transfer' && (
+        {createdId ? (
+          <div className="transaction-modal-receipt">
+            <p>Transaction #{createdId} has been recorded.</p>
+            <div className="form-actions">
+              <ReceiptButton transactionId={createdId} />
+              <button type="button" onClick={onClose} className="btn btn-primary">
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {formData.type !== 'redemption' && (
+              <div className="form-group">
+                <label htmlFor="utorid">{formData.type === 'request' ? 'Request From UTORid *' : 'Recipient UTORid *'}</label>
+                <input
+                  type="text"
+                  id="utorid"
+                  placeholder={formData.type === 'request' ? 'Enter the UTORid to request from' : 'Enter recipient UTORid'}
+                  value={formData.utorid}
+                  onChange={(e) =>
+                    setFormData({ ...formData, utorid: e.target.value })
+                  }
+                  required
+                  disabled={loading}
+                />
+              </div>
+            )}
             <div className="form-group">
-              <label htmlFor="utorid">Recipient UTORid *</label>
+              <label htmlFor="amount">Points Amount *</label>
               <input
-                type="text"
-                id="utorid"
-                placeholder="Enter recipient UTORid"
-                value={formData.utorid}
+                type="number"
+                id="amount"
+                min="1"
+                value={formData.amount}
                 onChange={(e) =>
-                  setFormData({ ...formData, utorid: e.target.value })
+                  setFormData({ ...formData, amount: e.target.value })
                 }
                 required
                 disabled={loading}
               />
             </div>
-          )}
-          <div className="form-group">
-            <label htmlFor="amount">Points Amount *</label>
-            <input
-              type="number"
-              id="amount"
-              min="1"
-              value={formData.amount}
-              onChange={(e) =>
-                setFormData({ ...formData, amount: e.target.value })
-              }
-              required
-              disabled={loading}
-            />
-          </div>
-          <div className="form-group">
-            <label htmlFor="remark">Remark</label>
-            <textarea
-              id="remark"
-              value={formData.remark}
-              onChange={(e) =>
-                setFormData({ ...formData, remark: e.target.value })
-              }
-              rows="3"
-              disabled={loading}
-            />
-          </div>
-          <div className="form-actions">
-            <button
-              type="button"
-              onClick={onClose}
-              className="btn btn-secondary"
-              disabled={loading}
-            >
-              Cancel
-            </button>
-            <button type="submit" className="btn btn-primary" disabled={loading}>
-              {loading ? 'Creating...' : 'Create Transaction'}
-            </button>
-          </div>
-        </form>
+            <div className="form-group">
+              <label htmlFor="remark">Remark</label>
+              <textarea
+                id="remark"
+                value={formData.remark}
+                onChange={(e) =>
+                  setFormData({ ...formData, remark: e.target.value })
+                }
+                rows="3"
+                disabled={loading}
+              />
+            </div>
+            <div className="form-actions">
+              <button
+                type="button"
+                onClick={onClose}
+                className="btn btn-secondary"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={loading}>
+                {formData.type === 'request'
+                  ? (loading ? 'Sending...' : 'Send Request')
+                  : (loading ? 'Creating...' : 'Create Transaction')}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,48 @@
+// Two-factor enrollment step: scan the provisioning QR code, then confirm a code
+import { useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import '../styles/components/TwoFactor.css';
+
+const TwoFactorEnrollment = ({ otpauthUrl, secret, onVerify, loading }) => {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onVerify(code.trim());
+  };
+
+  return (
+    <div className="two-factor-enrollment">
+      <p className="two-factor-instructions">
+        Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+      </p>
+      <div className="two-factor-qr">
+        <QRCodeSVG value={otpauthUrl} size={180} level="M" includeMargin={true} />
+      </div>
+      <p className="two-factor-secret">
+        Can't scan? Enter this key manually: <code>{secret}</code>
+      </p>
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="enrollmentCode">Verification Code</label>
+          <input
+            type="text"
+            id="enrollmentCode"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern="\d{6}"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={loading}>
+          {loading ? 'Verifying...' : 'Verify & Enable'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TwoFactorEnrollment;
@@ -46,8 +46,12 @@ const UserCreateTx = () => {
           setLoading(false);
           return;
         }
-        await transactionAPI.createTransfer(formData.utorid, amount, formData.remark || undefined)
-        toast.success('Points transferred successfully!');
+        const response = await transactionAPI.createTransfer(formData.utorid, amount, formData.remark || undefined)
+        if (response.data?.held) {
+          toast.info('Transfer sent for review. The recipient gets the points once it is approved.');
+        } else {
+          toast.success('Points transferred successfully!');
+        }
       }
       
       updateLocalUser()
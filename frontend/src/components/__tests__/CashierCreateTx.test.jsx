@@ -0,0 +1,85 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import CashierCreateTx from '../CashierCreateTx';
+import { useAuth } from '../../contexts/AuthContext';
+import { transactionAPI, promotionAPI } from '../../services/api';
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+vi.mock('../../services/api', () => ({
+  transactionAPI: {
+    createTransaction: vi.fn(),
+  },
+  promotionAPI: {
+    getPromotions: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+vi.mock('../ReceiptButton', () => ({
+  default: ({ transactionId }) => <button>Print Receipt #{transactionId}</button>,
+}));
+
+describe('CashierCreateTx', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    promotionAPI.getPromotions.mockResolvedValue({ data: { results: [] } });
+  });
+
+  const renderForm = () => render(
+    <MemoryRouter>
+      <CashierCreateTx />
+    </MemoryRouter>
+  );
+
+  it('should lock cashiers without extra permissions to purchases', () => {
+    useAuth.mockReturnValue({ hasRole: (role) => role === 'cashier', hasPermission: () => false });
+    renderForm();
+
+    expect(screen.getByLabelText(/type/i)).toBeDisabled();
+    expect(screen.queryByText('Refund')).not.toBeInTheDocument();
+  });
+
+  it('should refund part of a purchase', async () => {
+    useAuth.mockReturnValue({
+      hasRole: (role) => role === 'cashier',
+      hasPermission: (p) => p === 'transactions.refund',
+    });
+    transactionAPI.createTransaction.mockResolvedValue({ data: { id: 30 } });
+    renderForm();
+
+    fireEvent.change(screen.getByLabelText(/utorid/i), { target: { value: 'clive123' } });
+    fireEvent.change(screen.getByLabelText(/type/i), { target: { value: 'refund' } });
+    fireEvent.change(screen.getByLabelText(/purchase id/i), { target: { value: '12' } });
+    fireEvent.change(screen.getByLabelText(/amount refunded/i), { target: { value: '7.50' } });
+    fireEvent.click(screen.getByText('Create Transaction', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(transactionAPI.createTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        utorid: 'clive123',
+        type: 'refund',
+        relatedId: 12,
+        spent: 7.5,
+      }));
+    });
+  });
+
+  it('should offer the receipt once the transaction is recorded', async () => {
+    useAuth.mockReturnValue({ hasRole: (role) => role === 'cashier', hasPermission: () => false });
+    transactionAPI.createTransaction.mockResolvedValue({ data: { id: 31, utorid: 'clive123', type: 'purchase' } });
+    renderForm();
+
+    fireEvent.change(screen.getByLabelText(/utorid/i), { target: { value: 'clive123' } });
+    fireEvent.change(screen.getByLabelText(/amount spent/i), { target: { value: '10' } });
+    fireEvent.click(screen.getByText('Create Transaction', { selector: 'button' }));
+
+    expect(await screen.findByText('Transaction #31 for clive123 has been recorded.')).toBeInTheDocument();
+    expect(screen.getByText('Print Receipt #31')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,61 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import ReceiptButton from '../ReceiptButton';
+import { transactionAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+
+vi.mock('../../services/api', () => ({
+  transactionAPI: {
+    getReceipt: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+describe('ReceiptButton', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    URL.createObjectURL = vi.fn(() => 'blob:receipt');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    document.querySelectorAll('iframe').forEach((frame) => frame.remove());
+  });
+
+  it('should load the print view into a hidden frame', async () => {
+    transactionAPI.getReceipt.mockResolvedValue({ data: '<h1>Receipt for transaction #12</h1>' });
+    render(<ReceiptButton transactionId={12} />);
+
+    fireEvent.click(screen.getByText('Print Receipt', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(document.querySelector('iframe')?.srcdoc).toBe('<h1>Receipt for transaction #12</h1>');
+    });
+    expect(transactionAPI.getReceipt).toHaveBeenCalledWith(12, 'html');
+  });
+
+  it('should download the PDF', async () => {
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    transactionAPI.getReceipt.mockResolvedValue({ data: new Blob(['%PDF-1.4']) });
+    render(<ReceiptButton transactionId={12} download />);
+
+    fireEvent.click(screen.getByText('Download Receipt', { selector: 'button' }));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(transactionAPI.getReceipt).toHaveBeenCalledWith(12, 'pdf');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:receipt');
+    click.mockRestore();
+  });
+
+  it('should report a receipt that cannot be loaded', async () => {
+    transactionAPI.getReceipt.mockRejectedValue({ response: { status: 403 } });
+    render(<ReceiptButton transactionId={12} download />);
+
+    fireEvent.click(screen.getByText('Download Receipt', { selector: 'button' }));
+
+    await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Failed to load the receipt.'));
+  });
+});
@@ -0,0 +1,33 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import RoleUnlockModal from '../RoleUnlockModal';
+
+describe('RoleUnlockModal', () => {
+  it('should render nothing without a role', () => {
+    const { container } = render(<RoleUnlockModal role={null} onClose={vi.fn()} onUnlock={vi.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should submit the password', async () => {
+    const onUnlock = vi.fn().mockResolvedValue();
+    render(<RoleUnlockModal role="manager" onClose={vi.fn()} onUnlock={onUnlock} />);
+
+    expect(screen.getByText('Switch to Manager')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'Password123!' } });
+    fireEvent.click(screen.getByText('Switch Role'));
+
+    await waitFor(() => {
+      expect(onUnlock).toHaveBeenCalledWith('Password123!');
+    });
+  });
+
+  it('should show the error from a rejected password', async () => {
+    const onUnlock = vi.fn().mockRejectedValue({ response: { data: { error: 'Invalid credentials' } } });
+    render(<RoleUnlockModal role="manager" onClose={vi.fn()} onUnlock={onUnlock} />);
+
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'wrong' } });
+    fireEvent.click(screen.getByText('Switch Role'));
+
+    expect(await screen.findByText('Invalid credentials')).toBeInTheDocument();
+  });
+});
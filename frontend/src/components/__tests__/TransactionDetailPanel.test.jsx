@@ -0,0 +1,131 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import TransactionDetailPanel from '../TransactionDetailPanel';
+import { useAuth } from '../../contexts/AuthContext';
+import { transactionAPI } from '../../services/api';
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+vi.mock('../../services/api', () => ({
+  transactionAPI: {
+    getTransaction: vi.fn(),
+    reverseTransaction: vi.fn(),
+    cancelRedemption: vi.fn(),
+    getReceipt: vi.fn(),
+  },
+  promotionAPI: {
+    getPromotion: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+const purchase = {
+  id: 12,
+  utorid: 'clive123',
+  type: 'purchase',
+  amount: 40,
+  spent: 10,
+  processed: true,
+  suspicious: false,
+  promotionIds: [],
+  createdAt: '2026-01-01T00:00:00.000Z',
+};
+
+const renderPanel = () => render(
+  <TransactionDetailPanel
+    transaction={purchase}
+    isOpen
+    onClose={vi.fn()}
+    onUpdate={vi.fn()}
+    hasRole={(role) => role !== 'superuser'}
+  />
+);
+
+describe('TransactionDetailPanel', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({
+      hasPermission: (p) => p === 'transactions.reverse',
+      user: { utorid: 'manager1' },
+    });
+    transactionAPI.getTransaction.mockResolvedValue({ data: purchase });
+  });
+
+  it('should reverse a transaction after confirmation', async () => {
+    transactionAPI.reverseTransaction.mockResolvedValue({ data: { id: 13 } });
+    renderPanel();
+
+    fireEvent.click(await screen.findByText('Reverse Transaction'));
+    fireEvent.click(screen.getByText('Confirm'));
+
+    await waitFor(() => {
+      expect(transactionAPI.reverseTransaction).toHaveBeenCalledWith(12);
+    });
+  });
+
+  it('should show reversed transactions without the reverse action', async () => {
+    transactionAPI.getTransaction.mockResolvedValue({ data: { ...purchase, reversalId: 13 } });
+    renderPanel();
+
+    expect(await screen.findByText('Reversed by #13')).toBeInTheDocument();
+    expect(screen.queryByText('Reverse Transaction')).not.toBeInTheDocument();
+  });
+
+  it('should hide the reverse action without the permission', async () => {
+    useAuth.mockReturnValue({ hasPermission: () => false });
+    renderPanel();
+
+    await waitFor(() => expect(transactionAPI.getTransaction).toHaveBeenCalled());
+    expect(screen.queryByText('Reverse Transaction')).not.toBeInTheDocument();
+  });
+
+  it('should let a user cancel their own pending redemption', async () => {
+    const redemption = { id: 20, type: 'redemption', amount: -50, redeemed: 50, processed: false, promotionIds: [] };
+    useAuth.mockReturnValue({ hasPermission: () => false, user: { utorid: 'clive123' } });
+    transactionAPI.getTransaction.mockRejectedValue({ response: { status: 403 } });
+    transactionAPI.cancelRedemption.mockResolvedValue({ data: { id: 20, cancelledAt: '2026-01-02T00:00:00.000Z' } });
+    render(
+      <TransactionDetailPanel
+        transaction={redemption}
+        isOpen
+        onClose={vi.fn()}
+        onUpdate={vi.fn()}
+        hasRole={(role) => role === 'regular'}
+      />
+    );
+
+    fireEvent.click(await screen.findByText('Cancel Request'));
+    fireEvent.click(screen.getByText('Confirm'));
+
+    expect(await screen.findByText('Cancelled')).toBeInTheDocument();
+    expect(transactionAPI.cancelRedemption).toHaveBeenCalledWith(20);
+    expect(screen.queryByText('Cancel Request')).not.toBeInTheDocument();
+  });
+
+  it('should let a user download the receipt of their own transaction', async () => {
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    URL.createObjectURL = vi.fn(() => 'blob:receipt');
+    URL.revokeObjectURL = vi.fn();
+    useAuth.mockReturnValue({ hasPermission: () => false, user: { utorid: 'clive123' } });
+    transactionAPI.getReceipt.mockResolvedValue({ data: new Blob(['%PDF-1.4']) });
+    renderPanel();
+
+    fireEvent.click(await screen.findByText('Download Receipt'));
+
+    await waitFor(() => expect(transactionAPI.getReceipt).toHaveBeenCalledWith(12, 'pdf'));
+    click.mockRestore();
+  });
+
+  it('should not offer receipts of other users without the permission', async () => {
+    useAuth.mockReturnValue({ hasPermission: () => false, user: { utorid: 'someone1' } });
+    renderPanel();
+
+    await waitFor(() => expect(transactionAPI.getTransaction).toHaveBeenCalled());
+    expect(screen.queryByText('Download Receipt')).not.toBeInTheDocument();
+  });
+});
@@ -1,6 +1,6 @@
 // Authentication context for managing user state
 import { createContext, useContext, useState, useEffect } from 'react';
-import { userAPI, authAPI } from '../services/api';
+import { userAPI, authAPI, impersonationAPI } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -17,8 +17,6 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const roleHierarchy = { regular: 0, cashier: 1, manager: 2, superuser: 3 };
   const roles = ['regular', 'cashier', 'manager', 'superuser']
-  const [currentRole, setCurrentRole] = useState(null)
-  const [allowedRoles, setAllowedRoles] = useState([])
 
   // Load user and verify session
   useEffect(() => {
@@ -32,9 +30,7 @@ export const AuthProvider = ({ children }) => {
       } catch (error) {
         // Session invalid or no cookie
         localStorage.removeItem('user');
-        localStorage.removeItem('currentRole');
         setUser(null);
-        setCurrentRole(null);
       }
       setLoading(false);
     };
@@ -42,56 +38,13 @@ export const AuthProvider = ({ children }) => {
     loadUser();
   }, []);
 
-  useEffect(() => {
-    if (!user) {
-      setCurrentRole(null);
-      setAllowedRoles([]);
-      localStorage.removeItem('currentRole');
-      return;
-    }
-    // Calculate allowed roles based on user's actual role
-    const newAllowedRoles = roles.slice(0, roleHierarchy[user.role] + 1);
-    setAllowedRoles(newAllowedRoles);
-    
-    // Check localStorage for saved role and validate it
-    setCurrentRole(prevRole => {
-      // If currentRole is already set and valid, keep it
-      if (prevRole && newAllowedRoles.includes(prevRole)) {
-        return prevRole;
-      }
-      
-      // Otherwise, try to restore from localStorage
-      const savedRole = localStorage.getItem('currentRole');
-      if (savedRole && newAllowedRoles.includes(savedRole)) {
-        return savedRole;
-      }
-      
-      // Fall back to user's actual role
-      return user.role;
-    });
-  }, [user?.role]) // Only depend on user.role, not the entire user object
-
-  // Save currentRole to localStorage whenever it changes
-  useEffect(() => {
-    if (user && currentRole) {
-      // Validate that the role is still allowed before saving
-      const allowedRolesForUser = roles.slice(0, roleHierarchy[user.role] + 1);
-      if (allowedRolesForUser.includes(currentRole)) {
-        localStorage.setItem('currentRole', currentRole);
-      } else {
-        // Invalid role, clear from localStorage and reset to user's actual role
-        localStorage.removeItem('currentRole');
-        if (currentRole !== user.role) {
-          setCurrentRole(user.role);
-        }
-      }
-    }
-  }, [currentRole, user]);
+  // The server caps the session at activeRole, so the role switcher reflects what it enforces
+  const currentRole = user ? user.activeRole || user.role : null;
+  const allowedRoles = user ? roles.slice(0, roleHierarchy[user.role] + 1) : [];
 
   const login = (userData) => {
     localStorage.setItem('user', JSON.stringify(userData));
     setUser(userData);
-    // Role will be restored by the useEffect that watches user.role
   };
 
   const logout = async () => {
@@ -101,10 +54,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout failed', error);
     }
     localStorage.removeItem('user');
-    localStorage.removeItem('currentRole');
     setUser(null);
-    setCurrentRole(null);
-    setAllowedRoles([]);
   };
 
   const updateLocalUser = async () => {
@@ -113,6 +63,29 @@ export const AuthProvider = ({ children }) => {
     localStorage.setItem('user', JSON.stringify(response.data));
   };
 
+  // Caps the session at a lower role; going back up needs the password
+  const switchRole = async (role, password) => {
+    await authAPI.scopeToken(role, password);
+    await updateLocalUser();
+  };
+
+  const startImpersonation = async (userId, readOnly) => {
+    await impersonationAPI.start(userId, readOnly);
+    await updateLocalUser();
+  };
+
+  const stopImpersonation = async () => {
+    try {
+      await impersonationAPI.stop();
+      await updateLocalUser();
+    } catch (error) {
+      // The superuser's own session ended while they were impersonating
+      localStorage.removeItem('user');
+      setUser(null);
+      throw error;
+    }
+  };
+
   const hasRole = (requiredRole) => {
     if (!user) return false;
 
@@ -121,15 +94,23 @@ export const AuthProvider = ({ children }) => {
     return userLevel >= requiredLevel;
   };
 
+  // Permissions the server grants this session (already capped at the active role)
+  const hasPermission = (permission) => {
+    return user?.permissions?.includes(permission) || false;
+  };
+
   const value = {
     user,
     loading,
     currentRole,
-    setCurrentRole,
+    switchRole,
     login,
     logout,
     updateLocalUser,
+    startImpersonation,
+    stopImpersonation,
     hasRole,
+    hasPermission,
     allowedRoles,
     isAuthenticated: !!user,
   };
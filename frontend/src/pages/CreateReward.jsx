@@ -0,0 +1,254 @@
+// Create/Edit reward page (for managers)
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { rewardAPI, getAvatarUrl } from '../services/api';
+import ConfirmationModal from '../components/ConfirmationModal';
+import '../styles/pages/CreateReward.css';
+
+// Format datetime-local inputs (convert ISO to local datetime string)
+const formatDateTimeLocal = (isoString) => {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${year}-${month}-${day}T${hours}:${minutes}`;
+};
+
+const CreateReward = () => {
+  const navigate = useNavigate();
+  const { rewardId } = useParams();
+  const isEditMode = !!rewardId;
+
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    pointCost: '',
+    stock: '',
+    perUserLimit: '',
+    startTime: '',
+    endTime: '',
+  });
+  const [image, setImage] = useState(null);
+  const [currentImageUrl, setCurrentImageUrl] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [loadingReward, setLoadingReward] = useState(isEditMode);
+  const [deleting, setDeleting] = useState(false);
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+
+  const loadReward = useCallback(async () => {
+    if (!rewardId) return;
+
+    setLoadingReward(true);
+    setError('');
+    try {
+      const response = await rewardAPI.getReward(rewardId);
+      const reward = response.data;
+      setFormData({
+        name: reward.name || '',
+        description: reward.description || '',
+        pointCost: String(reward.pointCost),
+        stock: reward.stock !== null ? String(reward.stock) : '',
+        perUserLimit: reward.perUserLimit !== null ? String(reward.perUserLimit) : '',
+        startTime: formatDateTimeLocal(reward.startTime),
+        endTime: formatDateTimeLocal(reward.endTime),
+      });
+      setCurrentImageUrl(reward.imageUrl);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load reward.');
+    } finally {
+      setLoadingReward(false);
+    }
+  }, [rewardId]);
+
+  useEffect(() => {
+    if (isEditMode) {
+      loadReward();
+    }
+  }, [isEditMode, loadReward]);
+
+  const handleChange = (key) => (e) => setFormData({ ...formData, [key]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    // Empty stock, limit and times are sent as empty strings, which the
+    // backend reads as "unlimited" / "no restriction"
+    const data = new FormData();
+    data.append('name', formData.name);
+    data.append('description', formData.description);
+    data.append('pointCost', formData.pointCost);
+    data.append('stock', formData.stock);
+    data.append('perUserLimit', formData.perUserLimit);
+    data.append('startTime', formData.startTime ? new Date(formData.startTime).toISOString() : '');
+    data.append('endTime', formData.endTime ? new Date(formData.endTime).toISOString() : '');
+    if (image) data.append('image', image);
+
+    try {
+      if (isEditMode) {
+        await rewardAPI.updateReward(rewardId, data);
+        toast.success('Reward updated successfully!');
+      } else {
+        await rewardAPI.createReward(data);
+        toast.success('Reward created successfully!');
+      }
+      navigate('/rewards');
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || `Failed to ${isEditMode ? 'update' : 'create'} reward.`;
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    try {
+      await rewardAPI.deleteReward(rewardId);
+      toast.success('Reward deleted successfully!');
+      navigate('/rewards');
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to delete reward.';
+      setError(errorMessage);
+      toast.error(errorMessage);
+      setDeleting(false);
+    }
+  };
+
+  if (loadingReward) {
+    return (
+      <div className="create-reward-page">
+        <div className="create-reward-loading">Loading reward...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="create-reward-page">
+      <div className="create-reward-page-header">
+        <div>
+          {isEditMode && (
+            <Link to="/rewards" className="btn btn-secondary create-reward-back-btn">
+              ← Back to Rewards
+            </Link>
+          )}
+          <h1>{isEditMode ? 'Edit Reward' : 'Create Reward'}</h1>
+        </div>
+      </div>
+      <div className="create-reward-card">
+        {error && <div className="error-message">{error}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="name">Reward Name *</label>
+            <input type="text" id="name" value={formData.name} onChange={handleChange('name')} required />
+          </div>
+          <div className="form-group">
+            <label htmlFor="description">Description</label>
+            <textarea id="description" value={formData.description} onChange={handleChange('description')} rows="3" />
+          </div>
+          <div className="form-group">
+            <label htmlFor="image">Image</label>
+            {currentImageUrl && !image && (
+              <img src={getAvatarUrl(currentImageUrl)} alt={formData.name} className="create-reward-image-preview" />
+            )}
+            <input
+              type="file"
+              id="image"
+              accept="image/jpeg,image/png,image/gif,image/webp"
+              onChange={(e) => setImage(e.target.files[0] || null)}
+            />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="pointCost">Point Cost *</label>
+              <input
+                type="number"
+                id="pointCost"
+                min="1"
+                step="1"
+                value={formData.pointCost}
+                onChange={handleChange('pointCost')}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="stock">Stock</label>
+              <input
+                type="number"
+                id="stock"
+                min="0"
+                step="1"
+                value={formData.stock}
+                onChange={handleChange('stock')}
+                placeholder="Unlimited"
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="perUserLimit">Limit Per Member</label>
+            <input
+              type="number"
+              id="perUserLimit"
+              min="1"
+              step="1"
+              value={formData.perUserLimit}
+              onChange={handleChange('perUserLimit')}
+              placeholder="Unlimited"
+            />
+            <small>
+              Leave stock or limit empty for no restriction. Cancelled requests do not count toward the limit.
+            </small>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="startTime">Available From</label>
+              <input type="datetime-local" id="startTime" value={formData.startTime} onChange={handleChange('startTime')} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="endTime">Available Until</label>
+              <input type="datetime-local" id="endTime" value={formData.endTime} onChange={handleChange('endTime')} />
+            </div>
+          </div>
+          <div className="form-actions">
+            {isEditMode && (
+              <button
+                type="button"
+                onClick={() => setShowDeleteConfirm(true)}
+                className="btn btn-danger"
+                disabled={loading || deleting}
+                style={{ marginRight: 'auto' }}
+              >
+                {deleting ? 'Deleting...' : 'Delete Reward'}
+              </button>
+            )}
+            <button type="button" onClick={() => navigate('/rewards')} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading || deleting}>
+              {loading ? (isEditMode ? 'Updating...' : 'Creating...') : (isEditMode ? 'Update Reward' : 'Create Reward')}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <ConfirmationModal
+        isOpen={showDeleteConfirm}
+        onClose={() => setShowDeleteConfirm(false)}
+        onConfirm={handleDelete}
+        title="Delete Reward"
+        message="Are you sure you want to delete this reward? Rewards that have been redeemed can only be retired by setting an end time."
+        confirmLabel="Delete"
+        isDangerous={true}
+      />
+    </div>
+  );
+};
+
+export default CreateReward;
@@ -1,7 +1,8 @@
 // Dashboard page - main landing page after login
 import { useEffect, useState, useCallback } from 'react';
+import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
-import { transactionAPI, eventAPI, promotionAPI, userAPI, analyticsAPI } from '../services/api';
+import { transactionAPI, eventAPI, promotionAPI, userAPI, analyticsAPI, pointRequestAPI } from '../services/api';
 import { Link, useNavigate } from 'react-router-dom';
 import AnalyticsCard from '../components/AnalyticsCard';
 import AnimatedNumber from '../components/AnimatedNumber';
@@ -10,9 +11,16 @@ import QRCodeModal from '../components/QRCodeModal';
 import QRScannerModal from '../components/QRScannerModal';
 import QRScanOptionsModal from '../components/QRScanOptionsModal';
 import TransactionModal from '../components/TransactionModal';
+import ConfirmationModal from '../components/ConfirmationModal';
 import SortableTable from '../components/SortableTable';
 import '../styles/pages/Dashboard.css';
 
+const POINT_REQUEST_MESSAGES = {
+  approved: 'Request approved and points sent!',
+  declined: 'Request declined.',
+  cancelled: 'Request cancelled.',
+};
+
 const Dashboard = () => {
   const { user, hasRole, currentRole, updateLocalUser } = useAuth();
   const navigate = useNavigate();
@@ -36,6 +44,8 @@ const Dashboard = () => {
   const [scannedUtorid, setScannedUtorid] = useState('');
   const [showTransactionModal, setShowTransactionModal] = useState(false);
   const [transactionModalType, setTransactionModalType] = useState('redemption');
+  const [pointRequests, setPointRequests] = useState([]);
+  const [approveModal, setApproveModal] = useState({ isOpen: false, request: null });
   const [collapsedSections, setCollapsedSections] = useState({
     userAnalytics: false,
     transactionAnalytics: false,
@@ -160,6 +170,8 @@ const Dashboard = () => {
 
             setStats({
               totalPoints: points,
+              heldPoints: user.heldPoints || 0,
+              expiringPoints: user.expiringPoints || null,
               recentTransactions,
               pendingRedemptions: 0,
               // Ensure manager stats are initialized
@@ -330,6 +342,36 @@ const Dashboard = () => {
     loadDashboard();
   }, [loadDashboard]);
 
+  // Loaded on its own so a failure here does not blank the rest of the dashboard
+  const loadPointRequests = useCallback(async () => {
+    if (currentRole !== 'regular') return;
+    try {
+      const response = await pointRequestAPI.getPointRequests({ status: 'pending', limit: 20 });
+      setPointRequests(response.data.results || []);
+    } catch (error) {
+      console.error('Failed to load point requests:', error);
+    }
+  }, [currentRole]);
+
+  useEffect(() => {
+    loadPointRequests();
+  }, [loadPointRequests]);
+
+  const respondToPointRequest = async (request, status) => {
+    try {
+      await pointRequestAPI.respondToPointRequest(request.id, status);
+      toast.success(POINT_REQUEST_MESSAGES[status]);
+      if (status === 'approved') {
+        await updateLocalUser();
+        loadDashboard();
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update request.');
+    } finally {
+      loadPointRequests();
+    }
+  };
+
   const toggleSection = (section) => {
     setCollapsedSections(prev => ({
       ...prev,
@@ -450,9 +492,26 @@ const Dashboard = () => {
             </div>
             <div className="dashboard-quick-access-content">
               <div className="dashboard-quick-access-title">Your Points Balance</div>
-              <div className="dashboard-quick-access-description">Available points</div>
+              <div className="dashboard-quick-access-description">
+                {stats.heldPoints > 0
+                  ? `${stats.totalPoints - stats.heldPoints} available, ${stats.heldPoints} held for pending redemptions`
+                  : 'Available points'}
+              </div>
             </div>
           </div>
+          {stats.expiringPoints?.amount > 0 && (
+            <div className="dashboard-card dashboard-quick-access-card">
+              <div className="dashboard-quick-access-value">
+                <AnimatedNumber value={stats.expiringPoints.amount} />
+              </div>
+              <div className="dashboard-quick-access-content">
+                <div className="dashboard-quick-access-title">Expiring Soon</div>
+                <div className="dashboard-quick-access-description">
+                  Points expire on {new Date(stats.expiringPoints.expiresAt).toLocaleDateString()}
+                </div>
+              </div>
+            </div>
+          )}
           <div 
             className="dashboard-card dashboard-quick-access-card" 
             style={{ textDecoration: 'none', color: 'inherit', cursor: 'pointer' }}
@@ -483,6 +542,21 @@ const Dashboard = () => {
             </div>
             <div className="dashboard-quick-access-arrow">→</div>
           </div>
+          <div 
+            className="dashboard-card dashboard-quick-access-card" 
+            style={{ textDecoration: 'none', color: 'inherit', cursor: 'pointer' }}
+            onClick={() => {
+              setTransactionModalType('request');
+              setShowTransactionModal(true);
+            }}
+          >
+            <div className="dashboard-quick-access-icon">↙</div>
+            <div className="dashboard-quick-access-content">
+              <div className="dashboard-quick-access-title">Request Points</div>
+              <div className="dashboard-quick-access-description">Ask another user to send you points</div>
+            </div>
+            <div className="dashboard-quick-access-arrow">→</div>
+          </div>
           <Link to="/events" className="dashboard-card dashboard-quick-access-card" style={{ textDecoration: 'none', color: 'inherit' }}>
             <div className="dashboard-quick-access-icon">📅</div>
             <div className="dashboard-quick-access-content">
@@ -498,9 +572,82 @@ const Dashboard = () => {
           isOpen={showTransactionModal} 
           onClose={() => setShowTransactionModal(false)} 
           defaultType={transactionModalType}
-          onSuccess={loadDashboard}
+          onSuccess={transactionModalType === 'request' ? loadPointRequests : loadDashboard}
+        />
+        <ConfirmationModal
+          isOpen={approveModal.isOpen}
+          onClose={() => setApproveModal({ isOpen: false, request: null })}
+          onConfirm={() => respondToPointRequest(approveModal.request, 'approved')}
+          title="Approve Request"
+          message={approveModal.request
+            ? `Send ${approveModal.request.amount} points to ${approveModal.request.requester.name}?`
+            : ''}
+          confirmLabel="Send Points"
         />
 
+        <div className="dashboard-section">
+          <div className="dashboard-section-header">Pending Requests</div>
+          {pointRequests.length === 0 ? (
+            <div className="dashboard-empty-state">No pending requests</div>
+          ) : (
+            <div className="dashboard-table-wrapper">
+              <table className="dashboard-table">
+                <thead>
+                  <tr>
+                    <th>Request</th>
+                    <th>Amount</th>
+                    <th>Remark</th>
+                    <th>Expires</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {pointRequests.map((request) => {
+                    const incoming = request.recipient.id === user.id;
+                    return (
+                      <tr key={request.id}>
+                        <td>
+                          {incoming
+                            ? `From ${request.requester.name} (${request.requester.utorid})`
+                            : `To ${request.recipient.name} (${request.recipient.utorid})`}
+                        </td>
+                        <td>{request.amount} points</td>
+                        <td>{request.remark || '-'}</td>
+                        <td>{new Date(request.expiresAt).toLocaleDateString()}</td>
+                        <td>
+                          {incoming ? (
+                            <div className="dashboard-request-actions">
+                              <button
+                                className="btn btn-primary"
+                                onClick={() => setApproveModal({ isOpen: true, request })}
+                              >
+                                Approve
+                              </button>
+                              <button
+                                className="btn btn-secondary"
+                                onClick={() => respondToPointRequest(request, 'declined')}
+                              >
+                                Decline
+                              </button>
+                            </div>
+                          ) : (
+                            <button
+                              className="btn btn-outline-secondary"
+                              onClick={() => respondToPointRequest(request, 'cancelled')}
+                            >
+                              Cancel
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
         {/* Points Activity Analytics */}
         {analytics?.pointsActivity && (
           <div className="dashboard-section">
@@ -997,6 +1144,13 @@ const Dashboard = () => {
                 value={`$${(analytics.financial.totalSpent?.week || 0).toFixed(2)}`}
                 subtitle={`Month: $${(analytics.financial.totalSpent?.month || 0).toFixed(2)}`}
               />
+              {analytics.financial.totalRefunded && (
+                <AnalyticsCard
+                  title="Refunded This Week"
+                  value={`$${(analytics.financial.totalRefunded.week || 0).toFixed(2)}`}
+                  subtitle={`Month: $${(analytics.financial.totalRefunded.month || 0).toFixed(2)}`}
+                />
+              )}
               <AnalyticsCard
                 title="Average Earning per Transaction"
                 value={`$${(analytics.financial.averageSpendingPerTransaction || 0).toFixed(2)}`}
@@ -0,0 +1,276 @@
+// Fraud rules editor (for managers)
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { fraudRuleAPI } from '../services/api';
+import ConfirmationModal from '../components/ConfirmationModal';
+import '../styles/pages/FraudRules.css';
+
+// Each kind only uses some of the parameters; the rest are saved as null
+const RULE_KINDS = {
+  spentAbove: { label: 'Purchase above an amount', params: ['threshold'] },
+  purchaseVelocity: { label: 'Too many purchases for one user', params: ['count', 'windowMinutes'] },
+  cashierRepeat: { label: 'Same cashier serving the same user', params: ['count', 'windowMinutes'] },
+  transferRing: { label: 'Transfers in a ring', params: ['count', 'windowMinutes'] },
+};
+
+const emptyForm = { name: '', kind: 'spentAbove', threshold: '', count: '', windowMinutes: '', enabled: true };
+
+const describeRule = (rule) => {
+  switch (rule.kind) {
+    case 'spentAbove':
+      return `Purchases over $${rule.threshold.toFixed(2)}`;
+    case 'purchaseVelocity':
+      return `More than ${rule.count} purchases for one user in ${rule.windowMinutes} min`;
+    case 'cashierRepeat':
+      return `Same cashier serving one user more than ${rule.count} times in ${rule.windowMinutes} min`;
+    case 'transferRing':
+      return `Transfers returning to the sender through up to ${rule.count} users in ${rule.windowMinutes} min`;
+    default:
+      return rule.kind;
+  }
+};
+
+const FraudRules = () => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [deleteModal, setDeleteModal] = useState({ isOpen: false, rule: null });
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      const response = await fraudRuleAPI.getRules();
+      setRules(response.data.results || []);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load fraud rules.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const startEdit = (rule) => {
+    setEditingId(rule.id);
+    setForm({
+      name: rule.name,
+      kind: rule.kind,
+      threshold: rule.threshold ?? '',
+      count: rule.count ?? '',
+      windowMinutes: rule.windowMinutes ?? '',
+      enabled: rule.enabled,
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { params } = RULE_KINDS[form.kind];
+    const data = {
+      name: form.name,
+      kind: form.kind,
+      enabled: form.enabled,
+      threshold: params.includes('threshold') ? parseFloat(form.threshold) : null,
+      count: params.includes('count') ? parseInt(form.count, 10) : null,
+      windowMinutes: params.includes('windowMinutes') ? parseInt(form.windowMinutes, 10) : null,
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        await fraudRuleAPI.updateRule(editingId, data);
+        toast.success('Rule updated!');
+      } else {
+        await fraudRuleAPI.createRule(data);
+        toast.success('Rule added!');
+      }
+      resetForm();
+      loadRules();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save rule.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      await fraudRuleAPI.updateRule(rule.id, { enabled: !rule.enabled });
+      loadRules();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update rule.');
+    }
+  };
+
+  const handleDelete = async () => {
+    const { rule } = deleteModal;
+    try {
+      await fraudRuleAPI.deleteRule(rule.id);
+      toast.success('Rule deleted.');
+      if (editingId === rule.id) resetForm();
+      loadRules();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete rule.');
+    }
+  };
+
+  const params = RULE_KINDS[form.kind].params;
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="fraud-rules-page">
+      <div className="fraud-rules-page-header">
+        <h1>Fraud Rules</h1>
+        <Link to="/review-queue" className="btn btn-secondary">Back to Review Queue</Link>
+      </div>
+      <p className="fraud-rules-intro">
+        New purchases and transfers that match an enabled rule are held for review. Their points
+        are not credited until the transaction is released from the review queue.
+      </p>
+
+      <div className="fraud-rules-card">
+        <h2>{editingId ? 'Edit Rule' : 'Add Rule'}</h2>
+        <form className="fraud-rules-form" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="ruleName">Name *</label>
+            <input type="text" id="ruleName" value={form.name} onChange={handleChange('name')} required maxLength={100} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="ruleKind">Rule *</label>
+            <select id="ruleKind" value={form.kind} onChange={handleChange('kind')}>
+              {Object.entries(RULE_KINDS).map(([kind, { label }]) => (
+                <option key={kind} value={kind}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {params.includes('threshold') && (
+            <div className="form-group">
+              <label htmlFor="ruleThreshold">Amount Spent Above ($) *</label>
+              <input
+                type="number"
+                id="ruleThreshold"
+                min="0.01"
+                step="0.01"
+                value={form.threshold}
+                onChange={handleChange('threshold')}
+                required
+              />
+            </div>
+          )}
+          {params.includes('count') && (
+            <div className="form-group">
+              <label htmlFor="ruleCount">
+                {form.kind === 'transferRing' ? 'Largest Ring (users) *' : 'Most Allowed *'}
+              </label>
+              <input
+                type="number"
+                id="ruleCount"
+                min={form.kind === 'transferRing' ? 2 : 1}
+                step="1"
+                value={form.count}
+                onChange={handleChange('count')}
+                required
+              />
+            </div>
+          )}
+          {params.includes('windowMinutes') && (
+            <div className="form-group">
+              <label htmlFor="ruleWindow">Within (minutes) *</label>
+              <input
+                type="number"
+                id="ruleWindow"
+                min="1"
+                step="1"
+                value={form.windowMinutes}
+                onChange={handleChange('windowMinutes')}
+                required
+              />
+            </div>
+          )}
+          <label className="fraud-rules-enabled">
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+            />
+            <span>Enabled</span>
+          </label>
+          <div className="fraud-rules-form-actions">
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {editingId ? 'Save Rule' : 'Add Rule'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="fraud-rules-card">
+        {rules.length === 0 ? (
+          <div className="fraud-rules-empty-state">No rules yet. Transactions are only held when a cashier is marked as suspicious.</div>
+        ) : (
+          <table className="fraud-rules-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Holds</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule) => (
+                <tr key={rule.id}>
+                  <td>{rule.name}</td>
+                  <td>{describeRule(rule)}</td>
+                  <td>
+                    <span className={`fraud-rules-badge ${rule.enabled ? 'fraud-rules-badge-success' : 'fraud-rules-badge-secondary'}`}>
+                      {rule.enabled ? 'Enabled' : 'Disabled'}
+                    </span>
+                  </td>
+                  <td className="fraud-rules-actions">
+                    <button className="btn btn-secondary" onClick={() => startEdit(rule)}>Edit</button>
+                    <button className="btn btn-outline-secondary" onClick={() => toggleRule(rule)}>
+                      {rule.enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    <button className="btn btn-outline-danger" onClick={() => setDeleteModal({ isOpen: true, rule })}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <ConfirmationModal
+        isOpen={deleteModal.isOpen}
+        onClose={() => setDeleteModal({ isOpen: false, rule: null })}
+        onConfirm={handleDelete}
+        title="Delete Rule"
+        message={deleteModal.rule ? `Delete "${deleteModal.rule.name}"? Transactions it already held stay in the review queue.` : ''}
+        confirmLabel="Delete"
+        isDangerous={true}
+      />
+    </div>
+  );
+};
+
+export default FraudRules;
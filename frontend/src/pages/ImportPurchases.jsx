@@ -0,0 +1,168 @@
+// Import offline purchases from a CSV file (for cashiers and above)
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { transactionAPI } from '../services/api';
+import '../styles/pages/ImportPurchases.css';
+
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const ImportPurchases = () => {
+  const navigate = useNavigate();
+  const [csv, setCsv] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [imported, setImported] = useState(null);
+  const [busy, setBusy] = useState(''); // 'preview' or 'import' while a request runs
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setPreview(null);
+    setImported(null);
+    if (!file) {
+      setCsv('');
+      return;
+    }
+    try {
+      setCsv(await readFile(file));
+    } catch {
+      toast.error('Failed to read the file.');
+    }
+  };
+
+  const handlePreview = async () => {
+    setBusy('preview');
+    try {
+      const response = await transactionAPI.importPurchases(csv, true);
+      setPreview(response.data);
+    } catch (err) {
+      setPreview(null);
+      toast.error(err.response?.data?.error || 'Failed to check the file.');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy('import');
+    try {
+      const response = await transactionAPI.importPurchases(csv, false);
+      setImported(response.data);
+      setPreview(null);
+      toast.success(`Imported ${response.data.count} purchase${response.data.count === 1 ? '' : 's'}!`);
+    } catch (err) {
+      // Rows can go bad between the preview and the import, e.g. a one-time promotion used meanwhile
+      if (err.response?.data?.rows) setPreview(err.response.data);
+      toast.error(err.response?.data?.error || 'Failed to import purchases.');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const renderStatus = (row) => {
+    if (row.error) {
+      return <span className="import-purchases-badge import-purchases-badge-danger">{row.error}</span>;
+    }
+    if (row.flagReason) {
+      return <span className="import-purchases-badge import-purchases-badge-warning">Held: {row.flagReason}</span>;
+    }
+    return <span className="import-purchases-badge import-purchases-badge-success">OK</span>;
+  };
+
+  return (
+    <div className="import-purchases-page">
+      <div className="import-purchases-page-header">
+        <div>
+          <h1>Import Purchases</h1>
+          <p className="import-purchases-subtitle">Record sales taken on paper while the card reader was down</p>
+        </div>
+        <Link to="/transactions/create" className="btn btn-secondary">Single Purchase</Link>
+      </div>
+
+      <div className="import-purchases-card">
+        <div className="form-group">
+          <label htmlFor="importFile">CSV File *</label>
+          <input type="file" id="importFile" accept=".csv,text/csv" onChange={handleFileChange} />
+          <small>
+            The first row names the columns: utorid, spent, and optionally remark and promotionIds.
+            Separate several promotion IDs with semicolons.
+          </small>
+        </div>
+        <div className="import-purchases-actions">
+          <button className="btn btn-secondary" onClick={handlePreview} disabled={!csv || Boolean(busy)}>
+            {busy === 'preview' ? 'Checking...' : 'Preview'}
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleImport}
+            disabled={!preview || preview.errors > 0 || Boolean(busy)}
+          >
+            {busy === 'import' ? 'Importing...' : preview ? `Import ${preview.count} Purchase${preview.count === 1 ? '' : 's'}` : 'Import Purchases'}
+          </button>
+        </div>
+      </div>
+
+      {imported && (
+        <div className="import-purchases-card">
+          <h2>Import Complete</h2>
+          <p className="import-purchases-summary">
+            {imported.count} purchase{imported.count === 1 ? '' : 's'} totalling ${imported.spent.toFixed(2)} recorded
+            for {imported.earned} points{imported.held > 0 && `, ${imported.held} held for review`}.
+          </p>
+          <p className="import-purchases-detail">Batch ID: {imported.importBatchId}</p>
+          <button className="btn btn-primary" onClick={() => navigate('/transactions')}>
+            View Transactions
+          </button>
+        </div>
+      )}
+
+      {preview && (
+        <div className="import-purchases-card">
+          <h2>Preview</h2>
+          <p className="import-purchases-summary">
+            {preview.count} row{preview.count === 1 ? '' : 's'}: ${preview.spent.toFixed(2)} spent, {preview.earned} points
+            {preview.held > 0 && `, ${preview.held} held for review`}
+            {preview.errors > 0 && `, ${preview.errors} with errors`}
+          </p>
+          {preview.errors > 0 && (
+            <p className="import-purchases-error">Fix the rows with errors and choose the file again. Nothing is imported until every row is valid.</p>
+          )}
+          <div className="import-purchases-table-wrapper">
+            <table className="import-purchases-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>UTORid</th>
+                  <th>Spent</th>
+                  <th>Points</th>
+                  <th>Promotions</th>
+                  <th>Remark</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((row) => (
+                  <tr key={row.row} className={row.error ? 'import-purchases-row-error' : ''}>
+                    <td>{row.row}</td>
+                    <td>{row.utorid}</td>
+                    <td>{row.spent !== undefined ? `$${row.spent.toFixed(2)}` : '-'}</td>
+                    <td>{row.earned ?? '-'}</td>
+                    <td>{row.promotionIds?.length ? row.promotionIds.join(', ') : '-'}</td>
+                    <td>{row.remark || '-'}</td>
+                    <td>{renderStatus(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportPurchases;
@@ -0,0 +1,444 @@
+// Investigation case page: subjects, notes and resolution
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { investigationAPI } from '../services/api';
+import ConfirmationModal from '../components/ConfirmationModal';
+import '../styles/pages/Investigations.css';
+
+const statusLabels = {
+  open: 'Open',
+  underReview: 'Under Review',
+  resolved: 'Resolved',
+};
+
+const statusBadges = {
+  open: 'investigations-badge-warning',
+  underReview: 'investigations-badge-primary',
+  resolved: 'investigations-badge-success',
+};
+
+// Each action needs the permission for doing the same thing by hand
+const resolutionActions = [
+  { key: 'reverseTransactions', label: 'Reverse the linked transactions', permission: 'transactions.reverse' },
+  { key: 'clearFlags', label: 'Clear suspicious flags on the linked users and transactions', permission: 'transactions.flag' },
+  { key: 'demoteCashiers', label: 'Demote linked cashiers to regular', permission: 'users.promote' },
+];
+
+const noteKindLabels = {
+  note: 'Note',
+  evidence: 'Evidence',
+  activity: 'Activity',
+};
+
+const splitList = (value) => value.split(/[\s,]+/).filter(Boolean);
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString() : 'N/A');
+
+const InvestigationDetail = () => {
+  const { investigationId } = useParams();
+  const { user, hasPermission } = useAuth();
+  const [investigation, setInvestigation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [actionLoading, setActionLoading] = useState(false);
+  const [subjects, setSubjects] = useState({ utorids: '', transactionIds: '' });
+  const [note, setNote] = useState({ kind: 'note', body: '', link: '' });
+  const [resolution, setResolution] = useState({ actions: [], note: '' });
+  const [showResolveModal, setShowResolveModal] = useState(false);
+
+  useEffect(() => {
+    loadInvestigation();
+  }, [investigationId]);
+
+  const loadInvestigation = async () => {
+    setError('');
+    try {
+      const response = await investigationAPI.getInvestigation(investigationId);
+      setInvestigation(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load investigation.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const update = async (data, successMessage) => {
+    setActionLoading(true);
+    try {
+      const response = await investigationAPI.updateInvestigation(investigationId, data);
+      setInvestigation(response.data);
+      toast.success(successMessage);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update case.');
+      return false;
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleAddSubjects = async (e) => {
+    e.preventDefault();
+    const transactionIds = splitList(subjects.transactionIds).map((id) => parseInt(id.replace('#', ''), 10));
+    if (transactionIds.some(isNaN)) {
+      toast.error('Transaction IDs must be numbers.');
+      return;
+    }
+    if (await update({ utorids: splitList(subjects.utorids), transactionIds }, 'Added to case!')) {
+      setSubjects({ utorids: '', transactionIds: '' });
+    }
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    setActionLoading(true);
+    try {
+      await investigationAPI.addNote(investigationId, {
+        kind: note.kind,
+        body: note.body,
+        ...(note.link && { link: note.link }),
+      });
+      setNote({ kind: 'note', body: '', link: '' });
+      loadInvestigation();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to add note.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const toggleAction = (key) => {
+    setResolution({
+      ...resolution,
+      actions: resolution.actions.includes(key)
+        ? resolution.actions.filter((a) => a !== key)
+        : [...resolution.actions, key],
+    });
+  };
+
+  const handleResolve = async () => {
+    setActionLoading(true);
+    try {
+      // Keep the order the server applies them in
+      const actions = resolutionActions.map((a) => a.key).filter((key) => resolution.actions.includes(key));
+      const response = await investigationAPI.resolveInvestigation(investigationId, actions, resolution.note);
+      setInvestigation(response.data);
+      toast.success('Case resolved!');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to resolve case.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="investigations-page">
+        <div className="investigations-loading">Loading case...</div>
+      </div>
+    );
+  }
+
+  if (!investigation) {
+    return (
+      <div className="investigations-page">
+        <div className="investigations-empty-state">{error}</div>
+        <Link to="/investigations" className="btn btn-secondary">Back to Investigations</Link>
+      </div>
+    );
+  }
+
+  const resolved = investigation.status === 'resolved';
+  const availableActions = resolutionActions.filter((a) => hasPermission(a.permission));
+
+  return (
+    <div className="investigations-page">
+      <div className="investigations-page-header">
+        <div>
+          <h1>Case #{investigation.id}: {investigation.title}</h1>
+          <p className="investigations-subtitle">
+            Opened by {investigation.openedBy} on {formatDate(investigation.createdAt)}
+          </p>
+        </div>
+        <Link to="/investigations" className="btn btn-secondary">Back to Investigations</Link>
+      </div>
+
+      <div className="investigations-card">
+        <div className="investigations-case-info">
+          <div>
+            <span className="investigations-label">Status</span>
+            {resolved ? (
+              <span className={`investigations-badge ${statusBadges.resolved}`}>Resolved</span>
+            ) : (
+              <select
+                aria-label="Status"
+                value={investigation.status}
+                onChange={(e) => update({ status: e.target.value }, 'Status updated!')}
+                disabled={actionLoading}
+              >
+                <option value="open">{statusLabels.open}</option>
+                <option value="underReview">{statusLabels.underReview}</option>
+              </select>
+            )}
+          </div>
+          <div>
+            <span className="investigations-label">Assignee</span>
+            <span>{investigation.assignee ? `${investigation.assignee.name} (${investigation.assignee.utorid})` : 'Unassigned'}</span>
+            {!resolved && investigation.assignee?.utorid !== user?.utorid && (
+              <button
+                className="btn btn-secondary investigations-inline-btn"
+                onClick={() => update({ assignee: user.utorid }, 'Case assigned to you!')}
+                disabled={actionLoading}
+              >
+                Assign to Me
+              </button>
+            )}
+            {!resolved && investigation.assignee && (
+              <button
+                className="btn btn-outline-secondary investigations-inline-btn"
+                onClick={() => update({ assignee: null }, 'Case unassigned.')}
+                disabled={actionLoading}
+              >
+                Unassign
+              </button>
+            )}
+          </div>
+          {resolved && (
+            <div>
+              <span className="investigations-label">Resolved</span>
+              <span>{formatDate(investigation.resolvedAt)}</span>
+            </div>
+          )}
+        </div>
+        {investigation.summary && <p className="investigations-summary">{investigation.summary}</p>}
+      </div>
+
+      <div className="investigations-card">
+        <h2>Users</h2>
+        {investigation.users.length === 0 ? (
+          <div className="investigations-empty-state">No users on this case</div>
+        ) : (
+          <table className="investigations-table">
+            <thead>
+              <tr>
+                <th>UTORid</th>
+                <th>Name</th>
+                <th>Role</th>
+                <th>Suspicious</th>
+              </tr>
+            </thead>
+            <tbody>
+              {investigation.users.map((subject) => (
+                <tr key={subject.id}>
+                  <td><Link to={`/users/${subject.id}`}>{subject.utorid}</Link></td>
+                  <td>{subject.name}</td>
+                  <td>{subject.role}</td>
+                  <td>
+                    {subject.suspicious ? (
+                      <span className="investigations-badge investigations-badge-danger">Yes</span>
+                    ) : (
+                      <span className="investigations-badge investigations-badge-success">No</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <h2>Transactions</h2>
+        {investigation.transactions.length === 0 ? (
+          <div className="investigations-empty-state">No transactions on this case</div>
+        ) : (
+          <table className="investigations-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>User</th>
+                <th>Type</th>
+                <th>Amount</th>
+                <th>Status</th>
+                <th>Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {investigation.transactions.map((tx) => (
+                <tr key={tx.id}>
+                  <td>#{tx.id}</td>
+                  <td>{tx.utorid}</td>
+                  <td>{tx.type}</td>
+                  <td>
+                    {tx.amount} points
+                    {tx.spent != null && <div className="investigations-detail">${tx.spent.toFixed(2)} spent</div>}
+                  </td>
+                  <td>
+                    {tx.reversed ? (
+                      <span className="investigations-badge investigations-badge-secondary">Reversed</span>
+                    ) : tx.suspicious ? (
+                      <span className="investigations-badge investigations-badge-danger" title={tx.flagReason || ''}>Suspicious</span>
+                    ) : (
+                      <span className="investigations-badge investigations-badge-success">Credited</span>
+                    )}
+                  </td>
+                  <td>{formatDate(tx.createdAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {!resolved && (
+          <form className="investigations-form" onSubmit={handleAddSubjects}>
+            <div className="form-group">
+              <label htmlFor="addUsers">Add Users (UTORids)</label>
+              <input
+                type="text"
+                id="addUsers"
+                value={subjects.utorids}
+                onChange={(e) => setSubjects({ ...subjects, utorids: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="addTransactions">Add Transaction IDs</label>
+              <input
+                type="text"
+                id="addTransactions"
+                value={subjects.transactionIds}
+                onChange={(e) => setSubjects({ ...subjects, transactionIds: e.target.value })}
+              />
+            </div>
+            <div className="investigations-form-actions">
+              <button
+                type="submit"
+                className="btn btn-secondary"
+                disabled={actionLoading || (!subjects.utorids.trim() && !subjects.transactionIds.trim())}
+              >
+                Add to Case
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      <div className="investigations-card">
+        <h2>Notes</h2>
+        <ul className="investigations-notes">
+          {investigation.notes.map((entry) => (
+            <li key={entry.id} className={`investigations-note investigations-note-${entry.kind}`}>
+              <div className="investigations-note-meta">
+                <span className="investigations-badge investigations-badge-secondary">{noteKindLabels[entry.kind]}</span>
+                <span>{entry.author}</span>
+                <span>{formatDate(entry.createdAt)}</span>
+              </div>
+              <p>{entry.body}</p>
+              {entry.link && (
+                <a href={entry.link} target="_blank" rel="noopener noreferrer">{entry.link}</a>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <form className="investigations-form" onSubmit={handleAddNote}>
+          <div className="form-group">
+            <label htmlFor="noteKind">Type</label>
+            <select id="noteKind" value={note.kind} onChange={(e) => setNote({ ...note, kind: e.target.value })}>
+              <option value="note">Note</option>
+              <option value="evidence">Evidence</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="noteLink">Link</label>
+            <input
+              type="url"
+              id="noteLink"
+              value={note.link}
+              onChange={(e) => setNote({ ...note, link: e.target.value })}
+              placeholder="Where the evidence can be found"
+            />
+          </div>
+          <div className="form-group investigations-form-wide">
+            <label htmlFor="noteBody">Note *</label>
+            <textarea
+              id="noteBody"
+              value={note.body}
+              onChange={(e) => setNote({ ...note, body: e.target.value })}
+              rows={3}
+              maxLength={2000}
+              required
+            />
+          </div>
+          <div className="investigations-form-actions">
+            <button type="submit" className="btn btn-primary" disabled={actionLoading}>
+              Add Note
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {resolved ? (
+        <div className="investigations-card">
+          <h2>Resolution</h2>
+          <p className="investigations-summary">
+            {investigation.resolution.length === 0
+              ? 'Closed without action.'
+              : resolutionActions
+                .filter((a) => investigation.resolution.includes(a.key))
+                .map((a) => a.label)
+                .join('. ') + '.'}
+          </p>
+        </div>
+      ) : (
+        <div className="investigations-card">
+          <h2>Resolve Case</h2>
+          <div className="investigations-actions-list">
+            {availableActions.map((action) => (
+              <label key={action.key} className="investigations-checkbox">
+                <input
+                  type="checkbox"
+                  checked={resolution.actions.includes(action.key)}
+                  onChange={() => toggleAction(action.key)}
+                />
+                <span>{action.label}</span>
+              </label>
+            ))}
+          </div>
+          <div className="form-group">
+            <label htmlFor="resolutionNote">Outcome *</label>
+            <textarea
+              id="resolutionNote"
+              value={resolution.note}
+              onChange={(e) => setResolution({ ...resolution, note: e.target.value })}
+              rows={3}
+              maxLength={2000}
+            />
+          </div>
+          <div className="investigations-form-actions">
+            <button
+              className="btn btn-primary"
+              onClick={() => setShowResolveModal(true)}
+              disabled={actionLoading || !resolution.note.trim()}
+            >
+              Resolve Case
+            </button>
+          </div>
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={showResolveModal}
+        onClose={() => setShowResolveModal(false)}
+        onConfirm={handleResolve}
+        title="Resolve Case"
+        message={resolution.actions.length === 0
+          ? 'Close this case without taking any action?'
+          : 'Close this case and apply the selected actions? Reversals and role changes cannot be undone from here.'}
+        confirmLabel="Resolve"
+        isDangerous={resolution.actions.length > 0}
+      />
+    </div>
+  );
+};
+
+export default InvestigationDetail;
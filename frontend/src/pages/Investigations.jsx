@@ -0,0 +1,262 @@
+// Investigation cases list (for managers)
+import { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { investigationAPI } from '../services/api';
+import '../styles/pages/Investigations.css';
+
+const statusLabels = {
+  open: 'Open',
+  underReview: 'Under Review',
+  resolved: 'Resolved',
+};
+
+const statusBadges = {
+  open: 'investigations-badge-warning',
+  underReview: 'investigations-badge-primary',
+  resolved: 'investigations-badge-success',
+};
+
+// Comma or space separated input, blanks dropped
+const splitList = (value) => value.split(/[\s,]+/).filter(Boolean);
+
+const Investigations = () => {
+  const { user } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  // UserDetail links here with the user to open a case on
+  const prefillUtorid = location.state?.utorid || '';
+  const [investigations, setInvestigations] = useState([]);
+  const [count, setCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ status: 'active', assignee: '', page: 1, limit: 10 });
+  const [showForm, setShowForm] = useState(Boolean(prefillUtorid));
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({
+    title: '',
+    utorids: prefillUtorid,
+    transactionIds: '',
+    summary: '',
+    assignToMe: true,
+  });
+
+  useEffect(() => {
+    loadInvestigations();
+  }, [filters]);
+
+  const loadInvestigations = async () => {
+    setLoading(true);
+    try {
+      const params = { ...filters };
+      if (!params.status) delete params.status;
+      if (!params.assignee) delete params.assignee;
+      const response = await investigationAPI.getInvestigations(params);
+      setInvestigations(response.data.results || []);
+      setCount(response.data.count || 0);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load investigations.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    const newFilters = { ...filters, [key]: value };
+    if (key !== 'page') {
+      newFilters.page = 1;
+    }
+    setFilters(newFilters);
+  };
+
+  const handleChange = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const transactionIds = splitList(form.transactionIds).map((id) => parseInt(id.replace('#', ''), 10));
+    if (transactionIds.some(isNaN)) {
+      toast.error('Transaction IDs must be numbers.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await investigationAPI.createInvestigation({
+        title: form.title,
+        summary: form.summary,
+        utorids: splitList(form.utorids),
+        transactionIds,
+        ...(form.assignToMe && { assignee: user.utorid }),
+      });
+      toast.success('Case opened!');
+      navigate(`/investigations/${response.data.id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to open case.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="investigations-page">
+      <div className="investigations-page-header">
+        <div>
+          <h1>Investigations</h1>
+          <p className="investigations-subtitle">
+            {count} case{count === 1 ? '' : 's'}
+          </p>
+        </div>
+        {!showForm && (
+          <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+            Open Case
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <div className="investigations-card">
+          <h2>Open Case</h2>
+          <form className="investigations-form" onSubmit={handleSubmit}>
+            <div className="form-group investigations-form-wide">
+              <label htmlFor="caseTitle">Title *</label>
+              <input type="text" id="caseTitle" value={form.title} onChange={handleChange('title')} required maxLength={100} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="caseUsers">Users (UTORids)</label>
+              <input
+                type="text"
+                id="caseUsers"
+                value={form.utorids}
+                onChange={handleChange('utorids')}
+                placeholder="e.g. clive123, cashier1"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="caseTransactions">Transaction IDs</label>
+              <input
+                type="text"
+                id="caseTransactions"
+                value={form.transactionIds}
+                onChange={handleChange('transactionIds')}
+                placeholder="e.g. 12, 14"
+              />
+            </div>
+            <div className="form-group investigations-form-wide">
+              <label htmlFor="caseSummary">Why is this being investigated?</label>
+              <textarea id="caseSummary" value={form.summary} onChange={handleChange('summary')} rows={3} maxLength={2000} />
+            </div>
+            <label className="investigations-checkbox">
+              <input
+                type="checkbox"
+                checked={form.assignToMe}
+                onChange={(e) => setForm({ ...form, assignToMe: e.target.checked })}
+              />
+              <span>Assign to me</span>
+            </label>
+            <div className="investigations-form-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                {saving ? 'Opening...' : 'Open Case'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="investigations-filters">
+        <div className="form-group">
+          <label htmlFor="caseStatus">Status</label>
+          <select
+            id="caseStatus"
+            value={filters.status}
+            onChange={(e) => handleFilterChange('status', e.target.value)}
+          >
+            <option value="active">Open or Under Review</option>
+            <option value="open">Open</option>
+            <option value="underReview">Under Review</option>
+            <option value="resolved">Resolved</option>
+            <option value="">All</option>
+          </select>
+        </div>
+        <label className="investigations-checkbox">
+          <input
+            type="checkbox"
+            checked={filters.assignee === 'me'}
+            onChange={(e) => handleFilterChange('assignee', e.target.checked ? 'me' : '')}
+          />
+          <span>Assigned to me</span>
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="investigations-loading">Loading investigations...</div>
+      ) : investigations.length === 0 ? (
+        <div className="investigations-empty-state">No cases found</div>
+      ) : (
+        <>
+          <div className="investigations-table-wrapper">
+            <table className="investigations-table">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Title</th>
+                  <th>Status</th>
+                  <th>Subjects</th>
+                  <th>Assignee</th>
+                  <th>Opened</th>
+                </tr>
+              </thead>
+              <tbody>
+                {investigations.map((investigation) => (
+                  <tr key={investigation.id}>
+                    <td>#{investigation.id}</td>
+                    <td>
+                      <Link to={`/investigations/${investigation.id}`}>{investigation.title}</Link>
+                    </td>
+                    <td>
+                      <span className={`investigations-badge ${statusBadges[investigation.status]}`}>
+                        {statusLabels[investigation.status]}
+                      </span>
+                    </td>
+                    <td>
+                      {[
+                        ...investigation.users,
+                        ...investigation.transactionIds.map((id) => `#${id}`),
+                      ].join(', ')}
+                    </td>
+                    <td>{investigation.assignee?.utorid || 'Unassigned'}</td>
+                    <td>
+                      {new Date(investigation.createdAt).toLocaleDateString()}
+                      <div className="investigations-detail">by {investigation.openedBy}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="investigations-pagination">
+            <button
+              onClick={() => handleFilterChange('page', filters.page - 1)}
+              disabled={filters.page <= 1}
+            >
+              Previous
+            </button>
+            <span>
+              Page {filters.page} of {Math.ceil(count / filters.limit) || 1}
+            </span>
+            <button
+              onClick={() => handleFilterChange('page', filters.page + 1)}
+              disabled={filters.page >= Math.ceil(count / filters.limit)}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Investigations;
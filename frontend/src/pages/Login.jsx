@@ -3,7 +3,9 @@ import { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
-import { authAPI, userAPI } from '../services/api';
+import { authAPI, userAPI, twoFactorAPI } from '../services/api';
+import TwoFactorEnrollment from '../components/TwoFactorEnrollment';
+import RecoveryCodes from '../components/RecoveryCodes';
 import '../styles/pages/Login.css';
 
 const Login = () => {
@@ -11,23 +13,42 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Two-step login state: challenge from the password step, enrollment data and codes
+  const [challenge, setChallenge] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const { login } = useAuth();
   const navigate = useNavigate();
 
+  const finishLogin = async () => {
+    // Fetch user data using the API service
+    const userResponse = await userAPI.getMe();
+    const userData = userResponse.data;
+    
+    login(userData);
+    navigate('/dashboard');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
     try {
-      await authAPI.login(utorid, password);
-      
-      // Fetch user data using the API service
-      const userResponse = await userAPI.getMe();
-      const userData = userResponse.data;
+      const response = await authAPI.login(utorid, password);
+
+      if (response.data?.twoFactorRequired) {
+        setChallenge(response.data);
+        if (response.data.enrollmentRequired) {
+          const setupResponse = await twoFactorAPI.setup(response.data.challengeToken);
+          setEnrollment(setupResponse.data);
+        }
+        return;
+      }
       
-      login(userData);
-      navigate('/dashboard');
+      await finishLogin();
     } catch (err) {
       const errorMessage = err.response?.data?.error || 'Login failed. Please try again.';
       toast.error(errorMessage);
@@ -36,6 +57,113 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const factor = useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() };
+      await authAPI.loginTwoFactor(challenge.challengeToken, factor);
+      await finishLogin();
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Verification failed. Please try again.';
+      toast.error(errorMessage);
+      if (err.response?.status === 401 && errorMessage === 'Login challenge expired') {
+        resetChallenge();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnrollmentVerify = async (enrollmentCode) => {
+    setLoading(true);
+
+    try {
+      const response = await twoFactorAPI.verify(enrollmentCode, challenge.challengeToken);
+      setRecoveryCodes(response.data.recoveryCodes);
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Verification failed. Please try again.';
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetChallenge = () => {
+    setChallenge(null);
+    setEnrollment(null);
+    setRecoveryCodes(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+  };
+
+  const renderTwoFactorStep = () => {
+    if (recoveryCodes) {
+      return (
+        <RecoveryCodes
+          codes={recoveryCodes}
+          onDone={finishLogin}
+          doneLabel="Continue to Dashboard"
+        />
+      );
+    }
+
+    if (enrollment) {
+      return (
+        <>
+          <p className="login-two-factor-note">
+            Your role requires two-factor authentication. Set it up to continue.
+          </p>
+          <TwoFactorEnrollment
+            otpauthUrl={enrollment.otpauthUrl}
+            secret={enrollment.secret}
+            onVerify={handleEnrollmentVerify}
+            loading={loading}
+          />
+        </>
+      );
+    }
+
+    return (
+      <form onSubmit={handleTwoFactorSubmit}>
+        <div className="login-form-group">
+          <label htmlFor="twoFactorCode">
+            {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+          </label>
+          <input
+            type="text"
+            id="twoFactorCode"
+            autoComplete="one-time-code"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            autoFocus
+          />
+        </div>
+        <div className="login-form-actions">
+          <button type="submit" className="login-btn-primary" disabled={loading}>
+            {loading ? 'Verifying...' : 'Verify'}
+          </button>
+        </div>
+        <div className="login-link-container">
+          <button
+            type="button"
+            className="login-link login-link-button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+            }}
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+        </div>
+      </form>
+    );
+  };
+
   return (
     <div className="login-container">
       <div className="login-stripes"></div>
@@ -45,41 +173,58 @@ const Login = () => {
       <div className="login-card">
         <div className="login-header">
           <h1>Login</h1>
-          <p>Sign in to your CSSU Rewards account</p>
+          <p>
+            {challenge
+              ? 'Two-factor authentication'
+              : 'Sign in to your CSSU Rewards account'}
+          </p>
         </div>
-        <form onSubmit={handleSubmit}>
-          <div className="login-form-group">
-            <label htmlFor="utorid">UTORid</label>
-            <input
-              type="text"
-              id="utorid"
-              value={utorid}
-              onChange={(e) => setUtorid(e.target.value)}
-              required
-              autoFocus
-            />
-          </div>
-          <div className="login-form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              type="password"
-              id="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-            />
-          </div>
-          <div className="login-form-actions">
-            <button type="submit" className="login-btn-primary" disabled={loading}>
-              {loading ? 'Logging in...' : 'Login'}
-            </button>
-          </div>
-          <div className="login-link-container">
-            <Link to="/reset-password" className="login-link">
-              Forgot password?
-            </Link>
-          </div>
-        </form>
+        {challenge ? (
+          <>
+            {renderTwoFactorStep()}
+            {!recoveryCodes && (
+              <div className="login-link-container">
+                <button type="button" className="login-link login-link-button" onClick={resetChallenge}>
+                  Back to login
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="login-form-group">
+              <label htmlFor="utorid">UTORid</label>
+              <input
+                type="text"
+                id="utorid"
+                value={utorid}
+                onChange={(e) => setUtorid(e.target.value)}
+                required
+                autoFocus
+              />
+            </div>
+            <div className="login-form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+            <div className="login-form-actions">
+              <button type="submit" className="login-btn-primary" disabled={loading}>
+                {loading ? 'Logging in...' : 'Login'}
+              </button>
+            </div>
+            <div className="login-link-container">
+              <Link to="/reset-password" className="login-link">
+                Forgot password?
+              </Link>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
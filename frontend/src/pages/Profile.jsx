@@ -2,11 +2,13 @@
 import { useState, useEffect, useRef } from 'react';
 import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
-import { userAPI, getAvatarUrl } from '../services/api';
+import { userAPI, authAPI, twoFactorAPI, getAvatarUrl } from '../services/api';
+import TwoFactorEnrollment from '../components/TwoFactorEnrollment';
+import RecoveryCodes from '../components/RecoveryCodes';
 import '../styles/pages/Profile.css';
 
 const Profile = () => {
-  const { user, updateLocalUser } = useAuth();
+  const { user, updateLocalUser, logout } = useAuth();
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -24,11 +26,130 @@ const Profile = () => {
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('profile');
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+  const [twoFactorStatus, setTwoFactorStatus] = useState(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   useEffect(() => {
     updateLocalUser();
   }, []);
 
+  useEffect(() => {
+    if (activeTab === 'sessions') {
+      loadSessions();
+    }
+    if (activeTab === 'security') {
+      loadTwoFactorStatus();
+    }
+  }, [activeTab]);
+
+  const handleResendVerification = async () => {
+    setLoading(true);
+    try {
+      await authAPI.resendVerification(user.utorid);
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to send verification email.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadTwoFactorStatus = async () => {
+    try {
+      const response = await twoFactorAPI.getStatus();
+      setTwoFactorStatus(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load two-factor status.');
+    }
+  };
+
+  const handleStartTwoFactorSetup = async () => {
+    setLoading(true);
+    try {
+      const response = await twoFactorAPI.setup();
+      setTwoFactorSetup(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to start two-factor setup.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyTwoFactor = async (code) => {
+    setLoading(true);
+    try {
+      const response = await twoFactorAPI.verify(code);
+      setTwoFactorSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      toast.success('Two-factor authentication enabled!');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to verify code.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegenerateRecoveryCodes = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await twoFactorAPI.regenerateRecoveryCodes(twoFactorCode.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setTwoFactorCode('');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to regenerate recovery codes.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDisableTwoFactor = async () => {
+    const value = twoFactorCode.trim();
+    // Recovery codes contain a dash, authenticator codes are 6 digits
+    const factor = value.includes('-') ? { recoveryCode: value } : { code: value };
+    setLoading(true);
+    try {
+      await twoFactorAPI.disable(factor);
+      setTwoFactorCode('');
+      toast.success('Two-factor authentication disabled.');
+      loadTwoFactorStatus();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to disable two-factor authentication.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSessions = async () => {
+    setSessionsLoading(true);
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load sessions.');
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const handleRevokeSession = async (session) => {
+    try {
+      await authAPI.revokeSession(session.id);
+      if (session.current) {
+        await logout();
+        return;
+      }
+      setSessions(sessions.filter((s) => s.id !== session.id));
+      toast.success('Session revoked.');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to revoke session.');
+    }
+  };
+
   useEffect(() => {
     if (user) {
       setFormData({
@@ -140,6 +261,18 @@ const Profile = () => {
         >
           Change Password
         </button>
+        <button
+          className={`profile-tab ${activeTab === 'security' ? 'active' : ''}`}
+          onClick={() => setActiveTab('security')}
+        >
+          Two-Factor
+        </button>
+        <button
+          className={`profile-tab ${activeTab === 'sessions' ? 'active' : ''}`}
+          onClick={() => setActiveTab('sessions')}
+        >
+          Sessions
+        </button>
       </div>
 
       {activeTab === 'profile' && (
@@ -299,6 +432,132 @@ const Profile = () => {
         </div>
       )}
 
+      {activeTab === 'security' && (
+        <div className="profile-section">
+          <div className="profile-section-header">Two-Factor Authentication</div>
+          {recoveryCodes ? (
+            <RecoveryCodes
+              codes={recoveryCodes}
+              onDone={() => {
+                setRecoveryCodes(null);
+                loadTwoFactorStatus();
+              }}
+            />
+          ) : twoFactorSetup ? (
+            <TwoFactorEnrollment
+              otpauthUrl={twoFactorSetup.otpauthUrl}
+              secret={twoFactorSetup.secret}
+              onVerify={handleVerifyTwoFactor}
+              loading={loading}
+            />
+          ) : !twoFactorStatus ? (
+            <div className="loading">Loading...</div>
+          ) : twoFactorStatus.enabled ? (
+            <form onSubmit={handleRegenerateRecoveryCodes}>
+              <p>
+                <span className="profile-badge profile-badge-success">Enabled</span>
+                {' '}{twoFactorStatus.recoveryCodesRemaining} recovery codes remaining.
+              </p>
+              <div className="form-group">
+                <label htmlFor="twoFactorCode">Authenticator or Recovery Code</label>
+                <input
+                  type="text"
+                  id="twoFactorCode"
+                  autoComplete="one-time-code"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  required
+                />
+                <small>Enter a current code to manage two-factor settings.</small>
+              </div>
+              <div className="form-actions">
+                {!twoFactorStatus.required && (
+                  <button
+                    type="button"
+                    className="btn btn-outline-danger"
+                    disabled={loading || !twoFactorCode}
+                    onClick={handleDisableTwoFactor}
+                  >
+                    Disable
+                  </button>
+                )}
+                <button type="submit" className="btn btn-primary" disabled={loading}>
+                  New Recovery Codes
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div>
+              <p>
+                {twoFactorStatus.required
+                  ? 'Two-factor authentication is required for your role. Set it up now to keep signing in.'
+                  : 'Protect your account with a code from an authenticator app in addition to your password.'}
+              </p>
+              <div className="form-actions">
+                <button
+                  className="btn btn-primary"
+                  disabled={loading}
+                  onClick={handleStartTwoFactorSetup}
+                >
+                  Set Up Two-Factor
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {activeTab === 'sessions' && (
+        <div className="profile-section">
+          <div className="profile-section-header">Active Sessions</div>
+          {sessionsLoading ? (
+            <div className="loading">Loading...</div>
+          ) : sessions.length === 0 ? (
+            <p>No active sessions.</p>
+          ) : (
+            <table className="profile-info-table profile-sessions-table">
+              <thead>
+                <tr>
+                  <th>Device</th>
+                  <th>IP Address</th>
+                  <th>Last Seen</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map((session) => (
+                  <tr key={session.id}>
+                    <td>
+                      {session.userAgent || 'Unknown device'}
+                      {session.current && (
+                        <span className="profile-badge profile-badge-success profile-session-current">
+                          This device
+                        </span>
+                      )}
+                      {session.scopedRole && (
+                        <span className="profile-badge profile-badge-blue profile-session-current">
+                          Acting as {session.scopedRole}
+                        </span>
+                      )}
+                    </td>
+                    <td>{session.ipAddress || '—'}</td>
+                    <td>{new Date(session.lastSeenAt).toLocaleString()}</td>
+                    <td>
+                      <button
+                        className="btn btn-outline-danger"
+                        onClick={() => handleRevokeSession(session)}
+                      >
+                        Revoke
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
       <div className="profile-section">
         <div className="profile-section-header">Account Information</div>
         <table className="profile-info-table">
@@ -319,13 +578,28 @@ const Profile = () => {
               <td><strong>Points</strong></td>
               <td>{user?.points || 0}</td>
             </tr>
+            {user?.heldPoints > 0 && (
+              <tr>
+                <td><strong>Held for Redemptions</strong></td>
+                <td>{user.heldPoints} ({user.availablePoints} available)</td>
+              </tr>
+            )}
             <tr>
               <td><strong>Verified</strong></td>
               <td>
                 {user?.verified ? (
                   <span className="profile-badge profile-badge-success">Yes</span>
                 ) : (
-                  <span className="profile-badge profile-badge-warning">No</span>
+                  <>
+                    <span className="profile-badge profile-badge-warning">No</span>
+                    <button
+                      className="profile-link-button"
+                      onClick={handleResendVerification}
+                      disabled={loading}
+                    >
+                      Resend verification email
+                    </button>
+                  </>
                 )}
               </td>
             </tr>
@@ -0,0 +1,216 @@
+// Review queue of held transactions (for managers)
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { transactionAPI } from '../services/api';
+import ConfirmationModal from '../components/ConfirmationModal';
+import '../styles/pages/ReviewQueue.css';
+
+const ReviewQueue = () => {
+  const { hasPermission } = useAuth();
+  const canReject = hasPermission('transactions.reverse');
+  const [transactions, setTransactions] = useState([]);
+  const [count, setCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ type: '', page: 1, limit: 10 });
+  const [confirmation, setConfirmation] = useState({
+    isOpen: false,
+    title: '',
+    message: '',
+    confirmLabel: '',
+    onConfirm: null,
+    isDangerous: false
+  });
+
+  useEffect(() => {
+    loadQueue();
+  }, [filters]);
+
+  const loadQueue = async () => {
+    setLoading(true);
+    try {
+      const params = { ...filters };
+      if (!params.type) delete params.type;
+      const response = await transactionAPI.getFlaggedTransactions(params);
+      setTransactions(response.data.results || []);
+      setCount(response.data.count || 0);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load the review queue.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    const newFilters = { ...filters, [key]: value };
+    if (key !== 'page') {
+      newFilters.page = 1;
+    }
+    setFilters(newFilters);
+  };
+
+  const release = async (tx) => {
+    try {
+      await transactionAPI.markSuspicious(tx.id, false);
+      toast.success(`Transaction #${tx.id} released and credited.`);
+      loadQueue();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to release transaction.');
+    }
+  };
+
+  const reject = async (tx) => {
+    try {
+      await transactionAPI.reverseTransaction(tx.id, `Rejected in review: ${tx.flagReason || 'held transaction'}`);
+      toast.success(`Transaction #${tx.id} rejected.`);
+      loadQueue();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to reject transaction.');
+    }
+  };
+
+  const handleRelease = (tx) => {
+    setConfirmation({
+      isOpen: true,
+      title: 'Release Transaction',
+      message: `Release transaction #${tx.id}? ${tx.amount} points will be credited to ${tx.utorid}.`,
+      confirmLabel: 'Release',
+      onConfirm: () => release(tx),
+      isDangerous: false
+    });
+  };
+
+  const handleReject = (tx) => {
+    setConfirmation({
+      isOpen: true,
+      title: 'Reject Transaction',
+      message: tx.type === 'transfer'
+        ? `Reject transaction #${tx.id}? The transfer is reversed and the sender gets the points back.`
+        : `Reject transaction #${tx.id}? It is reversed and its points are never credited.`,
+      confirmLabel: 'Reject',
+      onConfirm: () => reject(tx),
+      isDangerous: true
+    });
+  };
+
+  return (
+    <div className="review-queue-page">
+      <div className="review-queue-page-header">
+        <div>
+          <h1>Review Queue</h1>
+          <p className="review-queue-subtitle">
+            {count} transaction{count === 1 ? '' : 's'} held for review
+          </p>
+        </div>
+        {hasPermission('fraud.rules') && (
+          <Link to="/fraud-rules" className="btn btn-secondary">Manage Rules</Link>
+        )}
+      </div>
+
+      <div className="review-queue-filters">
+        <div className="form-group">
+          <label htmlFor="reviewType">Type</label>
+          <select
+            id="reviewType"
+            value={filters.type}
+            onChange={(e) => handleFilterChange('type', e.target.value)}
+          >
+            <option value="">All</option>
+            <option value="purchase">Purchase</option>
+            <option value="transfer">Transfer</option>
+            <option value="adjustment">Adjustment</option>
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="review-queue-loading">Loading review queue...</div>
+      ) : transactions.length === 0 ? (
+        <div className="review-queue-empty-state">Nothing is waiting for review</div>
+      ) : (
+        <>
+          <div className="review-queue-table-wrapper">
+            <table className="review-queue-table">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Type</th>
+                  <th>User</th>
+                  <th>Amount</th>
+                  <th>Reason</th>
+                  <th>Created</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {transactions.map((tx) => (
+                  <tr key={tx.id}>
+                    <td>#{tx.id}</td>
+                    <td>
+                      <span className="review-queue-badge">{tx.type}</span>
+                    </td>
+                    <td>
+                      {tx.userName} <span className="review-queue-utorid">({tx.utorid})</span>
+                    </td>
+                    <td>
+                      {tx.amount} points
+                      {tx.spent !== undefined && (
+                        <div className="review-queue-detail">${tx.spent.toFixed(2)} spent</div>
+                      )}
+                    </td>
+                    <td>{tx.flagReason || 'Marked as suspicious'}</td>
+                    <td>
+                      {new Date(tx.createdAt).toLocaleString()}
+                      <div className="review-queue-detail">by {tx.createdBy}</div>
+                    </td>
+                    <td className="review-queue-actions">
+                      <button className="btn btn-primary" onClick={() => handleRelease(tx)}>
+                        Release
+                      </button>
+                      {canReject && (
+                        <button className="btn btn-outline-danger" onClick={() => handleReject(tx)}>
+                          Reject
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="review-queue-pagination">
+            <button
+              onClick={() => handleFilterChange('page', filters.page - 1)}
+              disabled={filters.page <= 1}
+            >
+              Previous
+            </button>
+            <span>
+              Page {filters.page} of {Math.ceil(count / filters.limit) || 1}
+            </span>
+            <button
+              onClick={() => handleFilterChange('page', filters.page + 1)}
+              disabled={filters.page >= Math.ceil(count / filters.limit)}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+
+      <ConfirmationModal
+        isOpen={confirmation.isOpen}
+        onClose={() => setConfirmation({ ...confirmation, isOpen: false })}
+        onConfirm={confirmation.onConfirm}
+        title={confirmation.title}
+        message={confirmation.message}
+        confirmLabel={confirmation.confirmLabel}
+        isDangerous={confirmation.isDangerous}
+      />
+    </div>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,218 @@
+// Rewards catalog page
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { rewardAPI, transactionAPI, getAvatarUrl } from '../services/api';
+import ConfirmationModal from '../components/ConfirmationModal';
+import '../styles/pages/Rewards.css';
+
+const Rewards = () => {
+  const { user, hasPermission, updateLocalUser } = useAuth();
+  const canManage = hasPermission('rewards.manage');
+  const [rewards, setRewards] = useState([]);
+  const [count, setCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [redeemModal, setRedeemModal] = useState({ isOpen: false, reward: null });
+  const [filters, setFilters] = useState({
+    name: '',
+    // Managers can also list upcoming and retired rewards
+    active: '',
+    page: 1,
+    limit: 12,
+  });
+
+  useEffect(() => {
+    loadRewards();
+  }, [filters]);
+
+  const loadRewards = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = { ...filters };
+      Object.keys(params).forEach((key) => {
+        if (!params[key]) delete params[key];
+      });
+
+      const response = await rewardAPI.getRewards(params);
+      setRewards(response.data.results || []);
+      setCount(response.data.count || 0);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load rewards.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    const newFilters = { ...filters, [key]: value };
+    if (key !== 'page') {
+      newFilters.page = 1;
+    }
+    setFilters(newFilters);
+  };
+
+  const handleConfirmRedeem = async () => {
+    const { reward } = redeemModal;
+    try {
+      await transactionAPI.redeemReward(reward.id);
+      toast.success(`Redemption requested for ${reward.name}. Show it to a cashier to collect.`);
+      await updateLocalUser();
+      loadRewards();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to redeem reward.');
+    } finally {
+      setRedeemModal({ isOpen: false, reward: null });
+    }
+  };
+
+  const availablePoints = user?.availablePoints ?? user?.points ?? 0;
+
+  const unavailableReason = (reward) => {
+    if (!reward.active) return 'Not available';
+    if (reward.stock === 0) return 'Out of stock';
+    if (reward.pointCost > availablePoints) return 'Not enough points';
+    return null;
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+  return (
+    <div className="rewards-page">
+      <div className="rewards-page-header">
+        <div>
+          <h1>Rewards</h1>
+          <p className="rewards-balance">{availablePoints.toLocaleString()} points available</p>
+        </div>
+        {canManage && (
+          <Link to="/rewards/create" className="btn btn-primary rewards-create-btn">
+            Create Reward
+          </Link>
+        )}
+      </div>
+
+      <div className="rewards-filters">
+        <div className="form-group">
+          <label>Search</label>
+          <input
+            type="text"
+            value={filters.name}
+            onChange={(e) => handleFilterChange('name', e.target.value)}
+            placeholder="Search by name..."
+          />
+        </div>
+        {canManage && (
+          <div className="form-group">
+            <label>Status</label>
+            <select
+              value={filters.active}
+              onChange={(e) => handleFilterChange('active', e.target.value)}
+            >
+              <option value="">All</option>
+              <option value="true">Available</option>
+              <option value="false">Not available</option>
+            </select>
+          </div>
+        )}
+      </div>
+
+      {error && <div className="rewards-error-message">{error}</div>}
+
+      {loading ? (
+        <div className="rewards-loading">Loading rewards...</div>
+      ) : rewards.length === 0 ? (
+        <div className="rewards-empty-state">No rewards found</div>
+      ) : (
+        <>
+          <div className="rewards-grid">
+            {rewards.map((reward) => {
+              const reason = unavailableReason(reward);
+              return (
+                <div key={reward.id} className="rewards-card">
+                  {reward.imageUrl ? (
+                    <img src={getAvatarUrl(reward.imageUrl)} alt={reward.name} className="rewards-card-image" />
+                  ) : (
+                    <div className="rewards-card-image rewards-card-image-placeholder">🎁</div>
+                  )}
+                  <div className="rewards-card-body">
+                    <h3 className="rewards-card-title">{reward.name}</h3>
+                    {reward.description && (
+                      <p className="rewards-card-description">{reward.description}</p>
+                    )}
+                    <div className="rewards-card-badges">
+                      <span className="rewards-badge rewards-badge-primary">
+                        {reward.pointCost.toLocaleString()} pts
+                      </span>
+                      {reward.stock === 0 ? (
+                        <span className="rewards-badge rewards-badge-danger">Out of stock</span>
+                      ) : reward.stock !== null && (
+                        <span className="rewards-badge rewards-badge-warning">{reward.stock} left</span>
+                      )}
+                      {!reward.active && (
+                        <span className="rewards-badge rewards-badge-secondary">Not available</span>
+                      )}
+                    </div>
+                    {reward.perUserLimit !== null && (
+                      <p className="rewards-card-detail">Limit {reward.perUserLimit} per member</p>
+                    )}
+                    {reward.endTime && (
+                      <p className="rewards-card-detail">Available until {formatDate(reward.endTime)}</p>
+                    )}
+                  </div>
+                  <div className="rewards-card-actions">
+                    {canManage && (
+                      <Link to={`/rewards/${reward.id}/edit`} className="btn btn-outline-secondary">
+                        Edit
+                      </Link>
+                    )}
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => setRedeemModal({ isOpen: true, reward })}
+                      disabled={!!reason}
+                      title={reason || undefined}
+                    >
+                      {reason || 'Redeem'}
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="rewards-pagination">
+            <button
+              onClick={() => handleFilterChange('page', filters.page - 1)}
+              disabled={filters.page <= 1}
+            >
+              Previous
+            </button>
+            <span>
+              Page {filters.page} of {Math.ceil(count / filters.limit) || 1}
+            </span>
+            <button
+              onClick={() => handleFilterChange('page', filters.page + 1)}
+              disabled={filters.page >= Math.ceil(count / filters.limit)}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+
+      <ConfirmationModal
+        isOpen={redeemModal.isOpen}
+        onClose={() => setRedeemModal({ isOpen: false, reward: null })}
+        onConfirm={handleConfirmRedeem}
+        title="Redeem Reward"
+        message={redeemModal.reward
+          ? `Redeem "${redeemModal.reward.name}" for ${redeemModal.reward.pointCost.toLocaleString()} points? The points are held until a cashier hands it over.`
+          : ''}
+        confirmLabel="Redeem"
+      />
+    </div>
+  );
+};
+
+export default Rewards;
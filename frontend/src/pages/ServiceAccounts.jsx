@@ -0,0 +1,326 @@
+// Service account and API key management (for superusers)
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { serviceAccountAPI } from '../services/api';
+import ConfirmationModal from '../components/ConfirmationModal';
+import '../styles/pages/ServiceAccounts.css';
+
+const emptyKeyForm = { name: '', scopes: [], expiresInDays: 90 };
+
+const ServiceAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [scopes, setScopes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [accountName, setAccountName] = useState('');
+  const [keyForms, setKeyForms] = useState({});
+  const [issuedKey, setIssuedKey] = useState(null);
+  const [confirmation, setConfirmation] = useState({
+    isOpen: false,
+    title: '',
+    message: '',
+    onConfirm: null,
+    isDangerous: false
+  });
+
+  useEffect(() => {
+    loadAccounts();
+  }, []);
+
+  const loadAccounts = async () => {
+    try {
+      const response = await serviceAccountAPI.getServiceAccounts();
+      setAccounts(response.data.results);
+      setScopes(response.data.scopes);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load service accounts.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateAccount = async (e) => {
+    e.preventDefault();
+    setActionLoading(true);
+    try {
+      await serviceAccountAPI.createServiceAccount(accountName);
+      setAccountName('');
+      toast.success('Service account created!');
+      loadAccounts();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create service account.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const getKeyForm = (accountId) => keyForms[accountId] || emptyKeyForm;
+
+  const updateKeyForm = (accountId, changes) => {
+    setKeyForms({ ...keyForms, [accountId]: { ...getKeyForm(accountId), ...changes } });
+  };
+
+  const toggleScope = (accountId, scope) => {
+    const current = getKeyForm(accountId).scopes;
+    const next = current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope];
+    updateKeyForm(accountId, { scopes: next });
+  };
+
+  const handleCreateKey = async (e, account) => {
+    e.preventDefault();
+    const form = getKeyForm(account.id);
+    if (form.scopes.length === 0) {
+      toast.error('Select at least one scope.');
+      return;
+    }
+    setActionLoading(true);
+    try {
+      const response = await serviceAccountAPI.createApiKey(account.id, {
+        ...form,
+        expiresInDays: parseInt(form.expiresInDays, 10)
+      });
+      setIssuedKey({ accountName: account.name, ...response.data });
+      setKeyForms({ ...keyForms, [account.id]: emptyKeyForm });
+      loadAccounts();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create API key.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const rotateKey = async (account, apiKey) => {
+    setActionLoading(true);
+    try {
+      const response = await serviceAccountAPI.rotateApiKey(account.id, apiKey.id);
+      setIssuedKey({ accountName: account.name, ...response.data });
+      loadAccounts();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to rotate API key.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const revokeKey = async (account, apiKey) => {
+    setActionLoading(true);
+    try {
+      await serviceAccountAPI.revokeApiKey(account.id, apiKey.id);
+      toast.success('API key revoked.');
+      loadAccounts();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to revoke API key.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRotate = (account, apiKey) => {
+    setConfirmation({
+      isOpen: true,
+      title: 'Rotate API Key',
+      message: `A new key will replace "${apiKey.name}" and the current key will stop working immediately.`,
+      onConfirm: () => rotateKey(account, apiKey),
+      isDangerous: false
+    });
+  };
+
+  const handleRevoke = (account, apiKey) => {
+    setConfirmation({
+      isOpen: true,
+      title: 'Revoke API Key',
+      message: `Are you sure you want to revoke "${apiKey.name}"? This action cannot be undone.`,
+      onConfirm: () => revokeKey(account, apiKey),
+      isDangerous: true
+    });
+  };
+
+  const handleCopyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(issuedKey.key);
+      toast.success('API key copied');
+    } catch (err) {
+      toast.error('Could not copy API key');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    return new Date(dateString).toLocaleString();
+  };
+
+  const getKeyStatus = (apiKey) => {
+    if (apiKey.revokedAt) return { label: 'Revoked', className: 'service-accounts-badge-secondary' };
+    if (new Date(apiKey.expiresAt) < new Date()) return { label: 'Expired', className: 'service-accounts-badge-warning' };
+    return { label: 'Active', className: 'service-accounts-badge-success' };
+  };
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  return (
+    <div className="service-accounts-page">
+      <div className="service-accounts-page-header">
+        <h1>Service Accounts</h1>
+        <Link to="/settings" className="btn btn-secondary">Back to Settings</Link>
+      </div>
+
+      {issuedKey && (
+        <div className="service-accounts-issued-key">
+          <p>
+            New key for <strong>{issuedKey.accountName}</strong>. Copy it now; it will not be shown again.
+          </p>
+          <code>{issuedKey.key}</code>
+          <div className="service-accounts-issued-key-actions">
+            <button type="button" className="btn btn-secondary" onClick={handleCopyKey}>Copy Key</button>
+            <button type="button" className="btn btn-primary" onClick={() => setIssuedKey(null)}>Done</button>
+          </div>
+        </div>
+      )}
+
+      <div className="service-accounts-card">
+        <form className="service-accounts-create" onSubmit={handleCreateAccount}>
+          <div className="form-group">
+            <label htmlFor="accountName">New Service Account</label>
+            <input
+              type="text"
+              id="accountName"
+              placeholder="e.g. Cafe Till"
+              value={accountName}
+              onChange={(e) => setAccountName(e.target.value)}
+              required
+              maxLength={50}
+            />
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={actionLoading}>
+            Create Account
+          </button>
+        </form>
+      </div>
+
+      {accounts.length === 0 ? (
+        <div className="service-accounts-empty-state">No service accounts yet</div>
+      ) : (
+        accounts.map((account) => {
+          const form = getKeyForm(account.id);
+          return (
+            <div key={account.id} className="service-accounts-card">
+              <div className="service-accounts-account-header">
+                <h2>{account.name}</h2>
+                <span className="service-accounts-utorid">{account.utorid}</span>
+              </div>
+
+              {account.apiKeys.length > 0 && (
+                <table className="service-accounts-table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Key</th>
+                      <th>Scopes</th>
+                      <th>Expires</th>
+                      <th>Last Used</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {account.apiKeys.map((apiKey) => {
+                      const status = getKeyStatus(apiKey);
+                      return (
+                        <tr key={apiKey.id}>
+                          <td>{apiKey.name}</td>
+                          <td><code>cssu_{apiKey.prefix}_…</code></td>
+                          <td>{apiKey.scopes.join(', ')}</td>
+                          <td>{formatDate(apiKey.expiresAt)}</td>
+                          <td>{formatDate(apiKey.lastUsedAt)}</td>
+                          <td>
+                            <span className={`service-accounts-badge ${status.className}`}>{status.label}</span>
+                          </td>
+                          <td className="service-accounts-key-actions">
+                            {!apiKey.revokedAt && (
+                              <>
+                                <button
+                                  className="btn btn-secondary"
+                                  onClick={() => handleRotate(account, apiKey)}
+                                  disabled={actionLoading}
+                                >
+                                  Rotate
+                                </button>
+                                <button
+                                  className="btn btn-outline-danger"
+                                  onClick={() => handleRevoke(account, apiKey)}
+                                  disabled={actionLoading}
+                                >
+                                  Revoke
+                                </button>
+                              </>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+
+              <form className="service-accounts-key-form" onSubmit={(e) => handleCreateKey(e, account)}>
+                <div className="form-group">
+                  <label htmlFor={`keyName-${account.id}`}>Key Name</label>
+                  <input
+                    type="text"
+                    id={`keyName-${account.id}`}
+                    value={form.name}
+                    onChange={(e) => updateKeyForm(account.id, { name: e.target.value })}
+                    required
+                    maxLength={50}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor={`keyExpiry-${account.id}`}>Expires In (days)</label>
+                  <input
+                    type="number"
+                    id={`keyExpiry-${account.id}`}
+                    min={1}
+                    max={365}
+                    value={form.expiresInDays}
+                    onChange={(e) => updateKeyForm(account.id, { expiresInDays: e.target.value })}
+                    required
+                  />
+                </div>
+                <fieldset className="service-accounts-scopes">
+                  <legend>Scopes</legend>
+                  {Object.entries(scopes).map(([scope, description]) => (
+                    <label key={scope}>
+                      <input
+                        type="checkbox"
+                        checked={form.scopes.includes(scope)}
+                        onChange={() => toggleScope(account.id, scope)}
+                      />
+                      <span>{description}</span>
+                    </label>
+                  ))}
+                </fieldset>
+                <button type="submit" className="btn btn-primary" disabled={actionLoading}>
+                  Create Key
+                </button>
+              </form>
+            </div>
+          );
+        })
+      )}
+
+      <ConfirmationModal
+        isOpen={confirmation.isOpen}
+        onClose={() => setConfirmation({ ...confirmation, isOpen: false })}
+        onConfirm={confirmation.onConfirm}
+        title={confirmation.title}
+        message={confirmation.message}
+        isDangerous={confirmation.isDangerous}
+      />
+    </div>
+  );
+};
+
+export default ServiceAccounts;
@@ -0,0 +1,364 @@
+// System settings page (for superusers)
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { settingsAPI } from '../services/api';
+import '../styles/pages/Settings.css';
+
+const roleLevels = { regular: 0, cashier: 1, manager: 2, superuser: 3 };
+const defaultPointsExpiry = { mode: 'none', months: 12, warningDays: 14 };
+const defaultEarnRates = [{ pointsPerDollar: 4, rounding: 'round', effectiveFrom: '1970-01-01T00:00:00.000Z' }];
+
+// datetime-local inputs work in local time without a zone
+const toDateTimeLocal = (isoString) => {
+  const date = new Date(isoString);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const Settings = () => {
+  // settings.manage can be granted to others, but only superusers decide who holds what
+  const { hasRole } = useAuth();
+  const canEditRoles = hasRole('superuser');
+  const [settings, setSettings] = useState(null);
+  const [catalog, setCatalog] = useState(null);
+  const [rolePermissions, setRolePermissions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [savingPermissions, setSavingPermissions] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const [settingsResponse, catalogResponse] = await Promise.all([
+        settingsAPI.getSettings(),
+        settingsAPI.getPermissions(),
+      ]);
+      setSettings(settingsResponse.data);
+      setRolePermissions(settingsResponse.data.rolePermissions);
+      setCatalog(catalogResponse.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load settings.');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await settingsAPI.updateSettings({
+        requireTwoFactorForStaff: settings.requireTwoFactorForStaff,
+        redemptionExpiryDays: settings.redemptionExpiryDays,
+        pointRequestExpiryDays: settings.pointRequestExpiryDays,
+        pointsExpiry: settings.pointsExpiry,
+        earnRates: settings.earnRates,
+      });
+      setSettings(response.data);
+      toast.success('Settings saved!');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save settings.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const togglePermission = (role, permission) => {
+    const current = rolePermissions[role];
+    setRolePermissions({
+      ...rolePermissions,
+      [role]: current.includes(permission)
+        ? current.filter((p) => p !== permission)
+        : [...current, permission],
+    });
+  };
+
+  const handleRestoreDefaults = () => {
+    const defaults = {};
+    catalog.roles.forEach((role) => {
+      defaults[role] = catalog.permissions
+        .filter((p) => roleLevels[role] >= roleLevels[p.defaultRole])
+        .map((p) => p.name);
+    });
+    setRolePermissions(defaults);
+  };
+
+  const handleSavePermissions = async () => {
+    setSavingPermissions(true);
+    try {
+      const response = await settingsAPI.updateSettings({ rolePermissions });
+      setSettings(response.data);
+      setRolePermissions(response.data.rolePermissions);
+      toast.success('Permissions saved!');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save permissions.');
+    } finally {
+      setSavingPermissions(false);
+    }
+  };
+
+  if (!settings) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  const pointsExpiry = settings.pointsExpiry || defaultPointsExpiry;
+  const updatePointsExpiry = (changes) =>
+    setSettings({ ...settings, pointsExpiry: { ...pointsExpiry, ...changes } });
+
+  const earnRates = settings.earnRates || defaultEarnRates;
+  const updateEarnRate = (index, changes) =>
+    setSettings({
+      ...settings,
+      earnRates: earnRates.map((rate, i) => (i === index ? { ...rate, ...changes } : rate)),
+    });
+  const addEarnRate = () =>
+    setSettings({
+      ...settings,
+      earnRates: [...earnRates, { ...earnRates[earnRates.length - 1], effectiveFrom: new Date().toISOString() }],
+    });
+  const removeEarnRate = (index) =>
+    setSettings({ ...settings, earnRates: earnRates.filter((_, i) => i !== index) });
+
+  return (
+    <div className="settings-page">
+      <div className="settings-page-header">
+        <h1>Settings</h1>
+      </div>
+      <div className="settings-card">
+        <form onSubmit={handleSubmit}>
+          <div className="settings-section-title">Security</div>
+          <label className="settings-toggle" htmlFor="requireTwoFactorForStaff">
+            <input
+              type="checkbox"
+              id="requireTwoFactorForStaff"
+              checked={settings.requireTwoFactorForStaff}
+              onChange={(e) =>
+                setSettings({ ...settings, requireTwoFactorForStaff: e.target.checked })
+              }
+            />
+            <span>
+              Require two-factor authentication for staff
+              <small>Cashiers, managers and superusers must enroll an authenticator app before they can sign in.</small>
+            </span>
+          </label>
+          <div className="settings-section-title">Earning Rate</div>
+          <p className="settings-description">
+            Points earned per dollar spent, before promotions. Schedule a change by giving it a future start date.
+            Each purchase keeps the rate it was earned at, so later corrections to its amount use that rate.
+          </p>
+          <div className="settings-permissions-table-wrapper">
+            <table className="settings-permissions-table settings-earn-rates-table">
+              <thead>
+                <tr>
+                  <th>Effective from</th>
+                  <th>Points per dollar</th>
+                  <th>Rounding</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {earnRates.map((rate, index) => (
+                  <tr key={index}>
+                    <td>
+                      <input
+                        type="datetime-local"
+                        aria-label={`Rate ${index + 1} effective from`}
+                        value={toDateTimeLocal(rate.effectiveFrom)}
+                        onChange={(e) => {
+                          if (e.target.value) updateEarnRate(index, { effectiveFrom: new Date(e.target.value).toISOString() });
+                        }}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        aria-label={`Rate ${index + 1} points per dollar`}
+                        min="0.01"
+                        step="0.01"
+                        value={rate.pointsPerDollar}
+                        onChange={(e) => updateEarnRate(index, { pointsPerDollar: parseFloat(e.target.value) || 0 })}
+                      />
+                    </td>
+                    <td>
+                      <select
+                        aria-label={`Rate ${index + 1} rounding`}
+                        value={rate.rounding}
+                        onChange={(e) => updateEarnRate(index, { rounding: e.target.value })}
+                      >
+                        <option value="round">Nearest point</option>
+                        <option value="floor">Round down</option>
+                        <option value="ceil">Round up</option>
+                      </select>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="btn btn-outline-danger"
+                        onClick={() => removeEarnRate(index)}
+                        disabled={earnRates.length === 1}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button type="button" className="btn btn-outline-secondary settings-add-rate" onClick={addEarnRate}>
+            Schedule Rate Change
+          </button>
+          <div className="settings-section-title">Redemptions</div>
+          <div className="form-group settings-field">
+            <label htmlFor="redemptionExpiryDays">Cancel pending redemptions after (days)</label>
+            <input
+              type="number"
+              id="redemptionExpiryDays"
+              min="0"
+              max="365"
+              value={settings.redemptionExpiryDays ?? ''}
+              onChange={(e) =>
+                setSettings({ ...settings, redemptionExpiryDays: parseInt(e.target.value, 10) || 0 })
+              }
+            />
+            <small>Requests no cashier has processed in this time are cancelled automatically. Use 0 to keep them open.</small>
+          </div>
+          <div className="settings-section-title">Point Requests</div>
+          <div className="form-group settings-field">
+            <label htmlFor="pointRequestExpiryDays">Expire unanswered point requests after (days)</label>
+            <input
+              type="number"
+              id="pointRequestExpiryDays"
+              min="1"
+              max="90"
+              value={settings.pointRequestExpiryDays ?? ''}
+              onChange={(e) =>
+                setSettings({ ...settings, pointRequestExpiryDays: parseInt(e.target.value, 10) || 1 })
+              }
+            />
+            <small>Requests between members that are neither approved nor declined in this time are closed.</small>
+          </div>
+          <div className="settings-section-title">Points Expiry</div>
+          <div className="form-group settings-field">
+            <label htmlFor="pointsExpiryMode">Points expire</label>
+            <select
+              id="pointsExpiryMode"
+              value={pointsExpiry.mode}
+              onChange={(e) => updatePointsExpiry({ mode: e.target.value })}
+            >
+              <option value="none">Never</option>
+              <option value="earned">A number of months after they are earned</option>
+              <option value="inactivity">After a number of months without activity</option>
+            </select>
+          </div>
+          {pointsExpiry.mode !== 'none' && (
+            <>
+              <div className="form-group settings-field">
+                <label htmlFor="pointsExpiryMonths">Months</label>
+                <input
+                  type="number"
+                  id="pointsExpiryMonths"
+                  min="1"
+                  max="120"
+                  value={pointsExpiry.months}
+                  onChange={(e) => updatePointsExpiry({ months: parseInt(e.target.value, 10) || 1 })}
+                />
+              </div>
+              <div className="form-group settings-field">
+                <label htmlFor="pointsExpiryWarningDays">Warn users this many days before (days)</label>
+                <input
+                  type="number"
+                  id="pointsExpiryWarningDays"
+                  min="0"
+                  max="90"
+                  value={pointsExpiry.warningDays}
+                  onChange={(e) => updatePointsExpiry({ warningDays: parseInt(e.target.value, 10) || 0 })}
+                />
+                <small>Users are emailed once for each expiry date. Points held for pending redemptions never expire.</small>
+              </div>
+            </>
+          )}
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : 'Save Settings'}
+            </button>
+          </div>
+        </form>
+      </div>
+      {catalog && rolePermissions && (
+        <div className="settings-card">
+          <div className="settings-section-title">Role Permissions</div>
+          <p className="settings-description">
+            Choose what each role can do. Individual users can be granted extra permissions from their profile page.
+            Superusers always hold every permission.
+            {!canEditRoles && ' Only superusers can change these.'}
+          </p>
+          <div className="settings-permissions-table-wrapper">
+            <table className="settings-permissions-table">
+              <thead>
+                <tr>
+                  <th>Permission</th>
+                  {catalog.roles.map((role) => (
+                    <th key={role}>{role}</th>
+                  ))}
+                  <th>superuser</th>
+                </tr>
+              </thead>
+              <tbody>
+                {catalog.permissions.map((permission) => (
+                  <tr key={permission.name}>
+                    <td>
+                      <code>{permission.name}</code>
+                      <small>{permission.description}</small>
+                    </td>
+                    {catalog.roles.map((role) => (
+                      <td key={role}>
+                        <input
+                          type="checkbox"
+                          aria-label={`${permission.name} for ${role}`}
+                          checked={rolePermissions[role]?.includes(permission.name) || false}
+                          onChange={() => togglePermission(role, permission.name)}
+                          disabled={!canEditRoles}
+                        />
+                      </td>
+                    ))}
+                    <td>
+                      <input type="checkbox" checked disabled aria-label={`${permission.name} for superuser`} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {canEditRoles && (
+            <div className="form-actions">
+              <button type="button" className="btn btn-secondary" onClick={handleRestoreDefaults}>
+                Restore Defaults
+              </button>
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleSavePermissions}
+                disabled={savingPermissions}
+              >
+                {savingPermissions ? 'Saving...' : 'Save Permissions'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+      <div className="settings-card">
+        <div className="settings-section-title">Integrations</div>
+        <div className="settings-link-row">
+          <span>Service accounts let systems such as the cafe till call the API with scoped keys.</span>
+          <Link to="/settings/service-accounts" className="btn btn-secondary">Manage Service Accounts</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,165 @@
+// Monthly account statements for the current user
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+import { userAPI } from '../services/api';
+import StatementDownloads, { previousMonth } from '../components/StatementDownloads';
+import '../styles/pages/Statements.css';
+
+const formatPoints = (amount) => `${amount > 0 ? '+' : ''}${amount}`;
+
+const Statements = () => {
+  const { user, updateLocalUser } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const month = searchParams.get('month') || previousMonth();
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [savingEmails, setSavingEmails] = useState(false);
+
+  useEffect(() => {
+    const fetchStatement = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await userAPI.getStatement('me', month);
+        setStatement(response.data);
+      } catch (err) {
+        setStatement(null);
+        setError(err.response?.data?.error || 'Failed to load the statement.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchStatement();
+  }, [month]);
+
+  const handleMonthChange = (e) => {
+    if (e.target.value) setSearchParams({ month: e.target.value });
+  };
+
+  const handleEmailsChange = async (e) => {
+    const statementEmails = e.target.checked;
+    setSavingEmails(true);
+    try {
+      await userAPI.updateMe({ statementEmails });
+      await updateLocalUser();
+      toast.success(statementEmails
+        ? 'You will be emailed a statement at the start of each month.'
+        : 'Monthly statement emails turned off.');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update your email preference.');
+    } finally {
+      setSavingEmails(false);
+    }
+  };
+
+  const periodLabel = new Date(`${month}-01T00:00:00Z`).toLocaleString('en-US', {
+    month: 'long', year: 'numeric', timeZone: 'UTC',
+  });
+
+  return (
+    <div className="statements-page">
+      <div className="statements-page-header">
+        <div>
+          <h1>Statements</h1>
+          <p className="statements-subtitle">Everything that happened to your points in a month</p>
+        </div>
+      </div>
+
+      <div className="statements-card statements-controls">
+        <div className="form-group">
+          <label htmlFor="statementMonth">Month</label>
+          <input
+            type="month"
+            id="statementMonth"
+            value={month}
+            max={new Date().toISOString().slice(0, 7)}
+            onChange={handleMonthChange}
+          />
+        </div>
+        <div className="statements-actions">
+          <StatementDownloads month={month} utorid={user?.utorid} />
+        </div>
+        <label className="statements-email-option">
+          <input
+            type="checkbox"
+            checked={Boolean(user?.statementEmails)}
+            onChange={handleEmailsChange}
+            disabled={savingEmails}
+          />
+          Email me a monthly statement
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="statements-card">Loading...</div>
+      ) : error ? (
+        <div className="statements-card statements-error">{error}</div>
+      ) : statement && (
+        <>
+          <div className="statements-summary">
+            <div className="statements-card">
+              <span className="statements-summary-label">Opening Balance</span>
+              <span className="statements-summary-value">{statement.openingBalance}</span>
+            </div>
+            <div className="statements-card">
+              <span className="statements-summary-label">Closing Balance</span>
+              <span className="statements-summary-value">{statement.closingBalance}</span>
+            </div>
+            <div className="statements-card">
+              <span className="statements-summary-label">Expiring Soon</span>
+              <span className="statements-summary-value">{statement.expiringSoon.amount}</span>
+              {statement.expiringSoon.expiresAt && (
+                <span className="statements-summary-detail">
+                  on {new Date(statement.expiringSoon.expiresAt).toLocaleDateString()}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {statement.groups.length === 0 ? (
+            <div className="statements-card statements-empty">No transactions in {periodLabel}.</div>
+          ) : statement.groups.map((group) => (
+            <div key={group.type} className="statements-card">
+              <div className="statements-group-header">
+                <h2>{group.label} ({group.count})</h2>
+                <span className="statements-group-points">{formatPoints(group.points)} points</span>
+              </div>
+              <div className="statements-table-wrapper">
+                <table className="statements-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>ID</th>
+                      <th>Details</th>
+                      <th>Status</th>
+                      <th>Points</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.transactions.map((tx) => (
+                      <tr key={tx.id} className={tx.counted ? '' : 'statements-row-uncounted'}>
+                        <td>{new Date(tx.createdAt).toLocaleDateString(undefined, { timeZone: 'UTC' })}</td>
+                        <td>#{tx.id}</td>
+                        <td>{[tx.description, tx.remark].filter(Boolean).join(' - ') || '-'}</td>
+                        <td>{tx.status}</td>
+                        <td>{formatPoints(tx.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+          <p className="statements-note">
+            Only completed transactions change your balance; held, pending and cancelled ones are shown greyed out.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Statements;
@@ -327,6 +327,7 @@ const Transactions = () => {
       adjustment: 'transactions-badge-warning',
       event: 'transactions-badge-success',
       transfer: 'transactions-badge-secondary',
+      refund: 'transactions-badge-warning',
     };
     return colors[type] || 'transactions-badge-secondary';
   };
@@ -523,7 +524,7 @@ const Transactions = () => {
           id: tx.id,
           amount: isCashierOnly ? (tx.redeemed || Math.abs(tx.amount)) : tx.amount,
           date: tx.createdAt ? formatDate(tx.createdAt) : 'N/A',
-          status: tx.processed ? 'Processed' : 'Pending',
+          status: tx.cancelledAt ? 'Cancelled' : tx.processed ? 'Processed' : 'Pending',
         };
 
         if (hasRole('manager') || isCashierOnly) {
@@ -577,6 +578,9 @@ const Transactions = () => {
               My Transactions
             </button>
           )}
+          <Link to="/statements" className="btn btn-secondary">
+            Statements
+          </Link>
           <Link to="/transactions/create" className="btn btn-primary">
             Create Transaction
           </Link>
@@ -613,6 +617,8 @@ const Transactions = () => {
                 <option value="adjustment">Adjustment</option>
                 <option value="event">Event</option>
                 <option value="transfer">Transfer</option>
+                <option value="expiration">Expiration</option>
+                <option value="refund">Refund</option>
               </select>
             </div>
             {hasRole('manager') ? (
@@ -804,7 +810,9 @@ const Transactions = () => {
                     </td>
                     <td>{tx.createdAt ? formatDate(tx.createdAt) : 'N/A'}</td>
                     <td>
-                      {tx.processed ? (
+                      {tx.cancelledAt ? (
+                        <span className="transactions-badge transactions-badge-secondary">Cancelled</span>
+                      ) : tx.processed ? (
                         <span className="transactions-badge transactions-badge-success">Processed</span>
                       ) : (
                         <span className="transactions-badge transactions-badge-warning">Pending</span>
@@ -843,7 +851,9 @@ const Transactions = () => {
                 <div className="transactions-card-header">
                   <div className="transactions-card-id">#{tx.id}</div>
                   <div className="transactions-card-status">
-                    {tx.processed ? (
+                    {tx.cancelledAt ? (
+                      <span className="transactions-badge transactions-badge-secondary">Cancelled</span>
+                    ) : tx.processed ? (
                       <span className="transactions-badge transactions-badge-success">Processed</span>
                     ) : (
                       <span className="transactions-badge transactions-badge-warning">Pending</span>
@@ -3,16 +3,30 @@ import { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
-import { userAPI, getAvatarUrl } from '../services/api';
+import { userAPI, settingsAPI, getAvatarUrl } from '../services/api';
 import useTableSort from '../hooks/useTableSort';
 import SortableTableHeader from '../components/SortableTableHeader';
 import ConfirmationModal from '../components/ConfirmationModal';
+import StatementDownloads, { previousMonth } from '../components/StatementDownloads';
 import '../styles/pages/UserDetail.css';
 
+const lockoutScopeLabels = {
+  login: 'Login',
+  reset: 'Password reset',
+  verification: 'Email verification',
+  pointRequest: 'Point requests',
+};
+
+const investigationStatuses = {
+  open: { label: 'Open', badge: 'user-detail-badge-warning' },
+  underReview: { label: 'Under Review', badge: 'user-detail-badge-primary' },
+  resolved: { label: 'Resolved', badge: 'user-detail-badge-success' },
+};
+
 const UserDetail = () => {
   const { userId } = useParams();
   const navigate = useNavigate();
-  const { hasRole } = useAuth();
+  const { user: currentUser, hasRole, startImpersonation } = useAuth();
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -22,6 +36,14 @@ const UserDetail = () => {
   const [transactions, setTransactions] = useState([]);
   const [transactionCount, setTransactionCount] = useState(0);
   const [transactionsLoading, setTransactionsLoading] = useState(false);
+  const [lockouts, setLockouts] = useState({ locked: false, results: [] });
+  const [investigations, setInvestigations] = useState([]);
+  const [impersonationLogs, setImpersonationLogs] = useState([]);
+  const [allowImpersonationChanges, setAllowImpersonationChanges] = useState(false);
+  const [statementMonth, setStatementMonth] = useState(previousMonth);
+  const [permissionCatalog, setPermissionCatalog] = useState([]);
+  const [userPermissions, setUserPermissions] = useState(null);
+  const [grants, setGrants] = useState([]);
   const [transactionFilters, setTransactionFilters] = useState({
     page: 1,
     limit: 10,
@@ -71,6 +93,18 @@ const UserDetail = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [userId, transactionFilters, user]);
 
+  useEffect(() => {
+    if (user?.id && hasRole('manager')) {
+      loadLockouts();
+      loadInvestigations();
+    }
+    if (user?.id && hasRole('superuser')) {
+      loadImpersonationLogs();
+      if (user.role !== 'superuser') loadPermissions();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id]);
+
   const loadUser = async () => {
     setLoading(true);
     setError('');
@@ -104,6 +138,91 @@ const UserDetail = () => {
     }
   };
 
+  const loadLockouts = async () => {
+    try {
+      const response = await userAPI.getLockouts(user.id);
+      setLockouts(response.data);
+    } catch (err) {
+      console.error('Failed to load lockouts:', err);
+    }
+  };
+
+  const loadInvestigations = async () => {
+    try {
+      const response = await userAPI.getInvestigations(user.id);
+      setInvestigations(response.data.results);
+    } catch (err) {
+      console.error('Failed to load investigations:', err);
+    }
+  };
+
+  const handleUnlock = async () => {
+    setActionLoading(true);
+    try {
+      await userAPI.unlockUser(user.id);
+      toast.success('User unlocked successfully!');
+      loadLockouts();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to unlock user.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const loadImpersonationLogs = async () => {
+    try {
+      const response = await userAPI.getImpersonations(user.id);
+      setImpersonationLogs(response.data.results);
+    } catch (err) {
+      console.error('Failed to load impersonation history:', err);
+    }
+  };
+
+  const loadPermissions = async () => {
+    try {
+      const [permissionsResponse, catalogResponse] = await Promise.all([
+        userAPI.getPermissions(user.id),
+        settingsAPI.getPermissions(),
+      ]);
+      setUserPermissions(permissionsResponse.data);
+      setGrants(permissionsResponse.data.grants);
+      setPermissionCatalog(catalogResponse.data.permissions);
+    } catch (err) {
+      console.error('Failed to load permissions:', err);
+    }
+  };
+
+  const toggleGrant = (permission) => {
+    setGrants(grants.includes(permission)
+      ? grants.filter((p) => p !== permission)
+      : [...grants, permission]);
+  };
+
+  const handleSaveGrants = async () => {
+    setActionLoading(true);
+    try {
+      const response = await userAPI.updatePermissions(user.id, grants);
+      setUserPermissions(response.data);
+      setGrants(response.data.grants);
+      toast.success('Permissions updated successfully!');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update permissions.');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleImpersonate = async () => {
+    setActionLoading(true);
+    try {
+      await startImpersonation(user.id, !allowImpersonationChanges);
+      navigate('/dashboard');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to start impersonation.');
+      setActionLoading(false);
+    }
+  };
+
   const cancelEditingEmail = () => {
     setEditingEmail(false);
     setEmail(user.email);
@@ -247,6 +366,7 @@ const UserDetail = () => {
       adjustment: 'user-detail-badge-warning',
       event: 'user-detail-badge-success',
       transfer: 'user-detail-badge-secondary',
+      refund: 'user-detail-badge-warning',
     };
     return colors[type] || 'user-detail-badge-secondary';
   };
@@ -438,6 +558,190 @@ const UserDetail = () => {
         </div>
       </div>
 
+      {hasRole('superuser') && user.role !== 'superuser' && user.id !== currentUser?.id && (
+        <div className="user-detail-section">
+          <div className="user-detail-section-header">View as User</div>
+          <div className="user-detail-impersonation-controls">
+            <label>
+              <input
+                type="checkbox"
+                checked={allowImpersonationChanges}
+                onChange={(e) => setAllowImpersonationChanges(e.target.checked)}
+              />
+              Allow changes (read-only by default)
+            </label>
+            <button className="btn btn-primary" onClick={handleImpersonate} disabled={actionLoading}>
+              View as {user.name}
+            </button>
+          </div>
+          {impersonationLogs.length > 0 && (
+            <table className="user-detail-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Superuser</th>
+                  <th>Request</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {impersonationLogs.map((log) => (
+                  <tr key={log.id}>
+                    <td>{formatDate(log.createdAt)}</td>
+                    <td>{log.impersonator}</td>
+                    <td><code>{log.method} {log.path}</code></td>
+                    <td>{log.statusCode}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {hasRole('superuser') && userPermissions && (
+        <div className="user-detail-section">
+          <div className="user-detail-section-header">Permissions</div>
+          <p className="user-detail-permissions-note">
+            Permissions from the {userPermissions.role} role are managed in Settings. Grants added here apply to this user only.
+          </p>
+          <div className="user-detail-permissions">
+            {permissionCatalog.map((permission) => {
+              const fromRole = userPermissions.fromRole.includes(permission.name);
+              return (
+                <label key={permission.name} className="user-detail-permission">
+                  <input
+                    type="checkbox"
+                    checked={fromRole || grants.includes(permission.name)}
+                    disabled={fromRole}
+                    onChange={() => toggleGrant(permission.name)}
+                  />
+                  <span>
+                    <code>{permission.name}</code>
+                    {fromRole && <span className="user-detail-badge user-detail-badge-secondary">Role</span>}
+                    <small>{permission.description}</small>
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+          <div className="user-detail-permissions-actions">
+            <button className="btn btn-primary" onClick={handleSaveGrants} disabled={actionLoading}>
+              Save Permissions
+            </button>
+          </div>
+        </div>
+      )}
+
+      {hasRole('manager') && lockouts.results.length > 0 && (
+        <div className="user-detail-section">
+          <div className="user-detail-section-header">Lockouts</div>
+          {lockouts.locked && (
+            <div className="user-detail-lockout-banner">
+              <span>This account is currently locked out after repeated failed attempts.</span>
+              <button className="btn btn-primary" onClick={handleUnlock} disabled={actionLoading}>
+                Unlock
+              </button>
+            </div>
+          )}
+          <table className="user-detail-table">
+            <thead>
+              <tr>
+                <th>Locked At</th>
+                <th>Endpoint</th>
+                <th>Locked Until</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lockouts.results.map((lockout) => (
+                <tr key={lockout.id}>
+                  <td>{formatDate(lockout.createdAt)}</td>
+                  <td>{lockoutScopeLabels[lockout.scope] || lockout.scope}</td>
+                  <td>{formatDate(lockout.lockedUntil)}</td>
+                  <td>
+                    {lockout.active ? (
+                      <span className="user-detail-badge user-detail-badge-danger">Active</span>
+                    ) : lockout.unlockedAt ? (
+                      <span className="user-detail-badge user-detail-badge-success">Unlocked</span>
+                    ) : (
+                      <span className="user-detail-badge user-detail-badge-secondary">Expired</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {hasRole('manager') && (
+        <div className="user-detail-section">
+          <div className="user-detail-section-header">Investigations</div>
+          {investigations.length === 0 ? (
+            <div className="user-detail-empty-state">No investigations</div>
+          ) : (
+            <table className="user-detail-table">
+              <thead>
+                <tr>
+                  <th>Case</th>
+                  <th>Status</th>
+                  <th>Assignee</th>
+                  <th>Opened</th>
+                  <th>Resolved</th>
+                </tr>
+              </thead>
+              <tbody>
+                {investigations.map((investigation) => (
+                  <tr key={investigation.id}>
+                    <td>
+                      <Link to={`/investigations/${investigation.id}`}>
+                        #{investigation.id} {investigation.title}
+                      </Link>
+                    </td>
+                    <td>
+                      <span className={`user-detail-badge ${investigationStatuses[investigation.status].badge}`}>
+                        {investigationStatuses[investigation.status].label}
+                      </span>
+                    </td>
+                    <td>{investigation.assignee || 'Unassigned'}</td>
+                    <td>{formatDate(investigation.createdAt)}</td>
+                    <td>{investigation.resolvedAt ? formatDate(investigation.resolvedAt) : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="user-detail-investigation-actions">
+            <button
+              className="btn btn-secondary"
+              onClick={() => navigate('/investigations', { state: { utorid: user.utorid } })}
+            >
+              Open Case
+            </button>
+          </div>
+        </div>
+      )}
+
+      {hasRole('manager') && (
+        <div className="user-detail-section">
+          <div className="user-detail-section-header">Statements</div>
+          <div className="user-detail-statement-controls">
+            <div className="form-group">
+              <label htmlFor="statementMonth">Month</label>
+              <input
+                type="month"
+                id="statementMonth"
+                value={statementMonth}
+                max={new Date().toISOString().slice(0, 7)}
+                onChange={(e) => setStatementMonth(e.target.value)}
+              />
+            </div>
+            <StatementDownloads userId={user.id} utorid={user.utorid} month={statementMonth} />
+          </div>
+        </div>
+      )}
+
       {hasRole('manager') && (
         <div className="user-detail-section">
           <div className="user-detail-section-header">User Transactions</div>
@@ -15,6 +15,13 @@ import '../styles/pages/Users.css';
 // Apply the autoTable plugin to jsPDF
 applyPlugin(jsPDF);
 
+const lockoutScopeLabels = {
+  login: 'Login',
+  reset: 'Password reset',
+  verification: 'Email verification',
+  pointRequest: 'Point requests',
+};
+
 const Users = () => {
   const { hasRole, user } = useAuth();
   const navigate = useNavigate();
@@ -32,11 +39,39 @@ const Users = () => {
     limit: parseInt(searchParams.get('limit')) || 10,
   });
   const [error, setError] = useState('');
+  const [ipLockouts, setIpLockouts] = useState([]);
+  const [unlockingIp, setUnlockingIp] = useState(null);
 
   useEffect(() => {
     loadUsers();
   }, [filters]);
 
+  useEffect(() => {
+    if (hasRole('manager')) loadIpLockouts();
+  }, []);
+
+  const loadIpLockouts = async () => {
+    try {
+      const response = await userAPI.getIpLockouts();
+      setIpLockouts(response.data.results);
+    } catch (err) {
+      console.error('Failed to load IP lockouts:', err);
+    }
+  };
+
+  const handleUnlockIp = async (ipAddress) => {
+    setUnlockingIp(ipAddress);
+    try {
+      await userAPI.unlockIp(ipAddress);
+      toast.success(`${ipAddress} unlocked successfully!`);
+      loadIpLockouts();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to unlock address.');
+    } finally {
+      setUnlockingIp(null);
+    }
+  };
+
   const loadUsers = async () => {
     setLoading(true);
     setError('');
@@ -340,6 +375,42 @@ const Users = () => {
         </div>
       </div>
 
+      {ipLockouts.length > 0 && (
+        <div className="users-section">
+          <div className="users-lockouts-header">Locked-out IP Addresses</div>
+          <p className="users-lockouts-note">
+            These addresses hit the failed-attempt limit. Everyone sharing one is blocked until it expires or is unlocked.
+          </p>
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>IP Address</th>
+                <th>Endpoint</th>
+                <th>Locked Until</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {ipLockouts.map((lockout) => (
+                <tr key={lockout.id}>
+                  <td>{lockout.ipAddress}</td>
+                  <td>{lockoutScopeLabels[lockout.scope] || lockout.scope}</td>
+                  <td>{new Date(lockout.lockedUntil).toLocaleString()}</td>
+                  <td>
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => handleUnlockIp(lockout.ipAddress)}
+                      disabled={unlockingIp === lockout.ipAddress}
+                    >
+                      Unlock
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
 
       {loading ? (
         <div className="users-loading">Loading users...</div>
@@ -0,0 +1,100 @@
+// Email verification landing page (linked from the verification email)
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import '../styles/pages/ResetPassword.css';
+
+const VerifyEmail = () => {
+  const { verificationToken } = useParams();
+  const { user, updateLocalUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const [utorid, setUtorid] = useState('');
+  const [resent, setResent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    verify();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [verificationToken]);
+
+  const verify = async () => {
+    try {
+      await authAPI.verifyEmail(verificationToken);
+      setStatus('verified');
+      if (user) {
+        await updateLocalUser();
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Verification failed.');
+      setStatus('failed');
+    }
+  };
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      await authAPI.resendVerification(utorid);
+      setResent(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send verification email.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="reset-password-container">
+      <div className="reset-password-stripes"></div>
+      <div className="reset-password-card">
+        <div className="reset-password-header">
+          <h1>Verify Email</h1>
+          {status === 'verifying' && <p>Confirming your email address...</p>}
+        </div>
+        {status === 'verified' && (
+          <div className="reset-password-success-message">
+            Your email address has been verified.
+          </div>
+        )}
+        {status === 'failed' && (
+          resent ? (
+            <div className="reset-password-success-message">
+              Check email for a new verification link
+            </div>
+          ) : (
+            <form onSubmit={handleResend}>
+              {error && <div className="reset-password-error-message">{error}</div>}
+              <div className="reset-password-form-group">
+                <label htmlFor="utorid">UTORid</label>
+                <input
+                  type="text"
+                  id="utorid"
+                  value={utorid}
+                  onChange={(e) => setUtorid(e.target.value)}
+                  required
+                />
+              </div>
+              <div className="reset-password-form-actions">
+                <button type="submit" className="reset-password-btn-primary" disabled={loading}>
+                  {loading ? 'Sending...' : 'Send New Link'}
+                </button>
+              </div>
+            </form>
+          )
+        )}
+        {status !== 'verifying' && (
+          <div className="reset-password-link-container">
+            <Link to={user ? '/profile' : '/login'} className="reset-password-link">
+              {user ? 'Back to Profile' : 'Back to Login'}
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
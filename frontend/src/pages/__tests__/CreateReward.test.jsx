@@ -0,0 +1,71 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import CreateReward from '../CreateReward';
+import { rewardAPI } from '../../services/api';
+
+vi.mock('../../services/api', () => ({
+  rewardAPI: {
+    createReward: vi.fn(),
+    getReward: vi.fn(),
+    updateReward: vi.fn(),
+    deleteReward: vi.fn(),
+  },
+  getAvatarUrl: (url) => url,
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+describe('CreateReward Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const renderCreateReward = (rewardId = null) => {
+    const path = rewardId ? `/rewards/${rewardId}/edit` : '/rewards/create';
+    return render(
+      <MemoryRouter initialEntries={[path]}>
+        <Routes>
+          <Route path="/rewards" element={<div>Rewards list</div>} />
+          <Route path="/rewards/create" element={<CreateReward />} />
+          <Route path="/rewards/:rewardId/edit" element={<CreateReward />} />
+        </Routes>
+      </MemoryRouter>
+    );
+  };
+
+  it('should create a reward with unlimited stock when left empty', async () => {
+    rewardAPI.createReward.mockResolvedValue({ data: { id: 1 } });
+    renderCreateReward();
+
+    fireEvent.change(screen.getByLabelText(/reward name/i), { target: { value: 'Mug' } });
+    fireEvent.change(screen.getByLabelText(/point cost/i), { target: { value: '150' } });
+    fireEvent.click(screen.getByText('Create Reward', { selector: 'button' }));
+
+    await waitFor(() => expect(rewardAPI.createReward).toHaveBeenCalled());
+    const data = rewardAPI.createReward.mock.calls[0][0];
+    expect(data.get('name')).toBe('Mug');
+    expect(data.get('pointCost')).toBe('150');
+    expect(data.get('stock')).toBe('');
+    expect(await screen.findByText('Rewards list')).toBeInTheDocument();
+  });
+
+  it('should load and update an existing reward', async () => {
+    rewardAPI.getReward.mockResolvedValue({
+      data: { id: 4, name: 'Hoodie', description: '', imageUrl: null, pointCost: 300, stock: 5, perUserLimit: null, startTime: null, endTime: null },
+    });
+    rewardAPI.updateReward.mockResolvedValue({ data: { id: 4 } });
+    renderCreateReward(4);
+
+    const stock = await screen.findByLabelText(/stock/i);
+    expect(stock).toHaveValue(5);
+    fireEvent.change(stock, { target: { value: '20' } });
+    fireEvent.click(screen.getByText('Update Reward', { selector: 'button' }));
+
+    await waitFor(() => expect(rewardAPI.updateReward).toHaveBeenCalled());
+    expect(rewardAPI.updateReward.mock.calls[0][0]).toBe('4');
+    expect(rewardAPI.updateReward.mock.calls[0][1].get('stock')).toBe('20');
+  });
+});
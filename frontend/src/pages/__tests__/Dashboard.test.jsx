@@ -1,9 +1,9 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { MemoryRouter } from 'react-router-dom';
 import Dashboard from '../Dashboard';
 import { useAuth } from '../../contexts/AuthContext';
-import { transactionAPI, eventAPI, promotionAPI, userAPI, analyticsAPI } from '../../services/api';
+import { transactionAPI, eventAPI, promotionAPI, userAPI, analyticsAPI, pointRequestAPI } from '../../services/api';
 
 // Mock context
 vi.mock('../../contexts/AuthContext', () => ({
@@ -44,6 +44,10 @@ vi.mock('../../services/api', () => ({
     getPromotionAnalytics: vi.fn(),
     getFinancialAnalytics: vi.fn(),
   },
+  pointRequestAPI: {
+    getPointRequests: vi.fn(),
+    respondToPointRequest: vi.fn(),
+  },
 }));
 
 // Mock child components that might cause issues or aren't focus of this test
@@ -65,6 +69,7 @@ vi.mock('../../components/SortableTable', () => ({
 describe('Dashboard Page', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    pointRequestAPI.getPointRequests.mockResolvedValue({ data: { count: 0, results: [] } });
   });
 
   const renderDashboard = () => {
@@ -110,6 +115,123 @@ describe('Dashboard Page', () => {
     expect(screen.getByText(/scan qr code/i)).toBeInTheDocument();
   });
 
+  it('should show points held by pending redemptions', async () => {
+    useAuth.mockReturnValue({ 
+      user: { name: 'Test User', role: 'regular', points: 500, heldPoints: 200, availablePoints: 300, verified: true }, 
+      currentRole: 'regular',
+      hasRole: () => false,
+      updateLocalUser: vi.fn()
+    });
+
+    transactionAPI.getMyTransactions.mockResolvedValue({ data: { results: [] } });
+    eventAPI.getEvents.mockResolvedValue({ data: { results: [] } });
+    promotionAPI.getPromotions.mockResolvedValue({ data: { results: [] } });
+
+    renderDashboard();
+
+    expect(await screen.findByText('300 available, 200 held for pending redemptions')).toBeInTheDocument();
+  });
+
+  it('should show points expiring soon', async () => {
+    useAuth.mockReturnValue({ 
+      user: {
+        name: 'Test User', role: 'regular', points: 500, verified: true,
+        expiringPoints: { amount: 120, expiresAt: '2026-03-01T12:00:00.000Z' }
+      }, 
+      currentRole: 'regular',
+      hasRole: () => false,
+      updateLocalUser: vi.fn()
+    });
+
+    transactionAPI.getMyTransactions.mockResolvedValue({ data: { results: [] } });
+    eventAPI.getEvents.mockResolvedValue({ data: { results: [] } });
+    promotionAPI.getPromotions.mockResolvedValue({ data: { results: [] } });
+
+    renderDashboard();
+
+    expect(await screen.findByText('Expiring Soon')).toBeInTheDocument();
+    expect(screen.getByText('120')).toBeInTheDocument();
+  });
+
+  it('should send the points when an incoming request is approved', async () => {
+    useAuth.mockReturnValue({ 
+      user: { id: 1, name: 'Test User', role: 'regular', points: 500, verified: true }, 
+      currentRole: 'regular',
+      hasRole: () => false,
+      updateLocalUser: vi.fn()
+    });
+
+    transactionAPI.getMyTransactions.mockResolvedValue({ data: { results: [] } });
+    eventAPI.getEvents.mockResolvedValue({ data: { results: [] } });
+    promotionAPI.getPromotions.mockResolvedValue({ data: { results: [] } });
+    pointRequestAPI.getPointRequests.mockResolvedValue({
+      data: {
+        count: 1,
+        results: [{
+          id: 7,
+          requester: { id: 2, utorid: 'treasur1', name: 'Club Treasurer' },
+          recipient: { id: 1, utorid: 'testuser', name: 'Test User' },
+          amount: 40,
+          remark: 'Pizza order',
+          status: 'pending',
+          expiresAt: '2026-03-01T12:00:00.000Z',
+        }],
+      },
+    });
+    pointRequestAPI.respondToPointRequest.mockResolvedValue({ data: { id: 7, status: 'approved' } });
+
+    renderDashboard();
+
+    expect(await screen.findByText('From Club Treasurer (treasur1)')).toBeInTheDocument();
+    expect(pointRequestAPI.getPointRequests).toHaveBeenCalledWith({ status: 'pending', limit: 20 });
+
+    fireEvent.click(screen.getByText('Approve', { selector: 'button' }));
+    fireEvent.click(screen.getByText('Send Points', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(pointRequestAPI.respondToPointRequest).toHaveBeenCalledWith(7, 'approved');
+    });
+  });
+
+  it('should let the requester cancel an outgoing request', async () => {
+    useAuth.mockReturnValue({ 
+      user: { id: 1, name: 'Test User', role: 'regular', points: 500, verified: true }, 
+      currentRole: 'regular',
+      hasRole: () => false,
+      updateLocalUser: vi.fn()
+    });
+
+    transactionAPI.getMyTransactions.mockResolvedValue({ data: { results: [] } });
+    eventAPI.getEvents.mockResolvedValue({ data: { results: [] } });
+    promotionAPI.getPromotions.mockResolvedValue({ data: { results: [] } });
+    pointRequestAPI.getPointRequests.mockResolvedValue({
+      data: {
+        count: 1,
+        results: [{
+          id: 8,
+          requester: { id: 1, utorid: 'testuser', name: 'Test User' },
+          recipient: { id: 3, utorid: 'member01', name: 'Club Member' },
+          amount: 25,
+          remark: '',
+          status: 'pending',
+          expiresAt: '2026-03-01T12:00:00.000Z',
+        }],
+      },
+    });
+    pointRequestAPI.respondToPointRequest.mockResolvedValue({ data: { id: 8, status: 'cancelled' } });
+
+    renderDashboard();
+
+    expect(await screen.findByText('To Club Member (member01)')).toBeInTheDocument();
+    expect(screen.queryByText('Approve', { selector: 'button' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Cancel', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(pointRequestAPI.respondToPointRequest).toHaveBeenCalledWith(8, 'cancelled');
+    });
+  });
+
   it('should render cashier dashboard', async () => {
     useAuth.mockReturnValue({ 
       user: { name: 'Cashier User', role: 'cashier' }, 
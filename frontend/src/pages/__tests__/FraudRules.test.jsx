@@ -0,0 +1,79 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import FraudRules from '../FraudRules';
+import { fraudRuleAPI } from '../../services/api';
+
+vi.mock('../../services/api', () => ({
+  fraudRuleAPI: {
+    getRules: vi.fn(),
+    createRule: vi.fn(),
+    updateRule: vi.fn(),
+    deleteRule: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+const bigSpender = {
+  id: 1, name: 'Big spender', kind: 'spentAbove', threshold: 500, count: null, windowMinutes: null, enabled: true,
+};
+
+describe('FraudRules Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const renderFraudRules = () => render(
+    <MemoryRouter>
+      <FraudRules />
+    </MemoryRouter>
+  );
+
+  it('should list rules with what they hold', async () => {
+    fraudRuleAPI.getRules.mockResolvedValue({ data: { count: 1, results: [bigSpender] } });
+    renderFraudRules();
+
+    expect(await screen.findByText('Big spender')).toBeInTheDocument();
+    expect(screen.getByText('Purchases over $500.00')).toBeInTheDocument();
+    expect(screen.getByText('Enabled', { selector: '.fraud-rules-badge' })).toBeInTheDocument();
+  });
+
+  it('should only send the parameters the chosen rule uses', async () => {
+    fraudRuleAPI.getRules.mockResolvedValue({ data: { count: 0, results: [] } });
+    fraudRuleAPI.createRule.mockResolvedValue({ data: { id: 2 } });
+    renderFraudRules();
+
+    fireEvent.change(await screen.findByLabelText('Name *'), { target: { value: 'Too fast' } });
+    fireEvent.change(screen.getByLabelText('Rule *'), { target: { value: 'purchaseVelocity' } });
+    expect(screen.queryByLabelText('Amount Spent Above ($) *')).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Most Allowed *'), { target: { value: '3' } });
+    fireEvent.change(screen.getByLabelText('Within (minutes) *'), { target: { value: '60' } });
+    fireEvent.click(screen.getByText('Add Rule', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(fraudRuleAPI.createRule).toHaveBeenCalledWith({
+        name: 'Too fast',
+        kind: 'purchaseVelocity',
+        enabled: true,
+        threshold: null,
+        count: 3,
+        windowMinutes: 60,
+      });
+    });
+  });
+
+  it('should switch a rule off', async () => {
+    fraudRuleAPI.getRules.mockResolvedValue({ data: { count: 1, results: [bigSpender] } });
+    fraudRuleAPI.updateRule.mockResolvedValue({ data: { ...bigSpender, enabled: false } });
+    renderFraudRules();
+
+    fireEvent.click(await screen.findByText('Disable', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(fraudRuleAPI.updateRule).toHaveBeenCalledWith(1, { enabled: false });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import ImportPurchases from '../ImportPurchases';
+import { transactionAPI } from '../../services/api';
+
+vi.mock('../../services/api', () => ({
+  transactionAPI: {
+    importPurchases: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+const csv = 'utorid,spent,remark\nclive123,10,Paper receipt 1\nnobody1,5,\n';
+
+const validRow = {
+  row: 2, utorid: 'clive123', spent: 10, earned: 40, remark: 'Paper receipt 1', promotionIds: [], flagReason: null,
+};
+
+describe('ImportPurchases Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const renderImportPurchases = () => render(
+    <MemoryRouter>
+      <ImportPurchases />
+    </MemoryRouter>
+  );
+
+  const chooseFile = () => {
+    fireEvent.change(screen.getByLabelText('CSV File *'), {
+      target: { files: [new File([csv], 'sales.csv', { type: 'text/csv' })] },
+    });
+  };
+
+  it('should preview the file with per-row errors and block the import', async () => {
+    transactionAPI.importPurchases.mockResolvedValue({
+      data: {
+        dryRun: true, count: 2, errors: 1, spent: 10, earned: 40, held: 0,
+        rows: [validRow, { row: 3, utorid: 'nobody1', error: 'User not found' }],
+      },
+    });
+    renderImportPurchases();
+
+    chooseFile();
+    await waitFor(() => {
+      expect(screen.getByText('Preview', { selector: 'button' })).not.toBeDisabled();
+    });
+    fireEvent.click(screen.getByText('Preview', { selector: 'button' }));
+
+    expect(await screen.findByText('User not found')).toBeInTheDocument();
+    expect(screen.getByText('Paper receipt 1')).toBeInTheDocument();
+    expect(transactionAPI.importPurchases).toHaveBeenCalledWith(csv, true);
+    expect(screen.getByText('Import 2 Purchases', { selector: 'button' })).toBeDisabled();
+  });
+
+  it('should import the previewed rows', async () => {
+    transactionAPI.importPurchases
+      .mockResolvedValueOnce({
+        data: { dryRun: true, count: 1, errors: 0, spent: 10, earned: 40, held: 0, rows: [validRow] },
+      })
+      .mockResolvedValueOnce({
+        data: { importBatchId: 'batch-1', count: 1, errors: 0, spent: 10, earned: 40, held: 0, rows: [{ id: 7, ...validRow }] },
+      });
+    renderImportPurchases();
+
+    chooseFile();
+    await waitFor(() => {
+      expect(screen.getByText('Preview', { selector: 'button' })).not.toBeDisabled();
+    });
+    fireEvent.click(screen.getByText('Preview', { selector: 'button' }));
+    fireEvent.click(await screen.findByText('Import 1 Purchase', { selector: 'button' }));
+
+    expect(await screen.findByText('Batch ID: batch-1')).toBeInTheDocument();
+    expect(transactionAPI.importPurchases).toHaveBeenLastCalledWith(csv, false);
+  });
+
+  it('should show the rows that failed when the import is rejected', async () => {
+    transactionAPI.importPurchases
+      .mockResolvedValueOnce({
+        data: { dryRun: true, count: 1, errors: 0, spent: 10, earned: 40, held: 0, rows: [validRow] },
+      })
+      .mockRejectedValueOnce({
+        response: {
+          data: {
+            error: '1 row has errors; nothing was imported', count: 1, errors: 1, spent: 0, earned: 0, held: 0,
+            rows: [{ row: 2, utorid: 'clive123', error: 'Promotion 3 already used' }],
+          },
+        },
+      });
+    renderImportPurchases();
+
+    chooseFile();
+    await waitFor(() => {
+      expect(screen.getByText('Preview', { selector: 'button' })).not.toBeDisabled();
+    });
+    fireEvent.click(screen.getByText('Preview', { selector: 'button' }));
+    fireEvent.click(await screen.findByText('Import 1 Purchase', { selector: 'button' }));
+
+    expect(await screen.findByText('Promotion 3 already used')).toBeInTheDocument();
+    expect(screen.queryByText(/Batch ID/)).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,130 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import InvestigationDetail from '../InvestigationDetail';
+import { useAuth } from '../../contexts/AuthContext';
+import { investigationAPI } from '../../services/api';
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+vi.mock('../../services/api', () => ({
+  investigationAPI: {
+    getInvestigation: vi.fn(),
+    updateInvestigation: vi.fn(),
+    addNote: vi.fn(),
+    resolveInvestigation: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+const investigation = {
+  id: 3,
+  title: 'Repeat purchases',
+  summary: 'Same cashier every time',
+  status: 'open',
+  openedBy: 'manager1',
+  assignee: null,
+  resolution: null,
+  createdAt: '2026-03-01T12:00:00.000Z',
+  resolvedAt: null,
+  users: [{ id: 5, utorid: 'cashier1', name: 'Cass', role: 'cashier', suspicious: true }],
+  transactions: [{
+    id: 12, utorid: 'clive123', type: 'purchase', amount: 40, spent: 10, suspicious: false,
+    flagReason: null, reversed: false, createdAt: '2026-03-01T11:00:00.000Z',
+  }],
+  notes: [{ id: 1, kind: 'activity', body: 'Opened by manager1', link: null, author: 'manager1', createdAt: '2026-03-01T12:00:00.000Z' }],
+};
+
+describe('InvestigationDetail Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ user: { utorid: 'manager1' }, hasPermission: () => true });
+    investigationAPI.getInvestigation.mockResolvedValue({ data: investigation });
+  });
+
+  const renderInvestigationDetail = () => render(
+    <MemoryRouter initialEntries={['/investigations/3']}>
+      <Routes>
+        <Route path="/investigations/:investigationId" element={<InvestigationDetail />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+  it('should show the case subjects and notes', async () => {
+    renderInvestigationDetail();
+
+    expect(await screen.findByText('Case #3: Repeat purchases')).toBeInTheDocument();
+    expect(screen.getByText('cashier1')).toBeInTheDocument();
+    expect(screen.getByText('#12')).toBeInTheDocument();
+    expect(screen.getByText('Opened by manager1')).toBeInTheDocument();
+    expect(investigationAPI.getInvestigation).toHaveBeenCalledWith('3');
+  });
+
+  it('should assign the case to the current user', async () => {
+    investigationAPI.updateInvestigation.mockResolvedValue({
+      data: { ...investigation, assignee: { id: 9, utorid: 'manager1', name: 'Manager' } },
+    });
+    renderInvestigationDetail();
+
+    fireEvent.click(await screen.findByText('Assign to Me', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(investigationAPI.updateInvestigation).toHaveBeenCalledWith('3', { assignee: 'manager1' });
+    });
+    expect(await screen.findByText('Manager (manager1)')).toBeInTheDocument();
+  });
+
+  it('should add evidence', async () => {
+    investigationAPI.addNote.mockResolvedValue({ data: { id: 2 } });
+    renderInvestigationDetail();
+
+    fireEvent.change(await screen.findByLabelText('Type'), { target: { value: 'evidence' } });
+    fireEvent.change(screen.getByLabelText('Note *'), { target: { value: 'Receipt does not match the till' } });
+    fireEvent.click(screen.getByText('Add Note', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(investigationAPI.addNote).toHaveBeenCalledWith('3', {
+        kind: 'evidence',
+        body: 'Receipt does not match the till',
+      });
+    });
+  });
+
+  it('should resolve with the chosen actions in order', async () => {
+    investigationAPI.resolveInvestigation.mockResolvedValue({
+      data: { ...investigation, status: 'resolved', resolution: ['reverseTransactions', 'demoteCashiers'] },
+    });
+    renderInvestigationDetail();
+
+    fireEvent.click(await screen.findByLabelText('Demote linked cashiers to regular'));
+    fireEvent.click(screen.getByLabelText('Reverse the linked transactions'));
+    fireEvent.change(screen.getByLabelText('Outcome *'), { target: { value: 'Fake purchases' } });
+    fireEvent.click(screen.getByText('Resolve Case', { selector: 'button' }));
+    fireEvent.click(screen.getByText('Resolve', { selector: 'button' }));
+
+    await waitFor(() => {
+      expect(investigationAPI.resolveInvestigation).toHaveBeenCalledWith(
+        '3', ['reverseTransactions', 'demoteCashiers'], 'Fake purchases'
+      );
+    });
+    expect(await screen.findByText(
+      'Reverse the linked transactions. Demote linked cashiers to regular.'
+    )).toBeInTheDocument();
+  });
+
+  it('should only offer actions the user is allowed to take', async () => {
+    useAuth.mockReturnValue({
+      user: { utorid: 'manager1' },
+      hasPermission: (permission) => permission !== 'users.promote',
+    });
+    renderInvestigationDetail();
+
+    expect(await screen.findByLabelText('Reverse the linked transactions')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Demote linked cashiers to regular')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,86 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import Investigations from '../Investigations';
+import { useAuth } from '../../contexts/AuthContext';
+import { investigationAPI } from '../../services/api';
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+vi.mock('../../services/api', () => ({
+  investigationAPI: {
+    getInvestigations: vi.fn(),
+    createInvestigation: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+const openCase = {
+  id: 3, title: 'Repeat purchases', status: 'open', openedBy: 'manager1', assignee: null,
+  users: ['clive123'], transactionIds: [12, 14], createdAt: '2026-03-01T12:00:00.000Z',
+};
+
+describe('Investigations Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ user: { utorid: 'manager1' } });
+    investigationAPI.getInvestigations.mockResolvedValue({ data: { count: 1, results: [openCase] } });
+  });
+
+  const renderInvestigations = (state) => render(
+    <MemoryRouter initialEntries={[{ pathname: '/investigations', state }]}>
+      <Routes>
+        <Route path="/investigations" element={<Investigations />} />
+        <Route path="/investigations/:investigationId" element={<div>Case page</div>} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+  it('should list open cases with their subjects', async () => {
+    renderInvestigations();
+
+    expect(await screen.findByText('Repeat purchases')).toBeInTheDocument();
+    expect(screen.getByText('clive123, #12, #14')).toBeInTheDocument();
+    expect(screen.getByText('Unassigned')).toBeInTheDocument();
+    expect(investigationAPI.getInvestigations).toHaveBeenCalledWith({ status: 'active', page: 1, limit: 10 });
+  });
+
+  it('should filter to cases assigned to the current user', async () => {
+    renderInvestigations();
+    await screen.findByText('Repeat purchases');
+
+    fireEvent.click(screen.getByLabelText('Assigned to me'));
+
+    await waitFor(() => {
+      expect(investigationAPI.getInvestigations).toHaveBeenLastCalledWith({
+        status: 'active', assignee: 'me', page: 1, limit: 10,
+      });
+    });
+  });
+
+  it('should open a case on the user passed from their profile', async () => {
+    investigationAPI.createInvestigation.mockResolvedValue({ data: { id: 7 } });
+    renderInvestigations({ utorid: 'clive123' });
+
+    expect(await screen.findByLabelText('Users (UTORids)')).toHaveValue('clive123');
+    fireEvent.change(screen.getByLabelText('Title *'), { target: { value: 'Shared card' } });
+    fireEvent.change(screen.getByLabelText('Transaction IDs'), { target: { value: '#12, 14' } });
+    fireEvent.click(screen.getAllByText('Open Case', { selector: 'button' }).at(-1));
+
+    await waitFor(() => {
+      expect(investigationAPI.createInvestigation).toHaveBeenCalledWith({
+        title: 'Shared card',
+        summary: '',
+        utorids: ['clive123'],
+        transactionIds: [12, 14],
+        assignee: 'manager1',
+      });
+    });
+    expect(await screen.findByText('Case page')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,85 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import ReviewQueue from '../ReviewQueue';
+import { useAuth } from '../../contexts/AuthContext';
+import { transactionAPI } from '../../services/api';
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+vi.mock('../../services/api', () => ({
+  transactionAPI: {
+    getFlaggedTransactions: vi.fn(),
+    markSuspicious: vi.fn(),
+    reverseTransaction: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+const heldPurchase = {
+  id: 12, utorid: 'clive123', userName: 'Clive', type: 'purchase', amount: 2400, spent: 600,
+  flagReason: 'Big spender: $600.00 spent is above $500.00', remark: '', createdBy: 'cashier1',
+  createdAt: '2026-03-01T12:00:00.000Z',
+};
+
+describe('ReviewQueue Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ hasPermission: () => true });
+    transactionAPI.getFlaggedTransactions.mockResolvedValue({ data: { count: 1, results: [heldPurchase] } });
+  });
+
+  const renderReviewQueue = () => render(
+    <MemoryRouter>
+      <ReviewQueue />
+    </MemoryRouter>
+  );
+
+  it('should show why each transaction is held', async () => {
+    renderReviewQueue();
+
+    expect(await screen.findByText('Big spender: $600.00 spent is above $500.00')).toBeInTheDocument();
+    expect(screen.getByText('1 transaction held for review')).toBeInTheDocument();
+    expect(screen.getByText('Manage Rules')).toBeInTheDocument();
+  });
+
+  it('should release a transaction after confirmation', async () => {
+    transactionAPI.markSuspicious.mockResolvedValue({ data: { id: 12, suspicious: false } });
+    renderReviewQueue();
+
+    fireEvent.click(await screen.findByText('Release', { selector: 'button' }));
+    fireEvent.click(screen.getAllByText('Release', { selector: 'button' }).at(-1));
+
+    await waitFor(() => {
+      expect(transactionAPI.markSuspicious).toHaveBeenCalledWith(12, false);
+    });
+  });
+
+  it('should reject a transaction by reversing it', async () => {
+    transactionAPI.reverseTransaction.mockResolvedValue({ data: { id: 13 } });
+    renderReviewQueue();
+
+    fireEvent.click(await screen.findByText('Reject', { selector: 'button' }));
+    fireEvent.click(screen.getAllByText('Reject', { selector: 'button' }).at(-1));
+
+    await waitFor(() => {
+      expect(transactionAPI.reverseTransaction).toHaveBeenCalledWith(
+        12, 'Rejected in review: Big spender: $600.00 spent is above $500.00'
+      );
+    });
+  });
+
+  it('should hide rejecting from users who cannot reverse transactions', async () => {
+    useAuth.mockReturnValue({ hasPermission: (permission) => permission === 'transactions.flag' });
+    renderReviewQueue();
+
+    expect(await screen.findByText('Release', { selector: 'button' })).toBeInTheDocument();
+    expect(screen.queryByText('Reject', { selector: 'button' })).not.toBeInTheDocument();
+    expect(screen.queryByText('Manage Rules')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,102 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import Rewards from '../Rewards';
+import { useAuth } from '../../contexts/AuthContext';
+import { rewardAPI, transactionAPI } from '../../services/api';
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+vi.mock('../../services/api', () => ({
+  rewardAPI: {
+    getRewards: vi.fn(),
+  },
+  transactionAPI: {
+    redeemReward: vi.fn(),
+  },
+  getAvatarUrl: (url) => url,
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+const hoodie = {
+  id: 1, name: 'Hoodie', description: 'CSSU hoodie', imageUrl: null, pointCost: 300,
+  stock: 4, perUserLimit: 1, startTime: null, endTime: null, active: true,
+};
+
+describe('Rewards Page', () => {
+  const updateLocalUser = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({
+      user: { utorid: 'clive123', points: 500, availablePoints: 500 },
+      hasPermission: () => false,
+      updateLocalUser,
+    });
+  });
+
+  const renderRewards = () => render(
+    <MemoryRouter>
+      <Rewards />
+    </MemoryRouter>
+  );
+
+  it('should list rewards with their cost and stock', async () => {
+    rewardAPI.getRewards.mockResolvedValue({ data: { count: 1, results: [hoodie] } });
+    renderRewards();
+
+    expect(await screen.findByText('Hoodie')).toBeInTheDocument();
+    expect(screen.getByText('300 pts')).toBeInTheDocument();
+    expect(screen.getByText('4 left')).toBeInTheDocument();
+    expect(screen.queryByText('Create Reward')).not.toBeInTheDocument();
+  });
+
+  it('should redeem a reward after confirmation', async () => {
+    rewardAPI.getRewards.mockResolvedValue({ data: { count: 1, results: [hoodie] } });
+    transactionAPI.redeemReward.mockResolvedValue({ data: { id: 9 } });
+    renderRewards();
+
+    fireEvent.click(await screen.findByText('Redeem', { selector: 'button' }));
+    // The modal's confirm button is rendered after the card's
+    fireEvent.click(screen.getAllByText('Redeem', { selector: 'button' }).at(-1));
+
+    await waitFor(() => {
+      expect(transactionAPI.redeemReward).toHaveBeenCalledWith(1);
+      expect(updateLocalUser).toHaveBeenCalled();
+    });
+  });
+
+  it('should disable rewards the user cannot afford or that are sold out', async () => {
+    rewardAPI.getRewards.mockResolvedValue({
+      data: {
+        count: 2,
+        results: [
+          { ...hoodie, id: 2, name: 'Jacket', pointCost: 900 },
+          { ...hoodie, id: 3, name: 'Mug', stock: 0 },
+        ],
+      },
+    });
+    renderRewards();
+
+    expect(await screen.findByText('Not enough points', { selector: 'button' })).toBeDisabled();
+    expect(screen.getByText('Out of stock', { selector: 'button' })).toBeDisabled();
+  });
+
+  it('should show management links to managers', async () => {
+    useAuth.mockReturnValue({
+      user: { points: 0 },
+      hasPermission: (p) => p === 'rewards.manage',
+      updateLocalUser,
+    });
+    rewardAPI.getRewards.mockResolvedValue({ data: { count: 1, results: [hoodie] } });
+    renderRewards();
+
+    expect(await screen.findByText('Edit')).toHaveAttribute('href', '/rewards/1/edit');
+    expect(screen.getByText('Create Reward')).toBeInTheDocument();
+  });
+});
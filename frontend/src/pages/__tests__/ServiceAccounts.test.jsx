@@ -0,0 +1,71 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import ServiceAccounts from '../ServiceAccounts';
+import { serviceAccountAPI } from '../../services/api';
+
+// Mock API
+vi.mock('../../services/api', () => ({
+  serviceAccountAPI: {
+    getServiceAccounts: vi.fn(),
+    createServiceAccount: vi.fn(),
+    createApiKey: vi.fn(),
+    rotateApiKey: vi.fn(),
+    revokeApiKey: vi.fn(),
+  },
+}));
+
+describe('ServiceAccounts Page', () => {
+  const mockAccount = {
+    id: 7,
+    utorid: 'svcab12c',
+    name: 'Cafe Till',
+    apiKeys: [],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    serviceAccountAPI.getServiceAccounts.mockResolvedValue({
+      data: {
+        scopes: { 'transactions:purchase': 'Create purchase transactions' },
+        results: [mockAccount],
+      },
+    });
+  });
+
+  const renderServiceAccounts = () => {
+    return render(
+      <MemoryRouter>
+        <ServiceAccounts />
+      </MemoryRouter>
+    );
+  };
+
+  it('should list service accounts', async () => {
+    renderServiceAccounts();
+    await waitFor(() => {
+      expect(screen.getByText('Cafe Till')).toBeInTheDocument();
+      expect(screen.getByText('svcab12c')).toBeInTheDocument();
+    });
+  });
+
+  it('should show a newly issued key once', async () => {
+    serviceAccountAPI.createApiKey.mockResolvedValue({
+      data: { id: 1, name: 'Front counter', key: 'cssu_abcd1234_secret', scopes: ['transactions:purchase'] },
+    });
+    renderServiceAccounts();
+
+    fireEvent.change(await screen.findByLabelText('Key Name'), { target: { value: 'Front counter' } });
+    fireEvent.click(screen.getByLabelText('Create purchase transactions'));
+    fireEvent.click(screen.getByText('Create Key'));
+
+    await waitFor(() => {
+      expect(serviceAccountAPI.createApiKey).toHaveBeenCalledWith(7, {
+        name: 'Front counter',
+        scopes: ['transactions:purchase'],
+        expiresInDays: 90,
+      });
+      expect(screen.getByText('cssu_abcd1234_secret')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import Settings from '../Settings';
+import { settingsAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+// Mock API
+vi.mock('../../services/api', () => ({
+  settingsAPI: {
+    getSettings: vi.fn(),
+    updateSettings: vi.fn(),
+    getPermissions: vi.fn(),
+  },
+}));
+
+describe('Settings Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ hasRole: () => true });
+    settingsAPI.getSettings.mockResolvedValue({ data: { requireTwoFactorForStaff: false } });
+    settingsAPI.getPermissions.mockResolvedValue({
+      data: {
+        roles: ['regular', 'cashier', 'manager'],
+        permissions: [
+          { name: 'transactions.purchase', description: 'Record purchases', defaultRole: 'cashier' },
+          { name: 'events.award', description: 'Award points from any event', defaultRole: 'manager' },
+        ],
+      },
+    });
+  });
+
+  const renderSettings = () => {
+    return render(
+      <MemoryRouter>
+        <Settings />
+      </MemoryRouter>
+    );
+  };
+
+  it('should render current settings', async () => {
+    renderSettings();
+    const toggle = await screen.findByLabelText(/require two-factor/i);
+    expect(toggle).not.toBeChecked();
+  });
+
+  it('should save updated settings', async () => {
+    settingsAPI.updateSettings.mockResolvedValue({ data: { requireTwoFactorForStaff: true } });
+    renderSettings();
+
+    fireEvent.click(await screen.findByLabelText(/require two-factor/i));
+    fireEvent.click(screen.getByText('Save Settings'));
+
+    await waitFor(() => {
+      expect(settingsAPI.updateSettings).toHaveBeenCalledWith({ requireTwoFactorForStaff: true });
+    });
+  });
+
+  it('should save the redemption expiry', async () => {
+    settingsAPI.getSettings.mockResolvedValue({ data: { requireTwoFactorForStaff: false, redemptionExpiryDays: 30 } });
+    settingsAPI.updateSettings.mockResolvedValue({ data: { requireTwoFactorForStaff: false, redemptionExpiryDays: 7 } });
+    renderSettings();
+
+    fireEvent.change(await screen.findByLabelText(/cancel pending redemptions/i), { target: { value: '7' } });
+    fireEvent.click(screen.getByText('Save Settings'));
+
+    await waitFor(() => {
+      expect(settingsAPI.updateSettings).toHaveBeenCalledWith({
+        requireTwoFactorForStaff: false,
+        redemptionExpiryDays: 7,
+      });
+    });
+  });
+
+  it('should save the points expiry policy', async () => {
+    settingsAPI.updateSettings.mockResolvedValue({ data: { requireTwoFactorForStaff: false } });
+    renderSettings();
+
+    fireEvent.change(await screen.findByLabelText('Points expire'), { target: { value: 'inactivity' } });
+    fireEvent.change(screen.getByLabelText('Months'), { target: { value: '6' } });
+    fireEvent.click(screen.getByText('Save Settings'));
+
+    await waitFor(() => {
+      expect(settingsAPI.updateSettings).toHaveBeenCalledWith({
+        requireTwoFactorForStaff: false,
+        pointsExpiry: { mode: 'inactivity', months: 6, warningDays: 14 },
+      });
+    });
+  });
+
+  it('should schedule an earning rate change', async () => {
+    settingsAPI.updateSettings.mockResolvedValue({ data: { requireTwoFactorForStaff: false } });
+    renderSettings();
+
+    fireEvent.click(await screen.findByText('Schedule Rate Change'));
+    fireEvent.change(screen.getByLabelText('Rate 2 effective from'), { target: { value: '2030-01-01T09:00' } });
+    fireEvent.change(screen.getByLabelText('Rate 2 points per dollar'), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText('Rate 2 rounding'), { target: { value: 'floor' } });
+    fireEvent.click(screen.getByText('Save Settings'));
+
+    await waitFor(() => {
+      expect(settingsAPI.updateSettings).toHaveBeenCalledWith({
+        requireTwoFactorForStaff: false,
+        earnRates: [
+          { pointsPerDollar: 4, rounding: 'round', effectiveFrom: '1970-01-01T00:00:00.000Z' },
+          { pointsPerDollar: 5, rounding: 'floor', effectiveFrom: new Date('2030-01-01T09:00').toISOString() },
+        ],
+      });
+    });
+  });
+
+  it('should save edited role permissions', async () => {
+    const rolePermissions = { regular: [], cashier: ['transactions.purchase'], manager: ['transactions.purchase'] };
+    settingsAPI.getSettings.mockResolvedValue({ data: { requireTwoFactorForStaff: false, rolePermissions } });
+    settingsAPI.updateSettings.mockResolvedValue({ data: { requireTwoFactorForStaff: false, rolePermissions } });
+    renderSettings();
+
+    const checkbox = await screen.findByLabelText('events.award for manager');
+    expect(checkbox).not.toBeChecked();
+    fireEvent.click(checkbox);
+    fireEvent.click(screen.getByText('Save Permissions'));
+
+    await waitFor(() => {
+      expect(settingsAPI.updateSettings).toHaveBeenCalledWith({
+        rolePermissions: { ...rolePermissions, manager: ['transactions.purchase', 'events.award'] },
+      });
+    });
+  });
+
+  it('should restore default role permissions', async () => {
+    settingsAPI.getSettings.mockResolvedValue({
+      data: { requireTwoFactorForStaff: false, rolePermissions: { regular: [], cashier: [], manager: [] } },
+    });
+    renderSettings();
+
+    fireEvent.click(await screen.findByText('Restore Defaults'));
+
+    expect(screen.getByLabelText('transactions.purchase for cashier')).toBeChecked();
+    expect(screen.getByLabelText('events.award for cashier')).not.toBeChecked();
+    expect(screen.getByLabelText('events.award for manager')).toBeChecked();
+  });
+
+  it('should show role permissions read-only to non-superusers', async () => {
+    useAuth.mockReturnValue({ hasRole: (role) => role !== 'superuser' });
+    settingsAPI.getSettings.mockResolvedValue({
+      data: { requireTwoFactorForStaff: false, rolePermissions: { regular: [], cashier: [], manager: [] } },
+    });
+    renderSettings();
+
+    expect(await screen.findByLabelText('events.award for manager')).toBeDisabled();
+    expect(screen.queryByText('Save Permissions')).not.toBeInTheDocument();
+  });
+});
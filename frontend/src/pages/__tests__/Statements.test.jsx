@@ -0,0 +1,100 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import Statements from '../Statements';
+import { useAuth } from '../../contexts/AuthContext';
+import { userAPI } from '../../services/api';
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+vi.mock('../../services/api', () => ({
+  userAPI: {
+    getStatement: vi.fn(),
+    updateMe: vi.fn(),
+  },
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+const statement = {
+  month: '2026-09',
+  openingBalance: 100,
+  closingBalance: 110,
+  expiringSoon: { amount: 0, expiresAt: null },
+  groups: [
+    {
+      type: 'purchase', label: 'Purchases', count: 2, points: 40,
+      transactions: [
+        { id: 3, createdAt: '2026-09-03T12:00:00.000Z', amount: 40, counted: true, status: 'Completed', description: '$10.00 spent', remark: 'Till 2' },
+        { id: 4, createdAt: '2026-09-10T12:00:00.000Z', amount: 200, counted: false, status: 'Held for review', description: '$50.00 spent', remark: '' },
+      ],
+    },
+    {
+      type: 'transfer', label: 'Transfers', count: 1, points: -30,
+      transactions: [
+        { id: 5, createdAt: '2026-09-15T12:00:00.000Z', amount: -30, counted: true, status: 'Completed', description: 'Sent to friend12', remark: '' },
+      ],
+    },
+  ],
+};
+
+describe('Statements Page', () => {
+  const updateLocalUser = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ user: { utorid: 'clive123', statementEmails: false }, updateLocalUser });
+    userAPI.getStatement.mockResolvedValue({ data: statement });
+  });
+
+  const renderStatements = (month = '2026-09') => render(
+    <MemoryRouter initialEntries={[`/statements?month=${month}`]}>
+      <Statements />
+    </MemoryRouter>
+  );
+
+  it('should show the month grouped by type', async () => {
+    renderStatements();
+
+    expect(await screen.findByText('Purchases (2)')).toBeInTheDocument();
+    expect(screen.getByText('Transfers (1)')).toBeInTheDocument();
+    expect(screen.getByText('110')).toBeInTheDocument();
+    expect(screen.getByText('$10.00 spent - Till 2')).toBeInTheDocument();
+    expect(screen.getByText('Held for review').closest('tr')).toHaveClass('statements-row-uncounted');
+    expect(userAPI.getStatement).toHaveBeenCalledWith('me', '2026-09');
+  });
+
+  it('should load the month that is picked', async () => {
+    renderStatements();
+    await screen.findByText('Purchases (2)');
+
+    fireEvent.change(screen.getByLabelText('Month'), { target: { value: '2026-08' } });
+
+    await waitFor(() => {
+      expect(userAPI.getStatement).toHaveBeenLastCalledWith('me', '2026-08');
+    });
+  });
+
+  it('should say when a month has no transactions', async () => {
+    userAPI.getStatement.mockResolvedValue({ data: { ...statement, groups: [], closingBalance: 100 } });
+    renderStatements();
+
+    expect(await screen.findByText('No transactions in September 2026.')).toBeInTheDocument();
+  });
+
+  it('should opt in to monthly statement emails', async () => {
+    userAPI.updateMe.mockResolvedValue({ data: { statementEmails: true } });
+    renderStatements();
+
+    fireEvent.click(await screen.findByLabelText('Email me a monthly statement'));
+
+    await waitFor(() => {
+      expect(userAPI.updateMe).toHaveBeenCalledWith({ statementEmails: true });
+    });
+    expect(updateLocalUser).toHaveBeenCalled();
+  });
+});
@@ -3,7 +3,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { MemoryRouter, Routes, Route } from 'react-router-dom';
 import UserDetail from '../UserDetail';
 import { useAuth } from '../../contexts/AuthContext';
-import { userAPI } from '../../services/api';
+import { userAPI, settingsAPI } from '../../services/api';
 
 // Mock context
 vi.mock('../../contexts/AuthContext', () => ({
@@ -16,6 +16,16 @@ vi.mock('../../services/api', () => ({
     getUser: vi.fn(),
     updateUser: vi.fn(),
     getUserTransactions: vi.fn(),
+    getLockouts: vi.fn(),
+    getImpersonations: vi.fn(),
+    getInvestigations: vi.fn(),
+    getStatement: vi.fn(),
+    unlockUser: vi.fn(),
+    getPermissions: vi.fn(),
+    updatePermissions: vi.fn(),
+  },
+  settingsAPI: {
+    getPermissions: vi.fn(),
   },
   getAvatarUrl: vi.fn((url) => {
     if (!url) return null;
@@ -42,6 +52,21 @@ describe('UserDetail Page', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     useAuth.mockReturnValue({ hasRole: () => false });
+    userAPI.getLockouts.mockResolvedValue({ data: { locked: false, results: [] } });
+    userAPI.getImpersonations.mockResolvedValue({ data: { results: [] } });
+    userAPI.getInvestigations.mockResolvedValue({ data: { results: [] } });
+    userAPI.getPermissions.mockResolvedValue({
+      data: { role: 'regular', fromRole: [], grants: [], permissions: [] },
+    });
+    settingsAPI.getPermissions.mockResolvedValue({
+      data: {
+        roles: ['regular', 'cashier', 'manager'],
+        permissions: [
+          { name: 'transactions.purchase', description: 'Record purchases', defaultRole: 'cashier' },
+          { name: 'events.award', description: 'Award points from any event', defaultRole: 'manager' },
+        ],
+      },
+    });
   });
 
   const renderUserDetail = (userId = '1') => {
@@ -122,5 +147,102 @@ describe('UserDetail Page', () => {
       expect(screen.getByText('purchase')).toBeInTheDocument();
     });
   });
-});
 
+  it('should let manager unlock a locked-out user', async () => {
+    useAuth.mockReturnValue({ hasRole: (role) => role === 'manager' });
+    userAPI.getUser.mockResolvedValue({ data: mockUser });
+    userAPI.getUserTransactions.mockResolvedValue({ data: { results: [] } });
+    userAPI.getLockouts.mockResolvedValue({
+      data: {
+        locked: true,
+        results: [{ id: 1, scope: 'login', createdAt: new Date().toISOString(), lockedUntil: new Date().toISOString(), active: true }],
+      },
+    });
+    userAPI.unlockUser.mockResolvedValue({ data: { unlocked: 1 } });
+
+    renderUserDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Lockouts')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText('Unlock'));
+
+    await waitFor(() => {
+      expect(userAPI.unlockUser).toHaveBeenCalledWith(1);
+    });
+  });
+
+  it('should show the investigation history for managers', async () => {
+    useAuth.mockReturnValue({ hasRole: (role) => role === 'manager' });
+    userAPI.getUser.mockResolvedValue({ data: mockUser });
+    userAPI.getUserTransactions.mockResolvedValue({ data: { results: [] } });
+    userAPI.getInvestigations.mockResolvedValue({
+      data: {
+        results: [{
+          id: 4, title: 'Repeat purchases', status: 'underReview', assignee: 'manager1',
+          resolution: null, createdAt: new Date().toISOString(), resolvedAt: null,
+        }],
+      },
+    });
+
+    renderUserDetail();
+
+    expect(await screen.findByText('#4 Repeat purchases')).toBeInTheDocument();
+    expect(screen.getByText('Under Review')).toBeInTheDocument();
+    expect(screen.getByText('manager1')).toBeInTheDocument();
+    expect(userAPI.getInvestigations).toHaveBeenCalledWith(1);
+  });
+
+  it('should let a superuser start a read-only impersonation', async () => {
+    const startImpersonation = vi.fn().mockResolvedValue();
+    useAuth.mockReturnValue({ user: { id: 99 }, hasRole: () => true, startImpersonation });
+    userAPI.getUser.mockResolvedValue({ data: mockUser });
+    userAPI.getUserTransactions.mockResolvedValue({ data: { results: [] } });
+
+    renderUserDetail();
+
+    fireEvent.click(await screen.findByText('View as User One'));
+
+    await waitFor(() => {
+      expect(startImpersonation).toHaveBeenCalledWith(1, true);
+    });
+  });
+
+  it('should let a superuser grant extra permissions', async () => {
+    useAuth.mockReturnValue({ user: { id: 99 }, hasRole: () => true });
+    userAPI.getUser.mockResolvedValue({ data: mockUser });
+    userAPI.getUserTransactions.mockResolvedValue({ data: { results: [] } });
+    userAPI.updatePermissions.mockResolvedValue({
+      data: { role: 'regular', fromRole: [], grants: ['events.award'], permissions: ['events.award'] },
+    });
+
+    renderUserDetail();
+
+    fireEvent.click(await screen.findByText('events.award'));
+    fireEvent.click(screen.getByText('Save Permissions'));
+
+    await waitFor(() => {
+      expect(userAPI.updatePermissions).toHaveBeenCalledWith(1, ['events.award']);
+    });
+  });
+
+  it("should let managers download a member's statement", async () => {
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    URL.createObjectURL = vi.fn(() => 'blob:statement');
+    URL.revokeObjectURL = vi.fn();
+    useAuth.mockReturnValue({ hasRole: (role) => role === 'manager' });
+    userAPI.getUser.mockResolvedValue({ data: mockUser });
+    userAPI.getUserTransactions.mockResolvedValue({ data: { results: [] } });
+    userAPI.getStatement.mockResolvedValue({ data: new Blob(['date,id']) });
+
+    renderUserDetail();
+
+    fireEvent.change(await screen.findByLabelText('Month'), { target: { value: '2026-09' } });
+    fireEvent.click(screen.getByText('Download CSV', { selector: 'button' }));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(userAPI.getStatement).toHaveBeenCalledWith(1, '2026-09', 'csv');
+    click.mockRestore();
+  });
+});
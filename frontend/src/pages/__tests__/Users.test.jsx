@@ -14,13 +14,20 @@ vi.mock('../../contexts/AuthContext', () => ({
 vi.mock('../../services/api', () => ({
   userAPI: {
     getUsers: vi.fn(),
+    getIpLockouts: vi.fn(),
+    unlockIp: vi.fn(),
   },
 }));
 
+vi.mock('react-toastify', () => ({
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
 describe('Users Page', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     useAuth.mockReturnValue({ hasRole: () => false });
+    userAPI.getIpLockouts.mockResolvedValue({ data: { count: 0, results: [] } });
   });
 
   const renderUsers = () => {
@@ -73,5 +80,42 @@ describe('Users Page', () => {
       expect(userAPI.getUsers).toHaveBeenCalledWith(expect.objectContaining({ name: 'search' }));
     });
   });
+
+  it('should let a manager unlock a locked-out IP address', async () => {
+    useAuth.mockReturnValue({ hasRole: (role) => role === 'manager' || role === 'cashier' });
+    userAPI.getUsers.mockResolvedValue({ data: { results: [], count: 0 } });
+    userAPI.getIpLockouts
+      .mockResolvedValueOnce({
+        data: {
+          count: 1,
+          results: [{
+            id: 7, ipAddress: '203.0.113.9', scope: 'login',
+            createdAt: '2025-01-01T10:00:00Z', lockedUntil: '2025-01-01T10:15:00Z',
+          }],
+        },
+      })
+      .mockResolvedValueOnce({ data: { count: 0, results: [] } });
+    userAPI.unlockIp.mockResolvedValue({ data: { unlocked: 1 } });
+
+    renderUsers();
+
+    expect(await screen.findByText('203.0.113.9')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+
+    await waitFor(() => {
+      expect(userAPI.unlockIp).toHaveBeenCalledWith('203.0.113.9');
+      expect(screen.queryByText('203.0.113.9')).not.toBeInTheDocument();
+    });
+  });
+
+  it('should not load IP lockouts for cashiers', async () => {
+    useAuth.mockReturnValue({ hasRole: (role) => role === 'cashier' });
+    userAPI.getUsers.mockResolvedValue({ data: { results: [], count: 0 } });
+
+    renderUsers();
+
+    await screen.findByText(/no users found/i);
+    expect(userAPI.getIpLockouts).not.toHaveBeenCalled();
+  });
 });
 
@@ -0,0 +1,60 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import VerifyEmail from '../VerifyEmail';
+import { authAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Mock context
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+// Mock API
+vi.mock('../../services/api', () => ({
+  authAPI: {
+    verifyEmail: vi.fn(),
+    resendVerification: vi.fn(),
+  },
+}));
+
+describe('VerifyEmail Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ user: null, updateLocalUser: vi.fn() });
+  });
+
+  const renderVerifyEmail = () => {
+    return render(
+      <MemoryRouter initialEntries={['/verify-email/abc123']}>
+        <Routes>
+          <Route path="/verify-email/:verificationToken" element={<VerifyEmail />} />
+        </Routes>
+      </MemoryRouter>
+    );
+  };
+
+  it('should verify the token from the link', async () => {
+    authAPI.verifyEmail.mockResolvedValue({ data: { verified: true } });
+    renderVerifyEmail();
+
+    await waitFor(() => {
+      expect(authAPI.verifyEmail).toHaveBeenCalledWith('abc123');
+      expect(screen.getByText(/has been verified/i)).toBeInTheDocument();
+    });
+  });
+
+  it('should offer a new link when verification fails', async () => {
+    authAPI.verifyEmail.mockRejectedValue({ response: { data: { error: 'Invalid or expired verification link' } } });
+    authAPI.resendVerification.mockResolvedValue({ data: {} });
+    renderVerifyEmail();
+
+    fireEvent.change(await screen.findByLabelText(/utorid/i), { target: { value: 'testuser' } });
+    fireEvent.click(screen.getByText('Send New Link'));
+
+    await waitFor(() => {
+      expect(authAPI.resendVerification).toHaveBeenCalledWith('testuser');
+      expect(screen.getByText(/new verification link/i)).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import api, { authAPI, transactionAPI } from '../api';
+
+describe('api idempotency keys', () => {
+  const originalAdapter = api.defaults.adapter;
+  let adapter;
+
+  const respond = (config, status = 201) => Promise.resolve({
+    data: {}, status, statusText: '', headers: {}, config,
+  });
+  const keyOf = (call) => call[0].headers['Idempotency-Key'];
+
+  beforeEach(() => {
+    adapter = vi.fn(respond);
+    api.defaults.adapter = adapter;
+  });
+
+  afterEach(() => {
+    api.defaults.adapter = originalAdapter;
+  });
+
+  it('should reuse the key for a retry after a dropped connection', async () => {
+    adapter.mockImplementationOnce((config) => Promise.reject(
+      Object.assign(new Error('Network Error'), { config, isAxiosError: true })
+    ));
+    const purchase = { utorid: 'clive123', type: 'purchase', spent: 10 };
+
+    await expect(transactionAPI.createTransaction(purchase)).rejects.toThrow('Network Error');
+    await transactionAPI.createTransaction(purchase);
+    await transactionAPI.createTransaction(purchase);
+
+    const keys = adapter.mock.calls.map(keyOf);
+    expect(keys[0]).toBeTruthy();
+    expect(keys[1]).toEqual(keys[0]);
+    expect(keys[2]).not.toEqual(keys[0]);
+  });
+
+  it('should give different payloads different keys', async () => {
+    await transactionAPI.createTransfer('clive123', 100);
+    await transactionAPI.createRedemption(100);
+
+    const [transferKey, redemptionKey] = adapter.mock.calls.map(keyOf);
+    expect(transferKey).toBeTruthy();
+    expect(redemptionKey).toBeTruthy();
+    expect(transferKey).not.toEqual(redemptionKey);
+  });
+
+  it('should not attach keys to other requests', async () => {
+    await authAPI.logout();
+    expect(keyOf(adapter.mock.calls[0])).toBeUndefined();
+  });
+});
+
+describe('api session refresh', () => {
+  const originalAdapter = api.defaults.adapter;
+  const originalLocation = window.location;
+
+  const respond = (config, status, data = {}) => {
+    const response = { data, status, statusText: '', headers: {}, config };
+    if (status < 400) return Promise.resolve(response);
+    return Promise.reject(Object.assign(new Error(`Status ${status}`), { config, response, isAxiosError: true }));
+  };
+
+  beforeEach(() => {
+    Object.defineProperty(window, 'location', { value: { href: '/users/5', pathname: '/users/5' }, writable: true });
+  });
+
+  afterEach(() => {
+    api.defaults.adapter = originalAdapter;
+    Object.defineProperty(window, 'location', { value: originalLocation, writable: true });
+  });
+
+  it('should leave the impersonated view once the server ends an expired impersonation', async () => {
+    let expired = true;
+    api.defaults.adapter = vi.fn((config) => {
+      if (config.url === '/auth/tokens/refresh') {
+        expired = false;
+        return respond(config, 200, { impersonationEnded: true });
+      }
+      return expired ? respond(config, 401) : respond(config, 200, { utorid: 'super1' });
+    });
+    localStorage.setItem('user', JSON.stringify({ utorid: 'student1' }));
+
+    const res = await api.get('/users/me');
+
+    expect(res.data.utorid).toEqual('super1');
+    expect(localStorage.getItem('user')).toBeNull();
+    expect(window.location.href).toEqual('/');
+  });
+});
@@ -21,11 +21,75 @@ const api = axios.create({
   },
 });
 
+// Transaction-creating requests carry an Idempotency-Key. A payload keeps its key until
+// the server has answered, so a double submit or a retry after a dropped connection is
+// replayed by the server instead of creating a second transaction.
+const IDEMPOTENT_URLS = [/^\/transactions$/, /^\/users\/[^/]+\/transactions$/, /^\/events\/[^/]+\/transactions$/];
+const pendingIdempotencyKeys = new Map();
+
+api.interceptors.request.use((config) => {
+  if (config.method !== 'post' || !IDEMPOTENT_URLS.some((pattern) => pattern.test(config.url))) {
+    return config;
+  }
+  if (!config.headers['Idempotency-Key']) {
+    const fingerprint = `${config.url} ${JSON.stringify(config.data ?? null)}`;
+    if (!pendingIdempotencyKeys.has(fingerprint)) {
+      pendingIdempotencyKeys.set(fingerprint, crypto.randomUUID());
+    }
+    config.headers['Idempotency-Key'] = pendingIdempotencyKeys.get(fingerprint);
+    config._idempotencyFingerprint = fingerprint;
+  }
+  return config;
+});
+
+const releaseIdempotencyKey = (config) => {
+  if (config?._idempotencyFingerprint) pendingIdempotencyKeys.delete(config._idempotencyFingerprint);
+};
+
+// Access tokens are short-lived: on a 401, rotate the refresh token once and retry.
+// Concurrent failures share a single refresh request.
+let refreshPromise = null;
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api.post('/auth/tokens/refresh').finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Handle token expiration and auth failures
 api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    const originalRequestUrl = error.config?.url || '';
+  (response) => {
+    releaseIdempotencyKey(response.config);
+    return response;
+  },
+  async (error) => {
+    const originalRequest = error.config || {};
+    const originalRequestUrl = originalRequest.url || '';
+
+    // Without a response the request may still have gone through, so keep its key
+    if (error.response) releaseIdempotencyKey(error.config);
+
+    if (
+      error.response?.status === 401 &&
+      !originalRequest._retry &&
+      !originalRequestUrl.includes('/auth/tokens') &&
+      !originalRequestUrl.includes('/auth/logout')
+    ) {
+      originalRequest._retry = true;
+      try {
+        const refreshed = await refreshSession();
+        // An impersonation ran out and the server put the superuser back in their own session
+        if (refreshed.data?.impersonationEnded) {
+          localStorage.removeItem('user');
+          window.location.href = '/';
+        }
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Fall through to the logout handling below
+      }
+    }
 
     if (
       error.response?.status === 401 && 
@@ -42,10 +106,34 @@ api.interceptors.response.use(
 // Auth endpoints
 export const authAPI = {
   login: (utorid, password) => api.post('/auth/tokens', { utorid, password }),
+  loginTwoFactor: (challengeToken, { code, recoveryCode }) =>
+    api.post('/auth/tokens/2fa', { challengeToken, code, recoveryCode }),
   logout: () => api.post('/auth/logout'),
+  refresh: () => api.post('/auth/tokens/refresh'),
+  scopeToken: (role, password) => api.post('/auth/tokens/scope', { role, password }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
   requestReset: (utorid) => api.post('/auth/resets', { utorid }),
   resetPassword: (resetToken, utorid, password) =>
     api.post(`/auth/resets/${resetToken}`, { utorid, password }),
+  resendVerification: (utorid) => api.post('/auth/verifications', { utorid }),
+  verifyEmail: (verificationToken) => api.post(`/auth/verifications/${verificationToken}`),
+};
+
+// Impersonation endpoints (superuser only)
+export const impersonationAPI = {
+  start: (userId, readOnly = true) => api.post('/auth/impersonation', { userId, readOnly }),
+  stop: () => api.delete('/auth/impersonation'),
+};
+
+// Two-factor authentication endpoints
+// challengeToken is only passed when enrolling during a login
+export const twoFactorAPI = {
+  getStatus: () => api.get('/auth/2fa'),
+  setup: (challengeToken) => api.post('/auth/2fa/setup', { challengeToken }),
+  verify: (code, challengeToken) => api.post('/auth/2fa/verify', { code, challengeToken }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  disable: ({ code, recoveryCode }) => api.delete('/auth/2fa', { data: { code, recoveryCode } }),
 };
 
 // User endpoints
@@ -81,6 +169,19 @@ export const userAPI = {
   createUser: (data) => api.post('/users', data),
   updateUser: (userId, data) => api.patch(`/users/${userId}`, data),
   getUserTransactions: (userId, params) => api.get(`/users/${userId}/transactions`, { params }),
+  getLockouts: (userId) => api.get(`/users/${userId}/lockouts`),
+  getImpersonations: (userId) => api.get(`/users/${userId}/impersonations`),
+  getInvestigations: (userId) => api.get(`/users/${userId}/investigations`),
+  // userId can be 'me'; csv and pdf come back as blobs for download
+  getStatement: (userId, month, format = 'json') => api.get(`/users/${userId}/statements/${month}`, {
+    params: { format },
+    responseType: format === 'json' ? 'json' : 'blob',
+  }),
+  unlockUser: (userId) => api.delete(`/users/${userId}/lockouts`),
+  getIpLockouts: () => api.get('/users/lockouts/ip'),
+  unlockIp: (ipAddress) => api.delete(`/users/lockouts/ip/${encodeURIComponent(ipAddress)}`),
+  getPermissions: (userId) => api.get(`/users/${userId}/permissions`),
+  updatePermissions: (userId, permissions) => api.put(`/users/${userId}/permissions`, { permissions }),
 };
 
 // Transaction endpoints
@@ -92,6 +193,8 @@ export const transactionAPI = {
     api.patch(`/transactions/${transactionId}/suspicious`, { suspicious }),
   createRedemption: (amount, remark) =>
     api.post('/users/me/transactions', { type: 'redemption', amount, remark }),
+  redeemReward: (rewardId, remark) =>
+    api.post('/users/me/transactions', { type: 'redemption', rewardId, remark }),
   createTransfer: (userIdentifier, amount, remark) =>
     api.post(`/users/${userIdentifier}/transactions`, {
       type: 'transfer',
@@ -99,6 +202,7 @@ export const transactionAPI = {
       remark,
     }),
   getMyTransactions: (params) => api.get('/users/me/transactions', { params }),
+  cancelRedemption: (transactionId) => api.delete(`/users/me/transactions/${transactionId}`),
   getRedemptionTransactions: (params) => api.get('/transactions/redemptions', { params }),
   processRedemption: (transactionId) =>
     api.patch(`/transactions/${transactionId}/processed`, { processed: true }),
@@ -108,6 +212,14 @@ export const transactionAPI = {
     api.patch(`/transactions/${transactionId}/amount`, { amount }),
   updateTransactionSpent: (transactionId, spent) =>
     api.patch(`/transactions/${transactionId}/spent`, { spent }),
+  reverseTransaction: (transactionId, remark) =>
+    api.post(`/transactions/${transactionId}/reversal`, { remark }),
+  getFlaggedTransactions: (params) => api.get('/transactions/flagged', { params }),
+  importPurchases: (csv, dryRun) => api.post('/transactions/import', { csv, dryRun }),
+  getReceipt: (transactionId, format) => api.get(`/transactions/${transactionId}/receipt`, {
+    params: { format },
+    responseType: format === 'pdf' ? 'blob' : 'text',
+  }),
 };
 
 // Event endpoints
@@ -145,6 +257,48 @@ export const promotionAPI = {
   deletePromotion: (promotionId) => api.delete(`/promotions/${promotionId}`),
 };
 
+// Reward catalog endpoints
+// Create and update take FormData so an image can be attached
+export const rewardAPI = {
+  getRewards: (params) => api.get('/rewards', { params }),
+  getReward: (rewardId) => api.get(`/rewards/${rewardId}`),
+  createReward: (formData) => api.post('/rewards', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  updateReward: (rewardId, formData) => api.patch(`/rewards/${rewardId}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  deleteReward: (rewardId) => api.delete(`/rewards/${rewardId}`),
+};
+
+// Fraud rule endpoints
+export const fraudRuleAPI = {
+  getRules: () => api.get('/fraud-rules'),
+  createRule: (data) => api.post('/fraud-rules', data),
+  updateRule: (ruleId, data) => api.patch(`/fraud-rules/${ruleId}`, data),
+  deleteRule: (ruleId) => api.delete(`/fraud-rules/${ruleId}`),
+};
+
+// Investigation case endpoints
+export const investigationAPI = {
+  getInvestigations: (params) => api.get('/investigations', { params }),
+  getInvestigation: (investigationId) => api.get(`/investigations/${investigationId}`),
+  createInvestigation: (data) => api.post('/investigations', data),
+  updateInvestigation: (investigationId, data) => api.patch(`/investigations/${investigationId}`, data),
+  addNote: (investigationId, data) => api.post(`/investigations/${investigationId}/notes`, data),
+  resolveInvestigation: (investigationId, actions, note) =>
+    api.post(`/investigations/${investigationId}/resolution`, { actions, note }),
+};
+
+// Peer point request endpoints
+export const pointRequestAPI = {
+  getPointRequests: (params) => api.get('/point-requests', { params }),
+  createPointRequest: (utorid, amount, remark) =>
+    api.post('/point-requests', { utorid, amount, remark }),
+  respondToPointRequest: (requestId, status) =>
+    api.patch(`/point-requests/${requestId}`, { status }),
+};
+
 // Analytics endpoints
 export const analyticsAPI = {
   // Cashier analytics
@@ -166,5 +320,21 @@ export const savedFilterAPI = {
   deleteSavedFilter: (id) => api.delete(`/saved-filters/${id}`),
 };
 
+// Settings endpoints (superuser only)
+export const settingsAPI = {
+  getSettings: () => api.get('/settings'),
+  updateSettings: (data) => api.patch('/settings', data),
+  getPermissions: () => api.get('/settings/permissions'),
+};
+
+// Service account endpoints (superuser only)
+export const serviceAccountAPI = {
+  getServiceAccounts: () => api.get('/service-accounts'),
+  createServiceAccount: (name) => api.post('/service-accounts', { name }),
+  createApiKey: (accountId, data) => api.post(`/service-accounts/${accountId}/keys`, data),
+  rotateApiKey: (accountId, keyId) => api.post(`/service-accounts/${accountId}/keys/${keyId}/rotation`),
+  revokeApiKey: (accountId, keyId) => api.delete(`/service-accounts/${accountId}/keys/${keyId}`),
+};
+
 export default api;
 